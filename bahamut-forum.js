@@ -1,16 +1,86 @@
+import { createAdminRoute } from './lib/admin.js';
+import {
+  DISCORD_TIME_BUDGET_MS, checkDiscordPayloadLimits, enforceDiscordLimits, truncateDiscordText, discordRequest,
+  parseMentionRules, resolveMentions, buildMentionFields
+} from './lib/discord.js';
+import { loadSourceHealth, recordSourceHealth, flushSourceHealth } from './lib/health.js';
+import { handlePreviewRequest } from './lib/preview.js';
+import {
+  getTelegramConfig, loadTelegramSentRecords, saveTelegramSentRecords, seedTelegramSentRecords, sendPendingToTelegram
+} from './lib/telegram.js';
+import { handleTemplateAdmin, loadMessageTemplate, renderDiscordTemplate } from './lib/template.js';
+
+// 巴哈姆特 FFXIV 板 (來源健康狀態使用)
+const FORUM_SOURCE = { id: 'bahamut-forum', name: '巴哈姆特 FFXIV 板' };
+// sent:bahamut-forum 與 Telegram 發送紀錄的保留時間 (7 天)
+const SENT_TTL_SECONDS = 604800;
+
+// 訊息模板 (選填):以 /admin/templates 設定 KV 的 template:<來源 id>,
+// 沒有模板或產生的內容超過 Discord 上限時使用內建的 embed
+// 模板可使用的文章欄位 (GET /admin/templates 會列出)
+const MESSAGE_TEMPLATE_FIELDS = {
+  title: '文章標題',
+  brief: '文章簡介 (列表上的摘要)',
+  link: '文章網址',
+  thumbnail: '縮圖網址',
+  interaction: '互動數 (可搭配 number 過濾器)',
+  popularity: '人氣 (可搭配 number 過濾器)',
+  lastReplyTime: '最後回覆時間 (列表上的文字)',
+  sentAt: '發送時間 (ISO 8601,可搭配 date 過濾器)',
+  source: '來源名稱'
+};
+// 檢查模板時使用的範例文章
+const TEMPLATE_SAMPLE_ARTICLE = {
+  id: '12345',
+  title: '【心得】範例文章 新版本副本攻略與配裝整理',
+  brief: '這是檢查訊息模板用的範例簡介,長度接近列表上顯示的摘要...',
+  link: 'https://forum.gamer.com.tw/C.php?bsn=17608&snA=12345',
+  thumbnail: 'https://truth.bahamut.com.tw/s01/example.JPG',
+  lastReplyTime: '今日 12:00',
+  interaction: 1234,
+  popularity: 56789
+};
+
+// 來源健康狀態:記錄每次執行的成敗、最後成功時間與取得的項目數,
+// 連續失敗或產出遠低於平常 (中位數) 達 HEALTH_ALERT_THRESHOLD 次時通知 ops webhook,恢復時再通知一次
+const HEALTH_KEY = 'health:bahamut-forum';
+
+// 管理端點驗證與稽核紀錄
+const AUDIT_WORKER_ID = 'bahamut-forum';
+const handleAdminRoute = createAdminRoute({ workerId: AUDIT_WORKER_ID });
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
     
+    // 管理端點 (需 ADMIN_TOKEN 或簽名網址)
     if (url.pathname === '/trigger') {
-      await processForum(env, true);
-      return new Response('Processing triggered', { status: 200 });
+      return handleAdminRoute(request, env, url, async () => {
+        await processForum(env, true);
+        return new Response('Processing triggered', { status: 200 });
+      });
     }
     
     if (url.pathname === '/clearkv') {
-      const kv = env.RSS_CACHE;
-      await kv.delete('sent:bahamut-forum');
-      return new Response('KV cache cleared', { status: 200 });
+      return handleAdminRoute(request, env, url, async () => {
+        const kv = env.RSS_CACHE;
+        await kv.delete('sent:bahamut-forum');
+        return new Response('KV cache cleared', { status: 200 });
+      });
+    }
+
+    // 預覽 (dry-run):不寫 KV、不發送 Discord,回傳 JSON;mode=trigger 模擬 /trigger (不檢查 24 小時間隔)
+    if (url.pathname === '/preview') {
+      return handleAdminRoute(request, env, url, () => handlePreviewRequest(env, url, AUDIT_WORKER_ID, processForum));
+    }
+
+    // 訊息模板管理
+    if (url.pathname === '/admin/templates' || url.pathname.startsWith('/admin/templates/')) {
+      return handleAdminRoute(request, env, url, () => handleTemplateAdmin(request, env, url, {
+        fields: MESSAGE_TEMPLATE_FIELDS,
+        listSources: () => [FORUM_SOURCE],
+        buildSample: () => buildTemplateContext(TEMPLATE_SAMPLE_ARTICLE, new Date('2025-01-01T04:00:00.000Z'))
+      }));
     }
     
     return new Response('Worker running', { status: 200 });
@@ -21,17 +91,41 @@ export default {
   }
 };
 
-async function processForum(env, testMode = false) {
+async function processForum(env, testMode = false, preview = null) {
   const kv = env.RSS_CACHE;
   const webhookUrl = env.DISCORD_WEBHOOK_URL;
+  // 設定 BAHAMUT_TELEGRAM_CHAT_ID 時也發送到 Telegram;只發送到 Telegram 時可不設定 Discord webhook
+  const telegram = getTelegramConfig(env, env.BAHAMUT_TELEGRAM_CHAT_ID);
+  if (!webhookUrl && !telegram) {
+    console.error('缺少發送目的地設定: DISCORD_WEBHOOK_URL 或 BAHAMUT_TELEGRAM_CHAT_ID');
+    return;
+  }
   const forumUrl = 'https://forum.gamer.com.tw/B.php?bsn=17608&subbsn=23';
   const now = new Date();
+  const health = await loadSourceHealth(env, kv, { key: HEALTH_KEY, workerId: AUDIT_WORKER_ID });
+  // 記錄健康狀態後發生的錯誤 (KV / Discord) 不算來源失敗
+  let healthRecorded = false;
 
   try {
     const sentKey = `sent:bahamut-forum`;
     const lastRunKey = `lastrun:bahamut-forum`;
 
-    // 檢查上次執行時間 (除非是測試模式)
+    // 獲取已發送記錄;Telegram 的發送紀錄另外存放,轉發失敗的文章下次執行重送
+    const sentData = await kv.get(sentKey);
+    const sentMap = sentData ? new Map(Object.entries(JSON.parse(sentData))) : new Map();
+    const telegramSent = telegram ? await loadTelegramSentRecords(kv, FORUM_SOURCE.id, SENT_TTL_SECONDS) : null;
+    if (telegramSent) {
+      seedTelegramSentRecords(telegramSent, sentMap.keys());
+    }
+    // Discord 已送出、還沒轉發到 Telegram 的文章 (只看 Telegram 紀錄保留期間內送出的,避免重送更早的文章)
+    const telegramCutoffMs = now.getTime() - SENT_TTL_SECONDS * 1000;
+    const isTelegramPending = hash => {
+      const entry = sentMap.get(hash);
+      return Boolean(webhookUrl && telegramSent && entry && !telegramSent.sent[hash] && Date.parse(entry.sentAt) >= telegramCutoffMs);
+    };
+
+    // 檢查上次執行時間 (除非是測試模式);還有 Telegram 待重送的文章時照常抓取列表,但不發送新文章
+    let retryOnly = false;
     if (!testMode) {
       const lastRunData = await kv.get(lastRunKey);
       if (lastRunData) {
@@ -39,62 +133,106 @@ async function processForum(env, testMode = false) {
         const hoursSinceLastRun = (now - lastRunTime) / (1000 * 60 * 60);
         
         if (hoursSinceLastRun < 24) {
-          console.log(`距離上次執行僅 ${hoursSinceLastRun.toFixed(1)} 小時，跳過此次執行`);
-          return;
+          if (![...sentMap.keys()].some(isTelegramPending)) {
+            console.log(`距離上次執行僅 ${hoursSinceLastRun.toFixed(1)} 小時，跳過此次執行`);
+            if (preview) {
+              preview.notes.push(`距離上次執行僅 ${hoursSinceLastRun.toFixed(1)} 小時，排程執行會跳過；可加 ?mode=trigger 預覽`);
+            }
+            return;
+          }
+          retryOnly = true;
+          console.log(`距離上次執行僅 ${hoursSinceLastRun.toFixed(1)} 小時，只重送 Telegram 轉發失敗的文章`);
         }
       }
     }
 
-    // 獲取已發送記錄
-    const sentData = await kv.get(sentKey);
-    const sentMap = sentData ? new Map(Object.entries(JSON.parse(sentData))) : new Map();
-
     // 抓取最新文章
     const response = await fetch(forumUrl);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     const html = await response.text();
     const articles = parseArticles(html);
+    recordSourceHealth(health, FORUM_SOURCE, { ok: true, itemCount: articles.length });
+    healthRecorded = true;
 
     console.log(`抓取到 ${articles.length} 篇文章`);
 
     // 過濾出未發送的文章
-    const unsent = articles.filter(a => !sentMap.has(hashId(a.id)));
+    const unsent = retryOnly ? [] : articles.filter(a => !sentMap.has(hashId(a.id)));
     
     console.log(`未發送文章: ${unsent.length} 篇`);
 
-    if (unsent.length === 0) {
-      console.log('沒有新文章需要發送');
-      return;
-    }
-
     // 找出人氣最高的文章
-    const topArticle = unsent.reduce((max, article) => 
+    const topArticle = unsent.length ? unsent.reduce((max, article) => 
       article.popularity > max.popularity ? article : max
-    );
+    ) : null;
 
-    console.log(`人氣最高文章: ${topArticle.title} (人氣: ${topArticle.popularity})`);
+    if (preview) {
+      // 每次只送人氣最高的一篇:send / sent (已發送) / not-top
+      for (const article of articles) {
+        const decision = article === topArticle ? 'send' : sentMap.has(hashId(article.id)) ? 'sent' : 'not-top';
+        preview.items.push({ ...article, decision });
+      }
+    }
 
-    // 發送到 Discord
-    const sent = await sendDiscordSingle(webhookUrl, topArticle, now);
-    
-    if (sent) {
-      // 標記為已發送
+    // 人氣最高的文章送到 Discord (只發送到 Telegram 時為 Telegram) 後標記為已發送並記錄執行時間
+    const markTopArticleSent = async () => {
       sentMap.set(hashId(topArticle.id), { 
         sentAt: now.toISOString(), 
         id: topArticle.id,
         popularity: topArticle.popularity
       });
-      
-      // 更新 KV
-      await kv.put(sentKey, JSON.stringify(Object.fromEntries(sentMap)), { expirationTtl: 604800 });
-      
-      // 記錄執行時間
+      await kv.put(sentKey, JSON.stringify(Object.fromEntries(sentMap)), { expirationTtl: SENT_TTL_SECONDS });
       await kv.put(lastRunKey, now.toISOString(), { expirationTtl: 604800 });
-      
       console.log('文章已成功發送並記錄');
+    };
+
+    const discordDeadline = Date.now() + DISCORD_TIME_BUDGET_MS;
+    if (!topArticle) {
+      console.log('沒有新文章需要發送');
+    } else {
+      console.log(`人氣最高文章: ${topArticle.title} (人氣: ${topArticle.popularity})`);
+    }
+
+    // 發送到 Discord
+    if (topArticle && webhookUrl) {
+      const mentionRules = parseMentionRules(env.BAHAMUT_MENTION_RULES, 'BAHAMUT_MENTION_RULES');
+      const messageTemplate = await loadMessageTemplate(kv, FORUM_SOURCE.id);
+      const sent = await sendDiscordSingle(webhookUrl, topArticle, now, discordDeadline, mentionRules, messageTemplate);
+      
+      if (sent) {
+        await markTopArticleSent();
+      }
+    }
+
+    if (telegramSent) {
+      // 轉發 Discord 已送出 (含本次發送) 但還沒轉發的文章;只發送到 Telegram 時直接發送人氣最高的文章
+      const toForward = webhookUrl ? articles.filter(article => isTelegramPending(hashId(article.id))) : topArticle ? [topArticle] : [];
+      const { successCount, pendingCount } = await sendPendingToTelegram(telegram, telegramSent, toForward, {
+        getId: article => hashId(article.id),
+        buildArticle: article => ({
+          title: article.title,
+          description: `${article.brief || '無簡介'}\n\n💬 互動：${article.interaction.toLocaleString()} 🔥 人氣：${article.popularity.toLocaleString()}`,
+          link: article.link,
+          thumbnail: article.thumbnail,
+          sourceName: FORUM_SOURCE.name
+        }),
+        deadline: discordDeadline
+      });
+      if (pendingCount) {
+        console.log(`成功轉發 ${successCount}/${pendingCount} 篇文章到 Telegram`);
+      }
+      if (!webhookUrl && successCount) {
+        await markTopArticleSent();
+      }
+      await saveTelegramSentRecords(kv, telegramSent, SENT_TTL_SECONDS);
     }
   } catch (error) {
     console.error('Error:', error);
+    if (!healthRecorded) {
+      recordSourceHealth(health, FORUM_SOURCE, { ok: false, error: error.message });
+    }
+  } finally {
+    await flushSourceHealth(env, kv, health);
   }
 }
 
@@ -229,7 +367,11 @@ function hashId(id) {
   return hash.toString(16).padStart(8, '0');
 }
 
-async function sendDiscordSingle(webhookUrl, article, timestamp) {
+/**
+ * 發送文章到 Discord;有設定訊息模板時依模板產生內容,模板無法使用時改用內建的 embed
+ * @param {number} deadline - rate limit 等待的最晚時間 (ms),與本次執行的其他請求共用
+ */
+async function sendDiscordSingle(webhookUrl, article, timestamp, deadline, mentionRules = [], messageTemplate = null) {
   const embed = {
     title: article.title,
     description: article.brief || '無簡介',
@@ -237,14 +379,15 @@ async function sendDiscordSingle(webhookUrl, article, timestamp) {
     color: 0x009CAD,
     timestamp: timestamp.toISOString(),
     fields: [
+      // Discord 不接受空白的欄位名稱,以零寬空白代替
       {
-        name: '',
+        name: '\u200b',
         value: `💬 互動：${article.interaction.toLocaleString()} 🔥 人氣：${article.popularity.toLocaleString()}`,
         inline: true
       },
       {
-        name: '',
-        value: `\n`,
+        name: '\u200b',
+        value: '\u200b',
         inline: true
       }
     ],
@@ -258,19 +401,43 @@ async function sendDiscordSingle(webhookUrl, article, timestamp) {
     embed.image = { url: article.thumbnail };
   }
 
-  const response = await fetch(webhookUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ embeds: [embed] })
-  });
+  const rendered = messageTemplate
+    ? renderDiscordTemplate(messageTemplate, buildTemplateContext(article, timestamp), article.title)
+    : null;
+  const message = rendered || { embeds: [embed] };
 
-  if (!response.ok) {
-    console.error(`Discord failed: ${response.status}`);
-    const errorText = await response.text();
-    console.error('Discord error response:', errorText);
+  // 標題或簡介符合提及規則時 @ 指定的身分組 / 使用者
+  const mentionFields = buildMentionFields(resolveMentions(mentionRules, `${article.title}\n${article.brief || ''}`));
+  const payload = { ...message, allowed_mentions: mentionFields.allowed_mentions };
+  if (mentionFields.content) {
+    payload.content = message.content ? `${mentionFields.content} ${message.content}` : mentionFields.content;
   }
 
-  return response.ok;
+  const result = await discordRequest(webhookUrl, payload, { deadline });
+
+  if (!result.ok) {
+    console.error(`Discord failed: ${result.status}`);
+    console.error('Discord error response:', result.errorText);
+  }
+
+  return result.ok;
+}
+
+/**
+ * 訊息模板可使用的欄位 (見 MESSAGE_TEMPLATE_FIELDS)
+ */
+function buildTemplateContext(article, timestamp) {
+  return {
+    title: article.title || '',
+    brief: article.brief || '',
+    link: article.link || '',
+    thumbnail: article.thumbnail || '',
+    interaction: article.interaction,
+    popularity: article.popularity,
+    lastReplyTime: article.lastReplyTime || '',
+    sentAt: timestamp.toISOString(),
+    source: FORUM_SOURCE.name
+  };
 }
 
 
@@ -9,12 +9,25 @@
  *    - Daily State: 30 days TTL (preserves AI-optimized content)
  * 4. Sends Discord embed notifications (oldest first, max 5 per run)
  * 5. Prevents duplicate sends even with irregular posting schedules
+ * 6. Retracts Discord messages for posts that disappear from the feed (RETRACTION_MODE)
  *
  * Setup (Cloudflare Dashboard):
  * 1. Environment Variables:
- *    - FFXIV_WEBHOOK: Discord webhook URL for FFXIV feed
+ *    - FFXIV_WEBHOOK: Discord webhook URL for FFXIV feed (may be omitted when only sending to Telegram)
+ *    - RETRACTION_MODE (optional): log | strike | delete, defaults to log
+ *    - FFXIV_THREAD_ID (optional): post into an existing thread
+ *    - FFXIV_FORUM (optional): "true" when the webhook targets a forum channel (one post per article)
+ *    - FFXIV_FORUM_TAGS (optional): comma-separated forum tag ids applied to new posts
+ *    - FFXIV_MENTION_RULES (optional): JSON mention rules, e.g. [{"keywords":["維護"],"roles":["<role id>"]}]
+ *    - ADMIN_TOKEN: bearer token (and HMAC key for signed URLs) required by /trigger, /triggerall, /preview and /admin/templates
+ *    - DISCORD_WEBHOOK_OPS (optional): alert webhook for repeated fetch failures or empty feeds;
+ *      HEALTH_ALERT_THRESHOLD overrides the number of consecutive runs before alerting (default 3)
+ *    - TELEGRAM_BOT_TOKEN + FFXIV_TELEGRAM_CHAT_ID (optional): also send each article to a Telegram chat,
+ *      tracked separately from Discord (sent:ffxiv-fb:telegram) so failed sends are retried on the next run;
+ *      TELEGRAM_API_BASE overrides https://api.telegram.org (e.g. a local stub for testing)
  * 2. KV Namespace Bindings:
- *    - RSS_CACHE: Stores article metadata and sent history
+ *    - RSS_CACHE: Stores article metadata, sent history, source health (health:ffxiv-fb)
+ *      and the optional Discord message template (template:ffxiv-fb, managed via /admin/templates)
  * 3. Workers AI Bindings (optional, for title/description optimization):
  *    - AI: Cloudflare Workers AI (@cf/openai/gpt-oss-120b)
  *
@@ -24,7 +37,21 @@
  * - 500 entries ≈ 5 years of history at 2 posts/week
  */
 
+import { createAdminRoute } from './lib/admin.js';
+import {
+  DISCORD_TIME_BUDGET_MS, checkDiscordPayloadLimits, enforceDiscordLimits, truncateDiscordText, discordRequest,
+  parseMentionRules, resolveMentions, buildMentionFields
+} from './lib/discord.js';
+import { loadSourceHealth, recordSourceHealth, flushSourceHealth } from './lib/health.js';
+import { handlePreviewRequest } from './lib/preview.js';
+import {
+  getTelegramConfig, loadTelegramSentRecords, saveTelegramSentRecords, seedTelegramSentRecords, sendPendingToTelegram
+} from './lib/telegram.js';
+import { handleTemplateAdmin, loadMessageTemplate, renderDiscordTemplate } from './lib/template.js';
+import { collectFeedRecords, parseXmlDocument } from './lib/xml.js';
+
 const RSS_SOURCE = {
+  id: 'ffxiv-fb', // 來源健康狀態使用
   url: 'https://fetchrss.com/feed/aQGiGCKvQd7yaQGh04DO3kVC.rss',
   name: 'FFXIV 官方 FB 粉絲團',
   baseUrl: 'https://www.facebook.com',
@@ -43,16 +70,79 @@ const SENT_MAP_TTL_SECONDS = 365 * 24 * 60 * 60; // 365 天 (KV 自動過期的
 const DAILY_STATE_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 天
 const MAX_SENT_MAP_SIZE = 500; // 最多保留 500 筆記錄 (主要清理機制)
 
+// 已發送貼文從 feed 消失時的處理方式 (可用 RETRACTION_MODE 覆寫):
+// log 只記錄、strike 把原訊息改成刪除線、delete 直接刪除原訊息
+const RETRACTION_MODES = ['log', 'strike', 'delete'];
+const DEFAULT_RETRACTION_MODE = 'log';
+const RETRACTION_CONFIRM_MS = 60 * 60 * 1000; // 連續消失超過 1 小時 (至少兩次執行) 才收回,避免 fetchrss 暫時漏抓
+const MAX_RETRACTIONS_PER_RUN = 5;
+const RETRACTION_LOG_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 天
+const RETRACTED_EMBED_COLOR = 0x99AAB5;
+
+// 來源健康狀態:記錄每次執行的成敗、最後成功時間與取得的項目數,
+// 連續失敗或產出遠低於平常 (中位數) 達 HEALTH_ALERT_THRESHOLD 次時通知 ops webhook,恢復時再通知一次
+const HEALTH_KEY = 'health:ffxiv-fb';
+
+// Discord 論壇貼文限制
+const DISCORD_MAX_THREAD_NAME_LENGTH = 100;
+const DISCORD_MAX_APPLIED_TAGS = 5;
+
+// 管理端點驗證與稽核紀錄
+const AUDIT_WORKER_ID = 'ffxiv-fb';
+const handleAdminRoute = createAdminRoute({ workerId: AUDIT_WORKER_ID });
+
+// 預覽 (dry-run) 不呼叫 Workers AI,AI 產生的標題與描述以此文字代替
+const PREVIEW_AI_PLACEHOLDER = '[預覽] 正式執行時由 Workers AI 產生';
+
+// 訊息模板 (選填):以 /admin/templates 設定 KV 的 template:<來源 id>,
+// 沒有模板或產生的內容超過 Discord 上限時使用內建的 embed
+// 模板可使用的文章欄位 (GET /admin/templates 會列出)
+const MESSAGE_TEMPLATE_FIELDS = {
+  title: '貼文標題 (啟用 AI 時為優化後的標題)',
+  description: '貼文摘要 (啟用 AI 時為優化後的描述)',
+  link: '貼文網址',
+  thumbnail: '縮圖網址',
+  publishedAt: '發布時間 (ISO 8601,可搭配 date 過濾器)',
+  source: '來源名稱',
+  color: '來源的 embed 顏色'
+};
+// 檢查模板時使用的範例貼文
+const TEMPLATE_SAMPLE_ARTICLE = {
+  title: '範例貼文:新版本更新內容與維護時間公告',
+  description: '這是檢查訊息模板用的範例摘要,長度接近一般貼文的摘要。'.repeat(6).trim(),
+  link: 'https://www.facebook.com/example/posts/12345',
+  thumbnail: 'https://scontent.example.com/12345.jpg',
+  publishedAt: '2025-01-01T04:00:00.000Z'
+};
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
     if (url.pathname === '/trigger') {
-      await processRSS(env, true);
-      return new Response('FFXIV RSS processing triggered manually (latest article only)', { status: 200 });
+      return handleAdminRoute(request, env, url, async () => {
+        await processRSS(env, true);
+        return new Response('FFXIV RSS processing triggered manually (latest article only)', { status: 200 });
+      });
     }
     if (url.pathname === '/triggerall') {
-      await processAllRSS(env);
-      return new Response('All RSS items sent to Discord (ignoring KV cache)', { status: 200 });
+      // 會重送所有文章並呼叫 AI,必須驗證
+      return handleAdminRoute(request, env, url, async () => {
+        await processAllRSS(env);
+        return new Response('All RSS items sent to Discord (ignoring KV cache)', { status: 200 });
+      });
+    }
+    if (url.pathname === '/preview') {
+      // dry-run:跑完整流程但不寫 KV、不發送 Discord,回傳 JSON;mode=trigger 模擬 /trigger (只送一篇)
+      // 不呼叫 Workers AI,新文章的標題與描述以固定的佔位文字代替 (見 createPreviewAI)
+      return handleAdminRoute(request, env, url, () => handlePreviewRequest(env, url, AUDIT_WORKER_ID, processRSS));
+    }
+    if (url.pathname === '/admin/templates' || url.pathname.startsWith('/admin/templates/')) {
+      // 訊息模板管理
+      return handleAdminRoute(request, env, url, () => handleTemplateAdmin(request, env, url, {
+        fields: MESSAGE_TEMPLATE_FIELDS,
+        listSources: () => [RSS_SOURCE],
+        buildSample: () => buildTemplateContext(TEMPLATE_SAMPLE_ARTICLE, RSS_SOURCE)
+      }));
     }
     return new Response('FFXIV RSS worker is running. Use /trigger to test manually.', { status: 200 });
   },
@@ -62,7 +152,10 @@ export default {
   }
 };
 
-async function processRSS(env, testMode = false) {
+/**
+ * @param {Object|null} preview - 預覽 context (見 createPreviewContext),記錄每篇文章是否會發送
+ */
+async function processRSS(env, testMode = false, preview = null) {
   try {
     const kv = env.RSS_CACHE;
     if (!kv) {
@@ -70,61 +163,125 @@ async function processRSS(env, testMode = false) {
       return;
     }
 
-    const webhookUrl = env.FFXIV_WEBHOOK;
-    if (!webhookUrl) {
-      console.error('Missing webhook configuration: FFXIV_WEBHOOK');
+    const threadOptions = getThreadOptions(env);
+    const webhookUrl = resolveWebhookUrl(env.FFXIV_WEBHOOK, threadOptions);
+    const telegram = getTelegramConfig(env, env.FFXIV_TELEGRAM_CHAT_ID);
+    if (!webhookUrl && !telegram) {
+      console.error('Missing destination configuration: FFXIV_WEBHOOK or FFXIV_TELEGRAM_CHAT_ID');
       return;
     }
+    const mentionRules = parseMentionRules(env.FFXIV_MENTION_RULES, 'FFXIV_MENTION_RULES');
+    const messageSource = await withMessageTemplate(kv, RSS_SOURCE);
 
   const dateKey = getTaipeiDateKey(new Date());
   const sendLimit = testMode ? 1 : MAX_ITEMS_PER_SEND;
+  const discordDeadline = Date.now() + DISCORD_TIME_BUDGET_MS;
+  const health = await loadSourceHealth(env, kv, { key: HEALTH_KEY, workerId: AUDIT_WORKER_ID });
+  // 記錄健康狀態後發生的錯誤 (KV / Discord) 不算來源失敗
+  let healthRecorded = false;
 
     try {
-      // 設定全域 AI 綁定（如果有）
-      if (env.AI) {
-        globalThis.AI = env.AI;
-      }
+      // 預覽時不呼叫 Workers AI (會產生費用,且結果每次不同)
+      const ai = preview ? createPreviewAI(env.AI, preview) : env.AI || null;
 
       const { key, state, exists } = await loadDailyState(kv, RSS_SOURCE, dateKey);
       const { key: sentKey, map: sentMap } = await loadSentMap(kv, RSS_SOURCE);
       let sentMapDirty = pruneSentMap(sentMap); // 清理過期記錄
+      // Telegram 有自己的發送紀錄 (key 同 sent map 的 hash),轉發失敗的貼文下次執行重送
+      const telegramSent = telegram ? await loadTelegramSentRecords(kv, RSS_SOURCE.id, SENT_MAP_TTL_SECONDS) : null;
+      if (telegramSent) {
+        seedTelegramSentRecords(telegramSent, sentMap.keys());
+      }
 
       const response = await fetch(RSS_SOURCE.url);
       if (!response.ok) {
         console.error(`Failed to fetch FFXIV feed: ${response.status}`);
+        recordSourceHealth(health, RSS_SOURCE, { ok: false, error: `HTTP ${response.status}` });
         return;
       }
 
       const rssText = await response.text();
       // 傳遞現有文章給 parseRSSItems,避免對已存在的文章重複調用 AI
-      const parsedItems = await parseRSSItems(rssText, RSS_SOURCE, state.articles);
+      const parsedItems = await parseRSSItems(rssText, RSS_SOURCE, state.articles, ai);
+      recordSourceHealth(health, RSS_SOURCE, { ok: true, itemCount: parsedItems.length });
+      healthRecorded = true;
       const { articles, hasChanges } = mergeArticles(state.articles, parsedItems);
       const alreadySentUpdated = markPreviouslySentArticles(articles, sentMap);
-      const unsentQueue = articles.filter(article => !article.sent);
-      const toSend = unsentQueue.slice(0, sendLimit);
+      const getTelegramId = article => {
+        const identity = getArticleIdentity(article);
+        return identity ? hashIdentifier(identity) : null;
+      };
+      const isTelegramSent = article => Boolean(telegramSent.sent[getTelegramId(article)]);
+      const toSend = webhookUrl ? articles.filter(article => !article.sent).slice(0, sendLimit) : [];
+      const toForward = telegramSent ? articles.filter(article => !isTelegramSent(article)).slice(0, sendLimit) : [];
+      if (preview) {
+        // send / sent (已發送) / limited (超過本次發送上限,留待下次);只設定 Telegram 時以 Telegram 的發送紀錄判斷
+        const previewQueue = webhookUrl ? toSend : toForward;
+        const isPreviewSent = webhookUrl ? article => article.sent : isTelegramSent;
+        for (const article of articles) {
+          const decision = previewQueue.includes(article) ? 'send' : isPreviewSent(article) ? 'sent' : 'limited';
+          preview.items.push({ title: article.title, link: article.link, publishedAt: article.publishedAt, decision });
+        }
+      }
 
       let sendSuccess = false;
       if (toSend.length) {
         let successCount = 0;
         for (const article of toSend) {
-          const sent = await sendToDiscord(webhookUrl, article, RSS_SOURCE);
-          if (sent) {
+          const message = await sendToDiscord(webhookUrl, article, messageSource, discordDeadline, threadOptions, mentionRules);
+          if (message) {
             article.sent = true;
             article.sentAt = new Date().toISOString();
+            article.messageId = message.id || null;
+            // 論壇貼文的訊息位於新建立的討論串,收回時需要帶 thread_id
+            article.threadId = threadOptions.forum && message.channel_id ? message.channel_id : null;
             if (setSentEntry(sentMap, article)) {
               sentMapDirty = true;
             }
             successCount += 1;
             sendSuccess = true;
           }
-          await sleep(1000);
         }
         console.log(`Successfully sent ${successCount}/${toSend.length} items for ${RSS_SOURCE.name}${testMode ? ' (test mode)' : ''}`);
-      } else {
+      } else if (webhookUrl) {
         console.log(`No pending items to send for ${RSS_SOURCE.name}`);
       }
 
-      if (hasChanges || sendSuccess || alreadySentUpdated || !exists) {
+      if (telegramSent) {
+        const { successCount: forwardedCount, pendingCount } = await sendPendingToTelegram(telegram, telegramSent, toForward, {
+          getId: getTelegramId,
+          buildArticle: article => ({
+            title: article.title,
+            description: article.description,
+            link: article.link,
+            thumbnail: article.thumbnail,
+            sourceName: RSS_SOURCE.name
+          }),
+          deadline: discordDeadline
+        });
+        if (pendingCount) {
+          console.log(`Sent ${forwardedCount}/${pendingCount} items to Telegram for ${RSS_SOURCE.name}`);
+        }
+        await saveTelegramSentRecords(kv, telegramSent, SENT_MAP_TTL_SECONDS);
+      }
+
+      // 已發送的貼文從 feed 消失 (粉絲團刪文) 時收回 Discord 訊息
+      let retractedCount = 0;
+      if (webhookUrl) {
+        const retractionMode = getRetractionMode(env);
+        const retraction = await retractVanishedArticles(
+          kv, webhookUrl, sentMap, articles, parsedItems, retractionMode, discordDeadline, messageSource
+        );
+        retractedCount = retraction.retractedCount;
+        if (retraction.dirty) {
+          sentMapDirty = true;
+        }
+        if (retractedCount) {
+          console.log(`Retracted ${retractedCount} vanished items for ${RSS_SOURCE.name} (${retractionMode})`);
+        }
+      }
+
+      if (hasChanges || sendSuccess || alreadySentUpdated || retractedCount || !exists) {
         const nextState = {
           ...state,
           articles,
@@ -138,6 +295,11 @@ async function processRSS(env, testMode = false) {
       }
     } catch (error) {
       console.error(`Error processing ${RSS_SOURCE.name}:`, error);
+      if (!healthRecorded) {
+        recordSourceHealth(health, RSS_SOURCE, { ok: false, error: error.message });
+      }
+    } finally {
+      await flushSourceHealth(env, kv, health);
     }
   } catch (error) {
     console.error('Fatal error in processRSS:', error);
@@ -150,16 +312,14 @@ async function processRSS(env, testMode = false) {
  */
 async function processAllRSS(env) {
   try {
-    const webhookUrl = env.FFXIV_WEBHOOK;
+    const threadOptions = getThreadOptions(env);
+    const webhookUrl = resolveWebhookUrl(env.FFXIV_WEBHOOK, threadOptions);
     if (!webhookUrl) {
       console.error('Missing webhook configuration: FFXIV_WEBHOOK');
       return;
     }
-
-    // 設定全域 AI 綁定（如果有）
-    if (env.AI) {
-      globalThis.AI = env.AI;
-    }
+    const mentionRules = parseMentionRules(env.FFXIV_MENTION_RULES, 'FFXIV_MENTION_RULES');
+    const messageSource = env.RSS_CACHE ? await withMessageTemplate(env.RSS_CACHE, RSS_SOURCE) : RSS_SOURCE;
 
     const response = await fetch(RSS_SOURCE.url);
     if (!response.ok) {
@@ -169,7 +329,7 @@ async function processAllRSS(env) {
 
     const rssText = await response.text();
     // /triggerall 會發送所有文章,因此不傳遞現有文章列表(會對所有項目調用 AI)
-    const parsedItems = await parseRSSItems(rssText, RSS_SOURCE, []);
+    const parsedItems = await parseRSSItems(rssText, RSS_SOURCE, [], env.AI || null);
 
     // 按發佈時間排序:由舊到新
     const sortedItems = parsedItems.sort((a, b) => {
@@ -180,14 +340,14 @@ async function processAllRSS(env) {
 
     console.log(`Found ${sortedItems.length} items in RSS feed. Sending all to Discord (oldest first)...`);
 
+    // 全量重送篇數較多,給較長的 rate limit 等待預算
+    const discordDeadline = Date.now() + DISCORD_TIME_BUDGET_MS * 4;
     let successCount = 0;
     for (const item of sortedItems) {
-      const sent = await sendToDiscord(webhookUrl, item, RSS_SOURCE);
+      const sent = await sendToDiscord(webhookUrl, item, messageSource, discordDeadline, threadOptions, mentionRules);
       if (sent) {
         successCount += 1;
       }
-      // 避免超過 Discord rate limit
-      await sleep(1000);
     }
 
     console.log(`Successfully sent ${successCount}/${sortedItems.length} items to Discord`);
@@ -196,11 +356,12 @@ async function processAllRSS(env) {
   }
 }
 
-async function parseRSSItems(rssXml, source, existingArticles = []) {
+/**
+ * @param {Object|null} ai - Workers AI binding (預覽時為 createPreviewAI 的替身),null 時使用 feed 原本的標題與描述
+ */
+async function parseRSSItems(rssXml, source, existingArticles = [], ai = null) {
   const items = [];
   const seenLinks = new Set();
-  const itemRegex = /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
-  const entryRegex = /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi;
 
   // 建立現有文章的 Map,用於快速查找
   const existingArticleMap = new Map();
@@ -210,41 +371,19 @@ async function parseRSSItems(rssXml, source, existingArticles = []) {
     }
   }
 
-  const rssMatches = Array.from(rssXml.matchAll(itemRegex)).map(match => ({ kind: 'rss', content: match[1] }));
-  const atomMatches = Array.from(rssXml.matchAll(entryRegex)).map(match => ({ kind: 'atom', content: match[1] }));
-  const records = rssMatches.length ? rssMatches : atomMatches;
+  const records = collectFeedRecords(parseXmlDocument(rssXml));
 
   for (const record of records) {
     if (items.length >= MAX_RSS_ITEMS) {
       break;
     }
 
-    const itemContent = record.content;
-
-    let title = 'No Title';
-    let descriptionHtml = '';
-    let link = '';
-    let pubDate = '';
-    let guid = '';
-    let contentHtml = '';
-
-    if (record.kind === 'atom') {
-      title = extractTagValue(itemContent, 'title') || 'No Title';
-      descriptionHtml = extractTagValue(itemContent, 'summary') || extractTagValue(itemContent, 'content') || '';
-      link = extractAtomLink(itemContent) || '';
-      pubDate = extractTagValue(itemContent, 'published') || extractTagValue(itemContent, 'updated') || '';
-      guid = extractTagValue(itemContent, 'id') || link;
-      contentHtml = descriptionHtml;
-    } else {
-      title = extractTagValue(itemContent, 'title') || 'No Title';
-      descriptionHtml = extractTagValue(itemContent, 'description');
-      link = extractTagValue(itemContent, 'link');
-      pubDate = extractTagValue(itemContent, 'pubDate');
-      guid = extractTagValue(itemContent, 'guid');
-      contentHtml =
-        extractTagValue(itemContent, 'content:encoded') ||
-        extractTagValue(itemContent, 'encoded');
-    }
+    const title = record.title || 'No Title';
+    const descriptionHtml = record.descriptionHtml;
+    const contentHtml = record.contentHtml;
+    const link = record.link;
+    const guid = record.guid;
+    const pubDate = record.pubDate;
 
     // 提取完整的純文字描述(用於 AI 處理)
     const fullDescriptionText = cleanHtmlForAI(descriptionHtml || '');
@@ -293,14 +432,14 @@ async function parseRSSItems(rssXml, source, existingArticles = []) {
     } else {
       // 新文章,調用 AI 優化
       if (source.useAITitle) {
-        const aiTitle = await generateAITitle(title, fullDescriptionText);
+        const aiTitle = await generateAITitle(ai, title, fullDescriptionText);
         if (aiTitle) {
           optimizedTitle = aiTitle;
         }
       }
 
       if (source.useAIDescription) {
-        const aiDescription = await generateAIDescription(fullDescriptionText);
+        const aiDescription = await generateAIDescription(ai, fullDescriptionText);
         if (aiDescription) {
           optimizedDescription = aiDescription;
         }
@@ -309,24 +448,11 @@ async function parseRSSItems(rssXml, source, existingArticles = []) {
 
     let thumbnail = null;
     if (source.thumbnailStrategy === 'rss') {
-      // 提取 media:content 標籤的 url 屬性
-      const mediaTagMatch = /<media:content[^>]*>/i.exec(itemContent);
-      if (mediaTagMatch) {
-        const mediaTag = mediaTagMatch[0];
-        // 使用更寬鬆的正則來提取 URL（支援包含 & 等字元）
-        const urlMatch = /url=["']([^"']+)["']/i.exec(mediaTag);
-        if (urlMatch && urlMatch[1]) {
-          // 解碼 HTML entities (&amp; -> &)
-          let mediaUrl = urlMatch[1]
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .trim();
-          thumbnail = sanitizeImageUrl(mediaUrl, source.baseUrl);
-        }
+      // media:content / media:thumbnail 的 url (解析器已解碼 &amp; 等實體)
+      if (record.mediaUrl) {
+        thumbnail = sanitizeImageUrl(record.mediaUrl, source.baseUrl);
       }
-      
+
       // 如果沒有 media:content，嘗試從 description 或 content 中提取
       if (!thumbnail && descriptionHtml) {
         thumbnail = extractThumbnail(descriptionHtml, source.baseUrl);
@@ -356,14 +482,15 @@ async function parseRSSItems(rssXml, source, existingArticles = []) {
 
 /**
  * 使用 Cloudflare AI 生成簡短的標題
+ * @param {Object|null} ai - Workers AI binding
  * @param {string} originalTitle - 原始標題
  * @param {string} description - 文章描述
  * @returns {Promise<string|null>} - 優化後的標題,失敗則返回 null
  */
-async function generateAITitle(originalTitle, description) {
+async function generateAITitle(ai, originalTitle, description) {
   try {
     // 如果沒有綁定 AI,直接返回
-    if (!globalThis.AI) {
+    if (!ai) {
       return null;
     }
 
@@ -377,7 +504,7 @@ async function generateAITitle(originalTitle, description) {
 2. 保留關鍵資訊(如活動、獎勵、更新等)
 3. 只輸出標題,不要其他說明`;
 
-    const response = await globalThis.AI.run('@cf/openai/gpt-oss-120b', {
+    const response = await ai.run('@cf/openai/gpt-oss-120b', {
       instructions: 'You are a professional content editor specializing in creating concise, engaging titles.',
       input: prompt,
     });
@@ -403,13 +530,14 @@ async function generateAITitle(originalTitle, description) {
 
 /**
  * 使用 Cloudflare AI 生成簡短的描述
+ * @param {Object|null} ai - Workers AI binding
  * @param {string} originalDescription - 原始描述
  * @returns {Promise<string|null>} - 優化後的描述,失敗則返回 null
  */
-async function generateAIDescription(originalDescription) {
+async function generateAIDescription(ai, originalDescription) {
   try {
     // 如果沒有綁定 AI,直接返回
-    if (!globalThis.AI) {
+    if (!ai) {
       return null;
     }
 
@@ -422,7 +550,7 @@ async function generateAIDescription(originalDescription) {
 2. 適合作為 Discord 訊息預覽
 3. 只輸出摘要,不要其他說明`;
 
-    const response = await globalThis.AI.run('@cf/openai/gpt-oss-120b', {
+    const response = await ai.run('@cf/openai/gpt-oss-120b', {
       instructions: 'You are a professional content editor specializing in creating concise summaries.',
       input: prompt,
     });
@@ -445,6 +573,25 @@ async function generateAIDescription(originalDescription) {
   }
 }
 
+/**
+ * 預覽用的 Workers AI 替身:不呼叫 AI,回傳固定的佔位文字 (格式與 gpt-oss 的回應相同);
+ * 沒有綁定 AI 時回傳 null,與正式執行一樣使用 feed 原本的標題與描述
+ */
+function createPreviewAI(binding, preview) {
+  if (!binding) {
+    return null;
+  }
+  return {
+    async run(model) {
+      preview.aiCalls = (preview.aiCalls || 0) + 1;
+      if (preview.aiCalls === 1) {
+        preview.notes.push(`預覽不呼叫 Workers AI (${model}),新文章的標題與描述以佔位文字代替`);
+      }
+      return { output: [null, { content: [{ text: PREVIEW_AI_PLACEHOLDER }] }] };
+    }
+  };
+}
+
 async function extractThumbnailFromPage(url, baseUrl) {
   try {
     const response = await fetch(url);
@@ -575,15 +722,6 @@ function limitPlainText(text, maxLength) {
   return `${truncated}...`;
 }
 
-function extractAtomLink(entryContent) {
-  const alternateMatch = /<link[^>]*rel=["']alternate["'][^>]*href=["']([^"']+)["'][^>]*>/i.exec(entryContent);
-  if (alternateMatch) {
-    return alternateMatch[1];
-  }
-  const anyMatch = /<link[^>]*href=["']([^"']+)["'][^>]*>/i.exec(entryContent);
-  return anyMatch ? anyMatch[1] : '';
-}
-
 function parsePubDate(pubDate) {
   if (!pubDate) {
     return null;
@@ -593,18 +731,6 @@ function parsePubDate(pubDate) {
   return Number.isNaN(time) ? null : publishedAt;
 }
 
-function extractTagValue(content, tagName) {
-  const escaped = tagName.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
-  const cdataRegex = new RegExp(`<${escaped}[^>]*>\\s*<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>\\s*</${escaped}>`, 'i');
-  const cdataMatch = cdataRegex.exec(content);
-  if (cdataMatch) {
-    return cdataMatch[1].trim();
-  }
-  const textRegex = new RegExp(`<${escaped}[^>]*>\\s*([\\s\\S]*?)\\s*</${escaped}>`, 'i');
-  const textMatch = textRegex.exec(content);
-  return textMatch ? textMatch[1].trim() : '';
-}
-
 function getTaipeiDateKey(date) {
   const timestamp = date.getTime();
   const taipeiTime = new Date(timestamp + TAIPEI_OFFSET_MS);
@@ -652,13 +778,21 @@ function setSentEntry(sentMap, article) {
   }
   const hash = hashIdentifier(identity);
   const sentAt = typeof article.sentAt === 'string' ? article.sentAt : new Date().toISOString();
+  const messageId = typeof article.messageId === 'string' ? article.messageId : null;
+  const threadId = typeof article.threadId === 'string' ? article.threadId : null;
   const prev = sentMap.get(hash);
-  if (prev && prev.sentAt === sentAt) {
+  if (prev && prev.sentAt === sentAt && prev.messageId === messageId) {
     return false;
   }
+  // 保留收回訊息需要的欄位:貼文從 feed 消失後,每日狀態不一定還找得到原文
   sentMap.set(hash, {
     sentAt,
-    identity
+    identity,
+    link: article.link || null,
+    title: article.title || null,
+    publishedAtMs: Number.isFinite(article.publishedAtMs) ? article.publishedAtMs : null,
+    messageId,
+    threadId
   });
   return true;
 }
@@ -683,7 +817,14 @@ async function loadSentMap(kv, source) {
         }
         map.set(hash, {
           sentAt,
-          identity: typeof entry.identity === 'string' ? entry.identity : null
+          identity: typeof entry.identity === 'string' ? entry.identity : null,
+          link: typeof entry.link === 'string' ? entry.link : null,
+          title: typeof entry.title === 'string' ? entry.title : null,
+          publishedAtMs: Number.isFinite(entry.publishedAtMs) ? entry.publishedAtMs : null,
+          messageId: typeof entry.messageId === 'string' ? entry.messageId : null,
+          threadId: typeof entry.threadId === 'string' ? entry.threadId : null,
+          missingSince: typeof entry.missingSince === 'string' ? entry.missingSince : null,
+          retractedAt: typeof entry.retractedAt === 'string' ? entry.retractedAt : null
         });
       }
     }
@@ -774,7 +915,10 @@ async function loadDailyState(kv, source, dateKey) {
           publishedAt: typeof entry.publishedAt === 'string' ? entry.publishedAt : publishedAtMs ? new Date(publishedAtMs).toISOString() : null,
           publishedAtMs: Number.isFinite(publishedAtMs) ? publishedAtMs : null,
           sent: Boolean(entry.sent),
-          sentAt: typeof entry.sentAt === 'string' ? entry.sentAt : null
+          sentAt: typeof entry.sentAt === 'string' ? entry.sentAt : null,
+          messageId: typeof entry.messageId === 'string' ? entry.messageId : null,
+          threadId: typeof entry.threadId === 'string' ? entry.threadId : null,
+          retractedAt: typeof entry.retractedAt === 'string' ? entry.retractedAt : null
         };
       })
       .filter(Boolean);
@@ -908,11 +1052,153 @@ function markPreviouslySentArticles(articles, sentMap) {
     if (!article.sentAt && entry.sentAt) {
       article.sentAt = entry.sentAt;
     }
+    if (!article.messageId && entry.messageId) {
+      article.messageId = entry.messageId;
+      article.threadId = entry.threadId || null;
+    }
   }
   return mutated;
 }
 
-async function sendToDiscord(webhookUrl, item, source) {
+/**
+ * 找出已發送但從 feed 消失的貼文,依 mode 收回 Discord 訊息並寫入 KV 紀錄
+ * - fetchrss 只保留最近的貼文,只檢查發佈時間不早於本次 feed 最舊貼文的紀錄,更舊的只是被擠出 feed
+ * - 第一次發現消失只記下 missingSince,超過 RETRACTION_CONFIRM_MS 仍未出現才收回;期間重新出現就清除
+ * @returns {Promise<{retractedCount: number, dirty: boolean}>} dirty 表示 sent map 需要寫回
+ */
+async function retractVanishedArticles(kv, webhookUrl, sentMap, articles, parsedItems, mode, deadline, source = RSS_SOURCE) {
+  const publishedTimes = parsedItems.map(item => item.publishedAtMs).filter(Number.isFinite);
+  if (!publishedTimes.length) {
+    // feed 是空的或解析失敗,無法判斷是否刪文
+    return { retractedCount: 0, dirty: false };
+  }
+
+  const oldestMs = Math.min(...publishedTimes);
+  const feedIdentities = new Set(parsedItems.map(item => getArticleIdentity(item)).filter(Boolean));
+  const now = Date.now();
+  let dirty = false;
+  let retractedCount = 0;
+
+  for (const [hash, entry] of sentMap.entries()) {
+    if (entry.retractedAt || !Number.isFinite(entry.publishedAtMs) || entry.publishedAtMs < oldestMs) {
+      continue;
+    }
+
+    if (feedIdentities.has(entry.identity)) {
+      if (entry.missingSince) {
+        entry.missingSince = null;
+        dirty = true;
+      }
+      continue;
+    }
+
+    if (!entry.missingSince) {
+      entry.missingSince = new Date(now).toISOString();
+      dirty = true;
+      continue;
+    }
+
+    if (now - Date.parse(entry.missingSince) < RETRACTION_CONFIRM_MS || retractedCount >= MAX_RETRACTIONS_PER_RUN) {
+      continue;
+    }
+
+    const article = articles.find(item => item.link === entry.link) || null;
+    const item = article || {
+      title: entry.title || entry.link || entry.identity,
+      description: '',
+      link: entry.link,
+      publishedAt: new Date(entry.publishedAtMs).toISOString()
+    };
+    const embed = buildDiscordMessage(item, source).embeds[0] || buildDiscordEmbed(item, source);
+    const result = await retractDiscordMessage(webhookUrl, entry.messageId, entry.threadId, mode, embed, deadline);
+    if (!result.ok) {
+      console.error(`Failed to retract Discord message (${entry.identity}): ${result.status} - ${result.errorText}`);
+      continue;
+    }
+
+    const retractedAt = new Date().toISOString();
+    entry.retractedAt = retractedAt;
+    if (result.action === 'delete' || result.action === 'missing') {
+      entry.messageId = null;
+    }
+    if (article) {
+      article.retractedAt = retractedAt;
+      article.messageId = entry.messageId;
+    }
+    dirty = true;
+    retractedCount += 1;
+
+    await logRetraction(kv, hash, {
+      sourceId: RSS_SOURCE.url,
+      identity: entry.identity,
+      title: entry.title,
+      url: entry.link,
+      reason: 'vanished',
+      mode,
+      action: result.action,
+      messageId: result.messageId,
+      sentAt: entry.sentAt,
+      missingSince: entry.missingSince,
+      retractedAt
+    });
+    console.log(`Item vanished from feed, Discord message ${result.action}: ${entry.title || entry.identity}`);
+  }
+
+  return { retractedCount, dirty };
+}
+
+function getRetractionMode(env) {
+  const mode = String(env.RETRACTION_MODE || '').trim().toLowerCase();
+  return RETRACTION_MODES.includes(mode) ? mode : DEFAULT_RETRACTION_MODE;
+}
+
+/**
+ * 依 mode 收回已發送的 Discord 訊息
+ * - log:不動原訊息;strike:把 embed 改成刪除線並註記;delete:刪除原訊息
+ * - 沒有訊息 id (舊紀錄) 時只能記錄;訊息已在 Discord 上被刪除 (404) 視為完成
+ * @returns {Promise<{ok: boolean, status: number, errorText: string, action: string, messageId: string|null}>}
+ */
+async function retractDiscordMessage(webhookUrl, messageId, threadId, mode, embed, deadline) {
+  if (mode === 'log' || !messageId) {
+    return { ok: true, status: 0, errorText: '', action: 'log', messageId: messageId || null };
+  }
+
+  const messageUrl = buildWebhookMessageUrl(webhookUrl, messageId, threadId);
+  const result = mode === 'delete'
+    ? await discordRequest(messageUrl, null, { method: 'DELETE', deadline })
+    : await discordRequest(messageUrl, { embeds: [buildRetractedEmbed(embed)], allowed_mentions: { parse: [] } }, { method: 'PATCH', deadline });
+
+  if (result.status === 404) {
+    return { ok: true, status: 404, errorText: '', action: 'missing', messageId };
+  }
+
+  return { ok: result.ok, status: result.status, errorText: result.errorText, action: mode, messageId };
+}
+
+function buildRetractedEmbed(embed) {
+  return {
+    ...embed,
+    title: embed.title ? `~~${embed.title}~~` : '~~原貼文已移除~~',
+    description: '⚠️ 原貼文已從粉絲團移除',
+    color: RETRACTED_EMBED_COLOR,
+    image: undefined
+  };
+}
+
+/**
+ * 每次收回寫一筆 retraction:<來源>:<識別碼 hash> 紀錄,保留 90 天供查核
+ */
+async function logRetraction(kv, articleKey, entry) {
+  try {
+    await kv.put(`retraction:${encodeURIComponent(entry.sourceId)}:${articleKey}`, JSON.stringify(entry), {
+      expirationTtl: RETRACTION_LOG_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('Failed to persist retraction log:', error);
+  }
+}
+
+function buildDiscordEmbed(item, source) {
   const embed = {
     title: item.title,
     description: item.description,
@@ -926,22 +1212,128 @@ async function sendToDiscord(webhookUrl, item, source) {
   if (item.thumbnail) {
     embed.image = { url: item.thumbnail };
   }
-  const payload = { embeds: [embed] };
-  const response = await fetch(webhookUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`Failed to send to Discord: ${response.status} - ${errorText}`);
-    return false;
+  return embed;
+}
+
+/**
+ * Discord 訊息內容:來源帶有訊息模板 (source.messageTemplate) 時依模板產生,否則使用內建的 embed
+ * @returns {{content?: string, embeds: Array<Object>}}
+ */
+function buildDiscordMessage(item, source) {
+  const rendered = source.messageTemplate
+    ? renderDiscordTemplate(source.messageTemplate, buildTemplateContext(item, source), item.title)
+    : null;
+  return rendered || { embeds: [buildDiscordEmbed(item, source)] };
+}
+
+/**
+ * 讀取 KV 內的訊息模板,有設定時回傳帶有 messageTemplate 的來源設定
+ */
+async function withMessageTemplate(kv, source) {
+  const messageTemplate = await loadMessageTemplate(kv, source.id);
+  return messageTemplate ? { ...source, messageTemplate } : source;
+}
+
+/**
+ * 訊息模板可使用的欄位 (見 MESSAGE_TEMPLATE_FIELDS)
+ */
+function buildTemplateContext(item, source) {
+  return {
+    title: item.title || '',
+    description: item.description || '',
+    link: item.link || '',
+    thumbnail: item.thumbnail || '',
+    publishedAt: item.publishedAt || new Date().toISOString(),
+    source: source.name,
+    color: source.color
+  };
+}
+
+/**
+ * 發送文章到 Discord
+ * @param {Object} [threadOptions] - getThreadOptions() 的結果,forum 時以文章標題建立論壇貼文
+ * @param {Array} [mentionRules] - 標題或描述符合 keywords 時提及的身分組 / 使用者
+ * @returns {Promise<Object|null>} 成功時回傳 Discord 建立的訊息 (?wait=true),失敗回傳 null
+ */
+async function sendToDiscord(webhookUrl, item, source, deadline, threadOptions = {}, mentionRules = []) {
+  const mentionFields = buildMentionFields(resolveMentions(mentionRules, `${item.title || ''}\n${item.description || ''}`));
+  const message = buildDiscordMessage(item, source);
+  const payload = { ...message, allowed_mentions: mentionFields.allowed_mentions };
+  if (mentionFields.content) {
+    payload.content = message.content ? `${mentionFields.content} ${message.content}` : mentionFields.content;
   }
-  return true;
+  if (threadOptions.forum) {
+    Object.assign(payload, buildForumThreadFields(item, source, threadOptions));
+  }
+  const result = await discordRequest(withWaitParam(webhookUrl), payload, { deadline });
+  if (!result.ok) {
+    console.error(`Failed to send to Discord: ${result.status} - ${result.errorText}`);
+    return null;
+  }
+  return result.data || {};
+}
+
+function withWaitParam(webhookUrl) {
+  const url = new URL(webhookUrl);
+  url.searchParams.set('wait', 'true');
+  return url.toString();
+}
+
+/**
+ * webhook 訊息的編輯 / 刪除網址,保留原本的查詢參數 (例如 thread_id)
+ * 論壇貼文建立的討論串不在 webhook 網址上,需另外傳入 threadId
+ */
+function buildWebhookMessageUrl(webhookUrl, messageId, threadId = null) {
+  const url = new URL(webhookUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}/messages/${messageId}`;
+  url.searchParams.delete('wait');
+  if (threadId) {
+    url.searchParams.set('thread_id', threadId);
+  }
+  return url.toString();
+}
+
+/**
+ * Discord 討論串設定 (環境變數)
+ * - FFXIV_THREAD_ID:發到既有的討論串
+ * - FFXIV_FORUM=true:webhook 指向論壇頻道,每篇文章建立一則貼文,FFXIV_FORUM_TAGS 為逗號分隔的論壇標籤 id
+ */
+function getThreadOptions(env) {
+  const threadId = String(env.FFXIV_THREAD_ID || '').trim();
+  const forum = String(env.FFXIV_FORUM || '').trim().toLowerCase() === 'true';
+  const appliedTags = String(env.FFXIV_FORUM_TAGS || '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(tag => /^\d+$/.test(tag))
+    .slice(0, DISCORD_MAX_APPLIED_TAGS);
+
+  if (threadId && forum) {
+    console.warn('FFXIV_THREAD_ID and FFXIV_FORUM are both set; using FFXIV_THREAD_ID');
+  }
+  return threadId ? { threadId, forum: false, appliedTags: [] } : { threadId: null, forum, appliedTags };
+}
+
+function resolveWebhookUrl(webhookUrl, threadOptions) {
+  if (!webhookUrl || !threadOptions.threadId) {
+    return webhookUrl || null;
+  }
+  const url = new URL(webhookUrl);
+  url.searchParams.set('thread_id', threadOptions.threadId);
+  return url.toString();
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * 論壇貼文的標題 (thread_name) 取自文章標題,超過 Discord 上限時截斷
+ */
+function buildForumThreadFields(item, source, threadOptions) {
+  const title = String(item.title || source.name || '').trim() || source.name;
+  const fields = {
+    thread_name: title.length > DISCORD_MAX_THREAD_NAME_LENGTH
+      ? `${title.slice(0, DISCORD_MAX_THREAD_NAME_LENGTH - 1)}…`
+      : title
+  };
+  if (threadOptions.appliedTags && threadOptions.appliedTags.length) {
+    fields.applied_tags = threadOptions.appliedTags;
+  }
+  return fields;
 }
@@ -1,3 +1,11 @@
+import { createAdminRoute } from "./lib/admin.js";
+import { flushSourceHealth, loadSourceHealth, recordSourceHealth } from "./lib/health.js";
+import { buildConditionalHeaders, readCacheValidators } from "./lib/http.js";
+import { buildPreviewReport, createPreviewContext, releasePreviewContext } from "./lib/preview.js";
+
+// 各頁 ETag / Last-Modified (條件式請求用)
+const PAGE_VALIDATORS_KEY = "ffxiv_news_v3:validators";
+
 // 分類映射：英文參數 → 中文分類名稱
 const CATEGORY_MAP = {
   'event': '活動',
@@ -6,6 +14,15 @@ const CATEGORY_MAP = {
   'update': '更新'
 };
 
+// 管理端點驗證與稽核紀錄
+const AUDIT_WORKER_ID = "ffxiv-tw-news-api";
+const handleAdminRoute = createAdminRoute({ workerId: AUDIT_WORKER_ID, kvBinding: "ffxivnewsKV" });
+
+// 來源健康狀態：記錄每次抓取官網的成敗、最後成功時間與解析出的新聞數，
+// 連續失敗或新聞數遠低於平常（中位數）達 HEALTH_ALERT_THRESHOLD 次時通知 ops webhook，恢復時再通知一次
+const HEALTH_KEY = "health:ffxiv-tw-news-api";
+const NEWS_SOURCE = { id: "ffxiv-com-tw", name: "FF14 台灣官網" };
+
 export default {
   async scheduled(event, env, ctx) {
     await fetchAndStoreNews(env);
@@ -15,20 +32,37 @@ export default {
     const url = new URL(request.url);
     const categoryParam = url.searchParams.get("category");
 
-    // 手動強制更新: /?update=true
+    // 預覽: /preview 抓取並解析官網，回傳會寫入 KV 的差異但不寫入（需 ADMIN_TOKEN）
+    if (url.pathname === "/preview") {
+      return handleAdminRoute(request, env, url, async () => {
+        const preview = createPreviewContext(env, "ffxivnewsKV");
+        try {
+          await fetchAndStoreNews(preview.env, preview);
+          return new Response(JSON.stringify(await buildPreviewReport(preview, "scheduled", AUDIT_WORKER_ID), null, 2), {
+            headers: { "Content-Type": "application/json;charset=UTF-8" }
+          });
+        } finally {
+          releasePreviewContext(preview);
+        }
+      });
+    }
+
+    // 手動強制更新: /?update=true（需 ADMIN_TOKEN）
     if (url.searchParams.get("update") === "true") {
-      const result = await fetchAndStoreNews(env);
+      return handleAdminRoute(request, env, url, async () => {
+        const result = await fetchAndStoreNews(env);
+
+        // 如果同時帶有 category 參數，先更新再篩選
+        if (categoryParam) {
+          const filtered = filterByCategory(result, categoryParam);
+          return new Response(JSON.stringify(filtered, null, 2), {
+            headers: { "Content-Type": "application/json;charset=UTF-8" }
+          });
+        }
 
-      // 如果同時帶有 category 參數，先更新再篩選
-      if (categoryParam) {
-        const filtered = filterByCategory(result, categoryParam);
-        return new Response(JSON.stringify(filtered, null, 2), {
+        return new Response(JSON.stringify(result, null, 2), {
           headers: { "Content-Type": "application/json;charset=UTF-8" }
         });
-      }
-
-      return new Response(JSON.stringify(result, null, 2), {
-        headers: { "Content-Type": "application/json;charset=UTF-8" }
       });
     }
 
@@ -66,7 +100,10 @@ export default {
   }
 };
 
-async function fetchAndStoreNews(env) {
+/**
+ * @param {Object|null} preview - 預覽 context（見 createPreviewContext），預覽時不送條件式請求並記錄每篇文章是否為新文章
+ */
+async function fetchAndStoreNews(env, preview = null) {
   const pagesToFetch = [1, 2, 3];
   const baseUrl = "https://www.ffxiv.com.tw/web/news/news_list.aspx?page=";
   
@@ -79,33 +116,97 @@ async function fetchAndStoreNews(env) {
 
   console.log("Starting fetch...");
 
-  const promises = pagesToFetch.map(page => 
-    fetch(baseUrl + page, { headers }).then(async res => {
+  // 讀取上次各頁的 ETag / Last-Modified；沒有既有資料時不送條件式請求
+  const existingRaw = await env.ffxivnewsKV.get("ffxiv_news_v3");
+  const validators = existingRaw && !preview ? await loadPageValidators(env) : {};
+  const health = await loadSourceHealth(env, env.ffxivnewsKV, { key: HEALTH_KEY, workerId: AUDIT_WORKER_ID });
+
+  const fetchPage = (page, conditional) =>
+    fetch(baseUrl + page, {
+      headers: conditional ? { ...headers, ...buildConditionalHeaders(validators[page]) } : headers
+    }).then(async res => {
+        if (res.status === 304) {
+            return { page, notModified: true, items: [] };
+        }
         if (!res.ok) {
             console.error(`Page ${page} failed: ${res.status}`);
-            return [];
+            return { page, notModified: false, items: [], error: `HTTP ${res.status}` };
         }
-        return parseHtml(res);
-    })
-  );
+        const pageValidators = readCacheValidators(res);
+        return { page, notModified: false, items: await parseHtml(res), validators: pageValidators };
+    }).catch(error => {
+        console.error(`Page ${page} failed:`, error);
+        return { page, notModified: false, items: [], error: error.message };
+    });
 
-  const results = await Promise.all(promises);
-  const flatList = results.flat();
+  let results = await Promise.all(pagesToFetch.map(page => fetchPage(page, true)));
+
+  // 所有頁面皆未變動：直接回傳 KV 內的資料，不重新解析也不寫入
+  if (results.every(result => result.notModified)) {
+    console.log("All pages not modified (304), skipping parse and KV write");
+    recordSourceHealth(health, NEWS_SOURCE, { ok: true, itemCount: null });
+    await flushSourceHealth(env, env.ffxivnewsKV, health);
+    return JSON.parse(existingRaw);
+  }
+
+  // 部分頁面變動時，未變動的頁面需重新完整抓取才能組出完整清單
+  results = await Promise.all(results.map(result =>
+    result.notModified ? fetchPage(result.page, false) : result
+  ));
+
+  const flatList = results.flatMap(result => result.items);
 
   console.log(`Total items fetched (raw): ${flatList.length}`);
 
+  // 所有頁面都失敗才算抓取失敗；解析出 0 則（版面變動）由新聞數基準判斷
+  const failedPages = results.filter(result => result.error);
+  recordSourceHealth(health, NEWS_SOURCE, failedPages.length === results.length
+    ? { ok: false, error: failedPages.map(result => `page ${result.page}: ${result.error}`).join("; ") }
+    : { ok: true, itemCount: flatList.length });
+  await flushSourceHealth(env, env.ffxivnewsKV, health);
+
   if (flatList.length === 0) {
     return { error: "Fetched 0 items. The site layout might have changed or blocked the request." };
   }
 
   const processedData = processData(flatList);
+
+  if (preview) {
+    const existingIds = new Set(existingRaw ? (JSON.parse(existingRaw).timeline || []).map(item => item.id) : []);
+    for (const item of processedData.timeline) {
+      preview.items.push({ ...item, decision: existingIds.has(item.id) ? "existing" : "new" });
+    }
+  }
   
   // 存入 KV (Key 更新為 v3)
   await env.ffxivnewsKV.put("ffxiv_news_v3", JSON.stringify(processedData));
+
+  const nextValidators = {};
+  for (const result of results) {
+    if (result.validators) {
+      nextValidators[result.page] = result.validators;
+    }
+  }
+  await env.ffxivnewsKV.put(PAGE_VALIDATORS_KEY, JSON.stringify(nextValidators));
   
   return processedData;
 }
 
+/**
+ * 讀取各頁的 HTTP 快取驗證資訊
+ * @returns {Promise<Object>} { [page]: { etag, lastModified } }
+ */
+async function loadPageValidators(env) {
+  try {
+    const raw = await env.ffxivnewsKV.get(PAGE_VALIDATORS_KEY);
+    const data = raw ? JSON.parse(raw) : null;
+    return data && typeof data === "object" ? data : {};
+  } catch (error) {
+    console.error("Failed to load page validators:", error);
+    return {};
+  }
+}
+
 async function parseHtml(response) {
   const newsItems = [];
   let currentItem = null;
@@ -8,13 +8,37 @@
  * 4. 後續執行僅發送新增的文章到 Discord
  *
  * 環境變數需求：
- * - DISCORD_WEBHOOK_FFXIV_TW_NEWS: Discord Webhook URL
+ * - DISCORD_WEBHOOK_FFXIV_TW_NEWS: Discord Webhook URL（只發送到 Telegram 時可不設定）
+ * - FFXIV_TW_NEWS_THREAD_ID（選填）: 發到既有的討論串
+ * - FFXIV_TW_NEWS_FORUM（選填）: 設為 "true" 時 webhook 指向論壇頻道，每篇文章建立一則貼文
+ * - FFXIV_TW_NEWS_FORUM_TAGS（選填）: 分類對應的論壇標籤 id，JSON 格式，例如 {"活動":"...","維護":"...","更新":"..."}
+ * - FFXIV_TW_NEWS_MENTION_RULES（選填）: 提及規則，JSON 格式，例如 [{"categories":["維護"],"roles":["..."]}]
+ * - ADMIN_TOKEN: /trigger、/clearkv、/preview、/admin/deadletters 與 /admin/templates 的 Bearer token（也是簽名網址的 HMAC 金鑰）
+ * - DISCORD_WEBHOOK_OPS（選填）: 新聞資料讀取失敗或文章數異常時的通知 webhook；HEALTH_ALERT_THRESHOLD 覆寫通知門檻（預設 3 次）
+ * - TELEGRAM_BOT_TOKEN + FFXIV_TW_NEWS_TELEGRAM_CHAT_ID（選填）: 新文章同時發送到 Telegram，發送紀錄與 Discord 分開
+ *   （sent:ffxiv-tw-news:telegram），轉發失敗的文章下次執行重送；
+ *   TELEGRAM_API_BASE 覆寫 https://api.telegram.org（例如指向本機 stub 測試）
  *
  * KV Binding 需求：
  * - ffxivnews: 讀取新聞資料 (key: ffxiv_news_v3)
- * - RSS_CACHE: 儲存 sent map
+ * - RSS_CACHE: 儲存 sent map、快照、發送失敗的 dead-letter 紀錄、來源健康狀態與訊息模板（key: template:ffxiv-tw-news）
  */
 
+import { createAdminRoute } from './lib/admin.js';
+import {
+  DEAD_LETTER_MAX_ATTEMPTS, loadDeadLetters, saveDeadLetters, recordDeadLetter, isDeadLetterDue, handleDeadLetterAdmin
+} from './lib/deadletter.js';
+import {
+  DISCORD_TIME_BUDGET_MS, checkDiscordPayloadLimits, enforceDiscordLimits, truncateDiscordText, discordRequest,
+  parseMentionRules, resolveMentions, buildMentionFields
+} from './lib/discord.js';
+import { loadSourceHealth, recordSourceHealth, flushSourceHealth } from './lib/health.js';
+import { handlePreviewRequest } from './lib/preview.js';
+import {
+  getTelegramConfig, loadTelegramSentRecords, saveTelegramSentRecords, seedTelegramSentRecords, sendPendingToTelegram
+} from './lib/telegram.js';
+import { handleTemplateAdmin, loadMessageTemplate, renderDiscordTemplate } from './lib/template.js';
+
 // ==================== 常數定義 ====================
 
 const NEWS_KV_KEY = 'ffxiv_news_v3';
@@ -24,6 +48,18 @@ const KV_SENT_MAP_KEY = 'sent:ffxiv-tw-news';
 const SENT_MAP_TTL_SECONDS = 365 * 24 * 60 * 60; // 365 天
 const MAX_SENT_MAP_SIZE = 500; // 最大保存 500 筆記錄
 
+// 發送失敗的文章（dead-letter，見 lib/deadletter.js），可透過 /admin/deadletters 重送
+const KV_DEAD_LETTER_KEY = 'deadletter:ffxiv-tw-news';
+
+// 來源健康狀態：記錄每次執行的成敗、最後成功時間與新聞資料的文章數，
+// 連續失敗或文章數遠低於平常（中位數）達 HEALTH_ALERT_THRESHOLD 次時通知 ops webhook，恢復時再通知一次
+const KV_HEALTH_KEY = 'health:ffxiv-tw-news-monitor';
+const NEWS_SOURCE = { id: 'ffxiv-tw-news', name: 'FF14 台灣官網新聞' };
+
+// 管理端點驗證與稽核紀錄
+const AUDIT_WORKER_ID = 'ffxiv-tw-news-monitor';
+const handleAdminRoute = createAdminRoute({ workerId: AUDIT_WORKER_ID });
+
 // 分類圖示映射
 const CATEGORY_ICONS = {
   '活動': 'https://cdn.discordapp.com/emojis/1441345802365833227.png',
@@ -44,14 +80,38 @@ const CATEGORY_COLORS = {
   '其他': 0xcccccc   // 淺灰色 #cccccc
 };
 
-// ==================== 工具函數 ====================
+// 論壇標籤與提及規則對應時的分類同義詞
+const CATEGORY_ALIASES = {
+  '維修': '維護'
+};
 
-/**
- * 延遲函數
- */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+// Discord 論壇貼文限制
+const DISCORD_MAX_THREAD_NAME_LENGTH = 100;
+
+// 訊息模板（選填）：以 /admin/templates 設定（KV 的 template:ffxiv-tw-news），沒有模板或產生的內容超過 Discord 上限時使用內建的 embed
+// 模板可使用的文章欄位（GET /admin/templates 會列出）
+const MESSAGE_TEMPLATE_FIELDS = {
+  title: '文章標題',
+  description: '文章頁面的前三個段落（最多 300 字）',
+  link: '文章網址',
+  category: '分類（活動、維護、公告、更新…）',
+  categoryIcon: '分類圖示網址',
+  color: '分類顏色（十進位數字）',
+  date: '公告日期（YYYY-MM-DD）',
+  publishedAt: '公告日期（ISO 8601，可搭配 date 過濾器）',
+  source: '來源名稱'
+};
+// 檢查模板時使用的範例文章
+const TEMPLATE_SAMPLE_ARTICLE = {
+  id: '1234',
+  title: '範例公告 版本 7.1 更新內容說明',
+  url: 'https://www.ffxiv.com.tw/web/news/news_content.aspx?id=1234',
+  date: '2025-01-01',
+  category: '更新'
+};
+const TEMPLATE_SAMPLE_DESCRIPTION = '親愛的光之戰士您好：\n版本 7.1 將於維護結束後開放，以下為本次更新的主要內容。';
+
+// ==================== 工具函數 ====================
 
 /**
  * 解析日期字串為 ISO 8601 格式
@@ -80,6 +140,65 @@ function getCategoryColor(category) {
   return CATEGORY_COLORS[category] || CATEGORY_COLORS['其他'];
 }
 
+/**
+ * 讀取 Discord 討論串設定
+ * @param {Object} env - Cloudflare Worker 環境變數
+ * @returns {{threadId: string|null, forum: boolean, categoryTags: Object}}
+ */
+function getThreadOptions(env) {
+  const threadId = String(env.FFXIV_TW_NEWS_THREAD_ID || '').trim();
+  if (threadId) {
+    return { threadId, forum: false, categoryTags: {} };
+  }
+
+  const forum = String(env.FFXIV_TW_NEWS_FORUM || '').trim().toLowerCase() === 'true';
+  let categoryTags = {};
+  if (forum && env.FFXIV_TW_NEWS_FORUM_TAGS) {
+    try {
+      const parsed = JSON.parse(env.FFXIV_TW_NEWS_FORUM_TAGS);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        categoryTags = parsed;
+      }
+    } catch (error) {
+      console.error('⚠️  FFXIV_TW_NEWS_FORUM_TAGS 不是有效的 JSON，略過論壇標籤');
+    }
+  }
+
+  return { threadId: null, forum, categoryTags };
+}
+
+/**
+ * 加上 thread_id 查詢參數（發到既有討論串）
+ */
+function resolveWebhookUrl(webhook, threadOptions) {
+  if (!threadOptions.threadId) {
+    return webhook;
+  }
+  const url = new URL(webhook);
+  url.searchParams.set('thread_id', threadOptions.threadId);
+  return url.toString();
+}
+
+/**
+ * 論壇貼文欄位：thread_name 取自文章標題，applied_tags 依分類對應（活動 / 維護 / 更新）
+ */
+function buildForumThreadFields(article, threadOptions) {
+  const title = String(article.title || '').trim() || 'FFXIV 官方網站';
+  const fields = {
+    thread_name: title.length > DISCORD_MAX_THREAD_NAME_LENGTH
+      ? `${title.slice(0, DISCORD_MAX_THREAD_NAME_LENGTH - 1)}…`
+      : title
+  };
+
+  const tags = threadOptions.categoryTags || {};
+  const tagId = tags[article.category] || tags[CATEGORY_ALIASES[article.category]];
+  if (tagId) {
+    fields.applied_tags = [String(tagId)];
+  }
+
+  return fields;
+}
+
 // ==================== KV 新聞資料讀取 ====================
 
 /**
@@ -296,9 +415,10 @@ async function fetchArticleDescription(url) {
 }
 
 /**
- * 建立 Discord Embed
+ * 建立 Discord Embed（有設定訊息模板時依模板產生，模板無法使用時改用內建格式）
+ * @param {Object|null} [messageTemplate] - 訊息模板（見 loadMessageTemplate）
  */
-async function buildDiscordEmbed(article) {
+async function buildDiscordEmbed(article, messageTemplate = null) {
   const icon = getCategoryIcon(article.category);
   const color = getCategoryColor(article.category);
   const timestamp = parseDate(article.date);
@@ -306,6 +426,13 @@ async function buildDiscordEmbed(article) {
   // 從文章頁面提取描述
   const description = await fetchArticleDescription(article.url);
 
+  if (messageTemplate) {
+    const rendered = renderDiscordTemplate(messageTemplate, buildTemplateContext(article, description), article.title);
+    if (rendered) {
+      return rendered;
+    }
+  }
+
   const embed = {
     author: {
       name: article.category,
@@ -334,53 +461,104 @@ async function buildDiscordEmbed(article) {
   };
 }
 
+/**
+ * 訊息模板可使用的欄位（見 MESSAGE_TEMPLATE_FIELDS）
+ */
+function buildTemplateContext(article, description) {
+  return {
+    title: article.title || '',
+    description: description || '',
+    link: article.url || '',
+    category: article.category || '',
+    categoryIcon: getCategoryIcon(article.category),
+    color: getCategoryColor(article.category),
+    date: article.date || '',
+    publishedAt: article.date ? parseDate(article.date) : '',
+    source: NEWS_SOURCE.name
+  };
+}
+
 /**
  * 發送單篇文章到 Discord
+ * @param {number} deadline - rate limit 等待的最晚時間 (ms)
+ * @param {Object} [threadOptions] - getThreadOptions() 的結果，論壇頻道時建立新貼文
+ * @param {Array} [mentionRules] - 分類或標題符合時提及的身分組 / 使用者（維修視同維護）
+ * @param {Object|null} [messageTemplate] - 訊息模板（見 loadMessageTemplate），提及文字會加在模板的 content 前面
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, errorText: string}>}
  */
-async function sendToDiscord(webhook, article) {
+async function sendToDiscord(webhook, article, deadline, threadOptions = {}, mentionRules = [], messageTemplate = null) {
   try {
-    const payload = await buildDiscordEmbed(article);
+    const payload = await buildDiscordEmbed(article, messageTemplate);
+    const categories = [article.category, CATEGORY_ALIASES[article.category]].filter(Boolean);
+    const mentionFields = buildMentionFields(resolveMentions(mentionRules, article.title, categories));
+    if (mentionFields.content) {
+      payload.content = payload.content ? `${mentionFields.content} ${payload.content}` : mentionFields.content;
+    }
+    payload.allowed_mentions = mentionFields.allowed_mentions;
+    if (threadOptions.forum) {
+      Object.assign(payload, buildForumThreadFields(article, threadOptions));
+    }
 
-    const response = await fetch(webhook, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
+    const result = await discordRequest(webhook, payload, { deadline });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Discord API error: ${response.status} ${errorText}`);
+    if (!result.ok) {
+      console.error(`✗ 發送失敗 [${article.id}] ${article.title}: Discord API error: ${result.status} ${result.errorText}`);
     }
-
-    return true;
+    return result;
   } catch (error) {
     console.error(`✗ 發送失敗 [${article.id}] ${article.title}:`, error.message);
-    return false;
+    return { ok: false, status: 0, data: null, errorText: error.message };
   }
 }
 
+// ==================== Telegram 轉發 ====================
+
+/**
+ * Telegram 的文章格式；描述與 Discord embed 一樣從文章頁面擷取
+ */
+async function buildTelegramArticle(article) {
+  const description = await fetchArticleDescription(article.url);
+  return {
+    title: article.title,
+    description,
+    link: article.url,
+    thumbnail: null,
+    sourceName: article.category ? `FFXIV 官方網站 • ${article.category}` : 'FFXIV 官方網站'
+  };
+}
+
 // ==================== 主處理邏輯 ====================
 
 /**
  * 主處理函數
  * @param {Object} env - Cloudflare Worker 環境變數
  * @param {boolean} testMode - 測試模式（僅發送最新一篇）
+ * @param {Object|null} preview - 預覽 context（見 createPreviewContext），記錄每篇文章的判斷
  */
-async function processFFXIVNews(env, testMode = false) {
+async function processFFXIVNews(env, testMode = false, preview = null) {
   console.log(`[${new Date().toISOString()}] FFXIV News Monitor ${testMode ? '(Test Mode)' : ''}`);
+  const health = await loadSourceHealth(env, env.RSS_CACHE, { key: KV_HEALTH_KEY, workerId: AUDIT_WORKER_ID });
 
   try {
-    // 1. 檢查環境變數
-    const webhook = env.DISCORD_WEBHOOK_FFXIV_TW_NEWS;
-    if (!webhook) {
-      throw new Error('環境變數 DISCORD_WEBHOOK_FFXIV_TW_NEWS 未設定');
+    // 1. 檢查環境變數（Discord 與 Telegram 至少設定一個）
+    const telegram = getTelegramConfig(env, env.FFXIV_TW_NEWS_TELEGRAM_CHAT_ID);
+    if (!env.DISCORD_WEBHOOK_FFXIV_TW_NEWS && !telegram) {
+      throw new Error('環境變數 DISCORD_WEBHOOK_FFXIV_TW_NEWS 或 FFXIV_TW_NEWS_TELEGRAM_CHAT_ID 未設定');
+    }
+    const threadOptions = getThreadOptions(env);
+    const webhook = resolveWebhookUrl(env.DISCORD_WEBHOOK_FFXIV_TW_NEWS, threadOptions);
+    const mentionRules = parseMentionRules(env.FFXIV_TW_NEWS_MENTION_RULES, 'FFXIV_TW_NEWS_MENTION_RULES');
+
+    // 2. 從 KV 讀取新聞資料（讀不到資料或文章數異常都會反映在來源健康狀態）
+    let newsData;
+    try {
+      newsData = await loadNewsFromKV(env);
+    } catch (error) {
+      recordSourceHealth(health, NEWS_SOURCE, { ok: false, error: error.message });
+      throw error;
     }
-
-    // 2. 從 KV 讀取新聞資料
-    const newsData = await loadNewsFromKV(env);
     const allArticles = collectAllArticles(newsData.categories || {});
+    recordSourceHealth(health, NEWS_SOURCE, { ok: true, itemCount: allArticles.length });
     const currentIds = allArticles.map(article => article.id);
 
     // 3. 載入快照（上次的完整 ID 清單）
@@ -391,16 +569,10 @@ async function processFFXIVNews(env, testMode = false) {
       console.log('⚠️  首次執行：記錄所有文章但不發送');
     }
 
-    // 4. 比對快照，找出新增的文章 ID
+    // 4. 比對快照，找出新增的文章 ID（已有 dead-letter 紀錄的文章交給重試流程處理）
     const previousIdSet = new Set(previousIds);
-    const newArticles = allArticles.filter(article => !previousIdSet.has(article.id));
-
-    if (newArticles.length === 0) {
-      console.log(`✓ 無新文章 (${allArticles.length} 篇)`);
-      return;
-    }
-
-    console.log(`發現 ${newArticles.length} 篇新文章`);
+    const deadLetters = await loadDeadLetters(env.RSS_CACHE, KV_DEAD_LETTER_KEY);
+    const newArticles = allArticles.filter(article => !previousIdSet.has(article.id) && !deadLetters.map.has(String(article.id)));
 
     // 5. 按日期排序（舊到新）
     newArticles.sort((a, b) => {
@@ -411,84 +583,204 @@ async function processFFXIVNews(env, testMode = false) {
     let articlesToProcess = newArticles;
     if (testMode && newArticles.length > 0) {
       articlesToProcess = [newArticles[newArticles.length - 1]];
-      console.log('→ 測試模式：僅發送最新一篇');
     }
 
-    // 7. 載入 sent map（用於記錄發送歷史）
+    // 7. 先前發送失敗、已到重試時間的文章（dead-letter 只用於 Discord）
+    const nowMs = Date.now();
+    const retryEntries = webhook ? [...deadLetters.map.values()].filter(entry => isDeadLetterDue(entry, nowMs)) : [];
+
+    // 8. 載入 sent map（用於記錄發送歷史）與 Telegram 的發送紀錄
     const sentMap = await loadSentMap(env);
+    const telegramSent = telegram ? await loadTelegramSentRecords(env.RSS_CACHE, NEWS_SOURCE.id, SENT_MAP_TTL_SECONDS) : null;
+    if (telegramSent) {
+      // 首次使用 Telegram 紀錄時，之前已發送的文章視為已轉發；首次執行只記錄不發送，Telegram 也一樣
+      seedTelegramSentRecords(telegramSent, sentMap.keys());
+      if (isFirstRun) {
+        const sentAt = new Date().toISOString();
+        for (const id of currentIds) {
+          telegramSent.sent[String(id)] = { sentAt };
+        }
+        telegramSent.dirty = true;
+      }
+    }
+    // 已發送（Discord 發送成功，或只設定 Telegram 時判定為新文章）但還沒轉發到 Telegram 的文章
+    const telegramCutoffMs = nowMs - SENT_MAP_TTL_SECONDS * 1000;
+    const isTelegramPending = article => {
+      const entry = sentMap.get(String(article.id));
+      return Boolean(telegramSent && entry && !telegramSent.sent[String(article.id)] && Date.parse(entry.sentAt) >= telegramCutoffMs);
+    };
+
+    if (preview) {
+      // send / record（首次執行只記錄）/ known（已在快照中）/ limited（測試模式只送最新一篇）/
+      // retry（重送失敗文章）/ backoff（等待重試）/ dead-letter（已放棄重試）
+      const processIds = new Set(articlesToProcess.map(article => article.id));
+      for (const article of allArticles) {
+        const deadLetter = deadLetters.map.get(String(article.id));
+        let decision = 'limited';
+        if (deadLetter) {
+          decision = isDeadLetterDue(deadLetter, nowMs) ? 'retry' : deadLetter.status === 'exhausted' ? 'dead-letter' : 'backoff';
+        } else if (processIds.has(article.id)) {
+          decision = isFirstRun ? 'record' : 'send';
+        } else if (previousIdSet.has(article.id)) {
+          decision = 'known';
+        }
+        preview.items.push({ ...article, decision });
+      }
+    }
 
-    // 8. 處理文章（首次執行只記錄，不發送）
+    if (newArticles.length === 0 && retryEntries.length === 0 && !allArticles.some(isTelegramPending)) {
+      console.log(`✓ 無新文章 (${allArticles.length} 篇)`);
+      if (deadLetters.dirty) {
+        await saveDeadLetters(env.RSS_CACHE, KV_DEAD_LETTER_KEY, deadLetters.map);
+      }
+      if (telegramSent) {
+        await saveTelegramSentRecords(env.RSS_CACHE, telegramSent, SENT_MAP_TTL_SECONDS);
+      }
+      return;
+    }
+
+    const telegramPendingCount = allArticles.filter(isTelegramPending).length;
+    console.log(`發現 ${newArticles.length} 篇新文章${retryEntries.length ? `，重試 ${retryEntries.length} 篇發送失敗的文章` : ''}${telegramPendingCount ? `，重送 ${telegramPendingCount} 篇 Telegram 轉發失敗的文章` : ''}`);
+    if (testMode && newArticles.length > 0) {
+      console.log('→ 測試模式：僅發送最新一篇');
+    }
+
+    // 9. 載入訊息模板
+    const messageTemplate = await loadMessageTemplate(env.RSS_CACHE, NEWS_SOURCE.id);
+
+    // 10. 處理文章（首次執行只記錄，不發送）；發送失敗的文章記錄到 dead-letter，之後依退避時間重試
     let successCount = 0;
+    let retrySuccessCount = 0;
+    const discordDeadline = Date.now() + DISCORD_TIME_BUDGET_MS;
+    const markSent = article => {
+      sentMap.set(String(article.id), {
+        sentAt: new Date().toISOString(),
+        category: article.category,
+        title: article.title
+      });
+    };
+
+    for (const entry of retryEntries) {
+      const result = await sendToDiscord(webhook, entry.article, discordDeadline, threadOptions, mentionRules, messageTemplate);
+      if (result.ok) {
+        markSent(entry.article);
+        deadLetters.map.delete(entry.id);
+        retrySuccessCount++;
+      } else {
+        const nextEntry = recordDeadLetter(deadLetters.map, entry.id, entry.article, result);
+        console.log(`⚠️  重試失敗 [${entry.article.id}]（第 ${nextEntry.attempts}/${DEAD_LETTER_MAX_ATTEMPTS} 次${nextEntry.status === 'exhausted' ? '，已放棄重試' : ''}）`);
+      }
+      deadLetters.dirty = true;
+    }
 
     for (let index = 0; index < articlesToProcess.length; index++) {
       const article = articlesToProcess[index];
       if (isFirstRun) {
         // 首次執行：只記錄 ID，不發送
-        sentMap.set(article.id, {
-          sentAt: new Date().toISOString(),
-          category: article.category,
-          title: article.title
-        });
+        markSent(article);
+        successCount++;
+      } else if (!webhook) {
+        // 只設定 Telegram：記錄後由下方的 Telegram 轉發發送
+        markSent(article);
         successCount++;
       } else {
         // 正常執行：發送到 Discord
-        const success = await sendToDiscord(webhook, article);
+        const result = await sendToDiscord(webhook, article, discordDeadline, threadOptions, mentionRules, messageTemplate);
 
-        if (success) {
-          sentMap.set(article.id, {
-            sentAt: new Date().toISOString(),
-            category: article.category,
-            title: article.title
-          });
+        if (result.ok) {
+          markSent(article);
           successCount++;
-
-          // 避免 Discord rate limit
-          if (index < articlesToProcess.length - 1) {
-            await sleep(1000);
-          }
+        } else {
+          recordDeadLetter(deadLetters.map, String(article.id), article, result);
+          deadLetters.dirty = true;
         }
       }
     }
 
-    // 9. 儲存 sent map（發送歷史）
+    // 11. 轉發到 Telegram（含之前轉發失敗的文章）
+    let telegramSummary = '';
+    if (telegramSent) {
+      const toForward = allArticles.filter(isTelegramPending).sort((a, b) => new Date(a.date) - new Date(b.date));
+      const { successCount: forwardedCount, pendingCount } = await sendPendingToTelegram(telegram, telegramSent, toForward, {
+        getId: article => String(article.id),
+        buildArticle: buildTelegramArticle,
+        deadline: discordDeadline
+      });
+      if (pendingCount) {
+        telegramSummary = `，Telegram 轉發 ${forwardedCount}/${pendingCount} 篇`;
+      }
+    }
+
+    // 12. 儲存 sent map（發送歷史）、dead-letter 與 Telegram 發送紀錄
     await saveSentMap(env, sentMap);
+    if (deadLetters.dirty) {
+      await saveDeadLetters(env.RSS_CACHE, KV_DEAD_LETTER_KEY, deadLetters.map);
+    }
+    if (telegramSent) {
+      await saveTelegramSentRecords(env.RSS_CACHE, telegramSent, SENT_MAP_TTL_SECONDS);
+    }
 
-    // 10. 更新快照（首次執行必須更新，非首次執行只在非測試模式時更新）
+    // 13. 更新快照（首次執行必須更新，非首次執行只在非測試模式時更新）
     if (isFirstRun || !testMode) {
       await saveSnapshot(env, currentIds);
     } else {
       console.log('⚠️  測試模式：快照未更新');
     }
 
-    // 11. 總結
-    console.log(`✓ 完成：${successCount}/${articlesToProcess.length} 篇${isFirstRun ? '已記錄' : '已發送'}`);
+    // 14. 總結
+    console.log(`✓ 完成：${successCount}/${articlesToProcess.length} 篇${isFirstRun ? '已記錄' : '已發送'}${retryEntries.length ? `，重試成功 ${retrySuccessCount}/${retryEntries.length} 篇` : ''}${telegramSummary}`);
 
   } catch (error) {
     console.error('✗ 執行失敗:', error.message);
     throw error;
+  } finally {
+    await flushSourceHealth(env, env.RSS_CACHE, health);
   }
 }
 
+// ==================== 管理端點驗證 ====================
+
 // ==================== Worker 進入點 ====================
 
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
-    // 測試端點: 手動觸發
+    // 測試端點: 手動觸發（需 ADMIN_TOKEN）
     if (url.pathname === '/trigger') {
-      try {
-        await processFFXIVNews(env, true); // testMode = true
-        return new Response('✓ 手動觸發完成（測試模式）', {
-          status: 200,
-          headers: { 'Content-Type': 'text/plain; charset=utf-8' }
-        });
-      } catch (error) {
-        return new Response(`✗ 執行失敗: ${error.message}`, {
-          status: 500,
-          headers: { 'Content-Type': 'text/plain; charset=utf-8' }
-        });
-      }
+      return handleAdminRoute(request, env, url, async () => {
+        try {
+          await processFFXIVNews(env, true); // testMode = true
+          return new Response('✓ 手動觸發完成（測試模式）', {
+            status: 200,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+          });
+        } catch (error) {
+          return new Response(`✗ 執行失敗: ${error.message}`, {
+            status: 500,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+          });
+        }
+      });
+    }
+
+    // 預覽端點：跑完整流程但不寫 KV、不發送 Discord（需 ADMIN_TOKEN）；mode=trigger 模擬 /trigger（只送最新一篇）
+    if (url.pathname === '/preview') {
+      return handleAdminRoute(request, env, url, () => handlePreviewRequest(env, url, AUDIT_WORKER_ID, processFFXIVNews));
+    }
+
+    // 發送失敗（dead-letter）查詢與重送（需 ADMIN_TOKEN）
+    if (url.pathname === '/admin/deadletters' || url.pathname.startsWith('/admin/deadletters/')) {
+      return handleAdminRoute(request, env, url, () => handleDeadLetterAdmin(request, env, url, KV_DEAD_LETTER_KEY));
+    }
+
+    // 訊息模板設定與預覽（需 ADMIN_TOKEN）
+    if (url.pathname === '/admin/templates' || url.pathname.startsWith('/admin/templates/')) {
+      return handleAdminRoute(request, env, url, () => handleTemplateAdmin(request, env, url, {
+        fields: MESSAGE_TEMPLATE_FIELDS,
+        listSources: () => [NEWS_SOURCE],
+        buildSample: () => buildTemplateContext(TEMPLATE_SAMPLE_ARTICLE, TEMPLATE_SAMPLE_DESCRIPTION)
+      }));
     }
 
     // 狀態查詢端點
@@ -496,12 +788,19 @@ export default {
       try {
         const snapshot = await loadSnapshot(env);
         const sentMap = await loadSentMap(env);
+        const deadLetters = await loadDeadLetters(env.RSS_CACHE, KV_DEAD_LETTER_KEY);
+        const health = await loadSourceHealth(env, env.RSS_CACHE, { key: KV_HEALTH_KEY, workerId: AUDIT_WORKER_ID });
         const stats = {
           快照文章數: snapshot.length,
           發送歷史數: sentMap.size,
           最大歷史容量: MAX_SENT_MAP_SIZE,
+          發送失敗待重試: [...deadLetters.map.values()].filter(entry => entry.status === 'pending').length,
+          發送失敗已放棄: [...deadLetters.map.values()].filter(entry => entry.status === 'exhausted').length,
           snapshot_key: KV_SNAPSHOT_KEY,
           sent_map_key: KV_SENT_MAP_KEY,
+          dead_letter_key: KV_DEAD_LETTER_KEY,
+          來源健康狀態: health.sources[NEWS_SOURCE.id] || null,
+          health_key: KV_HEALTH_KEY,
           news_kv_binding: 'ffxivnews',
           news_kv_key: NEWS_KV_KEY
         };
@@ -518,21 +817,23 @@ export default {
       }
     }
 
-    // 清除 KV 端點（僅供除錯使用）
+    // 清除 KV 端點（僅供除錯使用，需 ADMIN_TOKEN）
     if (url.pathname === '/clearkv') {
-      try {
-        await env.RSS_CACHE.delete(KV_SNAPSHOT_KEY);
-        await env.RSS_CACHE.delete(KV_SENT_MAP_KEY);
-        return new Response('✓ 快照和發送歷史已清除', {
-          status: 200,
-          headers: { 'Content-Type': 'text/plain; charset=utf-8' }
-        });
-      } catch (error) {
-        return new Response(`✗ 清除失敗: ${error.message}`, {
-          status: 500,
-          headers: { 'Content-Type': 'text/plain; charset=utf-8' }
-        });
-      }
+      return handleAdminRoute(request, env, url, async () => {
+        try {
+          await env.RSS_CACHE.delete(KV_SNAPSHOT_KEY);
+          await env.RSS_CACHE.delete(KV_SENT_MAP_KEY);
+          return new Response('✓ 快照和發送歷史已清除', {
+            status: 200,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+          });
+        } catch (error) {
+          return new Response(`✗ 清除失敗: ${error.message}`, {
+            status: 500,
+            headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+          });
+        }
+      });
     }
 
     return new Response('FFXIV 台灣官網新聞監控 Worker 運作中', {
@@ -0,0 +1,189 @@
+/**
+ * 管理端點驗證與稽核紀錄 (各 worker 共用)
+ *
+ * 以 Bearer ADMIN_TOKEN 或 HMAC 簽名網址驗證;驗證通過的呼叫寫一筆 audit:<worker>:... 稽核紀錄,
+ * 驗證失敗只依來源 IP 每小時累計一筆 audit-denied:<worker>:... 計數,避免未驗證的請求大量寫入 KV
+ */
+
+import { jsonResponse } from './http.js';
+
+const ADMIN_SIGNATURE_MAX_TTL_SECONDS = 60 * 60; // 簽名網址最長有效 1 小時
+const AUDIT_LOG_TTL_SECONDS = 30 * 24 * 60 * 60; // 稽核紀錄保留 30 天
+const AUDIT_DENIED_FLUSH_INTERVAL_MS = 60 * 1000; // 同一個 IP 驗證失敗的計數每分鐘最多寫入 KV 一次
+
+// 驗證失敗計數 (同一 isolate 內跨請求共用):audit-denied key → 尚未寫入 KV 的次數
+const auditDeniedCounters = new Map();
+
+/**
+ * 建立該 worker 的 handleAdminRoute(request, env, url, handler):
+ * 驗證通過才執行 handler 並寫一筆稽核紀錄,驗證失敗只累計計數
+ * @param {{workerId: string, kvBinding?: string}} options - kvBinding 為寫入稽核紀錄的 KV binding
+ */
+export function createAdminRoute({ workerId, kvBinding = 'RSS_CACHE' }) {
+  return async function handleAdminRoute(request, env, url, handler) {
+    const auth = await authorizeAdminRequest(request, env, url);
+    const response = auth.ok
+      ? await handler()
+      : withHeaders(jsonResponse({ error: auth.error }, auth.status), auth.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+    if (auth.ok) {
+      await writeAuditLog(env[kvBinding], request, url, auth, response.status, workerId);
+    } else {
+      await recordDeniedRequest(env[kvBinding], request, url, response.status, workerId);
+    }
+    return response;
+  };
+}
+
+/**
+ * 驗證管理端點請求,兩種方式擇一:
+ * - Authorization: Bearer <ADMIN_TOKEN>
+ * - 簽名網址 ?expires=<unix 秒>&signature=<hex>,signature 為以 ADMIN_TOKEN 為金鑰的
+ *   HMAC-SHA256("<METHOD>\n<path>\n<依 key 排序且不含 signature 的查詢字串>"),最長有效 1 小時
+ * 沒有憑證回 401,憑證錯誤或簽名過期回 403
+ * @returns {Promise<{ok: boolean, status: number, error: string, method: string|null}>}
+ */
+async function authorizeAdminRequest(request, env, url) {
+  const token = env.ADMIN_TOKEN;
+  if (!token) {
+    return { ok: false, status: 503, error: 'ADMIN_TOKEN 未設定,管理端點已停用', method: null };
+  }
+
+  const header = request.headers.get('Authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(header);
+  if (bearer) {
+    return timingSafeEqual(bearer[1].trim(), token)
+      ? { ok: true, status: 200, error: '', method: 'bearer' }
+      : { ok: false, status: 403, error: 'Forbidden', method: 'bearer' };
+  }
+
+  const signature = url.searchParams.get('signature');
+  if (!signature) {
+    return { ok: false, status: 401, error: 'Unauthorized', method: null };
+  }
+
+  const expires = Number(url.searchParams.get('expires'));
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  if (!Number.isInteger(expires) || expires < nowSeconds || expires > nowSeconds + ADMIN_SIGNATURE_MAX_TTL_SECONDS) {
+    return { ok: false, status: 403, error: 'Signature expired', method: 'hmac' };
+  }
+
+  const expected = await signAdminRequest(token, request.method, url);
+  return timingSafeEqual(signature.toLowerCase(), expected)
+    ? { ok: true, status: 200, error: '', method: 'hmac' }
+    : { ok: false, status: 403, error: 'Forbidden', method: 'hmac' };
+}
+
+export async function signAdminRequest(secret, method, url) {
+  const encoder = new TextEncoder();
+  const message = `${String(method).toUpperCase()}\n${url.pathname}\n${buildCanonicalQuery(url)}`;
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const digest = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function buildCanonicalQuery(url) {
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => key !== 'signature')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return new URLSearchParams(params).toString();
+}
+
+/**
+ * 驗證通過的管理端點呼叫寫一筆 audit:<worker>:<時間>:<亂數> 紀錄 (TTL 30 天),不記錄簽名
+ */
+async function writeAuditLog(kv, request, url, auth, status, workerId) {
+  if (!kv) {
+    return;
+  }
+
+  const at = new Date().toISOString();
+  const entry = {
+    at,
+    worker: workerId,
+    method: request.method,
+    path: url.pathname,
+    query: buildCanonicalQuery(url),
+    auth: auth.method,
+    authorized: auth.ok,
+    status,
+    ip: request.headers.get('CF-Connecting-IP') || null,
+    userAgent: request.headers.get('User-Agent') || null
+  };
+
+  try {
+    await kv.put(`audit:${workerId}:${at}:${crypto.randomUUID().slice(0, 8)}`, JSON.stringify(entry), {
+      expirationTtl: AUDIT_LOG_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('寫入稽核紀錄失敗:', error);
+  }
+}
+
+/**
+ * 驗證失敗的請求依來源 IP 每小時累計在 audit-denied:<worker>:<YYYY-MM-DDTHH>:<IP> (TTL 30 天),
+ * 同一個 key 在同一 isolate 內每分鐘最多寫入一次,期間的次數累計到下次寫入;isolate 結束時尚未寫入的次數會遺失,計數為近似值
+ */
+async function recordDeniedRequest(kv, request, url, status, workerId) {
+  if (!kv) {
+    return;
+  }
+
+  const now = new Date();
+  const hour = now.toISOString().slice(0, 13);
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const key = `audit-denied:${workerId}:${hour}:${ip}`;
+
+  let counter = auditDeniedCounters.get(key);
+  if (!counter) {
+    // 換小時後舊的計數不會再寫入
+    for (const existingKey of auditDeniedCounters.keys()) {
+      if (!existingKey.includes(`:${hour}:`)) {
+        auditDeniedCounters.delete(existingKey);
+      }
+    }
+    counter = { pending: 0, statuses: {}, flushedAt: 0 };
+    auditDeniedCounters.set(key, counter);
+  }
+  counter.pending += 1;
+  counter.statuses[status] = (counter.statuses[status] || 0) + 1;
+  if (now.getTime() - counter.flushedAt < AUDIT_DENIED_FLUSH_INTERVAL_MS) {
+    return;
+  }
+
+  const { pending, statuses } = counter;
+  counter.pending = 0;
+  counter.statuses = {};
+  counter.flushedAt = now.getTime();
+
+  try {
+    const record = (await kv.get(key, { type: 'json' })) || { worker: workerId, ip, firstAt: now.toISOString(), count: 0, statuses: {} };
+    record.count += pending;
+    for (const [code, count] of Object.entries(statuses)) {
+      record.statuses[code] = (record.statuses[code] || 0) + count;
+    }
+    record.lastAt = now.toISOString();
+    record.lastMethod = request.method;
+    record.lastPath = url.pathname;
+    record.lastUserAgent = request.headers.get('User-Agent') || null;
+    await kv.put(key, JSON.stringify(record), { expirationTtl: AUDIT_LOG_TTL_SECONDS });
+  } catch (error) {
+    console.error('寫入驗證失敗計數失敗:', error);
+  }
+}
+
+function withHeaders(response, headers) {
+  for (const [name, value] of Object.entries(headers)) {
+    response.headers.set(name, value);
+  }
+  return response;
+}
+
+function timingSafeEqual(a, b) {
+  const left = String(a);
+  const right = String(b);
+  let diff = left.length ^ right.length;
+  for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+    diff |= (left.charCodeAt(i) || 0) ^ (right.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,167 @@
+/**
+ * 發送失敗的文章 (dead-letter,news-rss 與 ffxiv-tw-news-monitor 共用)
+ *
+ * 依指數退避重試 (第 n 次失敗後等待 15 分鐘 × 2^(n-1),最多 12 小時),
+ * 失敗 DEAD_LETTER_MAX_ATTEMPTS 次後不再自動重試,可透過 /admin/deadletters 重送
+ */
+
+import { jsonResponse } from './http.js';
+
+export const DEAD_LETTER_MAX_ATTEMPTS = 6;
+const DEAD_LETTER_BASE_DELAY_MS = 15 * 60 * 1000;
+const DEAD_LETTER_MAX_DELAY_MS = 12 * 60 * 60 * 1000;
+const DEAD_LETTER_TTL_SECONDS = 14 * 24 * 60 * 60; // 最後一次失敗後保留 14 天
+const MAX_DEAD_LETTER_ERROR_LENGTH = 1000;
+
+/**
+ * 讀取 dead-letter 紀錄 (id → 紀錄);最後一次失敗超過 DEAD_LETTER_TTL_SECONDS 的紀錄直接捨棄
+ * @returns {Promise<{map: Map<string, Object>, dirty: boolean}>}
+ */
+export async function loadDeadLetters(kv, key) {
+  const map = new Map();
+  let dirty = false;
+
+  try {
+    const raw = await kv.get(key);
+    const data = raw ? JSON.parse(raw) : null;
+    if (data && typeof data === 'object') {
+      const cutoffMs = Date.now() - DEAD_LETTER_TTL_SECONDS * 1000;
+      for (const [id, entry] of Object.entries(data)) {
+        if (!entry || typeof entry !== 'object' || !entry.article || !(Date.parse(entry.lastFailedAt) >= cutoffMs)) {
+          dirty = true;
+          continue;
+        }
+        map.set(id, entry);
+      }
+    }
+  } catch (error) {
+    console.error('讀取 dead-letter 紀錄失敗:', error);
+  }
+
+  return { map, dirty };
+}
+
+export async function saveDeadLetters(kv, key, map) {
+  try {
+    await kv.put(key, JSON.stringify(Object.fromEntries(map)), { expirationTtl: DEAD_LETTER_TTL_SECONDS });
+  } catch (error) {
+    console.error('寫入 dead-letter 紀錄失敗:', error);
+  }
+}
+
+/**
+ * 記錄一次發送失敗:累計次數、保留錯誤內容與文章快照 (離開 worker 的狀態後仍可重送),並排定下次重試時間
+ * 達到 DEAD_LETTER_MAX_ATTEMPTS 次後標記為 exhausted,不再自動重試
+ * @param {Object} [fields] - 額外記錄在紀錄上的欄位,例如 news-rss 的 { sourceId, destinationId }
+ */
+export function recordDeadLetter(map, id, article, result, fields = {}) {
+  const now = Date.now();
+  const prev = map.get(id);
+  const attempts = (prev ? prev.attempts : 0) + 1;
+  const exhausted = attempts >= DEAD_LETTER_MAX_ATTEMPTS;
+  const delayMs = Math.min(DEAD_LETTER_BASE_DELAY_MS * 2 ** (attempts - 1), DEAD_LETTER_MAX_DELAY_MS);
+  const entry = {
+    id,
+    ...fields,
+    article: { ...article },
+    attempts,
+    status: exhausted ? 'exhausted' : 'pending',
+    firstFailedAt: prev ? prev.firstFailedAt : new Date(now).toISOString(),
+    lastFailedAt: new Date(now).toISOString(),
+    nextAttemptAt: exhausted ? null : new Date(now + delayMs).toISOString(),
+    lastError: {
+      status: result.status,
+      body: String(result.errorText || '').slice(0, MAX_DEAD_LETTER_ERROR_LENGTH)
+    }
+  };
+  map.set(id, entry);
+  return entry;
+}
+
+export function isDeadLetterDue(entry, nowMs) {
+  return entry.status === 'pending' && !(Date.parse(entry.nextAttemptAt) > nowMs);
+}
+
+/**
+ * 手動重送:次數歸零並立即排入下次執行
+ */
+function resetDeadLetter(entry) {
+  const now = new Date().toISOString();
+  return { ...entry, status: 'pending', attempts: 0, nextAttemptAt: now, replayedAt: now };
+}
+
+/**
+ * 處理 /admin/deadletters 路由 (紀錄存在 RSS_CACHE 的 key)
+ * GET    /admin/deadletters[?status=pending|exhausted]  列出發送失敗的文章 (最近失敗的在前)
+ * GET    /admin/deadletters/<id>
+ * POST   /admin/deadletters/<id>/replay  重設次數,下次執行時立即重送
+ * POST   /admin/deadletters/replay       重送全部
+ * DELETE /admin/deadletters/<id>         放棄這篇文章
+ * id 內含的 ":"、"#" 需要 URL encode
+ */
+export async function handleDeadLetterAdmin(request, env, url, key) {
+  const kv = env.RSS_CACHE;
+  if (!kv) {
+    return jsonResponse({ error: 'RSS_CACHE KV namespace 未綁定' }, 500);
+  }
+
+  const segments = url.pathname.split('/').filter(Boolean).slice(2).map(decodeURIComponent);
+  const method = request.method.toUpperCase();
+
+  try {
+    const { map } = await loadDeadLetters(kv, key);
+
+    if (segments.length === 0) {
+      if (method !== 'GET') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+      const status = url.searchParams.get('status');
+      const entries = [...map.values()]
+        .filter(entry => !status || entry.status === status)
+        .sort((a, b) => String(b.lastFailedAt).localeCompare(String(a.lastFailedAt)));
+      return jsonResponse({ maxAttempts: DEAD_LETTER_MAX_ATTEMPTS, entries });
+    }
+
+    if (segments.length === 1 && segments[0] === 'replay') {
+      if (method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+      for (const entry of map.values()) {
+        map.set(entry.id, resetDeadLetter(entry));
+      }
+      await saveDeadLetters(kv, key, map);
+      return jsonResponse({ replayed: map.size });
+    }
+
+    const [entryId, action] = segments;
+    const entry = map.get(entryId);
+    if (!entry) {
+      return jsonResponse({ error: `找不到 dead-letter ${entryId}` }, 404);
+    }
+
+    if (action) {
+      if (method !== 'POST' || action !== 'replay' || segments.length > 2) {
+        return jsonResponse({ error: 'Not found' }, 404);
+      }
+      const nextEntry = resetDeadLetter(entry);
+      map.set(entryId, nextEntry);
+      await saveDeadLetters(kv, key, map);
+      return jsonResponse({ entry: nextEntry });
+    }
+
+    if (method === 'GET') {
+      return jsonResponse({ entry });
+    }
+
+    if (method === 'DELETE') {
+      map.delete(entryId);
+      await saveDeadLetters(kv, key, map);
+      return jsonResponse({ deleted: entryId });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('dead-letter 管理 API 發生錯誤:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
@@ -0,0 +1,554 @@
+/**
+ * Discord webhook client 與訊息上限 (各 worker 共用)
+ *
+ * discordRequest 遵守 rate limit 並在送出前以 enforceDiscordLimits 把 payload 調整到上限內,
+ * 儲存模板前以 checkDiscordPayloadLimits 檢查;文字截斷以字素 (grapheme) 為單位,不會切開 emoji 或組合字元
+ * 提及規則 (parseMentionRules / resolveMentions / buildMentionFields) 一律帶上明確的 allowed_mentions
+ */
+
+import { getPreviewContext, recordPreviewRequest } from './preview.js';
+import { sleep } from './http.js';
+
+// Discord 訊息大小限制
+export const DISCORD_MAX_EMBEDS_PER_MESSAGE = 10;
+export const DISCORD_MAX_EMBED_TOTAL_CHARS = 6000;
+export const DISCORD_MAX_CONTENT_LENGTH = 2000;
+export const DISCORD_MAX_TITLE_LENGTH = 256;
+export const DISCORD_MAX_DESCRIPTION_LENGTH = 4096;
+export const DISCORD_MAX_AUTHOR_NAME_LENGTH = 256;
+export const DISCORD_MAX_FOOTER_LENGTH = 2048;
+export const DISCORD_MAX_FIELDS = 25;
+export const DISCORD_MAX_FIELD_NAME_LENGTH = 256;
+export const DISCORD_MAX_FIELD_VALUE_LENGTH = 1024;
+
+// 截斷文字時以字素 (grapheme) 為單位,避免切開 emoji 或組合字元
+const graphemeSegmenter = typeof Intl.Segmenter === 'function' ? new Intl.Segmenter('zh-Hant', { granularity: 'grapheme' }) : null;
+
+// Discord webhook rate limit 設定
+const DISCORD_MAX_ATTEMPTS = 4;
+export const DISCORD_TIME_BUDGET_MS = 30 * 1000; // 單次執行等待 rate limit 的總時間上限
+export const DISCORD_MAX_WAIT_MS = 15 * 1000; // 單次等待超過此值就放棄,留待下次執行
+
+// rate limit bucket 狀態 (同一 isolate 內跨請求共用)
+const discordRouteBuckets = new Map(); // webhook → Discord 回傳的 bucket hash
+const discordBuckets = new Map(); // webhook id:bucket hash (或 webhook) → { remaining, resetAt }
+let discordGlobalResetAt = 0;
+
+/**
+ * 發送 Discord webhook 請求,遵守 429 Retry-After 與 X-RateLimit-* 標頭
+ * - 依 webhook id + Discord 回傳的 bucket hash 記錄剩餘額度,額度用完時先等到重置
+ * - 429 / 5xx 時在時間預算內等待後重試,超過預算就放棄交給下次執行
+ * @param {string} webhookUrl - Discord webhook URL
+ * @param {Object|null} payload - JSON payload
+ * @param {Object} [options] - { method: 'POST', deadline: 本次執行可等待的最晚時間 (ms) }
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, errorText: string}>}
+ */
+export async function discordRequest(webhookUrl, payload, options = {}) {
+  const method = options.method || 'POST';
+  const body = payload ? enforceDiscordLimits(payload) : null;
+  // 預覽模式:只記錄 payload,不呼叫 Discord
+  const previewContext = getPreviewContext(webhookUrl);
+  if (previewContext) {
+    return recordPreviewRequest(previewContext, webhookUrl, body, method);
+  }
+  const deadline = Number.isFinite(options.deadline) ? options.deadline : Date.now() + DISCORD_TIME_BUDGET_MS;
+  const routeKey = getDiscordRouteKey(webhookUrl);
+  let lastResult = { ok: false, status: 0, data: null, errorText: '' };
+
+  for (let attempt = 1; attempt <= DISCORD_MAX_ATTEMPTS; attempt += 1) {
+    const waitMs = getDiscordBucketWait(routeKey);
+    if (waitMs > 0) {
+      if (Date.now() + waitMs > deadline) {
+        return { ok: false, status: 429, data: null, errorText: `Rate limit 需等待 ${waitMs}ms,超過本次執行時間預算` };
+      }
+      await sleep(waitMs);
+    }
+
+    let response;
+    try {
+      response = await fetch(webhookUrl, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+      });
+    } catch (error) {
+      lastResult = { ok: false, status: 0, data: null, errorText: error.message };
+      if (!canRetryDiscord(attempt, 1000, deadline)) {
+        return lastResult;
+      }
+      await sleep(1000);
+      continue;
+    }
+
+    updateDiscordBucket(routeKey, response);
+
+    if (response.ok) {
+      const text = response.status === 204 ? '' : await response.text();
+      let data = null;
+      if (text) {
+        try {
+          data = JSON.parse(text);
+        } catch (error) {
+          data = null;
+        }
+      }
+      return { ok: true, status: response.status, data, errorText: '' };
+    }
+
+    const errorText = await response.text();
+    lastResult = { ok: false, status: response.status, data: null, errorText };
+
+    if (response.status === 429) {
+      const retryAfterMs = readDiscordRetryAfter(response, errorText);
+      markDiscordRateLimited(routeKey, response, errorText, retryAfterMs);
+      console.warn(`Discord rate limited, retry after ${retryAfterMs}ms (attempt ${attempt}/${DISCORD_MAX_ATTEMPTS})`);
+      if (!canRetryDiscord(attempt, retryAfterMs, deadline)) {
+        return lastResult;
+      }
+      continue;
+    }
+
+    if (response.status >= 500) {
+      const backoffMs = 1000 * attempt;
+      if (!canRetryDiscord(attempt, backoffMs, deadline)) {
+        return lastResult;
+      }
+      await sleep(backoffMs);
+      continue;
+    }
+
+    // 其他 4xx 重試也不會成功
+    return lastResult;
+  }
+
+  return lastResult;
+}
+
+function canRetryDiscord(attempt, waitMs, deadline) {
+  return attempt < DISCORD_MAX_ATTEMPTS && waitMs <= DISCORD_MAX_WAIT_MS && Date.now() + waitMs <= deadline;
+}
+
+function getDiscordRouteKey(webhookUrl) {
+  // 同一個 webhook 的 POST / PATCH / thread 查詢參數共用額度
+  return String(webhookUrl).split('?')[0].replace(/\/messages\/\d+$/, '');
+}
+
+/**
+ * 額度的記錄單位:Discord 對所有 webhook 回傳相同的 bucket hash,額度實際上依 webhook id (major parameter) 分開計算,
+ * 因此以 webhook id + bucket hash 為 key;還沒收到 bucket hash 時以 webhook 網址為 key
+ */
+function getDiscordBucketId(routeKey) {
+  const bucketHash = discordRouteBuckets.get(routeKey);
+  if (!bucketHash) {
+    return routeKey;
+  }
+  const match = routeKey.match(/\/webhooks\/(\d+)/);
+  return `${match ? match[1] : routeKey}:${bucketHash}`;
+}
+
+function getDiscordBucketWait(routeKey) {
+  const now = Date.now();
+  let waitMs = Math.max(0, discordGlobalResetAt - now);
+
+  const bucketId = getDiscordBucketId(routeKey);
+  const bucket = discordBuckets.get(bucketId);
+  if (bucket && bucket.remaining <= 0 && bucket.resetAt > now) {
+    waitMs = Math.max(waitMs, bucket.resetAt - now);
+  }
+
+  return waitMs;
+}
+
+function updateDiscordBucket(routeKey, response) {
+  const bucketHeader = response.headers.get('X-RateLimit-Bucket');
+  const remaining = parseFloat(response.headers.get('X-RateLimit-Remaining'));
+  const resetAfter = parseFloat(response.headers.get('X-RateLimit-Reset-After'));
+
+  if (bucketHeader) {
+    discordRouteBuckets.set(routeKey, bucketHeader);
+  }
+
+  if (!Number.isFinite(remaining) || !Number.isFinite(resetAfter)) {
+    return;
+  }
+
+  const bucketId = getDiscordBucketId(routeKey);
+  discordBuckets.set(bucketId, {
+    remaining,
+    resetAt: Date.now() + Math.ceil(resetAfter * 1000)
+  });
+}
+
+function readDiscordRetryAfter(response, errorText) {
+  let seconds = parseFloat(response.headers.get('Retry-After'));
+
+  if (!Number.isFinite(seconds)) {
+    try {
+      const body = JSON.parse(errorText);
+      seconds = parseFloat(body.retry_after);
+    } catch (error) {
+      seconds = NaN;
+    }
+  }
+
+  return Number.isFinite(seconds) && seconds >= 0 ? Math.ceil(seconds * 1000) : 1000;
+}
+
+function markDiscordRateLimited(routeKey, response, errorText, retryAfterMs) {
+  const resetAt = Date.now() + retryAfterMs;
+  let isGlobal = response.headers.get('X-RateLimit-Global') === 'true';
+
+  if (!isGlobal) {
+    try {
+      isGlobal = JSON.parse(errorText).global === true;
+    } catch (error) {
+      isGlobal = false;
+    }
+  }
+
+  if (isGlobal) {
+    discordGlobalResetAt = Math.max(discordGlobalResetAt, resetAt);
+    return;
+  }
+
+  const bucketId = getDiscordBucketId(routeKey);
+  discordBuckets.set(bucketId, { remaining: 0, resetAt });
+}
+
+/**
+ * 檢查 payload 是否符合 Discord 的訊息上限,回傳超出的項目
+ */
+export function checkDiscordPayloadLimits(payload) {
+  const errors = [];
+  const checkLength = (path, text, maxLength) => {
+    const length = text ? String(text).length : 0;
+    if (length > maxLength) {
+      errors.push(`${path} 長度 ${length} 超過上限 ${maxLength}`);
+    }
+  };
+
+  checkLength('content', payload.content, DISCORD_MAX_CONTENT_LENGTH);
+  const embeds = Array.isArray(payload.embeds) ? payload.embeds : [];
+  if (embeds.length > DISCORD_MAX_EMBEDS_PER_MESSAGE) {
+    errors.push(`embeds 最多 ${DISCORD_MAX_EMBEDS_PER_MESSAGE} 個`);
+  }
+
+  let total = 0;
+  embeds.forEach((embed, index) => {
+    const path = `embeds[${index}]`;
+    checkLength(`${path}.title`, embed.title, DISCORD_MAX_TITLE_LENGTH);
+    checkLength(`${path}.description`, embed.description, DISCORD_MAX_DESCRIPTION_LENGTH);
+    checkLength(`${path}.author.name`, embed.author && embed.author.name, DISCORD_MAX_AUTHOR_NAME_LENGTH);
+    checkLength(`${path}.footer.text`, embed.footer && embed.footer.text, DISCORD_MAX_FOOTER_LENGTH);
+    const fields = Array.isArray(embed.fields) ? embed.fields : [];
+    if (fields.length > DISCORD_MAX_FIELDS) {
+      errors.push(`${path}.fields 最多 ${DISCORD_MAX_FIELDS} 個`);
+    }
+    fields.forEach((field, fieldIndex) => {
+      checkLength(`${path}.fields[${fieldIndex}].name`, field.name, DISCORD_MAX_FIELD_NAME_LENGTH);
+      checkLength(`${path}.fields[${fieldIndex}].value`, field.value, DISCORD_MAX_FIELD_VALUE_LENGTH);
+    });
+    total += countEmbedChars(embed);
+  });
+  if (total > DISCORD_MAX_EMBED_TOTAL_CHARS) {
+    errors.push(`embed 總字數 ${total} 超過上限 ${DISCORD_MAX_EMBED_TOTAL_CHARS}`);
+  }
+
+  return errors;
+}
+
+/**
+ * 發送前把 payload 調整到 Discord 的上限內,避免單篇文章的內容造成 400 而卡住後面的發送:
+ * - 文字超過上限時在字素 (grapheme) 邊界截斷並加上 …
+ * - 移除非 http(s) 的網址 (縮圖、圖片、作者與 footer 圖示),無法解析的 timestamp 也一併移除
+ * - 欄位名稱或內容空白時補上零寬空白,超過 25 個的欄位捨棄
+ * - embed 合計超過 6000 字時,由最後一個 embed 往前依序縮短 description、捨棄 fields、縮短 footer
+ * 有調整時記錄是哪篇文章 (embed 標題) 的哪些項目;不修改傳入的 payload
+ * @returns {Object} 調整後的 payload
+ */
+export function enforceDiscordLimits(payload) {
+  const result = JSON.parse(JSON.stringify(payload));
+  const adjustments = [];
+
+  if (typeof result.content === 'string') {
+    const content = truncateDiscordText(result.content, DISCORD_MAX_CONTENT_LENGTH);
+    if (content !== result.content) {
+      adjustments.push(`content 超過 ${DISCORD_MAX_CONTENT_LENGTH} 字,已截斷`);
+      result.content = content;
+    }
+  }
+
+  if (Array.isArray(result.embeds)) {
+    if (result.embeds.length > DISCORD_MAX_EMBEDS_PER_MESSAGE) {
+      const dropped = result.embeds.splice(DISCORD_MAX_EMBEDS_PER_MESSAGE);
+      adjustments.push(`embeds 超過 ${DISCORD_MAX_EMBEDS_PER_MESSAGE} 個,捨棄 ${dropped.map((embed, index) => describeDiscordEmbed(embed, DISCORD_MAX_EMBEDS_PER_MESSAGE + index)).join('、')}`);
+    }
+    result.embeds.forEach((embed, index) => {
+      const changes = enforceEmbedLimits(embed);
+      if (changes.length) {
+        adjustments.push(`${describeDiscordEmbed(embed, index)}: ${changes.join(', ')}`);
+      }
+    });
+    adjustments.push(...fitEmbedTotalChars(result.embeds));
+  }
+
+  if (adjustments.length) {
+    console.warn(`Discord 訊息不符合限制,已調整: ${adjustments.join('; ')}`);
+  }
+  return result;
+}
+
+/**
+ * 調整單一 embed 的文字長度、網址與欄位 (直接修改傳入的 embed),回傳調整過的項目
+ */
+function enforceEmbedLimits(embed) {
+  const changes = [];
+  const limitText = (target, key, path, maxLength) => {
+    if (target[key] === undefined || target[key] === null) {
+      return;
+    }
+    const text = String(target[key]);
+    target[key] = truncateDiscordText(text, maxLength);
+    if (target[key] !== text) {
+      changes.push(`${path} 截斷為 ${maxLength} 字`);
+    }
+  };
+  const keepHttpUrl = (target, key, path) => {
+    if (target[key] === undefined || target[key] === null || isDiscordHttpUrl(target[key])) {
+      return true;
+    }
+    delete target[key];
+    changes.push(`移除 ${path} 的非 http(s) 網址`);
+    return false;
+  };
+
+  limitText(embed, 'title', 'title', DISCORD_MAX_TITLE_LENGTH);
+  limitText(embed, 'description', 'description', DISCORD_MAX_DESCRIPTION_LENGTH);
+  keepHttpUrl(embed, 'url', 'url');
+  if (embed.timestamp !== undefined && embed.timestamp !== null && !Number.isFinite(Date.parse(embed.timestamp))) {
+    delete embed.timestamp;
+    changes.push('移除無法解析的 timestamp');
+  }
+
+  if (embed.author) {
+    limitText(embed.author, 'name', 'author.name', DISCORD_MAX_AUTHOR_NAME_LENGTH);
+    keepHttpUrl(embed.author, 'url', 'author.url');
+    keepHttpUrl(embed.author, 'icon_url', 'author.icon_url');
+  }
+  if (embed.footer) {
+    limitText(embed.footer, 'text', 'footer.text', DISCORD_MAX_FOOTER_LENGTH);
+    keepHttpUrl(embed.footer, 'icon_url', 'footer.icon_url');
+  }
+  for (const key of ['thumbnail', 'image']) {
+    if (embed[key] && !keepHttpUrl(embed[key], 'url', `${key}.url`)) {
+      delete embed[key];
+    }
+  }
+
+  if (Array.isArray(embed.fields)) {
+    if (embed.fields.length > DISCORD_MAX_FIELDS) {
+      embed.fields.splice(DISCORD_MAX_FIELDS);
+      changes.push(`fields 只保留前 ${DISCORD_MAX_FIELDS} 個`);
+    }
+    embed.fields.forEach((field, index) => {
+      // Discord 不接受空白的欄位名稱與內容
+      for (const key of ['name', 'value']) {
+        const text = field[key] === undefined || field[key] === null ? '' : String(field[key]);
+        if (!text.trim()) {
+          field[key] = '\u200b';
+          changes.push(`fields[${index}].${key} 空白,補上零寬空白`);
+        }
+      }
+      limitText(field, 'name', `fields[${index}].name`, DISCORD_MAX_FIELD_NAME_LENGTH);
+      limitText(field, 'value', `fields[${index}].value`, DISCORD_MAX_FIELD_VALUE_LENGTH);
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * embed 合計字數超過上限時縮短內容 (直接修改傳入的 embeds),回傳調整過的項目
+ */
+function fitEmbedTotalChars(embeds) {
+  const total = embeds.reduce((sum, embed) => sum + countEmbedChars(embed), 0);
+  let overflow = total - DISCORD_MAX_EMBED_TOTAL_CHARS;
+  if (overflow <= 0) {
+    return [];
+  }
+
+  const changes = [];
+  const shrinkers = [
+    {
+      label: '縮短 description',
+      applies: embed => Boolean(embed.description),
+      shrink: (embed, excess) => {
+        const keepLength = String(embed.description).length - excess;
+        if (keepLength > 1) {
+          embed.description = truncateDiscordText(String(embed.description), keepLength);
+        } else {
+          delete embed.description;
+        }
+      }
+    },
+    {
+      label: '捨棄 fields',
+      applies: embed => Array.isArray(embed.fields) && embed.fields.length > 0,
+      shrink: (embed, excess) => {
+        let remaining = excess;
+        while (embed.fields.length && remaining > 0) {
+          const [field] = embed.fields.splice(-1);
+          remaining -= String(field.name).length + String(field.value).length;
+        }
+      }
+    },
+    {
+      label: '縮短 footer',
+      applies: embed => Boolean(embed.footer && embed.footer.text),
+      shrink: (embed, excess) => {
+        const keepLength = String(embed.footer.text).length - excess;
+        if (keepLength > 1) {
+          embed.footer.text = truncateDiscordText(String(embed.footer.text), keepLength);
+        } else {
+          delete embed.footer;
+        }
+      }
+    }
+  ];
+
+  for (const { label, applies, shrink } of shrinkers) {
+    for (let index = embeds.length - 1; index >= 0 && overflow > 0; index--) {
+      const embed = embeds[index];
+      if (!applies(embed)) {
+        continue;
+      }
+      const before = countEmbedChars(embed);
+      shrink(embed, overflow);
+      overflow -= before - countEmbedChars(embed);
+      changes.push(`${describeDiscordEmbed(embed, index)}: embed 合計超過 ${DISCORD_MAX_EMBED_TOTAL_CHARS} 字,${label}`);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * 截斷文字並加上 …,以字素 (grapheme) 為單位,不會切開 emoji 或組合字元
+ */
+export function truncateDiscordText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  let end = 0;
+  if (graphemeSegmenter) {
+    for (const { segment } of graphemeSegmenter.segment(text)) {
+      if (end + segment.length > maxLength - 1) {
+        break;
+      }
+      end += segment.length;
+    }
+  } else {
+    end = text.slice(0, maxLength - 1).replace(/[\uD800-\uDBFF]$/, '').length;
+  }
+  return `${text.slice(0, end).trimEnd()}…`;
+}
+
+function isDiscordHttpUrl(value) {
+  return /^https?:\/\/\S+$/i.test(String(value).trim());
+}
+
+function describeDiscordEmbed(embed, index) {
+  const title = embed.title ? String(embed.title) : '';
+  return title ? `「${truncateDiscordText(title, 60)}」` : `embeds[${index}]`;
+}
+
+export function countEmbedChars(embed) {
+  let total = 0;
+  total += embed.title ? String(embed.title).length : 0;
+  total += embed.description ? String(embed.description).length : 0;
+  total += embed.footer && embed.footer.text ? String(embed.footer.text).length : 0;
+  total += embed.author && embed.author.name ? String(embed.author.name).length : 0;
+  for (const field of Array.isArray(embed.fields) ? embed.fields : []) {
+    total += String(field.name || '').length + String(field.value || '').length;
+  }
+  return total;
+}
+
+/**
+ * 讀取提及規則 (環境變數 JSON):[{ keywords?: [...], categories?: [...], roles?: [...], users?: [...] }]
+ * 格式錯誤的規則直接略過,不影響發送;沒有 keywords 也沒有 categories 的規則會提及每一篇文章,同樣略過
+ * @param {string} envName - 規則所在的環境變數名稱 (記錄錯誤用)
+ */
+export function parseMentionRules(raw, envName) {
+  if (!raw) {
+    return [];
+  }
+  let rules;
+  try {
+    rules = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    console.error(`${envName} 不是有效的 JSON,略過提及規則`);
+    return [];
+  }
+  if (!Array.isArray(rules)) {
+    return [];
+  }
+  return rules.filter(rule => {
+    if (!rule || typeof rule !== 'object') {
+      return false;
+    }
+    const idsValid = ['roles', 'users'].every(key => rule[key] === undefined
+      || (Array.isArray(rule[key]) && rule[key].every(id => /^\d+$/.test(String(id)))));
+    const hasCondition = ['keywords', 'categories'].some(key => Array.isArray(rule[key]) && rule[key].length > 0);
+    if (idsValid && !hasCondition) {
+      console.error(`${envName} 的提及規則缺少 keywords 或 categories,略過`);
+    }
+    return idsValid && hasCondition;
+  });
+}
+
+/**
+ * 依提及規則找出要提及的身分組與使用者
+ * 規則的 keywords 不分大小寫比對 text,categories 比對文章分類,符合其中之一即提及
+ * @returns {{roles: Array<string>, users: Array<string>}}
+ */
+export function resolveMentions(rules, text, categories = []) {
+  const roles = new Set();
+  const users = new Set();
+  const haystack = String(text || '').toLowerCase();
+
+  for (const rule of Array.isArray(rules) ? rules : []) {
+    if (!rule || typeof rule !== 'object') {
+      continue;
+    }
+    const keywords = Array.isArray(rule.keywords) ? rule.keywords : [];
+    const ruleCategories = Array.isArray(rule.categories) ? rule.categories : [];
+    const keywordHit = keywords.some(keyword => haystack.includes(String(keyword).toLowerCase()));
+    const categoryHit = ruleCategories.some(category => categories.includes(category));
+    if (!keywordHit && !categoryHit) {
+      continue;
+    }
+    (Array.isArray(rule.roles) ? rule.roles : []).forEach(id => roles.add(String(id)));
+    (Array.isArray(rule.users) ? rule.users : []).forEach(id => users.add(String(id)));
+  }
+
+  return { roles: [...roles], users: [...users] };
+}
+
+/**
+ * 提及文字與明確的 allowed_mentions (parse 為空,只放行指定的 id),抓來的內容裡的 @everyone 等不會生效
+ */
+export function buildMentionFields(mentions) {
+  const tokens = [
+    ...mentions.roles.map(id => `<@&${id}>`),
+    ...mentions.users.map(id => `<@${id}>`)
+  ];
+  const allowedMentions = { parse: [] };
+  if (mentions.roles.length) {
+    allowedMentions.roles = mentions.roles;
+  }
+  if (mentions.users.length) {
+    allowedMentions.users = mentions.users;
+  }
+  return { content: tokens.join(' '), allowed_mentions: allowedMentions };
+}
@@ -0,0 +1,98 @@
+/**
+ * 轉發目的地 (Telegram、LINE) 的發送紀錄 (各 worker 共用)
+ *
+ * 每個目的地的紀錄存在 sent:<來源 id>:<目的地>,值為 { 文章 id: { sentAt } },與 Discord 的紀錄分開,
+ * 轉發失敗的文章不會寫入,下次執行重送
+ */
+
+/**
+ * 讀取發送紀錄;超過 ttlSeconds 的紀錄在讀取時丟掉
+ * exists 為 false 表示剛啟用這個目的地,此時 dirty 為 true,確保本次執行後建立紀錄
+ * @param {string} label - 記錄錯誤用的目的地名稱,例如 'Telegram'
+ * @returns {Promise<{key: string, label: string, sent: Object, exists: boolean, dirty: boolean}>}
+ */
+export async function loadForwardRecords(kv, key, label, ttlSeconds) {
+  const sent = {};
+  let exists = false;
+  let dirty = false;
+
+  try {
+    const raw = await kv.get(key);
+    exists = Boolean(raw);
+    const data = raw ? JSON.parse(raw) : null;
+    const cutoffMs = Date.now() - ttlSeconds * 1000;
+
+    if (data && typeof data === 'object') {
+      for (const [id, record] of Object.entries(data)) {
+        const timestamp = record && typeof record.sentAt === 'string' ? Date.parse(record.sentAt) : NaN;
+        if (Number.isFinite(timestamp) && timestamp >= cutoffMs) {
+          sent[id] = { sentAt: record.sentAt };
+        } else {
+          dirty = true;
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`讀取 ${label} 發送紀錄失敗:`, error);
+  }
+
+  return { key, label, sent, exists, dirty: dirty || !exists };
+}
+
+/**
+ * 剛啟用紀錄時,把之前已發送 (Discord) 的文章視為已轉發,避免第一次執行把舊文章全部補送
+ */
+export function seedForwardRecords(records, ids) {
+  if (records.exists) {
+    return;
+  }
+  const sentAt = new Date().toISOString();
+  for (const id of ids) {
+    if (id && !records.sent[id]) {
+      records.sent[id] = { sentAt };
+    }
+  }
+}
+
+/**
+ * 依序轉發還沒有紀錄的文章,成功的寫入 records.sent;超過 deadline 時停止,剩下的下次執行再送
+ * @param {Array} items - 依發送順序排列的文章
+ * @param {{getId: Function, buildArticle: Function, send: Function, deadline: number}} options -
+ *   buildArticle 回傳 send(article, deadline) 的文章格式 (可為 Promise),send 回傳 { ok }
+ * @returns {Promise<{successCount: number, pendingCount: number}>} pendingCount 為本次需要轉發的篇數
+ */
+export async function sendPendingForwards(records, items, { getId, buildArticle, send, deadline }) {
+  const pending = items.filter(item => {
+    const id = getId(item);
+    return id && !records.sent[id];
+  });
+  let successCount = 0;
+
+  for (let index = 0; index < pending.length; index += 1) {
+    const item = pending[index];
+    if (Number.isFinite(deadline) && Date.now() >= deadline) {
+      console.warn(`${records.label} 轉發超過時間預算,剩餘 ${pending.length - index} 篇下次執行再送`);
+      break;
+    }
+    const result = await send(await buildArticle(item), deadline);
+    if (result.ok) {
+      records.sent[getId(item)] = { sentAt: new Date().toISOString() };
+      records.dirty = true;
+      successCount += 1;
+    }
+  }
+
+  return { successCount, pendingCount: pending.length };
+}
+
+export async function saveForwardRecords(kv, records, ttlSeconds) {
+  if (!records.dirty) {
+    return;
+  }
+  try {
+    await kv.put(records.key, JSON.stringify(records.sent), { expirationTtl: ttlSeconds });
+    records.dirty = false;
+  } catch (error) {
+    console.error(`寫入 ${records.label} 發送紀錄失敗:`, error);
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * 來源健康狀態 (各 worker 共用)
+ *
+ * 記錄每次執行的成敗、最後成功時間與取得的項目數,
+ * 連續失敗或產出遠低於平常 (中位數) 達 HEALTH_ALERT_THRESHOLD 次時通知 ops webhook,恢復時再通知一次
+ */
+
+import { discordRequest } from './discord.js';
+
+export const HEALTH_OPS_WEBHOOK_ENV = 'DISCORD_WEBHOOK_OPS';
+const DEFAULT_HEALTH_ALERT_THRESHOLD = 3;
+const HEALTH_SAMPLE_INTERVAL_MS = 60 * 60 * 1000; // 項目數每小時最多取樣一次,作為基準
+const HEALTH_MAX_SAMPLES = 48;
+const HEALTH_MIN_SAMPLES = 6; // 樣本不足時不判斷產出過低
+const HEALTH_MIN_BASELINE_ITEMS = 3; // 平常就很少項目的來源不判斷產出過低
+const HEALTH_LOW_YIELD_RATIO = 0.2; // 低於基準的 20% 視為產出過低
+const HEALTH_SAVE_INTERVAL_MS = 60 * 60 * 1000; // 狀態沒有變化時最多每小時寫入一次 KV
+const HEALTH_TTL_SECONDS = 30 * 24 * 60 * 60;
+const MAX_HEALTH_ERROR_LENGTH = 500;
+
+/**
+ * 讀取來源健康狀態 (sourceId → 紀錄);alerts 為本次執行待送出的狀態變化通知
+ * @param {{key: string, workerId: string}} options - key 為存放健康狀態的 KV key,workerId 顯示在通知的 footer
+ * @returns {Promise<{key: string, workerId: string, sources: Object, alerts: Array, threshold: number, dirty: boolean}>}
+ */
+export async function loadSourceHealth(env, kv, { key, workerId }) {
+  let sources = {};
+  try {
+    const data = await kv.get(key, { type: 'json' });
+    if (data && data.sources && typeof data.sources === 'object') {
+      sources = data.sources;
+    }
+  } catch (error) {
+    console.error('讀取來源健康狀態失敗:', error);
+  }
+  return { key, workerId, sources, alerts: [], threshold: getHealthAlertThreshold(env), dirty: false };
+}
+
+function getHealthAlertThreshold(env) {
+  const threshold = Number(env.HEALTH_ALERT_THRESHOLD);
+  return Number.isInteger(threshold) && threshold > 0 ? threshold : DEFAULT_HEALTH_ALERT_THRESHOLD;
+}
+
+/**
+ * 記錄來源本次執行的結果
+ * @param {{ok: boolean, itemCount?: number|null, error?: string}} result - itemCount 為 null 表示來源未更新 (304),不列入基準
+ * 狀態在 healthy / failing / low-yield 之間改變時排入 alerts,由 flushSourceHealth 通知
+ */
+export function recordSourceHealth(health, source, result) {
+  const nowMs = Date.now();
+  const now = new Date(nowMs).toISOString();
+  const previous = health.sources[source.id] || null;
+  const record = {
+    status: 'healthy',
+    statusSince: now,
+    consecutiveFailures: 0,
+    consecutiveLowYield: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    lastItemCount: null,
+    samples: [],
+    sampledAt: null,
+    ...previous,
+    name: source.name,
+    lastRunAt: now
+  };
+  const before = JSON.stringify([record.consecutiveFailures, record.consecutiveLowYield, record.lastError]);
+  const baseline = getHealthBaseline(record.samples);
+  let sampled = false;
+
+  if (!result.ok) {
+    record.consecutiveFailures += 1;
+    record.lastFailureAt = now;
+    record.lastError = String(result.error || 'unknown error').slice(0, MAX_HEALTH_ERROR_LENGTH);
+  } else {
+    record.consecutiveFailures = 0;
+    record.lastSuccessAt = now;
+    record.lastError = null;
+    if (Number.isFinite(result.itemCount)) {
+      const lowYield = baseline !== null && baseline >= HEALTH_MIN_BASELINE_ITEMS && result.itemCount < baseline * HEALTH_LOW_YIELD_RATIO;
+      record.consecutiveLowYield = lowYield ? record.consecutiveLowYield + 1 : 0;
+      record.lastItemCount = result.itemCount;
+      // 產出過低的結果不列入樣本,避免異常期間拉低基準
+      if (!lowYield && !(nowMs - Date.parse(record.sampledAt) < HEALTH_SAMPLE_INTERVAL_MS)) {
+        record.samples = [...record.samples, result.itemCount].slice(-HEALTH_MAX_SAMPLES);
+        record.sampledAt = now;
+        sampled = true;
+      }
+    }
+  }
+
+  let status = record.status;
+  if (record.consecutiveFailures >= health.threshold) {
+    status = 'failing';
+  } else if (record.consecutiveLowYield >= health.threshold) {
+    status = 'low-yield';
+  } else if (record.consecutiveFailures === 0 && record.consecutiveLowYield === 0) {
+    status = 'healthy';
+  }
+
+  if (status !== record.status) {
+    health.alerts.push({ sourceId: source.id, status, baseline });
+  }
+  // 狀態、計數或樣本改變時才寫入 KV,其餘情況最多每小時寫入一次 (更新 lastRunAt / lastSuccessAt)
+  const changed = sampled || status !== record.status || JSON.stringify([record.consecutiveFailures, record.consecutiveLowYield, record.lastError]) !== before;
+  if (changed || !(nowMs - Date.parse(record.updatedAt) < HEALTH_SAVE_INTERVAL_MS)) {
+    record.updatedAt = now;
+    health.dirty = true;
+  }
+  health.sources[source.id] = record;
+  return record;
+}
+
+/**
+ * 基準為近期樣本的中位數;樣本不足時回傳 null
+ */
+function getHealthBaseline(samples) {
+  if (!Array.isArray(samples) || samples.length < HEALTH_MIN_SAMPLES) {
+    return null;
+  }
+  const sorted = [...samples].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * 送出狀態變化通知並寫回 KV;通知失敗時維持原狀態,下次執行再通知。未設定 ops webhook 時只記錄狀態
+ */
+export async function flushSourceHealth(env, kv, health) {
+  const webhookUrl = env[HEALTH_OPS_WEBHOOK_ENV];
+  for (const alert of health.alerts) {
+    const record = health.sources[alert.sourceId];
+    if (webhookUrl) {
+      const result = await discordRequest(webhookUrl, {
+        embeds: [buildHealthAlertEmbed(record, alert, health.workerId)],
+        allowed_mentions: { parse: [] }
+      });
+      if (!result.ok) {
+        console.error(`來源健康通知發送失敗 (${record.name}): ${result.status} - ${result.errorText}`);
+        continue;
+      }
+    }
+    console.log(`來源健康狀態變更: ${record.name} ${record.status} → ${alert.status}`);
+    record.status = alert.status;
+    record.statusSince = new Date().toISOString();
+  }
+  health.alerts = [];
+
+  if (!health.dirty) {
+    return;
+  }
+  try {
+    await kv.put(health.key, JSON.stringify({ sources: health.sources }), { expirationTtl: HEALTH_TTL_SECONDS });
+    health.dirty = false;
+  } catch (error) {
+    console.error('寫入來源健康狀態失敗:', error);
+  }
+}
+
+function buildHealthAlertEmbed(record, alert, workerId) {
+  const fields = [
+    { name: '最後成功', value: record.lastSuccessAt || '無紀錄', inline: true },
+    { name: '最近項目數', value: Number.isFinite(record.lastItemCount) ? String(record.lastItemCount) : '-', inline: true }
+  ];
+  const embed = {
+    footer: { text: `${workerId} 來源健康檢查` },
+    timestamp: new Date().toISOString()
+  };
+
+  if (alert.status === 'failing') {
+    return {
+      ...embed,
+      title: `⚠️ ${record.name} 連續 ${record.consecutiveFailures} 次抓取失敗`,
+      description: `\`\`\`${String(record.lastError || '').slice(0, 1000)}\`\`\``,
+      color: 0xE74C3C,
+      fields
+    };
+  }
+  if (alert.status === 'low-yield') {
+    return {
+      ...embed,
+      title: `⚠️ ${record.name} 連續 ${record.consecutiveLowYield} 次只取得 ${record.lastItemCount} 個項目`,
+      description: `平常約 ${alert.baseline} 個,可能是來源版面或格式變動`,
+      color: 0xF1C40F,
+      fields
+    };
+  }
+  return {
+    ...embed,
+    title: `✅ ${record.name} 已恢復`,
+    description: `${record.status === 'failing' ? '抓取失敗' : '產出過低'}自 ${record.statusSince} 開始`,
+    color: 0x2ECC71,
+    fields
+  };
+}
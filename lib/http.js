@@ -0,0 +1,54 @@
+/**
+ * HTTP 小工具 (各 worker 共用)
+ */
+
+export function jsonResponse(data, status = 200) {
+  return new Response(JSON.stringify(data, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' }
+  });
+}
+
+export async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 延遲函數
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 依上次回應的 ETag / Last-Modified 建立條件式請求標頭
+ * @param {Object|null} cache - { etag, lastModified }
+ */
+export function buildConditionalHeaders(cache) {
+  const headers = {};
+  if (cache && cache.etag) {
+    headers['If-None-Match'] = cache.etag;
+  }
+  if (cache && cache.lastModified) {
+    headers['If-Modified-Since'] = cache.lastModified;
+  }
+  return headers;
+}
+
+/**
+ * 讀取回應的 ETag / Last-Modified,兩者皆無時回傳 null
+ * @param {Response} response
+ */
+export function readCacheValidators(response) {
+  const etag = response.headers.get('ETag');
+  const lastModified = response.headers.get('Last-Modified');
+  if (!etag && !lastModified) {
+    return null;
+  }
+  return { etag: etag || null, lastModified: lastModified || null };
+}
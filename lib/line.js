@@ -0,0 +1,220 @@
+/**
+ * LINE Messaging API push client (各 worker 共用)
+ *
+ * LINE_CHANNEL_ACCESS_TOKEN 為 channel access token,LINE_API_BASE 可改指向本機 mock 測試
+ */
+
+import { DISCORD_TIME_BUDGET_MS } from './discord.js';
+import { loadForwardRecords, saveForwardRecords, seedForwardRecords, sendPendingForwards } from './forward.js';
+import { sleep } from './http.js';
+import { getPreviewContext, recordPreviewRequest } from './preview.js';
+
+export const LINE_ACCESS_TOKEN_ENV = 'LINE_CHANNEL_ACCESS_TOKEN';
+const DEFAULT_LINE_API_BASE = 'https://api.line.me';
+export const LINE_RECIPIENT_ID_PATTERN = /^[UCR][0-9a-f]{32}$/; // 使用者 (U)、群組 (C) 或聊天室 (R) id
+const LINE_MAX_ALT_TEXT_LENGTH = 400;
+const LINE_MAX_TITLE_LENGTH = 200;
+const LINE_MAX_DESCRIPTION_LENGTH = 300;
+const LINE_MAX_IMAGE_URL_LENGTH = 2000;
+const LINE_MAX_ATTEMPTS = 3;
+const LINE_LINK_LABEL = '閱讀全文';
+
+/**
+ * LINE 設定:需要 channel access token 與至少一個收件者 (使用者 / 群組 id,逗號分隔或陣列),缺少時回傳 null
+ * LINE_API_BASE 可改指向本機 mock 測試
+ * @returns {{apiBase: string, token: string, to: Array<string>}|null}
+ */
+export function getLineConfig(env, recipients, tokenEnv = LINE_ACCESS_TOKEN_ENV) {
+  const token = env[tokenEnv];
+  const to = (Array.isArray(recipients) ? recipients : String(recipients || '').split(','))
+    .map(id => String(id).trim())
+    .filter(Boolean);
+  if (!token || !to.length) {
+    return null;
+  }
+  return {
+    apiBase: String(env.LINE_API_BASE || DEFAULT_LINE_API_BASE).replace(/\/+$/, ''),
+    token: String(token),
+    to
+  };
+}
+
+/**
+ * 把文章 { title, description, link, thumbnail, footer } 轉成 Flex Message bubble
+ * hero 為縮圖 (只接受 https),footer 顯示推文數或來源名稱,點擊卡片或按鈕開啟文章
+ */
+function buildLineFlexMessage(article) {
+  const title = truncateLineText(String(article.title || '').trim(), LINE_MAX_TITLE_LENGTH) || LINE_LINK_LABEL;
+  const description = truncateLineText(String(article.description || '').trim(), LINE_MAX_DESCRIPTION_LENGTH);
+  const footerText = String(article.footer || '').trim();
+  const action = /^https?:\/\//i.test(article.link || '') ? { type: 'uri', label: LINE_LINK_LABEL, uri: article.link } : null;
+
+  const body = {
+    type: 'box',
+    layout: 'vertical',
+    spacing: 'sm',
+    contents: [{ type: 'text', text: title, weight: 'bold', size: 'md', wrap: true, maxLines: 3 }]
+  };
+  if (description) {
+    body.contents.push({ type: 'text', text: description, size: 'sm', color: '#666666', wrap: true, maxLines: 5 });
+  }
+  if (action) {
+    body.action = action;
+  }
+
+  const bubble = { type: 'bubble', body };
+  const thumbnail = String(article.thumbnail || '');
+  if (/^https:\/\//i.test(thumbnail) && thumbnail.length <= LINE_MAX_IMAGE_URL_LENGTH) {
+    bubble.hero = { type: 'image', url: thumbnail, size: 'full', aspectRatio: '20:13', aspectMode: 'cover' };
+    if (action) {
+      bubble.hero.action = action;
+    }
+  }
+
+  const footerContents = [];
+  if (footerText) {
+    footerContents.push({ type: 'text', text: footerText, size: 'xs', color: '#999999', wrap: true });
+  }
+  if (action) {
+    footerContents.push({ type: 'button', style: 'link', height: 'sm', action });
+  }
+  if (footerContents.length) {
+    bubble.footer = { type: 'box', layout: 'vertical', spacing: 'sm', contents: footerContents };
+  }
+
+  return {
+    type: 'flex',
+    altText: truncateLineText(footerText ? `${title} - ${footerText}` : title, LINE_MAX_ALT_TEXT_LENGTH),
+    contents: bubble
+  };
+}
+
+function truncateLineText(text, maxLength) {
+  const chars = Array.from(text);
+  if (chars.length <= maxLength) {
+    return text;
+  }
+  return `${chars.slice(0, maxLength - 1).join('').trimEnd()}…`;
+}
+
+/**
+ * 推送文章到所有收件者;任一收件者失敗時回傳最後一個失敗結果 (成功的收件者不會重送)
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, errorText: string}>}
+ */
+export async function sendToLine(config, article, deadline) {
+  const message = buildLineFlexMessage(article);
+  let failed = null;
+  for (const to of config.to) {
+    try {
+      const result = await linePushRequest(config, to, [message], deadline);
+      if (!result.ok) {
+        console.error(`LINE 推送失敗 (${to}): ${result.status} - ${result.errorText}`);
+        failed = result;
+      }
+    } catch (error) {
+      console.error(`LINE 推送發生錯誤 (${to}):`, error);
+      failed = { ok: false, status: 0, data: null, errorText: error.message };
+    }
+  }
+  return failed || { ok: true, status: 200, data: {}, errorText: '' };
+}
+
+/**
+ * 呼叫 LINE push message API;同一則推送的重試帶相同的 X-Line-Retry-Key,LINE 已收過時回應 409 視為成功
+ * 429 (月額度用完除外) 與 5xx 依次數退避,在時間預算內重試;預覽時 (LINE_API_BASE 為 preview 網址) 只記錄 payload
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, errorText: string}>}
+ */
+async function linePushRequest(config, to, messages, deadline) {
+  const url = `${config.apiBase}/v2/bot/message/push`;
+  const payload = { to, messages };
+  const previewContext = getPreviewContext(url);
+  if (previewContext) {
+    return recordPreviewRequest(previewContext, url, payload, 'POST');
+  }
+  const budgetDeadline = Number.isFinite(deadline) ? deadline : Date.now() + DISCORD_TIME_BUDGET_MS;
+  const retryKey = crypto.randomUUID();
+  let lastResult = { ok: false, status: 0, data: null, errorText: '' };
+
+  for (let attempt = 1; attempt <= LINE_MAX_ATTEMPTS; attempt += 1) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${config.token}`,
+          'X-Line-Retry-Key': retryKey
+        },
+        body: JSON.stringify(payload)
+      });
+    } catch (error) {
+      lastResult = { ok: false, status: 0, data: null, errorText: error.message };
+      if (!canRetryLine(attempt, 1000, budgetDeadline)) {
+        return lastResult;
+      }
+      await sleep(1000);
+      continue;
+    }
+
+    const text = await response.text();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      body = null;
+    }
+    if (response.ok || response.status === 409) {
+      return { ok: true, status: response.status, data: body || {}, errorText: '' };
+    }
+    lastResult = { ok: false, status: response.status, data: null, errorText: body && body.message ? formatLineError(body) : text };
+
+    const monthlyLimit = response.status === 429 && /monthly limit/i.test(lastResult.errorText);
+    const waitMs = (response.status === 429 && !monthlyLimit) || response.status >= 500 ? 1000 * attempt : null;
+    if (waitMs === null || !canRetryLine(attempt, waitMs, budgetDeadline)) {
+      return lastResult;
+    }
+    await sleep(waitMs);
+  }
+
+  return lastResult;
+}
+
+function formatLineError(body) {
+  const details = Array.isArray(body.details)
+    ? body.details.map(detail => `${detail.property || ''} ${detail.message || ''}`.trim()).filter(Boolean)
+    : [];
+  return details.length ? `${body.message} (${details.join('; ')})` : body.message;
+}
+
+function canRetryLine(attempt, waitMs, deadline) {
+  return attempt < LINE_MAX_ATTEMPTS && Date.now() + waitMs <= deadline;
+}
+
+/**
+ * 讀取 LINE 的發送紀錄 (sent:<來源 id>:line,見 lib/forward.js)
+ */
+export function loadLineSentRecords(kv, sourceId, ttlSeconds) {
+  return loadForwardRecords(kv, `sent:${sourceId}:line`, 'LINE', ttlSeconds);
+}
+
+export function seedLineSentRecords(records, ids) {
+  seedForwardRecords(records, ids);
+}
+
+/**
+ * 依序推送還沒有 LINE 紀錄的文章,buildArticle 回傳 sendToLine 的文章格式 (可為 Promise)
+ * 任一收件者失敗時整篇不記錄,下次執行重送
+ * @returns {Promise<{successCount: number, pendingCount: number}>}
+ */
+export function sendPendingToLine(config, records, items, { getId, buildArticle, deadline }) {
+  return sendPendingForwards(records, items, {
+    getId,
+    buildArticle,
+    send: (article, sendDeadline) => sendToLine(config, article, sendDeadline),
+    deadline
+  });
+}
+
+export function saveLineSentRecords(kv, records, ttlSeconds) {
+  return saveForwardRecords(kv, records, ttlSeconds);
+}
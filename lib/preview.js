@@ -0,0 +1,194 @@
+/**
+ * 預覽 (dry-run) 共用邏輯
+ *
+ * KV 寫入只留在記憶體,webhook 與 Telegram / LINE API 換成 preview 網址,
+ * discordRequest / telegramRequest / linePushRequest 看到 preview 網址就只記錄 payload 不送出
+ */
+
+import { jsonResponse } from './http.js';
+
+export const PREVIEW_WEBHOOK_ORIGIN = 'https://preview.invalid';
+export const DISCORD_WEBHOOK_URL_PATTERN = /^https:\/\/(?:[\w-]+\.)?discord(?:app)?\.com\/api\/(?:v\d+\/)?webhooks\//i;
+export const SLACK_WEBHOOK_URL_PATTERN = /^https:\/\/hooks\.slack\.com\//i;
+const MAX_PREVIEW_DIFF_CHANGES = 200; // stateDiff 每個 key 最多列出的變動數
+const previewContexts = new Map(); // preview id → 執行中的預覽 context
+
+/**
+ * 建立預覽 context:
+ * - KV 讀取照常,寫入與刪除只記在 writes (之後的讀取會看到),最後整理成 stateDiff
+ * - webhook 環境變數 (名稱含 WEBHOOK 或值為 Discord / Slack webhook) 換成 preview 網址,discordRequest 等發送函式看到就只記錄 payload
+ * 用完需以 releasePreviewContext 移除
+ */
+export function createPreviewContext(env, kvBinding = 'RSS_CACHE') {
+  const id = crypto.randomUUID();
+  const base = env[kvBinding];
+  const writes = new Map();
+  const context = { id, base, writes, items: [], payloads: [], notes: [], messageCount: 0, env: null };
+
+  const kv = base ? {
+    async get(key, options) {
+      if (!writes.has(key)) {
+        return base.get(key, options);
+      }
+      const { value } = writes.get(key);
+      const type = typeof options === 'string' ? options : options && options.type;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value, options) {
+      writes.set(key, { value: String(value), options: options || null });
+    },
+    async delete(key) {
+      writes.set(key, { value: null, options: null });
+    }
+  } : base;
+
+  const previewEnv = { ...env, [kvBinding]: kv };
+  for (const [name, value] of Object.entries(env)) {
+    if (typeof value === 'string' && (DISCORD_WEBHOOK_URL_PATTERN.test(value) || SLACK_WEBHOOK_URL_PATTERN.test(value) || (/WEBHOOK/i.test(name) && /^https?:\/\//i.test(value)))) {
+      previewEnv[name] = `${PREVIEW_WEBHOOK_ORIGIN}/${id}/${encodeURIComponent(name)}${new URL(value).search}`;
+    }
+  }
+  // Telegram Bot API 與 LINE API 也換成 preview 網址 (不含 token),telegramRequest / linePushRequest 看到就只記錄 payload
+  previewEnv.TELEGRAM_API_BASE = `${PREVIEW_WEBHOOK_ORIGIN}/${id}/TELEGRAM_API_BASE`;
+  previewEnv.LINE_API_BASE = `${PREVIEW_WEBHOOK_ORIGIN}/${id}/LINE_API_BASE`;
+  context.env = previewEnv;
+  previewContexts.set(id, context);
+  return context;
+}
+
+export function releasePreviewContext(context) {
+  previewContexts.delete(context.id);
+}
+
+export function getPreviewContext(webhookUrl) {
+  const prefix = `${PREVIEW_WEBHOOK_ORIGIN}/`;
+  if (typeof webhookUrl !== 'string' || !webhookUrl.startsWith(prefix)) {
+    return null;
+  }
+  return previewContexts.get(webhookUrl.slice(prefix.length).split('/')[0]) || null;
+}
+
+/**
+ * GET /preview[?mode=trigger] 的共用流程:預設模擬排程執行,mode=trigger 模擬 /trigger
+ * 在預覽 context 中執行 run(previewEnv, testMode, preview),回傳預覽結果;執行失敗時回 500
+ */
+export async function handlePreviewRequest(env, url, workerId, run) {
+  const mode = url.searchParams.get('mode') === 'trigger' ? 'trigger' : 'scheduled';
+  const preview = createPreviewContext(env);
+  try {
+    await run(preview.env, mode === 'trigger', preview);
+    return jsonResponse(await buildPreviewReport(preview, mode, workerId));
+  } catch (error) {
+    return jsonResponse({ error: error.message }, 500);
+  } finally {
+    releasePreviewContext(preview);
+  }
+}
+
+/**
+ * 記錄預覽中原本要送出的 Discord 請求,回傳假的成功結果 (POST 附上 preview 訊息 id)
+ */
+export function recordPreviewRequest(context, webhookUrl, payload, method) {
+  const url = new URL(webhookUrl);
+  const [, , webhookEnv, ...rest] = url.pathname.split('/');
+  url.searchParams.delete('wait');
+  context.payloads.push({
+    method,
+    webhook: decodeURIComponent(webhookEnv),
+    path: rest.length ? `/${rest.join('/')}` : '',
+    query: url.searchParams.toString(),
+    payload
+  });
+
+  if (method !== 'POST') {
+    return { ok: true, status: 204, data: null, errorText: '' };
+  }
+  context.messageCount += 1;
+  const messageId = `preview-${context.messageCount}`;
+  return { ok: true, status: 200, data: { id: messageId, channel_id: url.searchParams.get('thread_id') || messageId }, errorText: '' };
+}
+
+/**
+ * 整理預覽結果:解析的文章與判斷、原本要送出的 payload,以及各 KV key 的前後差異
+ */
+export async function buildPreviewReport(context, mode, workerId) {
+  const stateDiff = [];
+  for (const [key, write] of context.writes) {
+    const before = context.base ? await context.base.get(key) : null;
+    stateDiff.push({
+      key,
+      op: write.value === null ? 'delete' : 'put',
+      expirationTtl: write.options && write.options.expirationTtl ? write.options.expirationTtl : null,
+      changes: diffPreviewValues(parsePreviewValue(before), parsePreviewValue(write.value))
+    });
+  }
+
+  return {
+    worker: workerId,
+    mode,
+    generatedAt: new Date().toISOString(),
+    notes: context.notes,
+    items: context.items,
+    payloads: context.payloads,
+    stateDiff
+  };
+}
+
+function parsePreviewValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * 比對 KV 值的差異,列出葉節點的 { path, before, after }
+ * 元素都有 id / link 的陣列以該值為 key 比對,避免新文章插入後整個陣列位移;純值陣列只列出增減
+ */
+function diffPreviewValues(before, after, path = '', changes = []) {
+  if (changes.length >= MAX_PREVIEW_DIFF_CHANGES) {
+    return changes;
+  }
+
+  if (isPrimitiveArray(before) && isPrimitiveArray(after)) {
+    const added = after.filter(value => !before.includes(value));
+    const removed = before.filter(value => !after.includes(value));
+    if (added.length || removed.length) {
+      changes.push({ path: path || '$', added, removed });
+    }
+    return changes;
+  }
+
+  const left = toKeyedEntries(before);
+  const right = toKeyedEntries(after);
+  if (left && right && typeof left === 'object' && typeof right === 'object' && Array.isArray(left) === Array.isArray(right)) {
+    for (const key of new Set([...Object.keys(left), ...Object.keys(right)])) {
+      diffPreviewValues(left[key], right[key], path ? `${path}.${key}` : key, changes);
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(before) !== JSON.stringify(after) && changes.length < MAX_PREVIEW_DIFF_CHANGES) {
+    changes.push({
+      path: path || '$',
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after
+    });
+  }
+  return changes;
+}
+
+function isPrimitiveArray(value) {
+  return Array.isArray(value) && value.every(item => item === null || typeof item !== 'object');
+}
+
+function toKeyedEntries(value) {
+  if (!Array.isArray(value) || !value.every(item => item && typeof item === 'object' && (item.id || item.link))) {
+    return value;
+  }
+  return Object.fromEntries(value.map(item => [String(item.id || item.link), item]));
+}
@@ -0,0 +1,200 @@
+/**
+ * Telegram Bot API client (各 worker 共用)
+ *
+ * TELEGRAM_BOT_TOKEN 為 bot token,TELEGRAM_API_BASE 可改指向本機 stub 測試
+ */
+
+import { DISCORD_MAX_WAIT_MS, DISCORD_TIME_BUDGET_MS } from './discord.js';
+import { loadForwardRecords, saveForwardRecords, seedForwardRecords, sendPendingForwards } from './forward.js';
+import { sleep } from './http.js';
+import { getPreviewContext, recordPreviewRequest } from './preview.js';
+
+export const TELEGRAM_BOT_TOKEN_ENV = 'TELEGRAM_BOT_TOKEN';
+const DEFAULT_TELEGRAM_API_BASE = 'https://api.telegram.org';
+const TELEGRAM_MAX_MESSAGE_LENGTH = 4096;
+const TELEGRAM_MAX_CAPTION_LENGTH = 1024;
+const TELEGRAM_MAX_TITLE_LENGTH = 256;
+const TELEGRAM_MAX_ATTEMPTS = 3;
+const TELEGRAM_LINK_LABEL = '閱讀全文';
+
+/**
+ * Telegram 設定:需要 bot token 與聊天室 id (數字 id 或 @頻道名稱),缺少任一項時回傳 null
+ * TELEGRAM_API_BASE 可改指向本機 stub 測試
+ * @returns {{apiBase: string, token: string, chatId: string}|null}
+ */
+export function getTelegramConfig(env, chatId, tokenEnv = TELEGRAM_BOT_TOKEN_ENV) {
+  const token = env[tokenEnv];
+  if (!token || !chatId) {
+    return null;
+  }
+  return {
+    apiBase: String(env.TELEGRAM_API_BASE || DEFAULT_TELEGRAM_API_BASE).replace(/\/+$/, ''),
+    token: String(token),
+    chatId: String(chatId).trim()
+  };
+}
+
+/**
+ * 把文章 { title, description, link, thumbnail, sourceName } 轉成 Telegram Bot API 請求 (HTML parse mode)
+ * 有 http(s) 縮圖時用 sendPhoto (caption 上限 1024 字),否則用 sendMessage (上限 4096 字),超過上限時截短描述
+ * @returns {{apiMethod: string, payload: Object}}
+ */
+function buildTelegramRequest(article, chatId) {
+  const photo = /^https?:\/\//i.test(article.thumbnail || '') ? article.thumbnail : null;
+  const link = /^https?:\/\//i.test(article.link || '') ? article.link : null;
+  const limit = photo ? TELEGRAM_MAX_CAPTION_LENGTH : TELEGRAM_MAX_MESSAGE_LENGTH;
+  const title = truncateTelegramText(String(article.title || '').trim(), TELEGRAM_MAX_TITLE_LENGTH);
+  const sourceName = String(article.sourceName || '').trim();
+
+  const head = title ? [`<b>${escapeTelegramHtml(title)}</b>`] : [];
+  const tail = [];
+  if (link) {
+    tail.push(`<a href="${escapeTelegramHtml(link)}">${TELEGRAM_LINK_LABEL}</a>`);
+  }
+  if (sourceName) {
+    tail.push(`<i>${escapeTelegramHtml(sourceName)}</i>`);
+  }
+
+  // Telegram 以去掉 HTML 標籤後的文字計算長度;描述只能用其他段落 (含段落間的空行) 剩下的長度
+  const reserved = title.length + (link ? TELEGRAM_LINK_LABEL.length : 0) + sourceName.length + (head.length + tail.length) * 2;
+  const description = truncateTelegramText(String(article.description || '').trim(), limit - reserved);
+  const text = [...head, ...(description ? [escapeTelegramHtml(description)] : []), ...tail].join('\n\n') || TELEGRAM_LINK_LABEL;
+
+  if (photo) {
+    return { apiMethod: 'sendPhoto', payload: { chat_id: chatId, photo, caption: text, parse_mode: 'HTML' } };
+  }
+  return { apiMethod: 'sendMessage', payload: { chat_id: chatId, text, parse_mode: 'HTML' } };
+}
+
+function escapeTelegramHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function truncateTelegramText(text, maxLength) {
+  if (maxLength <= 0) {
+    return '';
+  }
+  if (text.length <= maxLength) {
+    return text;
+  }
+  // 不要切在 surrogate pair 中間
+  const cut = text.slice(0, maxLength - 1).replace(/[\uD800-\uDBFF]$/, '');
+  return `${cut.trimEnd()}…`;
+}
+
+/**
+ * 發送文章到 Telegram;sendPhoto 因圖片無法使用被拒 (400) 時改用 sendMessage 重送一次
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, errorText: string}>} 成功時 data 為 Telegram 建立的訊息
+ */
+export async function sendToTelegram(config, article, deadline) {
+  try {
+    const request = buildTelegramRequest(article, config.chatId);
+    let result = await telegramRequest(config, request.apiMethod, request.payload, deadline);
+    if (!result.ok && result.status === 400 && request.apiMethod === 'sendPhoto') {
+      console.warn(`Telegram sendPhoto 失敗,改用 sendMessage: ${result.errorText}`);
+      const fallback = buildTelegramRequest({ ...article, thumbnail: null }, config.chatId);
+      result = await telegramRequest(config, fallback.apiMethod, fallback.payload, deadline);
+    }
+    if (!result.ok) {
+      console.error(`Telegram 發送失敗: ${result.status} - ${result.errorText}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('發送 Telegram 發生錯誤:', error);
+    return { ok: false, status: 0, data: null, errorText: error.message };
+  }
+}
+
+/**
+ * 呼叫 Telegram Bot API;429 依 parameters.retry_after、5xx 依次數退避,在時間預算內重試
+ * 預覽時 (TELEGRAM_API_BASE 為 preview 網址) 只記錄 payload,網址不含 bot token
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, errorText: string}>}
+ */
+async function telegramRequest(config, apiMethod, payload, deadline) {
+  const previewContext = getPreviewContext(config.apiBase);
+  if (previewContext) {
+    return recordPreviewRequest(previewContext, `${config.apiBase}/${apiMethod}`, payload, 'POST');
+  }
+  const budgetDeadline = Number.isFinite(deadline) ? deadline : Date.now() + DISCORD_TIME_BUDGET_MS;
+  let lastResult = { ok: false, status: 0, data: null, errorText: '' };
+
+  for (let attempt = 1; attempt <= TELEGRAM_MAX_ATTEMPTS; attempt += 1) {
+    let response;
+    try {
+      response = await fetch(`${config.apiBase}/bot${config.token}/${apiMethod}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+    } catch (error) {
+      lastResult = { ok: false, status: 0, data: null, errorText: error.message };
+      if (!canRetryTelegram(attempt, 1000, budgetDeadline)) {
+        return lastResult;
+      }
+      await sleep(1000);
+      continue;
+    }
+
+    const text = await response.text();
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      body = null;
+    }
+    if (response.ok && body && body.ok) {
+      return { ok: true, status: response.status, data: body.result || null, errorText: '' };
+    }
+    lastResult = { ok: false, status: response.status, data: null, errorText: body && body.description ? body.description : text };
+
+    let waitMs = null;
+    if (response.status === 429) {
+      const retryAfter = body && body.parameters ? Number(body.parameters.retry_after) : NaN;
+      waitMs = (Number.isFinite(retryAfter) ? retryAfter : 1) * 1000;
+    } else if (response.status >= 500) {
+      waitMs = 1000 * attempt;
+    }
+    if (waitMs === null || !canRetryTelegram(attempt, waitMs, budgetDeadline)) {
+      return lastResult;
+    }
+    await sleep(waitMs);
+  }
+
+  return lastResult;
+}
+
+function canRetryTelegram(attempt, waitMs, deadline) {
+  return attempt < TELEGRAM_MAX_ATTEMPTS && waitMs <= DISCORD_MAX_WAIT_MS && Date.now() + waitMs <= deadline;
+}
+
+/**
+ * 讀取 Telegram 的發送紀錄 (sent:<來源 id>:telegram,見 lib/forward.js)
+ */
+export function loadTelegramSentRecords(kv, sourceId, ttlSeconds) {
+  return loadForwardRecords(kv, `sent:${sourceId}:telegram`, 'Telegram', ttlSeconds);
+}
+
+export function seedTelegramSentRecords(records, ids) {
+  seedForwardRecords(records, ids);
+}
+
+/**
+ * 依序轉發還沒有 Telegram 紀錄的文章,buildArticle 回傳 sendToTelegram 的文章格式 (可為 Promise)
+ * @returns {Promise<{successCount: number, pendingCount: number}>}
+ */
+export function sendPendingToTelegram(config, records, items, { getId, buildArticle, deadline }) {
+  return sendPendingForwards(records, items, {
+    getId,
+    buildArticle,
+    send: (article, sendDeadline) => sendToTelegram(config, article, sendDeadline),
+    deadline
+  });
+}
+
+export function saveTelegramSentRecords(kv, records, ttlSeconds) {
+  return saveForwardRecords(kv, records, ttlSeconds);
+}
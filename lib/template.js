@@ -0,0 +1,549 @@
+/**
+ * 訊息模板引擎與驗證 (各 worker 共用)
+ *
+ * 模板以 /admin/templates 設定,存放在 KV 的 template:<來源 id>;
+ * 沒有模板或產生的內容超過 Discord 上限時由呼叫端改用內建的 embed
+ */
+
+import { checkDiscordPayloadLimits, truncateDiscordText } from './discord.js';
+import { jsonResponse, readJsonBody } from './http.js';
+
+export const TEMPLATE_KEY_PREFIX = 'template:';
+const MAX_TEMPLATE_SIZE = 16 * 1024; // 模板 JSON 的字數上限
+const MAX_TEMPLATE_SECTION_DEPTH = 4; // 條件區塊最多巢狀層數
+const TEMPLATE_FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+export const TEMPLATE_FILTERS = ['truncate', 'number', 'default', 'upper', 'lower', 'date', 'url'];
+// 模板可使用的 embed 欄位,'text' 為可使用模板語法的字串
+const TEMPLATE_EMBED_SHAPE = {
+  title: 'text',
+  description: 'text',
+  url: 'text',
+  color: 'text',
+  timestamp: 'text',
+  author: { name: 'text', url: 'text', icon_url: 'text' },
+  footer: { text: 'text', icon_url: 'text' },
+  thumbnail: { url: 'text' },
+  image: { url: 'text' },
+  fields: [{ name: 'text', value: 'text', inline: 'text' }]
+};
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000; // date 過濾器以台北時間 (UTC+8) 顯示
+
+/**
+ * 讀取來源的訊息模板;沒有設定或讀取失敗時回傳 null (使用內建格式)
+ */
+export async function loadMessageTemplate(kv, sourceId) {
+  try {
+    const stored = await kv.get(`${TEMPLATE_KEY_PREFIX}${sourceId}`, { type: 'json' });
+    return stored && stored.template && typeof stored.template === 'object' ? stored.template : null;
+  } catch (error) {
+    console.error(`讀取訊息模板失敗 (${sourceId}):`, error);
+    return null;
+  }
+}
+
+/**
+ * 依模板產生 Discord payload;模板錯誤或產生的內容超過 Discord 上限時回傳 null,由呼叫端改用內建格式
+ * @param {string} label - 記錄用的文章標題
+ */
+export function renderDiscordTemplate(template, context, label) {
+  try {
+    const payload = renderMessageTemplate(template, context);
+    const errors = payload ? checkDiscordPayloadLimits(payload) : ['模板沒有產生任何內容'];
+    if (!errors.length) {
+      return payload;
+    }
+    console.error(`訊息模板無法用於 ${label},改用內建格式: ${errors.join('; ')}`);
+  } catch (error) {
+    console.error(`訊息模板無法用於 ${label},改用內建格式: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * 模板是 Discord payload 形式的 JSON ({ content?, embeds: [...] }),其中的字串都可以使用模板語法:
+ * - {{field}} 插入欄位,{{field|filter|filter:arg}} 依序套用過濾器 (見 TEMPLATE_FILTERS)
+ * - {{#field}}...{{/field}} 欄位有值時才輸出,{{^field}}...{{/field}} 欄位沒有值時才輸出
+ * 產生後的空字串欄位會被移除,見 normalizeRenderedPayload
+ * @returns {Object|null} 沒有任何內容時回傳 null
+ */
+export function renderMessageTemplate(template, context) {
+  const renderValue = value => {
+    if (typeof value === 'string') {
+      return renderTemplateNodes(parseTemplateString(value), context);
+    }
+    if (Array.isArray(value)) {
+      return value.map(renderValue);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, renderValue(entry)]));
+    }
+    return value;
+  };
+  return normalizeRenderedPayload(renderValue(template));
+}
+
+/**
+ * 解析模板字串,語法錯誤時丟出 Error
+ * @returns {Array<Object>} 節點:{ type: 'text', value } / { type: 'field', name, filters } / { type: 'section', name, inverted, nodes }
+ */
+function parseTemplateString(text) {
+  const root = { nodes: [] };
+  const stack = [root];
+  const tagPattern = /\{\{\s*([#^/]?)\s*([^{}]*?)\s*\}\}/g;
+  const pushText = value => {
+    if (value.includes('{{') || value.includes('}}')) {
+      throw new Error(`無法解析的標籤: ${value.trim()}`);
+    }
+    if (value) {
+      stack[stack.length - 1].nodes.push({ type: 'text', value });
+    }
+  };
+
+  let lastIndex = 0;
+  let match;
+  while ((match = tagPattern.exec(text)) !== null) {
+    pushText(text.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [tag, sigil, body] = match;
+    const current = stack[stack.length - 1];
+    if (sigil === '/') {
+      if (stack.length === 1 || current.name !== body) {
+        throw new Error(`${tag} 沒有對應的開始標籤`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const [name, ...filters] = body.split('|').map(part => part.trim());
+    if (!TEMPLATE_FIELD_NAME_PATTERN.test(name)) {
+      throw new Error(`${tag} 的欄位名稱無效`);
+    }
+    if (sigil) {
+      if (filters.length) {
+        throw new Error(`${tag} 條件區塊不能使用過濾器`);
+      }
+      if (stack.length > MAX_TEMPLATE_SECTION_DEPTH) {
+        throw new Error(`條件區塊最多 ${MAX_TEMPLATE_SECTION_DEPTH} 層`);
+      }
+      const section = { type: 'section', name, inverted: sigil === '^', nodes: [] };
+      current.nodes.push(section);
+      stack.push(section);
+      continue;
+    }
+    current.nodes.push({ type: 'field', name, filters: filters.map(filter => parseTemplateFilter(filter, tag)) });
+  }
+  pushText(text.slice(lastIndex));
+
+  if (stack.length > 1) {
+    const section = stack[stack.length - 1];
+    throw new Error(`{{${section.inverted ? '^' : '#'}${section.name}}} 沒有結束標籤`);
+  }
+  return root.nodes;
+}
+
+function parseTemplateFilter(text, tag) {
+  const separator = text.indexOf(':');
+  const name = (separator === -1 ? text : text.slice(0, separator)).trim();
+  const arg = separator === -1 ? null : text.slice(separator + 1).trim();
+
+  if (!TEMPLATE_FILTERS.includes(name)) {
+    throw new Error(`${tag} 使用了不支援的過濾器 ${name || '(空白)'}`);
+  }
+  if (name === 'truncate') {
+    const length = Number(arg);
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error(`${tag} 的 truncate 需要正整數長度,例如 truncate:200`);
+    }
+    return { name, arg: length };
+  }
+  if (name === 'default') {
+    if (arg === null) {
+      throw new Error(`${tag} 的 default 需要預設文字,例如 default:無簡介`);
+    }
+    return { name, arg };
+  }
+  if (arg !== null) {
+    throw new Error(`${tag} 的 ${name} 不接受參數`);
+  }
+  return { name, arg: null };
+}
+
+function renderTemplateNodes(nodes, context) {
+  return nodes.map(node => {
+    if (node.type === 'text') {
+      return node.value;
+    }
+    const value = getTemplateValue(context, node.name);
+    if (node.type === 'section') {
+      return isTemplateValuePresent(value) !== node.inverted ? renderTemplateNodes(node.nodes, context) : '';
+    }
+    return formatTemplateValue(node.filters.reduce(applyTemplateFilter, value));
+  }).join('');
+}
+
+function getTemplateValue(context, name) {
+  return Object.prototype.hasOwnProperty.call(context, name) ? context[name] : undefined;
+}
+
+/**
+ * 沒有資料、false 與空字串視為沒有值;數字 0 算有值
+ */
+function isTemplateValuePresent(value) {
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function applyTemplateFilter(value, filter) {
+  switch (filter.name) {
+    case 'truncate':
+      return truncateDiscordText(formatTemplateValue(value), filter.arg);
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      return isTemplateValuePresent(value) && Number.isFinite(number) ? number.toLocaleString('en-US') : value;
+    }
+    case 'default':
+      return isTemplateValuePresent(value) ? value : filter.arg;
+    case 'upper':
+      return formatTemplateValue(value).toUpperCase();
+    case 'lower':
+      return formatTemplateValue(value).toLowerCase();
+    case 'date':
+      return formatTemplateDate(value);
+    case 'url':
+      return encodeURIComponent(formatTemplateValue(value));
+    default:
+      return value;
+  }
+}
+
+function formatTemplateValue(value) {
+  return value === undefined || value === null || value === false ? '' : String(value);
+}
+
+/**
+ * date 過濾器:以台北時間顯示為 YYYY-MM-DD HH:mm,無法解析的值原樣輸出
+ */
+function formatTemplateDate(value) {
+  const time = typeof value === 'number' ? value : Date.parse(formatTemplateValue(value));
+  if (!Number.isFinite(time)) {
+    return value;
+  }
+  const taipeiTime = new Date(time + TAIPEI_OFFSET_MS);
+  const pad = number => String(number).padStart(2, '0');
+  return `${taipeiTime.getUTCFullYear()}-${pad(taipeiTime.getUTCMonth() + 1)}-${pad(taipeiTime.getUTCDate())} `
+    + `${pad(taipeiTime.getUTCHours())}:${pad(taipeiTime.getUTCMinutes())}`;
+}
+
+/**
+ * 整理模板產生的 payload:移除空字串欄位與非 http(s) 網址,color 可寫成 "#RRGGBB" 或十進位數字,
+ * timestamp 轉成 ISO 8601,欄位名稱空白時補上零寬空白;沒有任何內容時回傳 null
+ */
+function normalizeRenderedPayload(rendered) {
+  const payload = {};
+  const content = cleanTemplateText(rendered.content);
+  if (content) {
+    payload.content = content;
+  }
+  payload.embeds = (Array.isArray(rendered.embeds) ? rendered.embeds : []).map(normalizeRenderedEmbed).filter(Boolean);
+  return payload.content || payload.embeds.length ? payload : null;
+}
+
+function normalizeRenderedEmbed(rendered) {
+  if (!rendered || typeof rendered !== 'object') {
+    return null;
+  }
+
+  const embed = {};
+  const title = cleanTemplateText(rendered.title);
+  if (title) {
+    embed.title = title;
+  }
+  const description = cleanTemplateText(rendered.description);
+  if (description) {
+    embed.description = description;
+  }
+  const url = cleanTemplateUrl(rendered.url);
+  if (url) {
+    embed.url = url;
+  }
+  const color = parseTemplateColor(rendered.color);
+  if (color !== null) {
+    embed.color = color;
+  }
+  const timestamp = Date.parse(cleanTemplateText(rendered.timestamp));
+  if (Number.isFinite(timestamp)) {
+    embed.timestamp = new Date(timestamp).toISOString();
+  }
+
+  const author = rendered.author || {};
+  const authorName = cleanTemplateText(author.name);
+  if (authorName) {
+    embed.author = { name: authorName };
+    for (const key of ['url', 'icon_url']) {
+      const value = cleanTemplateUrl(author[key]);
+      if (value) {
+        embed.author[key] = value;
+      }
+    }
+  }
+
+  const footer = rendered.footer || {};
+  const footerText = cleanTemplateText(footer.text);
+  if (footerText) {
+    embed.footer = { text: footerText };
+    const iconUrl = cleanTemplateUrl(footer.icon_url);
+    if (iconUrl) {
+      embed.footer.icon_url = iconUrl;
+    }
+  }
+
+  for (const key of ['thumbnail', 'image']) {
+    const imageUrl = cleanTemplateUrl(rendered[key] && rendered[key].url);
+    if (imageUrl) {
+      embed[key] = { url: imageUrl };
+    }
+  }
+
+  // value 空白的欄位整個略過
+  const fields = (Array.isArray(rendered.fields) ? rendered.fields : [])
+    .map(field => ({
+      name: cleanTemplateText(field && field.name) || '\u200b',
+      value: cleanTemplateText(field && field.value),
+      inline: field && (field.inline === true || field.inline === 'true')
+    }))
+    .filter(field => field.value);
+  if (fields.length) {
+    embed.fields = fields;
+  }
+
+  return ['title', 'description', 'author', 'footer', 'thumbnail', 'image', 'fields'].some(key => embed[key]) ? embed : null;
+}
+
+function cleanTemplateText(value) {
+  return formatTemplateValue(value).trim();
+}
+
+function cleanTemplateUrl(value) {
+  const url = cleanTemplateText(value);
+  return /^https?:\/\/\S+$/i.test(url) ? url : '';
+}
+
+function parseTemplateColor(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF ? value : null;
+  }
+  const text = cleanTemplateText(value);
+  if (/^#[0-9a-f]{6}$/i.test(text)) {
+    return parseInt(text.slice(1), 16);
+  }
+  return /^\d+$/.test(text) && Number(text) <= 0xFFFFFF ? Number(text) : null;
+}
+
+/**
+ * 儲存前檢查模板:結構、語法與欄位名稱,再以範例文章產生 payload 確認符合 Discord 上限
+ * @param {Array<Object>} contexts - 範例文章的模板欄位
+ * @param {Object} fields - 模板可使用的欄位名稱 → 說明 (各 worker 的 MESSAGE_TEMPLATE_FIELDS)
+ * @returns {{errors: Array<string>, previews: Array<Object>}} previews 為各範例產生的 payload
+ */
+export function validateMessageTemplate(template, contexts, fields) {
+  const errors = [];
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return { errors: ['template 必須是 JSON 物件'], previews: [] };
+  }
+  if (JSON.stringify(template).length > MAX_TEMPLATE_SIZE) {
+    errors.push(`template 超過 ${MAX_TEMPLATE_SIZE} 字`);
+  }
+  if (template.content === undefined && template.embeds === undefined) {
+    errors.push('template 至少需要 content 或 embeds');
+  }
+  checkTemplateShape(template, { content: 'text', embeds: [TEMPLATE_EMBED_SHAPE] }, '', errors, fields);
+  if (errors.length) {
+    return { errors, previews: [] };
+  }
+
+  const previews = contexts.map((context, index) => {
+    const label = contexts.length > 1 ? `範例 ${index + 1}: ` : '';
+    const payload = renderMessageTemplate(template, context);
+    if (!payload) {
+      errors.push(`${label}模板沒有產生任何內容`);
+      return null;
+    }
+    checkDiscordPayloadLimits(payload).forEach(error => errors.push(`${label}${error}`));
+    return payload;
+  });
+  return { errors, previews };
+}
+
+/**
+ * 依 shape 檢查模板結構:物件只能有列出的欄位,陣列檢查每個元素,'text' 為可使用模板語法的字串 (也接受數字與布林)
+ */
+function checkTemplateShape(value, shape, path, errors, fields) {
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} 必須是陣列`);
+      return;
+    }
+    value.forEach((entry, index) => checkTemplateShape(entry, shape[0], `${path}[${index}]`, errors, fields));
+    return;
+  }
+
+  if (shape !== 'text') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      errors.push(`${path} 必須是物件`);
+      return;
+    }
+    for (const [key, entry] of Object.entries(value)) {
+      const entryPath = path ? `${path}.${key}` : key;
+      if (!Object.prototype.hasOwnProperty.call(shape, key)) {
+        errors.push(`${entryPath} 不是支援的欄位`);
+        continue;
+      }
+      checkTemplateShape(entry, shape[key], entryPath, errors, fields);
+    }
+    return;
+  }
+
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return;
+  }
+  if (typeof value !== 'string') {
+    errors.push(`${path} 必須是字串`);
+    return;
+  }
+  try {
+    for (const name of collectTemplateFieldNames(parseTemplateString(value))) {
+      if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+        errors.push(`${path}: 沒有 ${name} 這個欄位`);
+      }
+    }
+  } catch (error) {
+    errors.push(`${path}: ${error.message}`);
+  }
+}
+
+function collectTemplateFieldNames(nodes, names = new Set()) {
+  for (const node of nodes) {
+    if (node.type !== 'text') {
+      names.add(node.name);
+    }
+    if (node.type === 'section') {
+      collectTemplateFieldNames(node.nodes, names);
+    }
+  }
+  return names;
+}
+
+/**
+ * 處理 /admin/templates 路由 (訊息模板)
+ * GET    /admin/templates                列出已設定模板的來源、可用欄位與過濾器
+ * GET    /admin/templates/<id>           目前的模板 (沒有設定時 template 為 null,使用內建格式)
+ * PUT    /admin/templates/<id>           body: { template, sample? },通過檢查才儲存,回傳範例文章產生的 payload
+ * POST   /admin/templates/<id>/preview   body: { template?, sample? },只檢查並產生範例,未帶 template 時使用已儲存的模板
+ * DELETE /admin/templates/<id>           刪除模板,改回內建格式
+ * sample 為要覆寫的範例文章欄位,例如 { "title": "很長的標題..." }
+ * @param {{fields: Object, listSources: Function, buildSample: Function}} options -
+ *   fields 為 worker 的 MESSAGE_TEMPLATE_FIELDS;listSources(kv) 回傳可設定模板的來源 ({ id, ... },可為 Promise);
+ *   buildSample(source) 回傳該來源範例文章的模板欄位
+ */
+export async function handleTemplateAdmin(request, env, url, { fields, listSources, buildSample }) {
+  const kv = env.RSS_CACHE;
+  if (!kv) {
+    return jsonResponse({ error: 'RSS_CACHE KV namespace 未綁定' }, 500);
+  }
+
+  const segments = url.pathname.split('/').filter(Boolean).slice(2).map(decodeURIComponent);
+  const [sourceId, action] = segments;
+  const method = request.method.toUpperCase();
+
+  try {
+    const sources = await listSources(kv);
+
+    if (!sourceId) {
+      if (method !== 'GET') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+      const templates = [];
+      for (const source of sources) {
+        const stored = await kv.get(`${TEMPLATE_KEY_PREFIX}${source.id}`, { type: 'json' });
+        if (stored) {
+          templates.push({ source: source.id, updatedAt: stored.updatedAt || null });
+        }
+      }
+      return jsonResponse({ fields, filters: TEMPLATE_FILTERS, templates });
+    }
+
+    const source = sources.find(entry => entry.id === sourceId);
+    if (!source) {
+      return jsonResponse({ error: `找不到來源 ${sourceId}` }, 404);
+    }
+    const key = `${TEMPLATE_KEY_PREFIX}${source.id}`;
+
+    if (action) {
+      if (method !== 'POST' || action !== 'preview' || segments.length > 2) {
+        return jsonResponse({ error: 'Not found' }, 404);
+      }
+      const body = await readJsonBody(request) || {};
+      const template = body.template !== undefined ? body.template : await loadMessageTemplate(kv, source.id);
+      if (!template) {
+        return jsonResponse({ error: `${source.id} 沒有設定訊息模板` }, 404);
+      }
+      const samples = buildTemplateSamples(buildSample(source), body.sample);
+      if (!samples) {
+        return jsonResponse({ error: 'sample 必須是 JSON 物件' }, 400);
+      }
+      const { errors, previews } = validateMessageTemplate(template, samples, fields);
+      return jsonResponse({ source: source.id, valid: errors.length === 0, errors, previews });
+    }
+
+    if (method === 'GET') {
+      const stored = await kv.get(key, { type: 'json' });
+      return jsonResponse({
+        source: source.id,
+        template: stored ? stored.template : null,
+        updatedAt: stored ? stored.updatedAt || null : null
+      });
+    }
+
+    if (method === 'PUT') {
+      const body = await readJsonBody(request);
+      if (!body || body.template === undefined) {
+        return jsonResponse({ error: 'Request body 必須是 { "template": {...} }' }, 400);
+      }
+      const samples = buildTemplateSamples(buildSample(source), body.sample);
+      if (!samples) {
+        return jsonResponse({ error: 'sample 必須是 JSON 物件' }, 400);
+      }
+      const { errors, previews } = validateMessageTemplate(body.template, samples, fields);
+      if (errors.length) {
+        return jsonResponse({ error: '模板無效', details: errors }, 400);
+      }
+
+      const updatedAt = new Date().toISOString();
+      await kv.put(key, JSON.stringify({ template: body.template, updatedAt }));
+      return jsonResponse({ source: source.id, template: body.template, updatedAt, previews });
+    }
+
+    if (method === 'DELETE') {
+      await kv.delete(key);
+      return jsonResponse({ deleted: source.id });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('訊息模板管理 API 發生錯誤:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+/**
+ * 檢查模板用的範例:worker 的範例文章 (base),以及覆寫部分欄位的自訂範例;sample 不是物件時回傳 null
+ */
+export function buildTemplateSamples(base, sample) {
+  if (sample === undefined || sample === null) {
+    return [base];
+  }
+  if (typeof sample !== 'object' || Array.isArray(sample)) {
+    return null;
+  }
+  return [base, { ...base, ...sample }];
+}
@@ -0,0 +1,464 @@
+/**
+ * XML / feed 解析 (news-rss、ffxiv-fb 共用)
+ *
+ * 容錯的 SAX 風格 tokenizer 加上輕量節點樹,命名空間依 URI 比對,
+ * 從 RSS 2.0、RSS 1.0 (RDF) 與 Atom 1.0 取出統一格式的項目
+ */
+
+// XML 命名空間 (依 URI 比對,不依賴 feed 使用的前綴名稱)
+const XML_NS = {
+  rss1: 'http://purl.org/rss/1.0/',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  atom: 'http://www.w3.org/2005/Atom',
+  content: 'http://purl.org/rss/1.0/modules/content/',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  media: 'http://search.yahoo.com/mrss/'
+};
+
+// 部分 feed 使用前綴卻忘了宣告 xmlns,以常見前綴補上
+const XML_FALLBACK_PREFIXES = {
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  rdf: XML_NS.rdf,
+  atom: XML_NS.atom,
+  content: XML_NS.content,
+  dc: XML_NS.dc,
+  media: XML_NS.media
+};
+
+const XML_PREDEFINED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * 逐一產生 XML token (SAX 風格)
+ * 容錯處理:未閉合標籤、未加引號的屬性、DOCTYPE 內部子集、註解與 processing instruction
+ * @param {string} xml - XML 原始文字
+ */
+function* tokenizeXml(xml) {
+  const length = xml.length;
+  let pos = 0;
+
+  while (pos < length) {
+    const lt = xml.indexOf('<', pos);
+    if (lt === -1) {
+      yield { type: 'text', text: decodeXmlEntities(xml.slice(pos)) };
+      return;
+    }
+    if (lt > pos) {
+      yield { type: 'text', text: decodeXmlEntities(xml.slice(pos, lt)) };
+    }
+
+    if (xml.startsWith('<!--', lt)) {
+      const end = xml.indexOf('-->', lt + 4);
+      pos = end === -1 ? length : end + 3;
+      continue;
+    }
+
+    if (xml.startsWith('<![CDATA[', lt)) {
+      const end = xml.indexOf(']]>', lt + 9);
+      const text = xml.slice(lt + 9, end === -1 ? length : end);
+      yield { type: 'text', text, cdata: true };
+      pos = end === -1 ? length : end + 3;
+      continue;
+    }
+
+    if (xml.startsWith('<?', lt)) {
+      const end = xml.indexOf('?>', lt + 2);
+      pos = end === -1 ? length : end + 2;
+      continue;
+    }
+
+    if (xml.startsWith('<!', lt)) {
+      // DOCTYPE 可能帶有 [...] 內部子集
+      let cursor = lt + 2;
+      let depth = 0;
+      while (cursor < length) {
+        const ch = xml[cursor];
+        if (ch === '[') {
+          depth += 1;
+        } else if (ch === ']') {
+          depth -= 1;
+        } else if (ch === '>' && depth <= 0) {
+          break;
+        }
+        cursor += 1;
+      }
+      pos = cursor + 1;
+      continue;
+    }
+
+    if (xml[lt + 1] === '/') {
+      const end = xml.indexOf('>', lt + 2);
+      const name = xml.slice(lt + 2, end === -1 ? length : end).trim();
+      yield { type: 'close', name };
+      pos = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    const tag = readXmlStartTag(xml, lt + 1);
+    if (!tag) {
+      // 不是合法標籤 (例如裸露的 "<"),當成文字處理
+      yield { type: 'text', text: '<' };
+      pos = lt + 1;
+      continue;
+    }
+
+    yield { type: 'open', name: tag.name, attrs: tag.attrs, selfClosing: tag.selfClosing };
+    pos = tag.end;
+  }
+}
+
+function readXmlStartTag(xml, start) {
+  const nameMatch = /^[A-Za-z_][\w.:-]*/.exec(xml.slice(start, start + 256));
+  if (!nameMatch) {
+    return null;
+  }
+
+  const name = nameMatch[0];
+  const attrs = {};
+  const length = xml.length;
+  let pos = start + name.length;
+
+  while (pos < length) {
+    while (pos < length && /\s/.test(xml[pos])) {
+      pos += 1;
+    }
+
+    if (xml[pos] === '>') {
+      return { name, attrs, selfClosing: false, end: pos + 1 };
+    }
+    if (xml[pos] === '/' && xml[pos + 1] === '>') {
+      return { name, attrs, selfClosing: true, end: pos + 2 };
+    }
+
+    const attrMatch = /^[^\s=/>]+/.exec(xml.slice(pos, pos + 256));
+    if (!attrMatch) {
+      pos += 1;
+      continue;
+    }
+
+    const attrName = attrMatch[0];
+    pos += attrName.length;
+    while (pos < length && /\s/.test(xml[pos])) {
+      pos += 1;
+    }
+
+    if (xml[pos] !== '=') {
+      attrs[attrName] = '';
+      continue;
+    }
+
+    pos += 1;
+    while (pos < length && /\s/.test(xml[pos])) {
+      pos += 1;
+    }
+
+    const quote = xml[pos];
+    let value;
+    if (quote === '"' || quote === '\'') {
+      const end = xml.indexOf(quote, pos + 1);
+      value = xml.slice(pos + 1, end === -1 ? length : end);
+      pos = end === -1 ? length : end + 1;
+    } else {
+      const valueMatch = /^[^\s>]+/.exec(xml.slice(pos, pos + 2048));
+      value = valueMatch ? valueMatch[0] : '';
+      pos += value.length;
+    }
+    attrs[attrName] = decodeXmlEntities(value);
+  }
+
+  return { name, attrs, selfClosing: false, end: length };
+}
+
+/**
+ * 解碼 XML 實體;無法辨識的實體 (例如 &nbsp;) 原樣保留給後續 HTML 清理處理
+ */
+function decodeXmlEntities(text) {
+  if (!text || text.indexOf('&') === -1) {
+    return text;
+  }
+
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      if (!Number.isFinite(code) || code < 0 || code > 0x10FFFF) {
+        return match;
+      }
+      try {
+        return String.fromCodePoint(code);
+      } catch (error) {
+        return match;
+      }
+    }
+
+    const named = XML_PREDEFINED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+export function escapeXmlText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 將 XML 轉為輕量節點樹,並解析命名空間
+ * 節點格式: { name, prefix, local, ns, attrs, children, nsMap }; 文字節點為字串
+ * @param {string} xml - XML 原始文字
+ */
+export function parseXmlDocument(xml) {
+  const root = { name: '#document', prefix: '', local: '#document', ns: '', attrs: {}, children: [], nsMap: { '': '' } };
+  const stack = [root];
+
+  for (const token of tokenizeXml(xml)) {
+    const parent = stack[stack.length - 1];
+
+    if (token.type === 'text') {
+      const last = parent.children[parent.children.length - 1];
+      if (typeof last === 'string') {
+        parent.children[parent.children.length - 1] = last + token.text;
+      } else {
+        parent.children.push(token.text);
+      }
+      continue;
+    }
+
+    if (token.type === 'open') {
+      const nsMap = { ...parent.nsMap };
+      for (const [attrName, value] of Object.entries(token.attrs)) {
+        if (attrName === 'xmlns') {
+          nsMap[''] = value;
+        } else if (attrName.startsWith('xmlns:')) {
+          nsMap[attrName.slice(6)] = value;
+        }
+      }
+
+      const colon = token.name.indexOf(':');
+      const prefix = colon === -1 ? '' : token.name.slice(0, colon);
+      const local = colon === -1 ? token.name : token.name.slice(colon + 1);
+      const node = {
+        name: token.name,
+        prefix,
+        local,
+        ns: resolveXmlNamespace(nsMap, prefix),
+        attrs: token.attrs,
+        children: [],
+        nsMap
+      };
+
+      parent.children.push(node);
+      if (!token.selfClosing) {
+        stack.push(node);
+      }
+      continue;
+    }
+
+    // close: 找到對應的開啟標籤才彈出,容忍未閉合的 HTML 標籤
+    for (let i = stack.length - 1; i > 0; i -= 1) {
+      if (stack[i].name === token.name) {
+        stack.length = i;
+        break;
+      }
+    }
+  }
+
+  return root;
+}
+
+function resolveXmlNamespace(nsMap, prefix) {
+  if (Object.prototype.hasOwnProperty.call(nsMap, prefix)) {
+    return nsMap[prefix];
+  }
+  return XML_FALLBACK_PREFIXES[prefix.toLowerCase()] || '';
+}
+
+function isXmlElement(node, ns, local) {
+  return Boolean(node) && typeof node === 'object' && node.local === local
+    && (Array.isArray(ns) ? ns.includes(node.ns) : node.ns === ns);
+}
+
+function findXmlChild(node, ns, local) {
+  return node.children.find(child => isXmlElement(child, ns, local)) || null;
+}
+
+function findXmlChildren(node, ns, local) {
+  return node.children.filter(child => isXmlElement(child, ns, local));
+}
+
+/**
+ * 取得屬性值,支援帶前綴的屬性 (例如 rdf:about)
+ */
+function getXmlAttr(node, ns, local) {
+  for (const [attrName, value] of Object.entries(node.attrs)) {
+    const colon = attrName.indexOf(':');
+    const attrLocal = colon === -1 ? attrName : attrName.slice(colon + 1);
+    if (attrLocal !== local) {
+      continue;
+    }
+    // 未加前綴的屬性不屬於任何命名空間
+    const attrNs = colon === -1 ? '' : resolveXmlNamespace(node.nsMap, attrName.slice(0, colon));
+    if (attrNs === ns) {
+      return value;
+    }
+  }
+  return '';
+}
+
+/**
+ * 取得元素內容:純文字/CDATA 直接串接,內嵌子元素則還原為標記 (例如 Atom xhtml 內容)
+ */
+function getXmlInnerContent(node) {
+  if (!node) {
+    return '';
+  }
+  return node.children.map(serializeXmlNode).join('').trim();
+}
+
+function serializeXmlNode(node) {
+  if (typeof node === 'string') {
+    return node;
+  }
+
+  const attrs = Object.entries(node.attrs)
+    .filter(([attrName]) => attrName !== 'xmlns' && !attrName.startsWith('xmlns:'))
+    .map(([attrName, value]) => ` ${attrName}="${escapeXmlText(value)}"`)
+    .join('');
+  const inner = node.children.map(serializeXmlNode).join('');
+  return inner ? `<${node.local}${attrs}>${inner}</${node.local}>` : `<${node.local}${attrs} />`;
+}
+
+/**
+ * 從 XML 樹中找出所有 RSS 2.0 / RSS 1.0 (RDF) item 與 Atom entry
+ */
+export function collectFeedRecords(root) {
+  const records = [];
+  const pending = [root];
+
+  for (let index = 0; index < pending.length; index += 1) {
+    const node = pending[index];
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        continue;
+      }
+      if (isXmlElement(child, ['', XML_NS.rss1], 'item')) {
+        records.push(readRssRecord(child));
+      } else if (isXmlElement(child, [XML_NS.atom, ''], 'entry')) {
+        records.push(readAtomRecord(child));
+      } else {
+        pending.push(child);
+      }
+    }
+  }
+
+  return records;
+}
+
+function readRssRecord(node) {
+  const rssNs = ['', XML_NS.rss1];
+  const text = (ns, local) => getXmlInnerContent(findXmlChild(node, ns, local));
+  const about = getXmlAttr(node, XML_NS.rdf, 'about');
+
+  let link = text(rssNs, 'link');
+  if (!link) {
+    link = readAtomLink(node) || about;
+  }
+
+  const guidNode = findXmlChild(node, rssNs, 'guid');
+  const guid = getXmlInnerContent(guidNode) || about;
+  if (!link && guidNode && getXmlAttr(guidNode, '', 'isPermaLink') !== 'false') {
+    link = guid;
+  }
+
+  return {
+    kind: 'rss',
+    title: text(rssNs, 'title') || text(XML_NS.dc, 'title'),
+    link,
+    descriptionHtml: text(rssNs, 'description') || text(XML_NS.dc, 'description'),
+    contentHtml: text(XML_NS.content, 'encoded'),
+    pubDate: text(rssNs, 'pubDate') || text(XML_NS.dc, 'date') || text(XML_NS.atom, 'published') || text(XML_NS.atom, 'updated'),
+    guid,
+    author: text(rssNs, 'author') || text(XML_NS.dc, 'creator'),
+    mediaUrl: readMediaUrl(node)
+  };
+}
+
+function readAtomRecord(node) {
+  // 少數 Atom feed 未宣告 xmlns,此時子元素沒有命名空間
+  const atomNs = node.ns || '';
+  const text = local => getXmlInnerContent(findXmlChild(node, atomNs, local));
+  const authorNode = findXmlChild(node, atomNs, 'author');
+  const link = readAtomLink(node, atomNs);
+  const summary = readAtomTextConstruct(findXmlChild(node, atomNs, 'summary'));
+  const content = readAtomTextConstruct(findXmlChild(node, atomNs, 'content'));
+
+  return {
+    kind: 'atom',
+    title: readAtomTextConstruct(findXmlChild(node, atomNs, 'title')),
+    link,
+    descriptionHtml: summary || content,
+    contentHtml: content || summary,
+    pubDate: text('published') || text('updated'),
+    guid: text('id') || link,
+    author: authorNode ? getXmlInnerContent(findXmlChild(authorNode, atomNs, 'name')) : '',
+    mediaUrl: readMediaUrl(node)
+  };
+}
+
+function readAtomTextConstruct(node) {
+  if (!node) {
+    return '';
+  }
+  // type="xhtml" 的內容包在 <div> 中,取出 div 內部標記
+  if (getXmlAttr(node, '', 'type') === 'xhtml') {
+    const wrapper = node.children.find(child => typeof child === 'object' && child.local === 'div');
+    return wrapper ? getXmlInnerContent(wrapper) : getXmlInnerContent(node);
+  }
+  return getXmlInnerContent(node);
+}
+
+function readAtomLink(node, atomNs = XML_NS.atom) {
+  const links = findXmlChildren(node, atomNs, 'link');
+  const alternate = links.find(link => {
+    const rel = getXmlAttr(link, '', 'rel');
+    return !rel || rel === 'alternate';
+  });
+  const chosen = alternate || links[0];
+  return chosen ? getXmlAttr(chosen, '', 'href').trim() : '';
+}
+
+/**
+ * 取得 media:content / media:thumbnail / 圖片 enclosure 的網址
+ */
+function readMediaUrl(node) {
+  const candidates = [
+    ...findXmlChildren(node, XML_NS.media, 'content'),
+    ...findXmlChildren(node, XML_NS.media, 'group').flatMap(group => findXmlChildren(group, XML_NS.media, 'content'))
+  ];
+
+  for (const media of candidates) {
+    const url = getXmlAttr(media, '', 'url').trim();
+    const type = getXmlAttr(media, '', 'type');
+    const medium = getXmlAttr(media, '', 'medium');
+    if (url && (medium === 'image' || type.startsWith('image/') || (!medium && !type))) {
+      return url;
+    }
+  }
+
+  const thumbnail = findXmlChild(node, XML_NS.media, 'thumbnail');
+  if (thumbnail && getXmlAttr(thumbnail, '', 'url')) {
+    return getXmlAttr(thumbnail, '', 'url').trim();
+  }
+
+  const enclosure = findXmlChildren(node, '', 'enclosure')
+    .find(entry => getXmlAttr(entry, '', 'type').startsWith('image/') && getXmlAttr(entry, '', 'url'));
+  return enclosure ? getXmlAttr(enclosure, '', 'url').trim() : '';
+}
@@ -11,25 +11,55 @@
  *    - DISCORD_WEBHOOK_GNN: 巴哈姆特用 Webhook URL
  *    - DISCORD_WEBHOOK_4GAMERS: 4Gamers 用 Webhook URL
  *    - DISCORD_WEBHOOK_PTT_STEAM: PTT 限免資訊用 Webhook URL
+ *    - ADMIN_TOKEN: /trigger、/preview、/admin/sources、/admin/deadletters 與 /admin/templates 管理端點的 Bearer token (也是簽名網址的 HMAC 金鑰)
+ *    - DISCORD_WEBHOOK_OPS (選填): 來源連續失敗或產出異常時的通知 webhook;HEALTH_ALERT_THRESHOLD 覆寫通知門檻 (預設 3 次)
+ *    - TELEGRAM_BOT_TOKEN (選填): type 為 telegram 的發送目的地使用;TELEGRAM_API_BASE 可改指向本機 stub 測試
+ *    - LINE_CHANNEL_ACCESS_TOKEN (選填): type 為 line 的發送目的地使用;LINE_API_BASE 可改指向本機 mock 測試
  * 2. KV Namespace Bindings:
- *    - RSS_CACHE: 儲存已處理的文章連結,避免重複推送
+ *    - RSS_CACHE: 儲存已處理的文章連結,避免重複推送;發送失敗的文章記錄在 deadletter:news-rss 供重試,
+ *      各來源健康狀態記錄在 health:news-rss,各來源的訊息模板記錄在 template:<來源 id>
  *
  * 3. Workers Cron Triggers (在 Cloudflare Dashboard 設定):
  *    - 在 Triggers > Cron Triggers 新增: 0 * * * *  (每小時執行一次)
  */
 
-// RSS 源配置
-const RSS_SOURCES = [
+import { createAdminRoute } from './lib/admin.js';
+import {
+  DEAD_LETTER_MAX_ATTEMPTS, loadDeadLetters, saveDeadLetters, recordDeadLetter, isDeadLetterDue, handleDeadLetterAdmin
+} from './lib/deadletter.js';
+import {
+  DISCORD_MAX_CONTENT_LENGTH, DISCORD_MAX_EMBEDS_PER_MESSAGE, DISCORD_MAX_EMBED_TOTAL_CHARS, DISCORD_TIME_BUDGET_MS,
+  DISCORD_MAX_WAIT_MS, checkDiscordPayloadLimits, countEmbedChars, enforceDiscordLimits, truncateDiscordText,
+  discordRequest, resolveMentions, buildMentionFields
+} from './lib/discord.js';
+import { loadSourceHealth, recordSourceHealth, flushSourceHealth } from './lib/health.js';
+import { buildConditionalHeaders, jsonResponse, readCacheValidators, readJsonBody, sleep } from './lib/http.js';
+import { LINE_ACCESS_TOKEN_ENV, LINE_RECIPIENT_ID_PATTERN, getLineConfig, sendToLine } from './lib/line.js';
+import { getPreviewContext, recordPreviewRequest, handlePreviewRequest } from './lib/preview.js';
+import { TELEGRAM_BOT_TOKEN_ENV, getTelegramConfig, sendToTelegram } from './lib/telegram.js';
+import { handleTemplateAdmin, loadMessageTemplate, renderDiscordTemplate } from './lib/template.js';
+import { collectFeedRecords, escapeXmlText, parseXmlDocument } from './lib/xml.js';
+
+// RSS 源預設配置
+// 來源實際上由 KV registry (SOURCE_REGISTRY_KEY) 管理,可透過 /admin/sources 動態新增或修改;
+// registry 尚未建立時才使用這份預設清單。所有欄位皆為純資料,以便序列化存入 KV。
+const DEFAULT_RSS_SOURCES = [
   {
+    id: 'gnn',
+    // 沿用舊版以 webhookEnv 命名的 KV key,避免切換後重複推送
+    stateId: 'DISCORD_WEBHOOK_GNN',
     url: 'https://gnn.gamer.com.tw/rss.xml',
     name: '巴哈姆特 GNN 新聞網',
     baseUrl: 'https://gnn.gamer.com.tw',
     color: 0x009CAD,
     webhookEnv: 'DISCORD_WEBHOOK_GNN',
-    thumbnailStrategy: 'page',
+    // 頁面上的第一張圖常是 logo 或廣告,改讀 og:image
+    thumbnailStrategy: 'og',
     descriptionMaxLength: 120
   },
   {
+    id: '4gamers',
+    stateId: 'DISCORD_WEBHOOK_4GAMERS',
     url: 'https://www.4gamers.com.tw/rss/latest-news',
     name: '4Gamers',
     baseUrl: 'https://www.4gamers.com.tw',
@@ -38,214 +68,1727 @@ const RSS_SOURCES = [
     thumbnailStrategy: 'rss'
   },
   {
+    id: 'ptt-steam',
+    stateId: 'DISCORD_WEBHOOK_PTT_STEAM',
     url: 'https://www.ptt.cc/atom/Steam.xml',
     name: 'PTT Steam 限免',
     baseUrl: 'https://www.ptt.cc',
     color: 0x0066CC,
     webhookEnv: 'DISCORD_WEBHOOK_PTT_STEAM',
     thumbnailStrategy: 'none',
-    itemFilter: (item, context) => {
-      const title = typeof item.title === 'string' ? item.title : '';
-      if (title.includes('限免')) {
-        return true;
+    // 標題、描述或原始 HTML 任一處出現「限免」才保留
+    filter: {
+      include: ['限免'],
+      fields: ['title', 'description', 'content']
+    },
+    // 只貼出文章連結,讓 Discord 自動產生預覽
+    payloadStyle: 'link'
+  }
+];
+
+// Source registry 設定
+const SOURCE_REGISTRY_KEY = 'registry:news-rss:sources';
+const SOURCE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const THUMBNAIL_STRATEGIES = ['og', 'rss', 'page', 'none'];
+const PAYLOAD_STYLES = ['embed', 'link'];
+const DELIVERY_MODES = ['live', 'digest', 'both'];
+const FILTER_FIELDS = ['title', 'description', 'author', 'link', 'content'];
+const DEFAULT_FILTER_FIELDS = ['title', 'description', 'content']; // 未指定 fields 時比對的欄位
+const FILTER_MATCH_MODES = ['all', 'any'];
+const FILTER_RULE_TYPES = ['include', 'exclude'];
+const MAX_FILTER_DEPTH = 4;
+const DUPLICATE_POLICIES = ['followup', 'suppress', 'off'];
+const DEFAULT_DESTINATION_ID = 'default';
+const DESTINATION_TYPES = ['discord', 'telegram', 'slack', 'json', 'line'];
+const DEFAULT_DESTINATION_TYPE = 'discord';
+const TELEGRAM_CHAT_ID_PATTERN = /^(?:-?\d{1,20}|@[A-Za-z][A-Za-z0-9_]{4,31})$/; // 數字 id 或 @頻道名稱
+const MAX_DESTINATIONS = 10;
+const DEFAULT_DUPLICATE_POLICY = 'off'; // 維持原本的發送行為,來源需在 registry 設定 duplicatePolicy 才會比對
+
+// 時區與批次設定
+const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000; // UTC+8
+const DAILY_TIMEZONE = 'Asia/Taipei';
+const MAX_ITEMS_PER_SEND = 5;
+const MAX_BATCH_ITEMS_PER_SEND = 20; // batchEmbeds 模式每次最多處理篇數
+const MAX_EDITS_PER_SEND = 5; // 每個目的地每次最多編輯的訊息數
+const DEFAULT_DIGEST_TIME = '23:00'; // 每日摘要預設發送時間 (台北)
+const DIGEST_MAX_SECTION_LENGTH = 1800; // 每個來源在摘要中的最大字數
+const MAX_FEED_OUTPUT_ITEMS = 100; // /feed.xml 等輸出的最大篇數
+const MAX_RSS_ITEMS = 50;
+const SENT_MAP_TTL_SECONDS = 2 * 24 * 60 * 60; // 跨日去重資料至少保留 2 天
+const DEFAULT_LOOKBACK_HOURS = 36; // 只處理最近 36 小時內發布的文章 (跨過午夜也不會漏發)
+const MAX_LOOKBACK_HOURS = 7 * 24;
+const DAILY_STATE_TTL_SECONDS = 2 * 24 * 60 * 60; // 每日狀態資料保留 2 天
+
+// 發送失敗的文章記錄在 dead-letter (見 lib/deadletter.js),可透過 /admin/deadletters 重送
+const DEAD_LETTER_KEY = 'deadletter:news-rss';
+
+// 來源健康狀態:記錄每次執行的成敗、最後成功時間與取得的項目數,
+// 連續失敗或產出遠低於平常 (中位數) 達 HEALTH_ALERT_THRESHOLD 次時通知 ops webhook,恢復時再通知一次
+const HEALTH_KEY = 'health:news-rss';
+
+// 跨來源重複新聞偵測
+const DUPLICATE_LOOKBACK_MS = 24 * 60 * 60 * 1000; // 只比對 24 小時內其他來源送出的文章
+const DUPLICATE_TITLE_THRESHOLD = 0.6; // 標題字元 bigram 的 Jaccard 相似度門檻
+const DUPLICATE_MIN_SHINGLES = 4; // 標題太短時不做相似度比對,避免誤判
+const MAX_OUTBOUND_LINKS = 10; // 每篇文章保留的外部連結數
+
+// Discord 論壇貼文與提及規則限制
+const DISCORD_MAX_THREAD_NAME_LENGTH = 100;
+const DISCORD_MAX_APPLIED_TAGS = 5;
+const DISCORD_SNOWFLAKE_PATTERN = /^\d{17,20}$/;
+const MAX_MENTION_RULES = 20;
+
+// 管理端點驗證與稽核紀錄
+const AUDIT_WORKER_ID = 'news-rss';
+const handleAdminRoute = createAdminRoute({ workerId: AUDIT_WORKER_ID });
+
+// Slack incoming webhook 與通用 JSON webhook 設定
+const SLACK_MAX_SECTION_TEXT_LENGTH = 3000;
+const SLACK_MAX_TITLE_LENGTH = 256;
+const SLACK_MAX_ALT_TEXT_LENGTH = 2000;
+const JSON_WEBHOOK_PAYLOAD_VERSION = 1;
+const WEBHOOK_MAX_ATTEMPTS = 3;
+
+// 訊息模板 (選填):以 /admin/templates 為來源設定 KV 的 template:<來源 id>,
+// 沒有模板或產生的內容超過 Discord 上限時使用內建的 embed
+// 模板可使用的文章欄位 (GET /admin/templates 會列出)
+const MESSAGE_TEMPLATE_FIELDS = {
+  title: '文章標題',
+  description: '文章摘要',
+  link: '文章網址',
+  thumbnail: '縮圖網址',
+  author: '作者 (feed 有提供時)',
+  publishedAt: '發布時間 (ISO 8601,可搭配 date 過濾器)',
+  source: '來源名稱',
+  sourceId: '來源 id',
+  color: '來源 (或目的地覆寫) 的 embed 顏色',
+  duplicateSource: '也報導這則新聞的其他來源 (duplicatePolicy 為 followup 時)',
+  duplicateLink: '其他來源的文章網址'
+};
+// 檢查模板時使用的範例文章
+const TEMPLATE_SAMPLE_ARTICLE = {
+  title: '範例新聞:新作公開首支預告,預計明年春季發售',
+  description: '這是檢查訊息模板用的範例摘要,長度接近一般文章的摘要。'.repeat(10).trim(),
+  link: 'https://example.com/news/12345',
+  thumbnail: 'https://example.com/images/12345.jpg',
+  author: '範例作者',
+  publishedAt: '2025-01-01T04:00:00.000Z'
+};
+
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    
+    // 手動觸發端點 (用於測試) - 只發布最新一篇 (需 ADMIN_TOKEN)
+    if (url.pathname === '/trigger') {
+      return handleAdminRoute(request, env, url, async () => {
+        await processRSS(env, true);
+        return new Response('RSS processing triggered manually (latest article only)', { status: 200 });
+      });
+    }
+
+    // 聚合輸出:重新發布過濾後的文章 (可加 ?source=gnn,4gamers)
+    if (url.pathname === '/feed.xml' || url.pathname === '/atom.xml' || url.pathname === '/feed.json') {
+      return handleFeedRequest(env, url);
+    }
+
+    // 預覽 (需 ADMIN_TOKEN):
+    // - GET /preview 跑完整流程 (含每日摘要) 但不寫 KV、不發送 Discord;mode=trigger 模擬 /trigger (每個目的地只送一篇)
+    // - GET /preview?source=<id> 或 POST 只試算單一來源的過濾規則
+    if (url.pathname === '/preview') {
+      return handleAdminRoute(request, env, url, () => (request.method.toUpperCase() === 'POST' || url.searchParams.has('source')
+        ? handleFilterPreview(request, env, url)
+        : handlePreviewRequest(env, url, AUDIT_WORKER_ID, processRSS)));
+    }
+
+    // 來源管理 API (需 ADMIN_TOKEN)
+    if (url.pathname === '/admin/sources' || url.pathname.startsWith('/admin/sources/')) {
+      return handleAdminRoute(request, env, url, () => handleSourceAdmin(request, env, url));
+    }
+
+    // 發送失敗 (dead-letter) 查詢與重送 (需 ADMIN_TOKEN)
+    if (url.pathname === '/admin/deadletters' || url.pathname.startsWith('/admin/deadletters/')) {
+      return handleAdminRoute(request, env, url, () => handleDeadLetterAdmin(request, env, url, DEAD_LETTER_KEY));
+    }
+
+    // 訊息模板管理 (需 ADMIN_TOKEN)
+    if (url.pathname === '/admin/templates' || url.pathname.startsWith('/admin/templates/')) {
+      return handleAdminRoute(request, env, url, () => handleTemplateAdmin(request, env, url, {
+        fields: MESSAGE_TEMPLATE_FIELDS,
+        listSources: async kv => (await loadSourceRegistry(kv)).sources,
+        buildSample: source => buildTemplateContext(TEMPLATE_SAMPLE_ARTICLE, source)
+      }));
+    }
+
+    return new Response('GNN RSS Worker is running. Use /trigger to test manually.', { status: 200 });
+  },
+
+  // Cron trigger - 每小時執行
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(processRSS(env, false));
+  }
+};
+
+/**
+ * 處理 RSS 抓取和推送邏輯
+ * @param {Object} env - 環境變數
+ * @param {boolean} testMode - 測試模式 (每個源只發布最新一篇)
+ * @param {Object|null} preview - 預覽 context (見 createPreviewContext),預覽時不帶條件式請求並記錄每篇文章的判斷
+ */
+async function processRSS(env, testMode = false, preview = null) {
+  try {
+    const kv = env.RSS_CACHE;
+    if (!kv) {
+      console.error('RSS_CACHE KV namespace 未綁定,無法執行每日聚合');
+      return;
+    }
+
+    const dateKey = getTaipeiDateKey(new Date());
+    // 所有來源共用同一份 rate limit 等待預算
+    const discordDeadline = Date.now() + DISCORD_TIME_BUDGET_MS;
+
+    const { sources } = await loadSourceRegistry(kv);
+    const activeSources = sources.filter(source => source.enabled !== false);
+    const deadLetters = await loadDeadLetters(kv, DEAD_LETTER_KEY);
+    const health = await loadSourceHealth(env, kv, { key: HEALTH_KEY, workerId: AUDIT_WORKER_ID });
+    for (const id of Object.keys(health.sources)) {
+      // 已從 registry 移除的來源不再追蹤
+      if (!sources.some(source => source.id === id)) {
+        delete health.sources[id];
+        health.dirty = true;
+      }
+    }
+
+    // 先讀取所有來源 (每個發送目的地各一份) 的 sent: 資料,跨來源重複比對時需要看到其他來源已送出的文章
+    const sentMaps = new Map();
+    for (const source of activeSources) {
+      for (const destination of getSourceDestinations(source)) {
+        const { key, map } = await loadSentMap(kv, source, destination);
+        sentMaps.set(buildSentRecordId(source, destination), {
+          source,
+          key,
+          map,
+          dirty: pruneSentMap(map, getSentMapTtlSeconds(source))
+        });
+      }
+    }
+
+    // 每日摘要使用的當日文章 (sourceId → articles)
+    const digestArticles = new Map();
+
+    for (const source of activeSources) {
+      // 記錄健康狀態後發生的錯誤 (KV / Discord) 不算來源失敗
+      let healthRecorded = false;
+      try {
+        // digest 模式的來源只在每日摘要中出現,不即時推送
+        const liveDelivery = source.deliveryMode !== 'digest';
+        const destinations = getSourceDestinations(source);
+        if (liveDelivery && !destinations.some(destination => resolveDestinationTarget(env, destination))) {
+          console.error(`缺少 ${source.name} 的發送設定: ${destinations.map(describeDestinationEnv).join(', ')}`);
+          continue;
+        }
+
+        const { key, state, exists } = await loadDailyState(kv, source, dateKey);
+        const messageTemplate = liveDelivery ? await loadMessageTemplate(kv, source.id) : null;
+
+        // 抓取 RSS (帶上次的 ETag / Last-Modified 做條件式請求)
+        const response = await fetch(source.url, {
+          headers: preview ? {} : buildConditionalHeaders(state.feedCache)
+        });
+
+        let articles = state.articles;
+        let hasChanges = false;
+
+        if (response.status === 304) {
+          // 來源未更新:略過解析與合併,只處理先前尚未送出的文章
+          console.log(`${source.name} 未更新 (304),略過解析`);
+          recordSourceHealth(health, source, { ok: true, itemCount: null });
+          healthRecorded = true;
+        } else if (!response.ok) {
+          console.error(`Failed to fetch ${source.name}: ${response.status}`);
+          recordSourceHealth(health, source, { ok: false, error: `HTTP ${response.status}` });
+          continue;  // 跳過這個源,繼續處理下一個
+        } else {
+          const rssText = await response.text();
+
+          // 以時間窗而非「台北今天」篩選,已送出的文章由 sent: 跨日去重
+          const sinceMs = Date.now() - getLookbackHours(source) * 60 * 60 * 1000;
+          let feedItemCount = 0;
+          const parsedItems = await parseRSSItems(rssText, source, sinceMs, {
+            // feed 內的項目總數 (時間窗與過濾前) 作為來源的產出量
+            onRecords(records) {
+              feedItemCount = records.length;
+            },
+            ...(preview ? {
+              onFilterResult(item, result) {
+                preview.items.push({
+                  source: source.id,
+                  title: item.title,
+                  link: item.link,
+                  publishedAt: item.publishedAt,
+                  filter: { passed: result.passed, decisions: result.decisions },
+                  destinations: {}
+                });
+              }
+            } : {})
+          });
+          recordSourceHealth(health, source, { ok: true, itemCount: feedItemCount });
+          healthRecorded = true;
+          ({ articles, hasChanges } = mergeArticles(state.articles, parsedItems));
+
+          const feedCache = readCacheValidators(response);
+          if (!isSameCacheValidators(feedCache, state.feedCache)) {
+            state.feedCache = feedCache;
+            hasChanges = true;
+          }
+        }
+
+        digestArticles.set(source.id, articles);
+
+        // 其他來源近期已報導過的新聞:suppress 直接標記為已發送,followup 則在訊息中註明
+        const duplicatePolicy = source.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+        let duplicatesUpdated = false;
+        if (liveDelivery && duplicatePolicy !== 'off') {
+          for (const article of articles) {
+            if (article.duplicateOf || destinations.every(destination => isArticleSentTo(article, destination))) {
+              continue;
+            }
+            const duplicate = findDuplicateStory(article, source, sentMaps);
+            if (duplicate) {
+              article.duplicateOf = duplicate;
+              duplicatesUpdated = true;
+            }
+          }
+        }
+
+        let alreadySentUpdated = false;
+        let sendSuccess = false;
+        let messagesUpdated = false;
+
+        // 每個目的地各自過濾、限制篇數與記錄 sent 狀態,單一 webhook 失敗不影響其他目的地
+        for (const destination of destinations) {
+          const sentRecord = sentMaps.get(buildSentRecordId(source, destination));
+          const sentMap = sentRecord.map;
+          const label = destinations.length > 1 ? `${source.name} → ${destination.id}` : source.name;
+
+          if (markPreviouslySentArticles(articles, sentMap, destination)) {
+            alreadySentUpdated = true;
+          }
+
+          const destinationType = getDestinationType(destination);
+          const target = liveDelivery ? resolveDestinationTarget(env, destination) : null;
+          if (!target) {
+            if (liveDelivery) {
+              console.error(`缺少 ${label} 的發送設定: ${describeDestinationEnv(destination)}`);
+            }
+            continue;
+          }
+          if (preview && typeof target === 'string' && !getPreviewContext(target)) {
+            // 預覽只換掉名稱含 WEBHOOK 或值為 Discord / Slack webhook 的環境變數,其他網址不能送出
+            preview.notes.push(`${label}: ${describeDestinationEnv(destination)} 無法在預覽中攔截,略過此目的地`);
+            continue;
+          }
+
+          const markSent = article => {
+            markArticleSentTo(article, destination, new Date().toISOString());
+            if (setSentEntry(sentMap, article, source, destination)) {
+              sentRecord.dirty = true;
+            }
+          };
+
+          const previouslySent = preview ? new Set(articles.filter(article => isArticleSentTo(article, destination))) : null;
+          const deferred = preview ? new Map() : null;
+          const nowMs = Date.now();
+
+          // 尋找此目的地尚未發送且符合過濾條件的文章 (由舊到新)
+          const pendingQueue = [];
+          for (const article of articles) {
+            const deadLetterId = buildDeadLetterId(source, destination, article);
+            const deadLetter = deadLetterId ? deadLetters.map.get(deadLetterId) : null;
+
+            if (isArticleSentTo(article, destination) || !matchesDestinationFilter(article, destination)) {
+              if (deadLetter) {
+                deadLetters.map.delete(deadLetterId);
+                deadLetters.dirty = true;
+              }
+              continue;
+            }
+
+            // 先前發送失敗:退避時間未到或已放棄重試時先略過
+            if (deadLetter && !isDeadLetterDue(deadLetter, nowMs)) {
+              if (deferred) {
+                deferred.set(article, deadLetter.status === 'exhausted' ? 'dead-letter' : 'backoff');
+              }
+              continue;
+            }
+
+            if (article.duplicateOf && duplicatePolicy === 'suppress') {
+              console.log(`略過重複新聞 (${article.duplicateOf.reason}): ${article.title} ← ${article.duplicateOf.sourceName}`);
+              markSent(article);
+              duplicatesUpdated = true;
+              continue;
+            }
+
+            pendingQueue.push(article);
+          }
+
+          // 已離開每日狀態 (超出時間窗) 的失敗文章,到了重試時間也一併重送
+          const stateDeadLetterIds = new Set(articles.map(article => buildDeadLetterId(source, destination, article)));
+          const orphanRetries = [];
+          for (const entry of deadLetters.map.values()) {
+            if (entry.sourceId !== source.id || entry.destinationId !== destination.id || stateDeadLetterIds.has(entry.id)) {
+              continue;
+            }
+            if (sentMap.has(hashIdentifier(getArticleIdentity(entry.article)))) {
+              deadLetters.map.delete(entry.id);
+              deadLetters.dirty = true;
+            } else if (isDeadLetterDue(entry, nowMs)) {
+              orphanRetries.push(entry.article);
+            }
+          }
+          pendingQueue.unshift(...orphanRetries);
+
+          // 論壇頻道每篇文章各自建立一則貼文,不合併發送;合併發送只適用於 Discord
+          const batchMode = source.batchEmbeds === true && !destination.forum && destinationType === 'discord';
+          const limit = testMode ? 1 : (destination.sendLimit || (batchMode ? MAX_BATCH_ITEMS_PER_SEND : MAX_ITEMS_PER_SEND));
+          const toSend = pendingQueue.slice(0, limit);
+          if (preview) {
+            recordPreviewDecisions(preview, source, destination, [...orphanRetries, ...articles], previouslySent, toSend, duplicatePolicy, deferred);
+          }
+
+          const destinationSource = buildDestinationSource(source, destination, messageTemplate);
+
+          if (toSend.length) {
+            let successCount = 0;
+            // message 為 ?wait=true 回傳的訊息,size 為同一則訊息內的文章數
+            const onSent = (article, message, size) => {
+              if (message && message.id) {
+                // 論壇貼文的訊息位於新建立的討論串 (channel_id),編輯時需要帶 thread_id
+                const threadId = destination.forum && message.channel_id ? message.channel_id : null;
+                setArticleMessage(article, destination, { id: message.id, hash: getArticleContentHash(article), size, threadId });
+              }
+              markSent(article);
+              successCount += 1;
+              sendSuccess = true;
+              const deadLetterId = buildDeadLetterId(source, destination, article);
+              if (deadLetterId && deadLetters.map.delete(deadLetterId)) {
+                deadLetters.dirty = true;
+              }
+            };
+            const onFailed = (article, result) => {
+              const deadLetterId = buildDeadLetterId(source, destination, article);
+              if (deadLetterId) {
+                const entry = recordDeadLetter(deadLetters.map, deadLetterId, article, result, {
+                  sourceId: source.id,
+                  destinationId: destination.id
+                });
+                deadLetters.dirty = true;
+                console.error(`Recorded dead letter for ${label} (attempt ${entry.attempts}/${DEAD_LETTER_MAX_ATTEMPTS}, ${entry.status}): ${article.title}`);
+              }
+            };
+
+            if (destinationType !== 'discord') {
+              for (const article of toSend) {
+                // 只有 Discord 訊息會記錄 id,其他目的地內容更新時不會回頭編輯
+                if (await sendToDestination(target, article, destinationSource, destination, discordDeadline, onFailed)) {
+                  onSent(article, null, 1);
+                }
+              }
+            } else if (batchMode) {
+              await sendBatchesToDiscord(target, toSend, destinationSource, discordDeadline, onSent, onFailed);
+            } else {
+              for (const article of toSend) {
+                const message = await sendToDiscord(target, article, destinationSource, discordDeadline, onFailed);
+                if (message) {
+                  onSent(article, message, 1);
+                }
+              }
+            }
+
+            console.log(`Successfully sent ${successCount}/${toSend.length} items for ${label}${testMode ? ' (test mode)' : ''}`);
+          } else {
+            console.log(`No pending items to send for ${label}`);
+          }
+
+          if (destinationType !== 'discord') {
+            continue;
+          }
+
+          // 已發送文章的內容有更新 (例如編輯修正錯字) 時,同步編輯 Discord 上的訊息
+          const editedCount = await editChangedMessages(target, articles, destinationSource, destination, discordDeadline, (article, message) => {
+            setArticleMessage(article, destination, message);
+            if (setSentEntry(sentMap, article, source, destination)) {
+              sentRecord.dirty = true;
+            }
+            messagesUpdated = true;
+          });
+          if (editedCount) {
+            console.log(`Edited ${editedCount} Discord messages for ${label}`);
+          }
+        }
+
+        if (hasChanges || sendSuccess || alreadySentUpdated || duplicatesUpdated || messagesUpdated || !exists) {
+          const nextState = {
+            ...state,
+            articles,
+            updatedAt: new Date().toISOString()
+          };
+          await saveDailyState(kv, key, nextState);
+        }
+
+        for (const destination of destinations) {
+          const sentRecord = sentMaps.get(buildSentRecordId(source, destination));
+          if (sentRecord.dirty) {
+            await saveSentMap(kv, sentRecord.key, sentRecord.map, getSentMapTtlSeconds(source));
+            sentRecord.dirty = false;
+          }
+        }
+      } catch (error) {
+        console.error(`Error processing ${source.name}:`, error);
+        if (!healthRecorded) {
+          recordSourceHealth(health, source, { ok: false, error: error.message });
+        }
+        // 繼續處理下一個源
+      }
+    }
+
+    if (deadLetters.dirty) {
+      await saveDeadLetters(kv, DEAD_LETTER_KEY, deadLetters.map);
+    }
+
+    await flushSourceHealth(env, kv, health);
+
+    if (!testMode) {
+      await processDigests(env, activeSources, dateKey, digestArticles, discordDeadline);
+    }
+  } catch (error) {
+    console.error('Error in processRSS:', error);
+  }
+}
+
+/**
+ * 預覽時記錄目的地對每篇文章的判斷:send / sent (已發送) / filtered (目的地過濾) / duplicate (重複新聞略過) /
+ * backoff (發送失敗,等待重試) / dead-letter (已放棄重試) / limited (超過發送上限)
+ */
+function recordPreviewDecisions(preview, source, destination, articles, previouslySent, toSend, duplicatePolicy, deferred) {
+  for (const article of articles) {
+    let decision = 'limited';
+    if (toSend.includes(article)) {
+      decision = 'send';
+    } else if (deferred.has(article)) {
+      decision = deferred.get(article);
+    } else if (previouslySent.has(article)) {
+      decision = 'sent';
+    } else if (!matchesDestinationFilter(article, destination)) {
+      decision = 'filtered';
+    } else if (article.duplicateOf && duplicatePolicy === 'suppress') {
+      decision = 'duplicate';
+    }
+
+    let entry = preview.items.find(item => item.source === source.id && item.link === article.link);
+    if (!entry) {
+      // 已離開 feed (或超出時間窗) 的文章沒有本次的過濾結果
+      entry = { source: source.id, title: article.title, link: article.link, publishedAt: article.publishedAt, filter: null, destinations: {} };
+      preview.items.push(entry);
+    }
+    entry.destinations[destination.id] = decision;
+  }
+}
+
+/**
+ * 發送每日摘要
+ * 設定 deliveryMode 為 digest / both 的來源,會在台北時間 digestTime 之後的第一次執行時,
+ * 將前一天 digestTime 到當天 digestTime 之間發布的文章整理成一則摘要。使用相同 digestWebhookEnv 與 digestTime
+ * 的來源合併為同一則訊息,並列出各來源的文章數。
+ * @param {Map<string, Array>} digestArticles - 本次執行已載入的當日文章
+ */
+async function processDigests(env, sources, dateKey, digestArticles, deadline) {
+  const kv = env.RSS_CACHE;
+  const nowMinutes = getTaipeiMinutes(new Date());
+  const groups = new Map();
+
+  for (const source of sources) {
+    if (source.deliveryMode !== 'digest' && source.deliveryMode !== 'both') {
+      continue;
+    }
+
+    const digestTime = source.digestTime || DEFAULT_DIGEST_TIME;
+    if (nowMinutes < parseTimeOfDay(digestTime)) {
+      continue;
+    }
+
+    const webhookEnv = source.digestWebhookEnv || source.webhookEnv;
+    const groupKey = `${webhookEnv}|${digestTime}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { webhookEnv, digestTime, sources: [] });
+    }
+    groups.get(groupKey).sources.push(source);
+  }
+
+  for (const group of groups.values()) {
+    try {
+      const groupKey = `${encodeURIComponent(group.webhookEnv)}:${group.digestTime}:${dateKey}`;
+      const markerKey = `digest:${groupKey}`;
+      const progressKey = `digest-progress:${groupKey}`;
+      if (await kv.get(markerKey)) {
+        continue;
+      }
+
+      const webhookUrl = env[group.webhookEnv];
+      if (!webhookUrl) {
+        console.error(`缺少每日摘要的 Webhook 設定: ${group.webhookEnv}`);
+        continue;
+      }
+
+      // 上次只送出部分訊息時,直接送出當時剩下的訊息;重新組裝的內容可能因文章變動而與已送出的部分對不上
+      const progress = await kv.get(progressKey, { type: 'json' });
+      let payloads;
+      let total;
+      if (progress && Array.isArray(progress.payloads)) {
+        ({ payloads, total } = progress);
+      } else {
+        const digestWindow = getDigestWindow(dateKey, group.digestTime);
+        const sections = [];
+        for (const source of group.sources) {
+          const articles = await loadDigestArticles(kv, source, dateKey, digestWindow, digestArticles);
+          sections.push({ source, articles });
+        }
+        payloads = buildDigestPayloads(sections, dateKey);
+        total = payloads.length;
+      }
+
+      let sentCount = 0;
+      for (const payload of payloads) {
+        const result = await discordRequest(webhookUrl, payload, { deadline });
+        if (!result.ok) {
+          const position = total - payloads.length + sentCount + 1;
+          console.error(`每日摘要發送失敗 (${group.webhookEnv}, 第 ${position}/${total} 則): ${result.status} - ${result.errorText}`);
+          break;
+        }
+        sentCount += 1;
+      }
+
+      if (sentCount < payloads.length) {
+        // 還有訊息沒送出:不寫入 digest: 標記,記錄尚未送出的訊息供下次接續
+        if (sentCount > 0) {
+          await kv.put(progressKey, JSON.stringify({
+            payloads: payloads.slice(sentCount),
+            total,
+            updatedAt: new Date().toISOString()
+          }), { expirationTtl: DAILY_STATE_TTL_SECONDS });
+        }
+        continue;
+      }
+
+      await kv.put(markerKey, JSON.stringify({
+        sentAt: new Date().toISOString(),
+        messages: total,
+        sources: group.sources.map(source => source.id)
+      }), { expirationTtl: DAILY_STATE_TTL_SECONDS });
+      if (progress) {
+        await kv.delete(progressKey);
+      }
+
+      console.log(`每日摘要已發送 (${group.webhookEnv}, ${group.sources.length} 個來源)`);
+    } catch (error) {
+      console.error(`處理每日摘要失敗 (${group.webhookEnv}):`, error);
+    }
+  }
+}
+
+/**
+ * 每日摘要涵蓋的時間窗:前一天的 digestTime 到當天的 digestTime (台北時間)
+ * digestTime 之後才發布的文章歸入隔天的摘要
+ */
+function getDigestWindow(dateKey, digestTime) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const endMs = Date.UTC(year, month - 1, day) + parseTimeOfDay(digestTime) * 60 * 1000 - TAIPEI_OFFSET_MS;
+  return { startMs: endMs - 24 * 60 * 60 * 1000, endMs };
+}
+
+/**
+ * 讀取來源在摘要時間窗內發布的文章;時間窗跨越兩天,合併前一天與當天的每日狀態
+ * @param {Map<string, Array>} digestArticles - 本次執行已載入的當日文章
+ */
+async function loadDigestArticles(kv, source, dateKey, digestWindow, digestArticles) {
+  let todayArticles = digestArticles.get(source.id);
+  if (!todayArticles) {
+    ({ state: { articles: todayArticles } } = await loadDailyState(kv, source, dateKey));
+  }
+  const previousDateKey = getTaipeiDateKey(new Date(digestWindow.startMs));
+  const { state: { articles: previousArticles } } = await loadDailyState(kv, source, previousDateKey);
+
+  const inWindow = article => Number.isFinite(article.publishedAtMs)
+    && article.publishedAtMs >= digestWindow.startMs && article.publishedAtMs < digestWindow.endMs;
+  const articles = new Map();
+  for (const article of previousArticles) {
+    if (inWindow(article)) {
+      articles.set(article.link, article);
+    }
+  }
+  for (const article of todayArticles) {
+    // 沒有發布時間的舊資料列在當天的摘要
+    if (inWindow(article) || !Number.isFinite(article.publishedAtMs)) {
+      articles.set(article.link, article);
+    }
+  }
+  return [...articles.values()];
+}
+
+/**
+ * 建立每日摘要訊息:開頭列出各來源文章數,每個來源一個 embed 列出文章標題連結
+ * @param {Array<{source: Object, articles: Array}>} sections
+ * @returns {Array<Object>} Discord payload (超過單則限制時拆成多則)
+ */
+function buildDigestPayloads(sections, dateKey) {
+  const total = sections.reduce((sum, section) => sum + section.articles.length, 0);
+  const counts = sections.map(section => `${section.source.name} ${section.articles.length} 篇`).join(' / ');
+  const header = limitPlainText(`**📰 每日摘要 ${dateKey}** 共 ${total} 篇\n${counts}`, DISCORD_MAX_CONTENT_LENGTH);
+
+  const entries = sections
+    .filter(section => section.articles.length > 0)
+    .map(section => {
+      const lines = [];
+      let length = 0;
+      for (const [index, article] of section.articles.entries()) {
+        const title = limitPlainText(article.title || 'No Title', 120).replace(/[[\]]/g, '');
+        const line = `• [${title}](${article.link})`;
+        if (length + line.length + 1 > DIGEST_MAX_SECTION_LENGTH) {
+          lines.push(`…另有 ${section.articles.length - index} 篇`);
+          break;
+        }
+        lines.push(line);
+        length += line.length + 1;
+      }
+
+      return {
+        article: section.source.id,
+        payload: {
+          embeds: [{
+            title: `${section.source.name} (${section.articles.length} 篇)`,
+            description: lines.join('\n'),
+            color: section.source.color
+          }]
+        }
+      };
+    });
+
+  const batches = packDiscordBatches(entries);
+  if (!batches.length) {
+    return [{ content: header, allowed_mentions: { parse: [] } }];
+  }
+
+  batches[0].payload.content = header;
+  // 摘要不提及任何人
+  return batches.map(batch => ({ ...batch.payload, allowed_mentions: { parse: [] } }));
+}
+
+function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function getTaipeiMinutes(date) {
+  const taipeiTime = new Date(date.getTime() + TAIPEI_OFFSET_MS);
+  return taipeiTime.getUTCHours() * 60 + taipeiTime.getUTCMinutes();
+}
+
+/**
+ * 輸出聚合 feed (/feed.xml RSS 2.0、/atom.xml Atom 1.0、/feed.json JSON Feed 1.1)
+ * 內容取自今天與昨天 (台北時間) 的每日狀態,也就是已通過來源過濾條件的文章。
+ */
+async function handleFeedRequest(env, url) {
+  const kv = env.RSS_CACHE;
+  if (!kv) {
+    return new Response('RSS_CACHE KV namespace 未綁定', { status: 500 });
+  }
+
+  const { sources } = await loadSourceRegistry(kv);
+  let selected = sources.filter(source => source.enabled !== false);
+
+  const sourceParam = url.searchParams.get('source');
+  if (sourceParam) {
+    const ids = sourceParam.split(',').map(id => id.trim()).filter(Boolean);
+    const unknown = ids.filter(id => !sources.some(source => source.id === id));
+    if (unknown.length) {
+      return jsonResponse({ error: `找不到來源 ${unknown.join(', ')}` }, 404);
+    }
+    selected = sources.filter(source => ids.includes(source.id));
+  }
+
+  const now = new Date();
+  const dateKeys = [getTaipeiDateKey(now), getTaipeiDateKey(new Date(now.getTime() - 24 * 60 * 60 * 1000))];
+  const seenLinks = new Set();
+  const entries = [];
+
+  for (const source of selected) {
+    for (const dateKey of dateKeys) {
+      const { state } = await loadDailyState(kv, source, dateKey);
+      for (const article of state.articles) {
+        if (seenLinks.has(article.link)) {
+          continue;
+        }
+        seenLinks.add(article.link);
+        entries.push({ article, source });
+      }
+    }
+  }
+
+  entries.sort((a, b) => (b.article.publishedAtMs || 0) - (a.article.publishedAtMs || 0));
+
+  const feed = {
+    title: selected.length === 1 ? selected[0].name : 'CF-RSS 聚合新聞',
+    description: `聚合來源: ${selected.map(source => source.name).join(', ')}`,
+    homeUrl: url.origin,
+    selfUrl: url.toString(),
+    updatedAt: entries.length && entries[0].article.publishedAt ? entries[0].article.publishedAt : now.toISOString(),
+    entries: entries.slice(0, MAX_FEED_OUTPUT_ITEMS)
+  };
+
+  const headers = { 'Cache-Control': 'public, max-age=300' };
+
+  if (url.pathname === '/feed.json') {
+    return new Response(JSON.stringify(buildJsonFeed(feed), null, 2), {
+      headers: { ...headers, 'Content-Type': 'application/feed+json; charset=utf-8' }
+    });
+  }
+
+  if (url.pathname === '/atom.xml') {
+    return new Response(buildAtomFeed(feed), {
+      headers: { ...headers, 'Content-Type': 'application/atom+xml; charset=utf-8' }
+    });
+  }
+
+  return new Response(buildRssFeed(feed), {
+    headers: { ...headers, 'Content-Type': 'application/rss+xml; charset=utf-8' }
+  });
+}
+
+function buildRssFeed(feed) {
+  const items = feed.entries.map(({ article, source }) => {
+    const parts = [
+      `<title>${escapeXmlText(article.title || 'No Title')}</title>`,
+      `<link>${escapeXmlText(article.link)}</link>`,
+      `<guid isPermaLink="${article.guid ? 'false' : 'true'}">${escapeXmlText(article.guid || article.link)}</guid>`,
+      `<description>${escapeXmlText(article.description || '')}</description>`,
+      `<category>${escapeXmlText(source.name)}</category>`,
+      `<source url="${escapeXmlText(source.url)}">${escapeXmlText(source.name)}</source>`
+    ];
+    if (article.publishedAt) {
+      parts.push(`<pubDate>${new Date(article.publishedAt).toUTCString()}</pubDate>`);
+    }
+    if (article.thumbnail) {
+      parts.push(`<enclosure url="${escapeXmlText(article.thumbnail)}" type="${guessImageMimeType(article.thumbnail)}" length="0" />`);
+    }
+    return `    <item>\n      ${parts.join('\n      ')}\n    </item>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXmlText(feed.title)}</title>`,
+    `    <link>${escapeXmlText(feed.homeUrl)}</link>`,
+    `    <description>${escapeXmlText(feed.description)}</description>`,
+    `    <atom:link href="${escapeXmlText(feed.selfUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${new Date(feed.updatedAt).toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+}
+
+function buildAtomFeed(feed) {
+  const entries = feed.entries.map(({ article, source }) => {
+    const updated = article.publishedAt || feed.updatedAt;
+    const parts = [
+      `<id>${escapeXmlText(article.guid || article.link)}</id>`,
+      `<title>${escapeXmlText(article.title || 'No Title')}</title>`,
+      `<link rel="alternate" href="${escapeXmlText(article.link)}" />`,
+      `<updated>${updated}</updated>`,
+      `<published>${updated}</published>`,
+      `<summary>${escapeXmlText(article.description || '')}</summary>`,
+      `<author><name>${escapeXmlText(source.name)}</name></author>`,
+      `<category term="${escapeXmlText(source.id)}" label="${escapeXmlText(source.name)}" />`
+    ];
+    if (article.thumbnail) {
+      parts.push(`<link rel="enclosure" href="${escapeXmlText(article.thumbnail)}" type="${guessImageMimeType(article.thumbnail)}" length="0" />`);
+    }
+    return `  <entry>\n    ${parts.join('\n    ')}\n  </entry>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXmlText(feed.selfUrl)}</id>`,
+    `  <title>${escapeXmlText(feed.title)}</title>`,
+    `  <subtitle>${escapeXmlText(feed.description)}</subtitle>`,
+    `  <link rel="self" href="${escapeXmlText(feed.selfUrl)}" />`,
+    `  <link rel="alternate" href="${escapeXmlText(feed.homeUrl)}" />`,
+    `  <updated>${feed.updatedAt}</updated>`,
+    ...entries,
+    '</feed>'
+  ].join('\n');
+}
+
+function buildJsonFeed(feed) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    items: feed.entries.map(({ article, source }) => {
+      const item = {
+        id: article.guid || article.link,
+        url: article.link,
+        title: article.title || 'No Title',
+        content_text: article.description || '',
+        tags: [source.name],
+        authors: [{ name: source.name }]
+      };
+      if (article.publishedAt) {
+        item.date_published = article.publishedAt;
+      }
+      if (article.thumbnail) {
+        item.image = article.thumbnail;
+        item.attachments = [{ url: article.thumbnail, mime_type: guessImageMimeType(article.thumbnail) }];
+      }
+      return item;
+    })
+  };
+}
+
+function guessImageMimeType(imageUrl) {
+  const extension = (/\.([a-z0-9]+)(?:$|[?#])/i.exec(imageUrl) || [])[1];
+  switch ((extension || '').toLowerCase()) {
+    case 'png':
+      return 'image/png';
+    case 'gif':
+      return 'image/gif';
+    case 'webp':
+      return 'image/webp';
+    case 'avif':
+      return 'image/avif';
+    default:
+      return 'image/jpeg';
+  }
+}
+
+/**
+ * 讀取 KV 中的來源清單,尚未建立時回傳預設來源
+ * @param {Object} kv - RSS_CACHE KV namespace
+ * @returns {Promise<{sources: Array<Object>, persisted: boolean}>}
+ */
+async function loadSourceRegistry(kv) {
+  try {
+    const raw = await kv.get(SOURCE_REGISTRY_KEY);
+    if (raw) {
+      const data = JSON.parse(raw);
+      if (data && Array.isArray(data.sources)) {
+        return { sources: data.sources, persisted: true };
+      }
+    }
+  } catch (error) {
+    console.error('讀取來源 registry 失敗,改用預設來源:', error);
+  }
+
+  return {
+    sources: DEFAULT_RSS_SOURCES.map(source => ({ ...source, enabled: true })),
+    persisted: false
+  };
+}
+
+async function saveSourceRegistry(kv, sources) {
+  const data = {
+    sources,
+    updatedAt: new Date().toISOString()
+  };
+  await kv.put(SOURCE_REGISTRY_KEY, JSON.stringify(data));
+}
+
+/**
+ * 處理 /admin/sources 路由
+ *
+ * GET    /admin/sources              列出所有來源
+ * POST   /admin/sources              新增來源
+ * PATCH  /admin/sources/:id          更新來源 (僅覆寫提供的欄位)
+ * POST   /admin/sources/:id/disable  停用來源
+ * POST   /admin/sources/:id/enable   重新啟用來源
+ * DELETE /admin/sources/:id          刪除來源
+ */
+async function handleSourceAdmin(request, env, url) {
+  const kv = env.RSS_CACHE;
+  if (!kv) {
+    return jsonResponse({ error: 'RSS_CACHE KV namespace 未綁定' }, 500);
+  }
+
+  const segments = url.pathname.split('/').filter(Boolean).slice(2).map(decodeURIComponent);
+  const [sourceId, action] = segments;
+  const method = request.method.toUpperCase();
+
+  try {
+    const { sources } = await loadSourceRegistry(kv);
+
+    if (!sourceId) {
+      if (method === 'GET') {
+        return jsonResponse({ sources });
+      }
+
+      if (method === 'POST') {
+        const body = await readJsonBody(request);
+        if (!body) {
+          return jsonResponse({ error: 'Request body 必須是 JSON 物件' }, 400);
+        }
+
+        const { source, errors } = normalizeSourceInput(body, null);
+        if (errors.length) {
+          return jsonResponse({ error: '來源設定無效', details: errors }, 400);
+        }
+        if (sources.some(entry => entry.id === source.id)) {
+          return jsonResponse({ error: `來源 ${source.id} 已存在` }, 409);
+        }
+
+        sources.push(source);
+        await saveSourceRegistry(kv, sources);
+        return jsonResponse({ source }, 201);
+      }
+
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const index = sources.findIndex(entry => entry.id === sourceId);
+    if (index === -1) {
+      return jsonResponse({ error: `找不到來源 ${sourceId}` }, 404);
+    }
+
+    if (action) {
+      if (method !== 'POST' || (action !== 'disable' && action !== 'enable')) {
+        return jsonResponse({ error: 'Not found' }, 404);
+      }
+
+      sources[index] = {
+        ...sources[index],
+        enabled: action === 'enable',
+        updatedAt: new Date().toISOString()
+      };
+      await saveSourceRegistry(kv, sources);
+      return jsonResponse({ source: sources[index] });
+    }
+
+    if (method === 'GET') {
+      return jsonResponse({ source: sources[index] });
+    }
+
+    if (method === 'PATCH' || method === 'PUT') {
+      const body = await readJsonBody(request);
+      if (!body) {
+        return jsonResponse({ error: 'Request body 必須是 JSON 物件' }, 400);
+      }
+      if (body.id !== undefined && body.id !== sourceId) {
+        return jsonResponse({ error: '不可變更來源 id' }, 400);
+      }
+
+      const { source, errors } = normalizeSourceInput({ ...sources[index], ...body }, sources[index]);
+      if (errors.length) {
+        return jsonResponse({ error: '來源設定無效', details: errors }, 400);
+      }
+
+      sources[index] = source;
+      await saveSourceRegistry(kv, sources);
+      return jsonResponse({ source });
+    }
+
+    if (method === 'DELETE') {
+      const [removed] = sources.splice(index, 1);
+      await saveSourceRegistry(kv, sources);
+      return jsonResponse({ deleted: removed.id });
+    }
+
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  } catch (error) {
+    console.error('來源管理 API 發生錯誤:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
+
+/**
+ * 驗證並正規化來源設定
+ * @param {Object} input - 使用者提供的設定 (更新時已與舊設定合併)
+ * @param {Object|null} existing - 既有設定,新增時為 null
+ * @returns {{source: Object, errors: Array<string>}}
+ */
+function normalizeSourceInput(input, existing) {
+  const errors = [];
+  const now = new Date().toISOString();
+
+  const id = typeof input.id === 'string' ? input.id.trim() : '';
+  if (!SOURCE_ID_PATTERN.test(id)) {
+    errors.push('id 必須為 1-64 個英數字、- 或 _');
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    errors.push('name 為必填');
+  }
+
+  const feedUrl = parseHttpUrl(input.url);
+  if (!feedUrl) {
+    errors.push('url 必須是 http(s) 網址');
+  }
+
+  let baseUrl = feedUrl ? feedUrl.origin : '';
+  if (input.baseUrl !== undefined && input.baseUrl !== null && input.baseUrl !== '') {
+    const parsedBase = parseHttpUrl(input.baseUrl);
+    if (parsedBase) {
+      baseUrl = parsedBase.origin;
+    } else {
+      errors.push('baseUrl 必須是 http(s) 網址');
+    }
+  }
+
+  const webhookEnv = typeof input.webhookEnv === 'string' ? input.webhookEnv.trim() : '';
+  if (!/^[A-Z0-9_]+$/i.test(webhookEnv)) {
+    errors.push('webhookEnv 必須是環境變數名稱');
+  }
+
+  const color = parseColor(input.color);
+  if (color === null) {
+    errors.push('color 必須是 0-0xFFFFFF 的數字或 #RRGGBB 字串');
+  }
+
+  const thumbnailStrategy = input.thumbnailStrategy || 'none';
+  if (!THUMBNAIL_STRATEGIES.includes(thumbnailStrategy)) {
+    errors.push(`thumbnailStrategy 必須是 ${THUMBNAIL_STRATEGIES.join(', ')} 其中之一`);
+  }
+
+  const payloadStyle = input.payloadStyle || 'embed';
+  if (!PAYLOAD_STYLES.includes(payloadStyle)) {
+    errors.push(`payloadStyle 必須是 ${PAYLOAD_STYLES.join(', ')} 其中之一`);
+  }
+
+  let descriptionMaxLength;
+  if (input.descriptionMaxLength !== undefined && input.descriptionMaxLength !== null) {
+    descriptionMaxLength = Number(input.descriptionMaxLength);
+    if (!Number.isInteger(descriptionMaxLength) || descriptionMaxLength <= 0) {
+      errors.push('descriptionMaxLength 必須是正整數');
+    }
+  }
+
+  let lookbackHours;
+  if (input.lookbackHours !== undefined && input.lookbackHours !== null) {
+    lookbackHours = Number(input.lookbackHours);
+    if (!Number.isInteger(lookbackHours) || lookbackHours <= 0 || lookbackHours > MAX_LOOKBACK_HOURS) {
+      errors.push(`lookbackHours 必須是 1-${MAX_LOOKBACK_HOURS} 的整數`);
+    }
+  }
+
+  let filter;
+  if (input.filter !== undefined && input.filter !== null) {
+    const filterErrors = validateSourceFilter(input.filter);
+    errors.push(...filterErrors);
+    filter = input.filter;
+  }
+
+  if (input.batchEmbeds !== undefined && typeof input.batchEmbeds !== 'boolean') {
+    errors.push('batchEmbeds 必須是 boolean');
+  }
+
+  const deliveryMode = input.deliveryMode || 'live';
+  if (!DELIVERY_MODES.includes(deliveryMode)) {
+    errors.push(`deliveryMode 必須是 ${DELIVERY_MODES.join(', ')} 其中之一`);
+  }
+  let destinations;
+  if (input.destinations !== undefined && input.destinations !== null) {
+    destinations = normalizeDestinations(input.destinations, errors);
+  }
+
+  if (input.mentions !== undefined && input.mentions !== null) {
+    errors.push(...validateMentionRules(input.mentions));
+  }
+
+  const duplicatePolicy = input.duplicatePolicy || DEFAULT_DUPLICATE_POLICY;
+  if (!DUPLICATE_POLICIES.includes(duplicatePolicy)) {
+    errors.push(`duplicatePolicy 必須是 ${DUPLICATE_POLICIES.join(', ')} 其中之一`);
+  }
+  if (input.digestTime !== undefined && input.digestTime !== null && parseTimeOfDay(input.digestTime) === null) {
+    errors.push('digestTime 必須是 HH:MM (台北時間)');
+  }
+  if (input.digestWebhookEnv !== undefined && input.digestWebhookEnv !== null
+    && !/^[A-Z0-9_]+$/i.test(String(input.digestWebhookEnv))) {
+    errors.push('digestWebhookEnv 必須是環境變數名稱');
+  }
+
+  const source = {
+    id,
+    name,
+    url: feedUrl ? feedUrl.toString() : '',
+    baseUrl,
+    color,
+    webhookEnv,
+    thumbnailStrategy,
+    payloadStyle,
+    batchEmbeds: input.batchEmbeds === true,
+    deliveryMode,
+    duplicatePolicy,
+    enabled: input.enabled !== false,
+    createdAt: (existing && existing.createdAt) || now,
+    updatedAt: now
+  };
+
+  // stateId 只保留既有值,不開放透過 API 修改
+  if (existing && existing.stateId) {
+    source.stateId = existing.stateId;
+  }
+  if (descriptionMaxLength !== undefined) {
+    source.descriptionMaxLength = descriptionMaxLength;
+  }
+  if (lookbackHours !== undefined) {
+    source.lookbackHours = lookbackHours;
+  }
+  if (destinations !== undefined) {
+    source.destinations = destinations;
+  }
+  if (filter !== undefined) {
+    source.filter = filter;
+  }
+  if (Array.isArray(input.mentions) && input.mentions.length) {
+    source.mentions = input.mentions;
+  }
+  if (input.digestTime) {
+    source.digestTime = input.digestTime;
+  }
+  if (input.digestWebhookEnv) {
+    source.digestWebhookEnv = input.digestWebhookEnv;
+  }
+
+  return { source, errors };
+}
+
+/**
+ * 驗證並正規化發送目的地 (fan-out)
+ * 每個目的地: { id, type?, webhookEnv, filter?, color?, sendLimit? };id 為 default 時沿用來源原本的 sent 狀態
+ * type 預設為 discord;slack (incoming webhook) 與 json (通用 webhook) 的 webhookEnv 為對應網址的環境變數,
+ * telegram 目的地改用 { chatId, botTokenEnv? } (bot token 預設讀 TELEGRAM_BOT_TOKEN),
+ * line 目的地改用 { to, accessTokenEnv? } (channel access token 預設讀 LINE_CHANNEL_ACCESS_TOKEN)
+ */
+function normalizeDestinations(input, errors) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_DESTINATIONS) {
+    errors.push(`destinations 必須是 1-${MAX_DESTINATIONS} 個目的地的陣列`);
+    return undefined;
+  }
+
+  const seenIds = new Set();
+  return input.map((entry, index) => {
+    const path = `destinations[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${path} 必須是物件`);
+      return null;
+    }
+
+    const id = typeof entry.id === 'string' ? entry.id.trim() : '';
+    if (!SOURCE_ID_PATTERN.test(id)) {
+      errors.push(`${path}.id 必須為 1-64 個英數字、- 或 _`);
+    } else if (seenIds.has(id)) {
+      errors.push(`${path}.id 重複: ${id}`);
+    }
+    seenIds.add(id);
+
+    const type = entry.type === undefined || entry.type === null ? DEFAULT_DESTINATION_TYPE : entry.type;
+    if (!DESTINATION_TYPES.includes(type)) {
+      errors.push(`${path}.type 必須是 ${DESTINATION_TYPES.join(' / ')}`);
+    }
+
+    let destination;
+    if (type === 'telegram') {
+      destination = normalizeTelegramDestination(entry, id, path, errors);
+    } else if (type === 'line') {
+      destination = normalizeLineDestination(entry, id, path, errors);
+    } else {
+      destination = { id, webhookEnv: normalizeEnvName(entry.webhookEnv, `${path}.webhookEnv`, errors) };
+      if (type !== DEFAULT_DESTINATION_TYPE) {
+        destination.type = type;
+      }
+    }
+
+    if (entry.color !== undefined && entry.color !== null) {
+      const color = parseColor(entry.color);
+      if (color === null) {
+        errors.push(`${path}.color 必須是 0-0xFFFFFF 的數字或 #RRGGBB 字串`);
+      }
+      destination.color = color;
+    }
+
+    if (entry.sendLimit !== undefined && entry.sendLimit !== null) {
+      const sendLimit = Number(entry.sendLimit);
+      if (!Number.isInteger(sendLimit) || sendLimit <= 0 || sendLimit > MAX_BATCH_ITEMS_PER_SEND) {
+        errors.push(`${path}.sendLimit 必須是 1-${MAX_BATCH_ITEMS_PER_SEND} 的整數`);
+      }
+      destination.sendLimit = sendLimit;
+    }
+
+    if (entry.filter !== undefined && entry.filter !== null) {
+      errors.push(...validateSourceFilter(entry.filter).map(error => `${path}.${error}`));
+      destination.filter = entry.filter;
+    }
+
+    if (type === DEFAULT_DESTINATION_TYPE) {
+      normalizeDestinationThread(entry, destination, path, errors);
+    } else {
+      for (const key of ['threadId', 'forum', 'appliedTags']) {
+        if (entry[key] !== undefined && entry[key] !== null) {
+          errors.push(`${path}.${key} 只適用於 Discord 目的地`);
+        }
+      }
+    }
+
+    return destination;
+  });
+}
+
+function normalizeEnvName(value, path, errors) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!/^[A-Z0-9_]+$/i.test(name)) {
+    errors.push(`${path} 必須是環境變數名稱`);
+  }
+  return name;
+}
+
+/**
+ * LINE 目的地:to 為一個使用者 / 群組 id (多個收件者請設定多個目的地,各自記錄發送狀態),accessTokenEnv 可改用其他 channel
+ */
+function normalizeLineDestination(entry, id, path, errors) {
+  const to = typeof entry.to === 'string' ? entry.to.trim() : '';
+  if (!LINE_RECIPIENT_ID_PATTERN.test(to)) {
+    errors.push(`${path}.to 必須是 LINE 使用者或群組 id`);
+  }
+
+  const destination = { id, type: 'line', to };
+  if (entry.accessTokenEnv !== undefined && entry.accessTokenEnv !== null) {
+    destination.accessTokenEnv = normalizeEnvName(entry.accessTokenEnv, `${path}.accessTokenEnv`, errors);
+  }
+  if (entry.webhookEnv !== undefined && entry.webhookEnv !== null) {
+    errors.push(`${path}.webhookEnv 不適用於 LINE 目的地`);
+  }
+  return destination;
+}
+
+/**
+ * Telegram 目的地:chatId 為數字 id (群組 / 頻道為負數) 或 @頻道名稱,botTokenEnv 可改用其他 bot
+ */
+function normalizeTelegramDestination(entry, id, path, errors) {
+  const chatId = typeof entry.chatId === 'string' || typeof entry.chatId === 'number' ? String(entry.chatId).trim() : '';
+  if (!TELEGRAM_CHAT_ID_PATTERN.test(chatId)) {
+    errors.push(`${path}.chatId 必須是 Telegram 聊天室 id 或 @頻道名稱`);
+  }
+
+  const destination = { id, type: 'telegram', chatId };
+  if (entry.botTokenEnv !== undefined && entry.botTokenEnv !== null) {
+    destination.botTokenEnv = normalizeEnvName(entry.botTokenEnv, `${path}.botTokenEnv`, errors);
+  }
+  if (entry.webhookEnv !== undefined && entry.webhookEnv !== null) {
+    errors.push(`${path}.webhookEnv 不適用於 Telegram 目的地`);
+  }
+  return destination;
+}
+
+/**
+ * 驗證提及規則 [{ keywords: [...], roles?: [...], users?: [...] }]
+ * 沒有 keywords 的規則會提及每一篇文章,不允許
+ */
+function validateMentionRules(rules) {
+  if (!Array.isArray(rules) || rules.length > MAX_MENTION_RULES) {
+    return [`mentions 必須是最多 ${MAX_MENTION_RULES} 條規則的陣列`];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const path = `mentions[${index}]`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${path} 必須是物件`);
+      return;
+    }
+    if (rule.keywords === undefined) {
+      errors.push(`${path} 至少需要 keywords`);
+    } else if (!isNonEmptyStringArray(rule.keywords)) {
+      errors.push(`${path}.keywords 必須是非空字串陣列`);
+    }
+    for (const key of ['roles', 'users']) {
+      if (rule[key] !== undefined
+        && (!Array.isArray(rule[key]) || !rule[key].every(id => DISCORD_SNOWFLAKE_PATTERN.test(String(id))))) {
+        errors.push(`${path}.${key} 必須是 Discord id 陣列`);
+      }
+    }
+    if (!(Array.isArray(rule.roles) && rule.roles.length) && !(Array.isArray(rule.users) && rule.users.length)) {
+      errors.push(`${path} 至少需要 roles 或 users`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * 目的地的 Discord 討論串設定
+ * - threadId:發到既有的討論串
+ * - forum: true:webhook 指向論壇頻道,每篇文章建立一則貼文 (appliedTags 為論壇標籤 id,最多 5 個)
+ */
+function normalizeDestinationThread(entry, destination, path, errors) {
+  if (entry.threadId !== undefined && entry.threadId !== null) {
+    const threadId = String(entry.threadId).trim();
+    if (!DISCORD_SNOWFLAKE_PATTERN.test(threadId)) {
+      errors.push(`${path}.threadId 必須是 Discord 討論串 id`);
+    }
+    destination.threadId = threadId;
+  }
+
+  if (entry.forum !== undefined && entry.forum !== null) {
+    if (typeof entry.forum !== 'boolean') {
+      errors.push(`${path}.forum 必須是 boolean`);
+    }
+    if (entry.forum === true) {
+      destination.forum = true;
+    }
+  }
+
+  if (destination.threadId && destination.forum) {
+    errors.push(`${path}.threadId 與 forum 只能擇一設定`);
+  }
+
+  if (entry.appliedTags !== undefined && entry.appliedTags !== null) {
+    const tags = Array.isArray(entry.appliedTags) ? entry.appliedTags.map(tag => String(tag).trim()) : [];
+    if (!Array.isArray(entry.appliedTags) || tags.length > DISCORD_MAX_APPLIED_TAGS || !tags.every(tag => DISCORD_SNOWFLAKE_PATTERN.test(tag))) {
+      errors.push(`${path}.appliedTags 必須是最多 ${DISCORD_MAX_APPLIED_TAGS} 個論壇標籤 id 的陣列`);
+    } else if (!destination.forum) {
+      errors.push(`${path}.appliedTags 只能搭配 forum 使用`);
+    }
+    destination.appliedTags = tags;
+  }
+}
+
+/**
+ * 驗證來源的過濾規則
+ * 相容舊格式 { include, fields },另可用 rules 組合 include / exclude 規則與 any / all 群組
+ */
+function validateSourceFilter(filter) {
+  const errors = [];
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return ['filter 必須是物件'];
+  }
+
+  if (filter.include !== undefined && !isNonEmptyStringArray(filter.include)) {
+    errors.push('filter.include 必須是非空字串陣列');
+  }
+  if (filter.include === undefined && filter.rules === undefined) {
+    errors.push('filter 至少需要 include 或 rules');
+  }
+
+  validateFilterOptions(filter, 'filter', errors);
+
+  if (filter.match !== undefined && !FILTER_MATCH_MODES.includes(filter.match)) {
+    errors.push(`filter.match 必須是 ${FILTER_MATCH_MODES.join(', ')} 其中之一`);
+  }
+
+  if (filter.rules !== undefined) {
+    if (!Array.isArray(filter.rules) || filter.rules.length === 0) {
+      errors.push('filter.rules 必須是非空陣列');
+    } else {
+      filter.rules.forEach((rule, index) => validateFilterRule(rule, `filter.rules[${index}]`, 1, errors));
+    }
+  }
+
+  return errors;
+}
+
+function validateFilterRule(rule, path, depth, errors) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push(`${path} 必須是物件`);
+    return;
+  }
+
+  if (rule.id !== undefined && typeof rule.id !== 'string') {
+    errors.push(`${path}.id 必須是字串`);
+  }
+
+  validateFilterOptions(rule, path, errors);
+
+  const groupMode = FILTER_MATCH_MODES.find(mode => rule[mode] !== undefined);
+  if (groupMode) {
+    if (depth >= MAX_FILTER_DEPTH) {
+      errors.push(`${path} 巢狀層數不可超過 ${MAX_FILTER_DEPTH}`);
+      return;
+    }
+    if (!Array.isArray(rule[groupMode]) || rule[groupMode].length === 0) {
+      errors.push(`${path}.${groupMode} 必須是非空陣列`);
+      return;
+    }
+    rule[groupMode].forEach((child, index) => validateFilterRule(child, `${path}.${groupMode}[${index}]`, depth + 1, errors));
+    return;
+  }
+
+  if (!FILTER_RULE_TYPES.includes(rule.type)) {
+    errors.push(`${path}.type 必須是 ${FILTER_RULE_TYPES.join(', ')} 其中之一,或使用 any / all 群組`);
+  }
+
+  if (rule.keywords === undefined && rule.regex === undefined) {
+    errors.push(`${path} 需要 keywords 或 regex`);
+  }
+  if (rule.keywords !== undefined && !isNonEmptyStringArray(rule.keywords)) {
+    errors.push(`${path}.keywords 必須是非空字串陣列`);
+  }
+  if (rule.regex !== undefined) {
+    const patterns = Array.isArray(rule.regex) ? rule.regex : [rule.regex];
+    if (!isNonEmptyStringArray(patterns)) {
+      errors.push(`${path}.regex 必須是字串或非空字串陣列`);
+    } else {
+      for (const pattern of patterns) {
+        try {
+          new RegExp(pattern, 'u');
+        } catch (error) {
+          errors.push(`${path}.regex 無效: ${pattern}`);
+        }
       }
+    }
+  }
+}
 
-      const descriptionText = typeof item.description === 'string' ? item.description : '';
-      if (descriptionText.includes('限免')) {
-        return true;
-      }
+function validateFilterOptions(target, path, errors) {
+  if (target.fields !== undefined
+    && (!Array.isArray(target.fields) || !target.fields.every(field => FILTER_FIELDS.includes(field)))) {
+    errors.push(`${path}.fields 只能包含 ${FILTER_FIELDS.join(', ')}`);
+  }
+  for (const option of ['caseSensitive', 'normalize']) {
+    if (target[option] !== undefined && typeof target[option] !== 'boolean') {
+      errors.push(`${path}.${option} 必須是 boolean`);
+    }
+  }
+}
 
-      const descriptionHtml = context && typeof context.descriptionHtml === 'string'
-        ? context.descriptionHtml
-        : '';
+function isNonEmptyStringArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(entry => typeof entry === 'string' && entry);
+}
 
-      return descriptionHtml.includes('限免');
-    },
-    buildPayload: article => ({ content: article.link || article.title || '限免資訊' })
+/**
+ * 依來源的過濾規則評估文章
+ * - 舊格式的 include 視為一條比對 fields 的 include 規則
+ * - rules 依 match (預設 all) 組合;include 需命中才通過,exclude 命中即不通過
+ * - 預設做 NFKC 正規化 (全形轉半形) 且不分大小寫,可用 normalize / caseSensitive 覆寫,子規則繼承上層設定
+ * @param {Object} item - 解析後的文章
+ * @param {Object} context - 原始 HTML 與作者 (descriptionHtml / contentHtml / author)
+ * @param {Object} filter - 來源的 filter 設定
+ * @returns {{passed: boolean, decisions: Array<Object>}} decisions 依評估順序列出每條規則的結果
+ */
+function evaluateSourceFilter(item, context, filter) {
+  const decisions = [];
+  const options = {
+    fields: Array.isArray(filter.fields) && filter.fields.length ? filter.fields : DEFAULT_FILTER_FIELDS,
+    caseSensitive: filter.caseSensitive === true,
+    normalize: filter.normalize !== false
+  };
+
+  const rules = [];
+  if (Array.isArray(filter.include) && filter.include.length) {
+    rules.push({ id: 'include', type: 'include', keywords: filter.include });
+  }
+  if (Array.isArray(filter.rules)) {
+    rules.push(...filter.rules);
   }
-];
 
-// 時區與批次設定
-const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000; // UTC+8
-const DAILY_TIMEZONE = 'Asia/Taipei';
-const MAX_ITEMS_PER_SEND = 5;
-const MAX_RSS_ITEMS = 50;
-const SENT_MAP_TTL_SECONDS = 2 * 24 * 60 * 60; // 跨日去重資料保留 2 天
-const DAILY_STATE_TTL_SECONDS = 2 * 24 * 60 * 60; // 每日狀態資料保留 2 天
+  if (!rules.length) {
+    return { passed: true, decisions };
+  }
+
+  const results = rules.map((rule, index) => evaluateFilterRule(rule, rule.id || `rules[${index}]`, item, context, options, decisions));
+  const passed = filter.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+  return { passed, decisions };
+}
+
+function evaluateFilterRule(rule, label, item, context, inherited, decisions) {
+  const options = {
+    fields: Array.isArray(rule.fields) && rule.fields.length ? rule.fields : inherited.fields,
+    caseSensitive: typeof rule.caseSensitive === 'boolean' ? rule.caseSensitive : inherited.caseSensitive,
+    normalize: typeof rule.normalize === 'boolean' ? rule.normalize : inherited.normalize
+  };
 
-function extractTagValue(content, tagName) {
-  const escaped = tagName.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
-  const cdataRegex = new RegExp(`<${escaped}[^>]*>\\s*<!\\[CDATA\\[([\\s\\S]*?)\\]\\]>\\s*<\\/${escaped}>`, 'i');
-  const cdataMatch = cdataRegex.exec(content);
-  if (cdataMatch) {
-    return cdataMatch[1].trim();
+  const groupMode = FILTER_MATCH_MODES.find(mode => Array.isArray(rule[mode]));
+  if (groupMode) {
+    const results = rule[groupMode].map((child, index) => (
+      evaluateFilterRule(child, child.id || `${label}.${groupMode}[${index}]`, item, context, options, decisions)
+    ));
+    const passed = groupMode === 'any' ? results.some(Boolean) : results.every(Boolean);
+    decisions.push({ rule: label, group: groupMode, passed });
+    return passed;
   }
 
-  const textRegex = new RegExp(`<${escaped}[^>]*>\\s*([\\s\\S]*?)\\s*<\\/${escaped}>`, 'i');
-  const textMatch = textRegex.exec(content);
-  return textMatch ? textMatch[1].trim() : '';
+  const hit = findFilterHit(rule, item, context, options);
+  const passed = rule.type === 'exclude' ? !hit : Boolean(hit);
+  decisions.push({ rule: label, type: rule.type, matched: Boolean(hit), passed, ...(hit || {}) });
+  return passed;
 }
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    
-    // 手動觸發端點 (用於測試) - 只發布最新一篇
-    if (url.pathname === '/trigger') {
-      await processRSS(env, true);
-      return new Response('RSS processing triggered manually (latest article only)', { status: 200 });
-    }
-    
-    return new Response('GNN RSS Worker is running. Use /trigger to test manually.', { status: 200 });
-  },
+function findFilterHit(rule, item, context, options) {
+  const normalize = value => (options.normalize ? String(value).normalize('NFKC') : String(value));
+  const fold = value => (options.caseSensitive ? value : value.toLowerCase());
 
-  // Cron trigger - 每小時執行
-  async scheduled(event, env, ctx) {
-    ctx.waitUntil(processRSS(env, false));
+  const values = options.fields.map(field => ({ field, value: normalize(getFilterFieldValue(field, item, context)) }));
+  const keywords = Array.isArray(rule.keywords) ? rule.keywords : [];
+  const patterns = rule.regex === undefined ? [] : (Array.isArray(rule.regex) ? rule.regex : [rule.regex]);
+
+  for (const keyword of keywords) {
+    const needle = fold(normalize(keyword));
+    const found = values.find(({ value }) => fold(value).includes(needle));
+    if (found) {
+      return { field: found.field, keyword };
+    }
   }
-};
 
-/**
- * 處理 RSS 抓取和推送邏輯
- * @param {Object} env - 環境變數
- * @param {boolean} testMode - 測試模式 (每個源只發布最新一篇)
- */
-async function processRSS(env, testMode = false) {
-  try {
-    const kv = env.RSS_CACHE;
-    if (!kv) {
-      console.error('RSS_CACHE KV namespace 未綁定,無法執行每日聚合');
-      return;
+  for (const pattern of patterns) {
+    const regex = new RegExp(pattern, options.caseSensitive ? 'u' : 'iu');
+    const found = values.find(({ value }) => regex.test(value));
+    if (found) {
+      return { field: found.field, regex: pattern };
     }
+  }
 
-    const dateKey = getTaipeiDateKey(new Date());
-    const sendLimit = testMode ? 1 : MAX_ITEMS_PER_SEND;
+  return null;
+}
 
-    for (const source of RSS_SOURCES) {
-      try {
-        const webhookUrl = env[source.webhookEnv];
-        if (!webhookUrl) {
-          console.error(`缺少 ${source.name} 的 Webhook 設定: ${source.webhookEnv}`);
-          continue;
-        }
+function getFilterFieldValue(field, item, context) {
+  if (field === 'content') {
+    return `${context.descriptionHtml || ''}\n${context.contentHtml || ''}`;
+  }
+  if (field === 'author') {
+    return context.author || '';
+  }
+  return typeof item[field] === 'string' ? item[field] : '';
+}
 
-        const { key, state, exists } = await loadDailyState(kv, source, dateKey);
-        const { key: sentKey, map: sentMap } = await loadSentMap(kv, source);
-        let sentMapDirty = pruneSentMap(sentMap);
+/**
+ * 處理 /preview 路由:抓取來源 feed,列出時間窗內每篇文章的過濾結果,不寫入 KV、不發送 Discord
+ * GET  /preview?source=<id>
+ * POST /preview  { "source": "<id>", "filter": { ... } }  以草稿規則試算,不修改 registry
+ */
+async function handleFilterPreview(request, env, url) {
+  const kv = env.RSS_CACHE;
+  if (!kv) {
+    return jsonResponse({ error: 'RSS_CACHE KV namespace 未綁定' }, 500);
+  }
 
-        // 抓取 RSS
-        const response = await fetch(source.url);
-        if (!response.ok) {
-          console.error(`Failed to fetch ${source.name}: ${response.status}`);
-          continue;  // 跳過這個源,繼續處理下一個
-        }
-        
-        const rssText = await response.text();
+  let sourceId = url.searchParams.get('source');
+  let draftFilter;
+  if (request.method.toUpperCase() === 'POST') {
+    const body = await readJsonBody(request);
+    if (!body) {
+      return jsonResponse({ error: 'Request body 必須是 JSON 物件' }, 400);
+    }
+    sourceId = body.source || sourceId;
+    draftFilter = body.filter;
+  }
 
-        const parsedItems = await parseRSSItems(rssText, source, dateKey);
-        const { articles, hasChanges } = mergeArticles(state.articles, parsedItems);
+  const { sources } = await loadSourceRegistry(kv);
+  const source = sources.find(entry => entry.id === sourceId);
+  if (!source) {
+    return jsonResponse({ error: `找不到來源 ${sourceId || ''}`.trim() }, 404);
+  }
 
-        const alreadySentUpdated = markPreviouslySentArticles(articles, sentMap);
+  const previewSource = { ...source };
+  if (draftFilter !== undefined) {
+    const errors = draftFilter === null ? [] : validateSourceFilter(draftFilter);
+    if (errors.length) {
+      return jsonResponse({ error: '過濾規則無效', details: errors }, 400);
+    }
+    previewSource.filter = draftFilter;
+  }
 
-        // 尋找尚未發送的文章 (由舊到新)
-        const unsentQueue = articles.filter(article => !article.sent);
-        const toSend = unsentQueue.slice(0, sendLimit);
+  try {
+    const response = await fetch(source.url);
+    if (!response.ok) {
+      return jsonResponse({ error: `抓取來源失敗: HTTP ${response.status}` }, 502);
+    }
 
-        let sendSuccess = false;
-        if (toSend.length) {
-          let successCount = 0;
-
-          for (const article of toSend) {
-            const sent = await sendToDiscord(webhookUrl, article, source);
-            if (sent) {
-              article.sent = true;
-              article.sentAt = new Date().toISOString();
-              if (setSentEntry(sentMap, article)) {
-                sentMapDirty = true;
-              }
-              successCount += 1;
-              sendSuccess = true;
-            }
-            // 避免超過 Discord rate limit,每篇間隔 1 秒
-            await sleep(1000);
-          }
+    const sinceMs = Date.now() - getLookbackHours(source) * 60 * 60 * 1000;
+    const items = [];
+    await parseRSSItems(await response.text(), previewSource, sinceMs, {
+      skipThumbnails: true,
+      onFilterResult(item, result) {
+        items.push({
+          title: item.title,
+          link: item.link,
+          publishedAt: item.publishedAt,
+          passed: result.passed,
+          decisions: result.decisions
+        });
+      }
+    });
 
-          console.log(`Successfully sent ${successCount}/${toSend.length} items for ${source.name}${testMode ? ' (test mode)' : ''}`);
-        } else {
-          console.log(`No pending items to send for ${source.name}`);
-        }
+    return jsonResponse({
+      source: source.id,
+      filter: previewSource.filter || null,
+      since: new Date(sinceMs).toISOString(),
+      accepted: items.filter(item => item.passed).length,
+      rejected: items.filter(item => !item.passed).length,
+      items
+    });
+  } catch (error) {
+    console.error('過濾規則預覽發生錯誤:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+}
 
-        if (hasChanges || sendSuccess || alreadySentUpdated || !exists) {
-          const nextState = {
-            ...state,
-            articles,
-            updatedAt: new Date().toISOString()
-          };
-          await saveDailyState(kv, key, nextState);
-        }
+function parseHttpUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
 
-        if (sentMapDirty) {
-          await saveSentMap(kv, sentKey, sentMap);
-        }
-      } catch (error) {
-        console.error(`Error processing ${source.name}:`, error);
-        // 繼續處理下一個源
-      }
-    }
+  try {
+    const parsed = new URL(value.trim());
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed : null;
   } catch (error) {
-    console.error('Error in processRSS:', error);
+    return null;
   }
 }
 
+function parseColor(value) {
+  if (value === undefined || value === null || value === '') {
+    return 0x5865F2;
+  }
+
+  if (typeof value === 'string') {
+    const match = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+    return match ? parseInt(match[1], 16) : null;
+  }
+
+  return Number.isInteger(value) && value >= 0 && value <= 0xFFFFFF ? value : null;
+}
+
 /**
  * 解析 RSS XML 並提取文章資訊
  * @param {string} rssXml - RSS XML 內容
  * @param {Object} source - RSS 源資訊
- * @param {number} limit - 限制處理的文章數量
- * @param {Object} env - 環境變數 (用於 KV 去重)
+ * @param {number} sinceMs - 只保留此時間 (ms) 之後發布的文章
+ * @param {Object} [options] - { skipThumbnails, onFilterResult(item, result) } 供 /preview 使用;
+ *   onRecords(records) 取得 feed 內所有項目 (時間窗與過濾前)
  */
-async function parseRSSItems(rssXml, source, targetDateKey) {
+async function parseRSSItems(rssXml, source, sinceMs, options = {}) {
   const items = [];
   const seenLinks = new Set();
-  const itemRegex = /<item\b[^>]*>([\s\S]*?)<\/item>/gi;
-  const entryRegex = /<entry\b[^>]*>([\s\S]*?)<\/entry>/gi;
-  const filter = typeof source.itemFilter === 'function' ? source.itemFilter : null;
-
-  const rssMatches = Array.from(rssXml.matchAll(itemRegex)).map(match => ({ kind: 'rss', content: match[1] }));
-  const atomMatches = Array.from(rssXml.matchAll(entryRegex)).map(match => ({ kind: 'atom', content: match[1] }));
-  const records = rssMatches.length ? rssMatches : atomMatches;
+  const filter = source.filter && typeof source.filter === 'object' ? source.filter : null;
+  const records = collectFeedRecords(parseXmlDocument(rssXml));
+  if (options.onRecords) {
+    options.onRecords(records);
+  }
 
   for (const record of records) {
     if (items.length >= MAX_RSS_ITEMS) {
       break;
     }
 
-    const itemContent = record.content;
-
-    let title = 'No Title';
-    let descriptionHtml = '';
-    let link = '';
-    let pubDate = '';
-    let guid = '';
-    let contentHtml = '';
-
-    if (record.kind === 'atom') {
-      title = extractTagValue(itemContent, 'title') || 'No Title';
-      descriptionHtml = extractTagValue(itemContent, 'summary') || extractTagValue(itemContent, 'content') || '';
-      link = extractAtomLink(itemContent) || '';
-      pubDate = extractTagValue(itemContent, 'published') || extractTagValue(itemContent, 'updated') || '';
-      guid = extractTagValue(itemContent, 'id') || link;
-      contentHtml = descriptionHtml;
-    } else {
-      title = extractTagValue(itemContent, 'title') || 'No Title';
-      descriptionHtml = extractTagValue(itemContent, 'description');
-      link = extractTagValue(itemContent, 'link');
-      pubDate = extractTagValue(itemContent, 'pubDate');
-      guid = extractTagValue(itemContent, 'guid');
-      contentHtml =
-        extractTagValue(itemContent, 'content:encoded') ||
-        extractTagValue(itemContent, 'encoded');
-    }
+    const title = record.title || 'No Title';
+    const descriptionHtml = record.descriptionHtml;
+    const contentHtml = record.contentHtml;
+    const link = record.link;
+    const guid = record.guid;
+    const pubDate = record.pubDate;
 
     const descriptionText = limitPlainText(cleanHtml(descriptionHtml || ''), source.descriptionMaxLength);
 
@@ -254,8 +1797,7 @@ async function parseRSSItems(rssXml, source, targetDateKey) {
       continue;
     }
 
-    const itemDateKey = getTaipeiDateKey(publishedAt);
-    if (itemDateKey !== targetDateKey) {
+    if (publishedAt.getTime() < sinceMs) {
       continue;
     }
 
@@ -266,35 +1808,33 @@ async function parseRSSItems(rssXml, source, targetDateKey) {
       seenLinks.add(link);
     }
 
-    let thumbnail = null;
-    if (source.thumbnailStrategy === 'rss') {
-      const mediaMatch = /<media:content[^>]*url=["']([^"']+)["'][^>]*>/i.exec(itemContent);
-      const mediaUrl = mediaMatch ? mediaMatch[1].trim() : '';
-      if (mediaUrl) {
-        thumbnail = mediaUrl;
-      } else if (descriptionHtml) {
-        thumbnail = extractThumbnail(descriptionHtml, source.baseUrl);
-      } else if (contentHtml) {
-        thumbnail = extractThumbnail(contentHtml, source.baseUrl);
-      }
-    } else if (source.thumbnailStrategy === 'page' && link) {
-      thumbnail = await extractThumbnailFromPage(link, source.baseUrl);
-    }
-
     const nextItem = {
       title,
       description: descriptionText,
       link,
       guid,
-      thumbnail,
+      author: record.author || null,
+      thumbnail: null,
+      outboundLinks: extractOutboundLinks([descriptionHtml, contentHtml], link, source.baseUrl),
       publishedAt: publishedAt.toISOString(),
       publishedAtMs: publishedAt.getTime()
     };
 
-    if (filter && !filter(nextItem, { descriptionHtml, contentHtml })) {
+    // 先過濾再抓縮圖,被排除的文章不必額外請求文章頁
+    const filterResult = filter
+      ? evaluateSourceFilter(nextItem, { descriptionHtml, contentHtml, author: record.author }, filter)
+      : { passed: true, decisions: [] };
+    if (options.onFilterResult) {
+      options.onFilterResult(nextItem, filterResult);
+    }
+    if (!filterResult.passed) {
       continue;
     }
 
+    if (!options.skipThumbnails) {
+      nextItem.thumbnail = await resolveThumbnail(record, source);
+    }
+
     items.push(nextItem);
   }
   
@@ -349,6 +1889,118 @@ async function extractThumbnailFromPage(url, baseUrl) {
   }
 }
 
+/**
+ * 依來源的 thumbnailStrategy 取得縮圖;og 策略找不到時依序退回 rss、page 策略
+ */
+async function resolveThumbnail(record, source) {
+  const strategy = source.thumbnailStrategy;
+  const link = record.link;
+  let thumbnail = null;
+
+  if (strategy === 'og' && link) {
+    thumbnail = await extractOpenGraphImage(link);
+  }
+  if (!thumbnail && (strategy === 'rss' || strategy === 'og')) {
+    if (record.mediaUrl) {
+      thumbnail = record.mediaUrl;
+    } else if (record.descriptionHtml) {
+      thumbnail = extractThumbnail(record.descriptionHtml, source.baseUrl);
+    } else if (record.contentHtml) {
+      thumbnail = extractThumbnail(record.contentHtml, source.baseUrl);
+    }
+  }
+  if (!thumbnail && (strategy === 'page' || strategy === 'og') && link) {
+    thumbnail = await extractThumbnailFromPage(link, source.baseUrl);
+  }
+
+  return thumbnail;
+}
+
+/**
+ * 從文章頁面的 <head> 讀取 og:image / twitter:image / link rel=image_src
+ * 使用 HTMLRewriter 串流解析,讀到 </head> 就取消下載,不必載入整個頁面
+ * @param {string} url - 文章網址
+ * @returns {Promise<string|null>} 絕對網址的圖片,找不到時回傳 null
+ */
+async function extractOpenGraphImage(url) {
+  try {
+    const response = await fetch(url);
+
+    if (!response.ok) {
+      console.error(`Failed to fetch article page: ${response.status}`);
+      return null;
+    }
+
+    // 同一頁可能同時有多種標記,依 og > twitter > image_src 的優先順序選擇
+    const candidates = {};
+    let headDone = false;
+
+    const setCandidate = (kind, value) => {
+      if (!candidates[kind] && value && value.trim()) {
+        candidates[kind] = value.trim();
+      }
+    };
+
+    const rewritten = new HTMLRewriter()
+      .on('meta', {
+        element(element) {
+          const key = (element.getAttribute('property') || element.getAttribute('name') || '').trim().toLowerCase();
+          const content = element.getAttribute('content');
+          if (key === 'og:image' || key === 'og:image:secure_url' || key === 'og:image:url') {
+            setCandidate('og', content);
+          } else if (key === 'twitter:image' || key === 'twitter:image:src') {
+            setCandidate('twitter', content);
+          }
+        }
+      })
+      .on('link', {
+        element(element) {
+          const rel = (element.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+          if (rel.includes('image_src')) {
+            setCandidate('imageSrc', element.getAttribute('href'));
+          }
+        }
+      })
+      .on('head', {
+        element(element) {
+          element.onEndTag(() => {
+            headDone = true;
+          });
+        }
+      })
+      .on('body', {
+        element() {
+          // 沒有 </head> 的頁面
+          headDone = true;
+        }
+      })
+      .transform(response);
+
+    const reader = rewritten.body.getReader();
+    while (!headDone) {
+      const { done } = await reader.read();
+      if (done) {
+        break;
+      }
+    }
+    if (headDone) {
+      await reader.cancel();
+    }
+
+    const imageUrl = candidates.og || candidates.twitter || candidates.imageSrc;
+    if (!imageUrl) {
+      return null;
+    }
+
+    // 相對路徑以最終網址 (可能經過轉址) 補全
+    const resolved = parseHttpUrl(new URL(imageUrl, response.url || url).toString());
+    return resolved ? resolved.toString() : null;
+  } catch (error) {
+    console.error('Error extracting Open Graph image:', error);
+    return null;
+  }
+}
+
 /**
  * 從 HTML 描述中提取第一張圖片 URL
  * @param {string} html - HTML 內容
@@ -453,16 +2105,6 @@ function limitPlainText(text, maxLength) {
   return `${truncated}...`;
 }
 
-function extractAtomLink(entryContent) {
-  const alternateMatch = /<link[^>]*rel=["']alternate["'][^>]*href=["']([^"']+)["'][^>]*>/i.exec(entryContent);
-  if (alternateMatch) {
-    return alternateMatch[1];
-  }
-
-  const anyMatch = /<link[^>]*href=["']([^"']+)["'][^>]*>/i.exec(entryContent);
-  return anyMatch ? anyMatch[1] : '';
-}
-
 function parsePubDate(pubDate) {
   if (!pubDate) {
     return null;
@@ -482,17 +2124,47 @@ function getTaipeiDateKey(date) {
   return `${year}-${month}-${day}`;
 }
 
+function getSourceStateId(source) {
+  return source.stateId || source.id || source.webhookEnv || source.url || source.name;
+}
+
+function getLookbackHours(source) {
+  const hours = Number(source.lookbackHours);
+  return Number.isInteger(hours) && hours > 0 ? Math.min(hours, MAX_LOOKBACK_HOURS) : DEFAULT_LOOKBACK_HOURS;
+}
+
+/**
+ * sent: 資料必須保留得比時間窗久,否則窗內的舊文章會在紀錄過期後被重送
+ */
+function getSentMapTtlSeconds(source) {
+  return Math.max(SENT_MAP_TTL_SECONDS, getLookbackHours(source) * 60 * 60);
+}
+
 function buildDailyKey(source, dateKey) {
-  const identifier = source.webhookEnv || source.url || source.name;
+  const identifier = getSourceStateId(source);
   return `daily:${encodeURIComponent(identifier)}:${dateKey}`;
 }
 
-function buildSentCollectionKey(source) {
-  const identifier = source.webhookEnv || source.url || source.name;
+function buildSentCollectionKey(source, destination) {
+  const identifier = getSourceStateId(source);
+  if (destination && destination.id !== DEFAULT_DESTINATION_ID) {
+    return `sent:${encodeURIComponent(identifier)}:${encodeURIComponent(destination.id)}`;
+  }
   return `sent:${encodeURIComponent(identifier)}`;
 }
 
-function getArticleIdentity(article) {
+/**
+ * 取得文章識別字串
+ * @param {Object} article
+ * @param {Object} [options] - { canonical: true } 時改用正規化後的連結,供跨來源比對
+ */
+function getArticleIdentity(article, options = {}) {
+  if (options.canonical) {
+    const canonicalLink = canonicalizeLink(article.link);
+    if (canonicalLink) {
+      return canonicalLink;
+    }
+  }
   if (article.guid && typeof article.guid === 'string' && article.guid.trim()) {
     return article.guid.trim();
   }
@@ -513,30 +2185,194 @@ function hashIdentifier(input) {
   return hash.toString(16).padStart(8, '0');
 }
 
-function setSentEntry(sentMap, article) {
+/**
+ * 去除 scheme、www.、追蹤參數與結尾斜線,讓不同寫法的同一網址能互相比對
+ */
+function canonicalizeLink(value) {
+  const parsed = parseHttpUrl(value);
+  if (!parsed) {
+    return null;
+  }
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !/^(utm_|fbclid$|gclid$|ref$|from$)/i.test(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
+
+  return `${host}${path}${search}`;
+}
+
+/**
+ * 從文章 HTML 取出指向其他網站的連結 (正規化後),作為跨來源比對的依據
+ */
+function extractOutboundLinks(htmlParts, articleLink, baseUrl) {
+  const ownHosts = new Set();
+  for (const value of [articleLink, baseUrl]) {
+    const parsed = parseHttpUrl(value);
+    if (parsed) {
+      ownHosts.add(parsed.hostname.toLowerCase().replace(/^www\./, ''));
+    }
+  }
+
+  const links = [];
+  const anchorRegex = /<a\b[^>]*?\bhref\s*=\s*["']([^"']+)["']/gi;
+
+  for (const html of htmlParts) {
+    if (!html) {
+      continue;
+    }
+
+    let match;
+    while ((match = anchorRegex.exec(html)) !== null && links.length < MAX_OUTBOUND_LINKS) {
+      let absolute;
+      try {
+        absolute = new URL(match[1], baseUrl || articleLink || undefined).toString();
+      } catch (error) {
+        continue;
+      }
+
+      const canonical = canonicalizeLink(absolute);
+      // 只有網域、沒有路徑的連結 (例如官網首頁) 太常見,不列入比對
+      if (!canonical || !canonical.includes('/') || ownHosts.has(canonical.split(/[/?]/)[0])) {
+        continue;
+      }
+      if (!links.includes(canonical)) {
+        links.push(canonical);
+      }
+    }
+  }
+
+  return links;
+}
+
+function normalizeTitleForComparison(title) {
+  return String(title || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\p{P}\p{S}\s]+/gu, '')
+    .slice(0, 200);
+}
+
+function buildTitleShingles(normalizedTitle) {
+  const shingles = new Set();
+  const chars = Array.from(normalizedTitle || '');
+  for (let i = 0; i < chars.length - 1; i += 1) {
+    shingles.add(chars[i] + chars[i + 1]);
+  }
+  return shingles;
+}
+
+function jaccardSimilarity(a, b) {
+  if (!a.size || !b.size) {
+    return 0;
+  }
+
+  let intersection = 0;
+  for (const value of a) {
+    if (b.has(value)) {
+      intersection += 1;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * 在其他來源近期送出的文章中尋找同一則新聞
+ * 比對順序:正規化後的文章連結、共同的外部連結、標題字元 bigram 相似度
+ * @param {Object} article - 待發送的文章
+ * @param {Object} source - 文章所屬來源
+ * @param {Map<string, {source: Object, map: Map}>} sentMaps - 各來源 (各目的地) 的 sent: 資料
+ * @returns {{sourceId: string, sourceName: string, link: string|null, reason: string}|null}
+ */
+function findDuplicateStory(article, source, sentMaps) {
+  const canonical = getArticleIdentity(article, { canonical: true });
+  const outboundLinks = new Set(article.outboundLinks || []);
+  const shingles = buildTitleShingles(normalizeTitleForComparison(article.title));
+  const cutoffMs = Date.now() - DUPLICATE_LOOKBACK_MS;
+  let best = null;
+
+  for (const record of sentMaps.values()) {
+    if (record.source.id === source.id) {
+      continue;
+    }
+
+    for (const entry of record.map.values()) {
+      const sentAtMs = Date.parse(entry.sentAt);
+      if (!Number.isFinite(sentAtMs) || sentAtMs < cutoffMs) {
+        continue;
+      }
+
+      let reason = null;
+      let score = 0;
+      if (canonical && entry.canonical === canonical) {
+        reason = 'link';
+        score = 1;
+      } else if (entry.links && entry.links.some(value => outboundLinks.has(value))) {
+        reason = 'outbound-link';
+        score = 1;
+      } else if (entry.title && shingles.size >= DUPLICATE_MIN_SHINGLES) {
+        const entryShingles = buildTitleShingles(entry.title);
+        if (entryShingles.size >= DUPLICATE_MIN_SHINGLES) {
+          score = jaccardSimilarity(shingles, entryShingles);
+          reason = score >= DUPLICATE_TITLE_THRESHOLD ? 'title' : null;
+        }
+      }
+
+      if (reason && (!best || score > best.score)) {
+        best = {
+          sourceId: record.source.id,
+          sourceName: entry.sourceName || record.source.name,
+          link: entry.link || null,
+          reason,
+          score
+        };
+      }
+    }
+  }
+
+  if (!best) {
+    return null;
+  }
+
+  const { score, ...duplicate } = best;
+  return duplicate;
+}
+
+function setSentEntry(sentMap, article, source, destination) {
   const identity = getArticleIdentity(article);
   if (!identity) {
     return false;
   }
 
   const hash = hashIdentifier(identity);
-  const sentAt = typeof article.sentAt === 'string' ? article.sentAt : new Date().toISOString();
+  const sentAt = getArticleSentAt(article, destination) || new Date().toISOString();
+  const message = getArticleMessage(article, destination);
   const prev = sentMap.get(hash);
 
-  if (prev && prev.sentAt === sentAt) {
+  if (prev && prev.sentAt === sentAt && JSON.stringify(prev.message || null) === JSON.stringify(message)) {
     return false;
   }
 
+  // 額外保留連結、標題與外部連結,供其他來源做重複新聞比對
   sentMap.set(hash, {
     sentAt,
-    identity
+    identity,
+    link: article.link || null,
+    canonical: getArticleIdentity(article, { canonical: true }),
+    title: normalizeTitleForComparison(article.title),
+    links: Array.isArray(article.outboundLinks) ? article.outboundLinks.slice(0, MAX_OUTBOUND_LINKS) : [],
+    sourceName: source ? source.name : null,
+    // Discord 訊息 id,跨日後仍可編輯前一天送出的訊息
+    message
   });
 
   return true;
 }
 
-async function loadSentMap(kv, source) {
-  const key = buildSentCollectionKey(source);
+async function loadSentMap(kv, source, destination) {
+  const key = buildSentCollectionKey(source, destination);
   const map = new Map();
 
   try {
@@ -557,7 +2393,13 @@ async function loadSentMap(kv, source) {
         }
         map.set(hash, {
           sentAt,
-          identity: typeof entry.identity === 'string' ? entry.identity : null
+          identity: typeof entry.identity === 'string' ? entry.identity : null,
+          link: typeof entry.link === 'string' ? entry.link : null,
+          canonical: typeof entry.canonical === 'string' ? entry.canonical : null,
+          title: typeof entry.title === 'string' ? entry.title : '',
+          links: Array.isArray(entry.links) ? entry.links.filter(value => typeof value === 'string') : [],
+          sourceName: typeof entry.sourceName === 'string' ? entry.sourceName : null,
+          message: normalizeMessageRef(entry.message)
         });
       }
     }
@@ -568,7 +2410,7 @@ async function loadSentMap(kv, source) {
   return { key, map };
 }
 
-async function saveSentMap(kv, key, sentMap) {
+async function saveSentMap(kv, key, sentMap, ttlSeconds = SENT_MAP_TTL_SECONDS) {
   const serializable = {};
 
   for (const [hash, entry] of sentMap.entries()) {
@@ -576,14 +2418,14 @@ async function saveSentMap(kv, key, sentMap) {
   }
 
   try {
-    await kv.put(key, JSON.stringify(serializable), { expirationTtl: SENT_MAP_TTL_SECONDS });
+    await kv.put(key, JSON.stringify(serializable), { expirationTtl: ttlSeconds });
   } catch (error) {
     console.error('寫入跨日去重資料失敗:', error);
   }
 }
 
-function pruneSentMap(sentMap) {
-  const cutoffMs = Date.now() - (SENT_MAP_TTL_SECONDS * 1000);
+function pruneSentMap(sentMap, ttlSeconds = SENT_MAP_TTL_SECONDS) {
+  const cutoffMs = Date.now() - (ttlSeconds * 1000);
   let mutated = false;
 
   for (const [hash, entry] of sentMap.entries()) {
@@ -603,15 +2445,21 @@ function pruneSentMap(sentMap) {
   return mutated;
 }
 
+function buildDeadLetterId(source, destination, article) {
+  const identity = getArticleIdentity(article);
+  return identity ? `${buildSentRecordId(source, destination)}:${hashIdentifier(identity)}` : null;
+}
+
 async function loadDailyState(kv, source, dateKey) {
   const key = buildDailyKey(source, dateKey);
   const emptyState = {
     sourceName: source.name,
     sourceUrl: source.url,
-    sourceId: source.webhookEnv || source.url,
+    sourceId: getSourceStateId(source),
     dateKey,
     timezone: DAILY_TIMEZONE,
     articles: [],
+    feedCache: null,
     updatedAt: new Date().toISOString()
   };
 
@@ -640,10 +2488,15 @@ async function loadDailyState(kv, source, dateKey) {
           description: entry.description || '',
           thumbnail: entry.thumbnail || null,
           guid: typeof entry.guid === 'string' ? entry.guid : null,
+          author: typeof entry.author === 'string' ? entry.author : null,
+          outboundLinks: Array.isArray(entry.outboundLinks) ? entry.outboundLinks.filter(value => typeof value === 'string') : [],
           publishedAt: typeof entry.publishedAt === 'string' ? entry.publishedAt : (publishedAtMs ? new Date(publishedAtMs).toISOString() : null),
           publishedAtMs: Number.isFinite(publishedAtMs) ? publishedAtMs : null,
           sent: Boolean(entry.sent),
-          sentAt: typeof entry.sentAt === 'string' ? entry.sentAt : null
+          sentAt: typeof entry.sentAt === 'string' ? entry.sentAt : null,
+          deliveries: entry.deliveries && typeof entry.deliveries === 'object' ? entry.deliveries : {},
+          messages: normalizeMessageRefs(entry.messages),
+          duplicateOf: entry.duplicateOf && typeof entry.duplicateOf === 'object' ? entry.duplicateOf : null
         };
       })
       .filter(Boolean);
@@ -654,10 +2507,11 @@ async function loadDailyState(kv, source, dateKey) {
       state: {
         sourceName: data.sourceName || source.name,
         sourceUrl: data.sourceUrl || source.url,
-        sourceId: data.sourceId || source.webhookEnv || source.url,
+        sourceId: data.sourceId || getSourceStateId(source),
         dateKey,
         timezone: data.timezone || DAILY_TIMEZONE,
         articles,
+        feedCache: normalizeCacheValidators(data.feedCache),
         updatedAt: data.updatedAt || new Date().toISOString()
       }
     };
@@ -667,6 +2521,38 @@ async function loadDailyState(kv, source, dateKey) {
   }
 }
 
+function normalizeCacheValidators(cache) {
+  if (!cache || typeof cache !== 'object') {
+    return null;
+  }
+
+  const etag = typeof cache.etag === 'string' && cache.etag ? cache.etag : null;
+  const lastModified = typeof cache.lastModified === 'string' && cache.lastModified ? cache.lastModified : null;
+  return etag || lastModified ? { etag, lastModified } : null;
+}
+
+function normalizeMessageRefs(messages) {
+  const result = {};
+  if (messages && typeof messages === 'object') {
+    for (const [destinationId, message] of Object.entries(messages)) {
+      const normalized = normalizeMessageRef(message);
+      if (normalized) {
+        result[destinationId] = normalized;
+      }
+    }
+  }
+  return result;
+}
+
+function isSameCacheValidators(a, b) {
+  const left = normalizeCacheValidators(a);
+  const right = normalizeCacheValidators(b);
+  if (!left || !right) {
+    return left === right;
+  }
+  return left.etag === right.etag && left.lastModified === right.lastModified;
+}
+
 async function saveDailyState(kv, key, state) {
   try {
     await kv.put(key, JSON.stringify(state), { expirationTtl: DAILY_STATE_TTL_SECONDS });
@@ -723,6 +2609,14 @@ function mergeArticles(existingArticles, newItems) {
         next.guid = item.guid;
         updated = true;
       }
+      if (item.author && item.author !== existing.author) {
+        next.author = item.author;
+        updated = true;
+      }
+      if (item.outboundLinks && item.outboundLinks.join('\n') !== (existing.outboundLinks || []).join('\n')) {
+        next.outboundLinks = item.outboundLinks;
+        updated = true;
+      }
       if (item.publishedAt && item.publishedAt !== existing.publishedAt) {
         next.publishedAt = item.publishedAt;
         next.publishedAtMs = item.publishedAtMs;
@@ -740,10 +2634,15 @@ function mergeArticles(existingArticles, newItems) {
         description: item.description,
         thumbnail: item.thumbnail,
         guid: item.guid || null,
+        author: item.author || null,
+        outboundLinks: item.outboundLinks || [],
         publishedAt: item.publishedAt,
         publishedAtMs: item.publishedAtMs,
         sent: false,
-        sentAt: null
+        sentAt: null,
+        deliveries: {},
+        messages: {},
+        duplicateOf: null
       });
       hasChanges = true;
     }
@@ -761,11 +2660,11 @@ function mergeArticles(existingArticles, newItems) {
   return { articles, hasChanges };
 }
 
-function markPreviouslySentArticles(articles, sentMap) {
+function markPreviouslySentArticles(articles, sentMap, destination) {
   let mutated = false;
 
   for (const article of articles) {
-    if (article.sent) {
+    if (isArticleSentTo(article, destination)) {
       continue;
     }
 
@@ -780,28 +2679,431 @@ function markPreviouslySentArticles(articles, sentMap) {
       continue;
     }
 
-    article.sent = true;
-    mutated = true;
-
-    if (!article.sentAt && entry.sentAt) {
-      article.sentAt = entry.sentAt;
+    markArticleSentTo(article, destination, entry.sentAt);
+    if (entry.message && !getArticleMessage(article, destination)) {
+      setArticleMessage(article, destination, entry.message);
     }
+    mutated = true;
   }
 
   return mutated;
 }
 
+/**
+ * 取得來源的發送目的地
+ * 沒有設定 destinations 時只有一個沿用 webhookEnv / color 的 default 目的地;
+ * default 目的地使用舊有的 article.sent 與 sent:<來源識別>,其他目的地記錄在 article.deliveries[id]
+ */
+function getSourceDestinations(source) {
+  if (Array.isArray(source.destinations) && source.destinations.length) {
+    return source.destinations;
+  }
+  return [{ id: DEFAULT_DESTINATION_ID, webhookEnv: source.webhookEnv }];
+}
+
+function getDestinationType(destination) {
+  return destination.type || DEFAULT_DESTINATION_TYPE;
+}
+
+/**
+ * 目的地的發送設定:Discord 為 webhook 網址 (含討論串參數),Telegram / LINE 為 getTelegramConfig() / getLineConfig() 的結果,
+ * Slack 與 JSON webhook 為網址;未設定時回傳 null
+ */
+function resolveDestinationTarget(env, destination) {
+  const type = getDestinationType(destination);
+  if (type === 'telegram') {
+    return getTelegramConfig(env, destination.chatId, destination.botTokenEnv || TELEGRAM_BOT_TOKEN_ENV);
+  }
+  if (type === 'line') {
+    return getLineConfig(env, [destination.to], destination.accessTokenEnv || LINE_ACCESS_TOKEN_ENV);
+  }
+  if (type !== DEFAULT_DESTINATION_TYPE) {
+    return env[destination.webhookEnv] || null;
+  }
+  return resolveDestinationWebhook(env, destination);
+}
+
+/**
+ * 目的地需要的環境變數名稱 (設定缺少時的錯誤訊息用)
+ */
+function describeDestinationEnv(destination) {
+  const type = getDestinationType(destination);
+  if (type === 'telegram') {
+    return destination.botTokenEnv || TELEGRAM_BOT_TOKEN_ENV;
+  }
+  if (type === 'line') {
+    return destination.accessTokenEnv || LINE_ACCESS_TOKEN_ENV;
+  }
+  return destination.webhookEnv;
+}
+
+/**
+ * 目的地的 webhook 網址;設定 threadId 時加上 ?thread_id=,之後的編輯也沿用同一個討論串
+ */
+function resolveDestinationWebhook(env, destination) {
+  const webhookUrl = env[destination.webhookEnv];
+  if (!webhookUrl || !destination.threadId) {
+    return webhookUrl || null;
+  }
+  const url = new URL(webhookUrl);
+  url.searchParams.set('thread_id', destination.threadId);
+  return url.toString();
+}
+
+/**
+ * 套用目的地對 payload 的覆寫:embed 顏色與論壇貼文設定,以及來源的訊息模板
+ */
+function buildDestinationSource(source, destination, messageTemplate = null) {
+  if (destination.color === undefined && !destination.forum && !messageTemplate) {
+    return source;
+  }
+  const destinationSource = { ...source };
+  if (messageTemplate) {
+    destinationSource.messageTemplate = messageTemplate;
+  }
+  if (destination.color !== undefined) {
+    destinationSource.color = destination.color;
+  }
+  if (destination.forum) {
+    destinationSource.forumThread = { appliedTags: destination.appliedTags || [] };
+  }
+  return destinationSource;
+}
+
+/**
+ * 論壇貼文的標題 (thread_name) 取自文章標題,超過 Discord 上限時截斷
+ */
+function buildForumThreadFields(item, source) {
+  const forumThread = source.forumThread || {};
+  const title = String(item.title || source.name || '').trim() || 'News';
+  const fields = {
+    thread_name: title.length > DISCORD_MAX_THREAD_NAME_LENGTH
+      ? `${title.slice(0, DISCORD_MAX_THREAD_NAME_LENGTH - 1)}…`
+      : title
+  };
+  if (forumThread.appliedTags && forumThread.appliedTags.length) {
+    fields.applied_tags = forumThread.appliedTags;
+  }
+  return fields;
+}
+
+function buildSentRecordId(source, destination) {
+  return destination.id === DEFAULT_DESTINATION_ID ? source.id : `${source.id}#${destination.id}`;
+}
+
+function isArticleSentTo(article, destination) {
+  if (destination.id === DEFAULT_DESTINATION_ID) {
+    return Boolean(article.sent);
+  }
+  return Boolean(article.deliveries && article.deliveries[destination.id]);
+}
+
+function getArticleSentAt(article, destination) {
+  if (!destination || destination.id === DEFAULT_DESTINATION_ID) {
+    return typeof article.sentAt === 'string' ? article.sentAt : null;
+  }
+  return article.deliveries && typeof article.deliveries[destination.id] === 'string' ? article.deliveries[destination.id] : null;
+}
+
+/**
+ * 取得文章在目的地的 Discord 訊息 { id, hash, size, threadId }
+ * hash 為發送時的內容雜湊,size 為同一則訊息 (batchEmbeds) 內的文章數,threadId 為論壇貼文所在的討論串
+ */
+function getArticleMessage(article, destination) {
+  const id = destination ? destination.id : DEFAULT_DESTINATION_ID;
+  return article.messages && article.messages[id] ? article.messages[id] : null;
+}
+
+function setArticleMessage(article, destination, message) {
+  const messages = { ...(article.messages || {}) };
+  if (message) {
+    messages[destination.id] = message;
+  } else {
+    delete messages[destination.id];
+  }
+  article.messages = messages;
+}
+
+function normalizeMessageRef(message) {
+  if (!message || typeof message !== 'object' || typeof message.id !== 'string') {
+    return null;
+  }
+  return {
+    id: message.id,
+    hash: typeof message.hash === 'string' ? message.hash : null,
+    size: Number.isInteger(message.size) && message.size > 0 ? message.size : 1,
+    threadId: typeof message.threadId === 'string' ? message.threadId : null
+  };
+}
+
+function getArticleContentHash(article) {
+  return hashIdentifier([article.title, article.description, article.thumbnail].map(value => value || '').join('\n'));
+}
+
+function markArticleSentTo(article, destination, sentAt) {
+  if (destination.id === DEFAULT_DESTINATION_ID) {
+    article.sent = true;
+    article.sentAt = article.sentAt || sentAt;
+    return;
+  }
+  article.deliveries = { ...(article.deliveries || {}), [destination.id]: sentAt };
+}
+
+/**
+ * 目的地的過濾條件在發送前以每日狀態中的欄位評估;content 欄位以純文字描述代替
+ */
+function matchesDestinationFilter(article, destination) {
+  if (!destination.filter) {
+    return true;
+  }
+  const context = { descriptionHtml: article.description, author: article.author };
+  return evaluateSourceFilter(article, context, destination.filter).passed;
+}
+
 
 /**
  * 推送訊息到 Discord
+ * @param {number} deadline - rate limit 等待的最晚時間 (ms)
+ * @returns {Promise<Object|null>} 成功時回傳 Discord 建立的訊息 (?wait=true),失敗回傳 null
+ */
+async function sendToDiscord(webhookUrl, item, source, deadline, onFailed = null) {
+  const payload = buildDiscordPayload(item, source);
+  if (source.forumThread) {
+    // 只在建立貼文時帶 thread_name / applied_tags,編輯時沿用 buildDiscordPayload 的內容
+    Object.assign(payload, buildForumThreadFields(item, source));
+  }
+  const result = await discordRequest(withWaitParam(webhookUrl), payload, { deadline });
+  if (!result.ok) {
+    console.error(`Failed to send to Discord: ${result.status} - ${result.errorText}`);
+    if (onFailed) {
+      onFailed(item, result);
+    }
+    return null;
+  }
+
+  return result.data || {};
+}
+
+/**
+ * 推送訊息到 Telegram 目的地
+ * @returns {Promise<Object|null>} 成功時回傳 Telegram 建立的訊息,失敗回傳 null
+ */
+async function sendArticleToTelegram(config, item, source, deadline, onFailed = null) {
+  const duplicate = item.duplicateOf || null;
+  const result = await sendToTelegram(config, {
+    title: item.title,
+    description: duplicate ? `${item.description || ''}\n\n(也由 ${duplicate.sourceName} 報導)` : item.description,
+    link: item.link,
+    thumbnail: item.thumbnail,
+    sourceName: source.name
+  }, deadline);
+  if (!result.ok) {
+    if (onFailed) {
+      onFailed(item, result);
+    }
+    return null;
+  }
+  return result.data || {};
+}
+
+/**
+ * 推送訊息到 LINE 目的地 (Flex Message,footer 顯示來源名稱)
+ * @returns {Promise<Object|null>} 成功回傳 {},失敗回傳 null
+ */
+async function sendArticleToLine(config, item, source, deadline, onFailed = null) {
+  const duplicate = item.duplicateOf || null;
+  const result = await sendToLine(config, {
+    title: item.title,
+    description: item.description,
+    link: item.link,
+    thumbnail: item.thumbnail,
+    footer: duplicate ? `${source.name} • 也由 ${duplicate.sourceName} 報導` : source.name
+  }, deadline);
+  if (!result.ok) {
+    if (onFailed) {
+      onFailed(item, result);
+    }
+    return null;
+  }
+  return {};
+}
+
+/**
+ * 編輯內容已變更的已發送訊息
+ * 合併發送 (batchEmbeds) 的訊息會以同一則訊息內的所有文章重建 payload;
+ * 若其中有文章已不在每日狀態中,則略過以免訊息內容被截掉。
+ * @param {Function} onEdited - (article, message) 編輯成功時傳入新的訊息紀錄,訊息已被刪除 (404) 時傳入 null
+ * @returns {Promise<number>} 成功編輯的訊息數
+ */
+async function editChangedMessages(webhookUrl, articles, source, destination, deadline, onEdited) {
+  const handledIds = new Set();
+  let attempts = 0;
+  let editedCount = 0;
+
+  for (const article of articles) {
+    const message = getArticleMessage(article, destination);
+    if (!message || handledIds.has(message.id) || message.hash === getArticleContentHash(article)) {
+      continue;
+    }
+    if (attempts >= MAX_EDITS_PER_SEND) {
+      break;
+    }
+    handledIds.add(message.id);
+
+    const group = articles.filter(entry => {
+      const entryMessage = getArticleMessage(entry, destination);
+      return entryMessage && entryMessage.id === message.id;
+    });
+    const batches = packDiscordBatches(group.map(entry => ({
+      article: entry,
+      payload: buildDiscordPayload(entry, source)
+    })));
+    if (group.length !== message.size || batches.length !== 1) {
+      console.log(`略過編輯訊息 ${message.id}: 無法重建整則訊息`);
+      continue;
+    }
+
+    attempts += 1;
+    const result = await discordRequest(buildWebhookMessageUrl(webhookUrl, message.id, message.threadId), batches[0].payload, {
+      method: 'PATCH',
+      deadline
+    });
+
+    if (result.ok) {
+      group.forEach(entry => onEdited(entry, { ...message, hash: getArticleContentHash(entry) }));
+      editedCount += 1;
+    } else if (result.status === 404) {
+      // 訊息已在 Discord 上被刪除,不再嘗試編輯
+      group.forEach(entry => onEdited(entry, null));
+    } else {
+      console.error(`Failed to edit Discord message ${message.id}: ${result.status} - ${result.errorText}`);
+    }
+  }
+
+  return editedCount;
+}
+
+function withWaitParam(webhookUrl) {
+  const url = new URL(webhookUrl);
+  url.searchParams.set('wait', 'true');
+  return url.toString();
+}
+
+/**
+ * webhook 訊息的編輯 / 刪除網址,保留原本的查詢參數 (例如 thread_id)
+ * 論壇貼文建立的討論串不在 webhook 網址上,需另外傳入 threadId
+ */
+function buildWebhookMessageUrl(webhookUrl, messageId, threadId = null) {
+  const url = new URL(webhookUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}/messages/${messageId}`;
+  url.searchParams.delete('wait');
+  if (threadId) {
+    url.searchParams.set('thread_id', threadId);
+  }
+  return url.toString();
+}
+
+/**
+ * 將多篇文章合併成盡量少的 Discord 訊息 (每則最多 10 個 embed、總字數 6000)
+ * Discord 以整則訊息為單位成功或失敗;若整批被拒 (400),改逐篇發送找出有問題的文章,
+ * 其餘文章照常標記為已發送。
+ * @param {Function} onSent - 每篇文章成功送出時呼叫 (article, message, size)
+ * @param {Function} [onFailed] - 每篇文章發送失敗時呼叫 (article, result)
+ */
+async function sendBatchesToDiscord(webhookUrl, articles, source, deadline, onSent, onFailed = null) {
+  const batches = packDiscordBatches(articles.map(article => ({
+    article,
+    payload: buildDiscordPayload(article, source)
+  })));
+
+  for (const batch of batches) {
+    const result = await discordRequest(withWaitParam(webhookUrl), batch.payload, { deadline });
+    if (result.ok) {
+      batch.articles.forEach(article => onSent(article, result.data || {}, batch.articles.length));
+      continue;
+    }
+
+    console.error(`Failed to send batch of ${batch.articles.length} to Discord: ${result.status} - ${result.errorText}`);
+
+    if (result.status === 400 && batch.articles.length > 1) {
+      for (const article of batch.articles) {
+        const message = await sendToDiscord(webhookUrl, article, source, deadline, onFailed);
+        if (message) {
+          onSent(article, message, 1);
+        }
+      }
+    } else if (onFailed) {
+      batch.articles.forEach(article => onFailed(article, result));
+    }
+  }
+}
+
+/**
+ * 依 Discord 限制打包 payload
+ * @param {Array<{article: Object, payload: Object}>} entries - 單篇文章的 payload
+ * @returns {Array<{articles: Array<Object>, payload: Object}>}
  */
-async function sendToDiscord(webhookUrl, item, source) {
+function packDiscordBatches(entries) {
+  const batches = [];
+  let current = null;
+
+  for (const { article, payload } of entries) {
+    const embeds = Array.isArray(payload.embeds) ? payload.embeds : [];
+    // embed 樣式的 content 只有提及文字,不計入 embed 字數
+    const isEmbedPayload = embeds.length > 0;
+    const size = isEmbedPayload
+      ? embeds.reduce((total, embed) => total + countEmbedChars(embed), 0)
+      : String(payload.content || '').length;
+
+    const fits = current && current.kind === (isEmbedPayload ? 'embeds' : 'content') && (isEmbedPayload
+      ? current.payload.embeds.length + embeds.length <= DISCORD_MAX_EMBEDS_PER_MESSAGE
+        && current.size + size <= DISCORD_MAX_EMBED_TOTAL_CHARS
+      : current.size + 1 + size <= DISCORD_MAX_CONTENT_LENGTH);
+
+    if (fits) {
+      if (isEmbedPayload) {
+        current.payload.embeds.push(...embeds);
+        current.size += size;
+        if (payload.content) {
+          const tokens = new Set(`${current.payload.content || ''} ${payload.content}`.split(/\s+/).filter(Boolean));
+          current.payload.content = [...tokens].join(' ');
+        }
+      } else {
+        current.payload.content += `\n${payload.content}`;
+        current.size += 1 + size;
+      }
+      current.payload.allowed_mentions = mergeAllowedMentions(current.payload.allowed_mentions, payload.allowed_mentions);
+      current.articles.push(article);
+      continue;
+    }
+
+    current = {
+      kind: isEmbedPayload ? 'embeds' : 'content',
+      articles: [article],
+      payload: isEmbedPayload ? { ...payload, embeds: [...embeds] } : { ...payload },
+      size
+    };
+    batches.push(current);
+  }
+
+  return batches.map(({ articles, payload }) => ({ articles, payload }));
+}
+
+function buildDiscordPayload(item, source) {
   let payload = null;
 
-  if (typeof source.buildPayload === 'function') {
-    const customPayload = source.buildPayload(item, source);
-    if (customPayload && typeof customPayload === 'object') {
-      payload = customPayload;
+  const duplicate = item.duplicateOf || null;
+
+  if (source.messageTemplate) {
+    // 模板無法使用時 (例如內容超過 Discord 上限) 改用下方的內建格式
+    payload = renderDiscordTemplate(source.messageTemplate, buildTemplateContext(item, source), item.title);
+  }
+
+  if (!payload && source.payloadStyle === 'link') {
+    payload = { content: item.link || item.title || source.name };
+    if (duplicate) {
+      // 以 <> 包住連結,避免 Discord 再產生一次預覽
+      payload.content += `\n(也由 ${duplicate.sourceName} 報導${duplicate.link ? `: <${duplicate.link}>` : ''})`;
     }
   }
 
@@ -818,6 +3120,13 @@ async function sendToDiscord(webhookUrl, item, source) {
       }
     };
     
+    if (duplicate) {
+      embed.fields = [{
+        name: '相關報導',
+        value: duplicate.link ? `也由 [${duplicate.sourceName}](${duplicate.link}) 報導` : `也由 ${duplicate.sourceName} 報導`
+      }];
+    }
+
     // 如果有縮圖,加入到 embed (使用 image 欄位顯示大圖)
     if (item.thumbnail) {
       embed.image = {
@@ -829,27 +3138,272 @@ async function sendToDiscord(webhookUrl, item, source) {
       embeds: [embed]
     };
   }
-  
-  const response = await fetch(webhookUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(payload)
-  });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error(`Failed to send to Discord: ${response.status} - ${errorText}`);
-    return false;
+
+  // 只允許提及規則指定的身分組 / 使用者,抓來的內容裡的 @everyone 等不會生效
+  const mentionFields = buildMentionFields(resolveMentions(source.mentions, `${item.title || ''}\n${item.description || ''}`));
+  if (mentionFields.content) {
+    payload.content = payload.content ? `${mentionFields.content} ${payload.content}` : mentionFields.content;
   }
+  payload.allowed_mentions = mentionFields.allowed_mentions;
 
-  return true;
+  return payload;
+}
+
+/**
+ * 合併發送時合併各篇文章的 allowed_mentions
+ */
+function mergeAllowedMentions(a, b) {
+  const merged = { parse: [] };
+  for (const key of ['roles', 'users']) {
+    const ids = [...new Set([...((a && a[key]) || []), ...((b && b[key]) || [])])];
+    if (ids.length) {
+      merged[key] = ids;
+    }
+  }
+  return merged;
+}
+
+/**
+ * 訊息模板可使用的欄位 (見 MESSAGE_TEMPLATE_FIELDS)
+ */
+function buildTemplateContext(item, source) {
+  const duplicate = item.duplicateOf || null;
+  return {
+    title: item.title || '',
+    description: item.description || '',
+    link: item.link || '',
+    thumbnail: item.thumbnail || '',
+    author: item.author || '',
+    publishedAt: item.publishedAt || new Date().toISOString(),
+    source: source.name,
+    sourceId: source.id,
+    color: source.color,
+    duplicateSource: duplicate ? duplicate.sourceName : '',
+    duplicateLink: duplicate && duplicate.link ? duplicate.link : ''
+  };
+}
+
+/**
+ * 依目的地類型發送到 Discord 以外的目的地 (每篇文章一則訊息)
+ * @returns {Promise<Object|null>} 成功時回傳建立的訊息 (沒有時為 {}),失敗回傳 null
+ */
+async function sendToDestination(target, item, source, destination, deadline, onFailed = null) {
+  switch (getDestinationType(destination)) {
+    case 'telegram':
+      return sendArticleToTelegram(target, item, source, deadline, onFailed);
+    case 'slack':
+      return sendToSlack(target, item, source, deadline, onFailed);
+    case 'json':
+      return sendToJsonWebhook(target, item, source, destination, deadline, onFailed);
+    case 'line':
+      return sendArticleToLine(target, item, source, deadline, onFailed);
+    default:
+      return null;
+  }
+}
+
+/**
+ * 推送訊息到 Slack incoming webhook
+ * 縮圖無法被 Slack 下載時整則訊息會被拒絕 (400 invalid_blocks),拿掉圖片重送一次
+ * @returns {Promise<Object|null>} 成功回傳 {} (Slack webhook 不回傳訊息 id),失敗回傳 null
+ */
+async function sendToSlack(webhookUrl, item, source, deadline, onFailed = null) {
+  let result = await postWebhookJson(webhookUrl, buildSlackPayload(item, source), deadline);
+  if (!result.ok && result.status === 400 && item.thumbnail && /invalid_blocks|image/i.test(result.errorText)) {
+    console.warn(`Slack rejected blocks, retrying without image: ${result.errorText}`);
+    result = await postWebhookJson(webhookUrl, buildSlackPayload({ ...item, thumbnail: null }, source), deadline);
+  }
+  if (!result.ok) {
+    console.error(`Failed to send to Slack: ${result.status} - ${result.errorText}`);
+    if (onFailed) {
+      onFailed(item, result);
+    }
+    return null;
+  }
+  return {};
+}
+
+/**
+ * Slack Block Kit payload:section (標題連結 + 描述,縮圖為 image accessory) 加上來源與發布時間的 context
+ * text 為通知與不支援 blocks 時的備用文字;payloadStyle 為 link 時只貼連結讓 Slack 展開預覽
+ */
+function buildSlackPayload(item, source) {
+  const title = String(item.title || source.name || '').trim();
+  const link = /^https?:\/\//i.test(item.link || '') ? item.link : null;
+
+  if (source.payloadStyle === 'link' && link) {
+    return { text: escapeSlackUrl(link), unfurl_links: true };
+  }
+
+  const titleText = truncateSlackText(title, SLACK_MAX_TITLE_LENGTH);
+  const heading = link ? `*<${escapeSlackUrl(link)}|${titleText}>*` : `*${titleText}*`;
+  const description = String(item.description || '').trim();
+  // section 文字 (含標題) 上限 3000 字
+  const body = description ? truncateSlackText(description, SLACK_MAX_SECTION_TEXT_LENGTH - heading.length - 1) : '';
+  const section = { type: 'section', text: { type: 'mrkdwn', text: body ? `${heading}\n${body}` : heading } };
+  if (/^https?:\/\//i.test(item.thumbnail || '')) {
+    section.accessory = {
+      type: 'image',
+      image_url: item.thumbnail,
+      alt_text: (title || 'thumbnail').slice(0, SLACK_MAX_ALT_TEXT_LENGTH)
+    };
+  }
+
+  const contextParts = [escapeSlackText(source.name)];
+  const publishedMs = item.publishedAt ? Date.parse(item.publishedAt) : NaN;
+  if (Number.isFinite(publishedMs)) {
+    // Slack 依閱讀者的時區顯示時間,不支援時顯示 ISO 字串
+    contextParts.push(`<!date^${Math.floor(publishedMs / 1000)}^{date_short_pretty} {time}|${item.publishedAt}>`);
+  }
+  const duplicate = item.duplicateOf || null;
+  if (duplicate) {
+    const sourceName = escapeSlackText(duplicate.sourceName);
+    contextParts.push(duplicate.link ? `也由 <${escapeSlackUrl(duplicate.link)}|${sourceName}> 報導` : `也由 ${sourceName} 報導`);
+  }
+
+  return {
+    text: link ? `${titleText} ${escapeSlackUrl(link)}` : titleText,
+    blocks: [
+      section,
+      { type: 'context', elements: [{ type: 'mrkdwn', text: contextParts.join(' • ') }] }
+    ]
+  };
+}
+
+function escapeSlackText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeSlackUrl(url) {
+  // <url|text> 連結中的 | 與 <> 會被當成語法
+  return String(url)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '%3C')
+    .replace(/>/g, '%3E')
+    .replace(/\|/g, '%7C');
+}
+
+/**
+ * 跳脫後截斷到 maxLength 字 (以跳脫後的長度計算,不會切在實體或 surrogate pair 中間)
+ */
+function truncateSlackText(text, maxLength) {
+  const escaped = escapeSlackText(text);
+  if (escaped.length <= maxLength) {
+    return escaped;
+  }
+  let result = '';
+  for (const char of String(text)) {
+    const next = escapeSlackText(char);
+    if (result.length + next.length > maxLength - 1) {
+      break;
+    }
+    result += next;
+  }
+  return `${result.trimEnd()}…`;
+}
+
+/**
+ * 推送正規化後的文章 JSON 到通用 webhook (內部工具使用)
+ * @returns {Promise<Object|null>} 成功時回傳接收端的 JSON 回應 (沒有時為 {}),失敗回傳 null
+ */
+async function sendToJsonWebhook(webhookUrl, item, source, destination, deadline, onFailed = null) {
+  const result = await postWebhookJson(webhookUrl, buildJsonWebhookPayload(item, source, destination), deadline);
+  if (!result.ok) {
+    console.error(`Failed to send to JSON webhook (${destination.id}): ${result.status} - ${result.errorText}`);
+    if (onFailed) {
+      onFailed(item, result);
+    }
+    return null;
+  }
+  return result.data && typeof result.data === 'object' ? result.data : {};
+}
+
+/**
+ * 通用 JSON webhook 的 payload;id 為文章識別的雜湊 (與 sent: 紀錄相同),重送時不變,接收端可用來去重
+ */
+function buildJsonWebhookPayload(item, source, destination) {
+  const identity = getArticleIdentity(item);
+  return {
+    version: JSON_WEBHOOK_PAYLOAD_VERSION,
+    id: identity ? hashIdentifier(identity) : null,
+    source: { id: source.id, name: source.name },
+    destination: destination.id,
+    article: {
+      title: item.title || '',
+      description: item.description || '',
+      link: item.link || null,
+      thumbnail: item.thumbnail || null,
+      author: item.author || null,
+      publishedAt: item.publishedAt || null,
+      duplicateOf: item.duplicateOf || null
+    },
+    sentAt: new Date().toISOString()
+  };
 }
 
 /**
- * 延遲函數
+ * POST JSON 到 Slack / 通用 webhook;429 依 Retry-After、5xx 依次數退避,在時間預算內重試
+ * 預覽時 (網址為 preview 網址) 只記錄 payload
+ * @returns {Promise<{ok: boolean, status: number, data: Object|null, errorText: string}>}
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function postWebhookJson(webhookUrl, payload, deadline) {
+  const previewContext = getPreviewContext(webhookUrl);
+  if (previewContext) {
+    return recordPreviewRequest(previewContext, webhookUrl, payload, 'POST');
+  }
+  const budgetDeadline = Number.isFinite(deadline) ? deadline : Date.now() + DISCORD_TIME_BUDGET_MS;
+  let lastResult = { ok: false, status: 0, data: null, errorText: '' };
+
+  for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt += 1) {
+    let response;
+    try {
+      response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+    } catch (error) {
+      lastResult = { ok: false, status: 0, data: null, errorText: error.message };
+      if (!canRetryWebhook(attempt, 1000, budgetDeadline)) {
+        return lastResult;
+      }
+      await sleep(1000);
+      continue;
+    }
+
+    const text = await response.text();
+    if (response.ok) {
+      let data = null;
+      try {
+        data = text ? JSON.parse(text) : null;
+      } catch (error) {
+        // Slack 回傳純文字 ok
+        data = null;
+      }
+      return { ok: true, status: response.status, data, errorText: '' };
+    }
+    lastResult = { ok: false, status: response.status, data: null, errorText: text };
+
+    let waitMs = null;
+    if (response.status === 429) {
+      const header = response.headers.get('Retry-After');
+      const retryAfter = header === null ? NaN : Number(header);
+      waitMs = (Number.isFinite(retryAfter) && retryAfter >= 0 ? retryAfter : 1) * 1000;
+    } else if (response.status >= 500) {
+      waitMs = 1000 * attempt;
+    }
+    if (waitMs === null || !canRetryWebhook(attempt, waitMs, budgetDeadline)) {
+      return lastResult;
+    }
+    await sleep(waitMs);
+  }
+
+  return lastResult;
+}
+
+function canRetryWebhook(attempt, waitMs, deadline) {
+  return attempt < WEBHOOK_MAX_ATTEMPTS && waitMs <= DISCORD_MAX_WAIT_MS && Date.now() + waitMs <= deadline;
 }
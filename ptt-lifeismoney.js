@@ -1,9 +1,32 @@
+import { createAdminRoute } from './lib/admin.js';
+import {
+  DISCORD_TIME_BUDGET_MS, checkDiscordPayloadLimits, enforceDiscordLimits, truncateDiscordText, discordRequest,
+  parseMentionRules, resolveMentions, buildMentionFields
+} from './lib/discord.js';
+import { loadSourceHealth, recordSourceHealth, flushSourceHealth } from './lib/health.js';
+import { buildConditionalHeaders, readCacheValidators } from './lib/http.js';
+import {
+  getLineConfig, loadLineSentRecords, saveLineSentRecords, seedLineSentRecords, sendPendingToLine
+} from './lib/line.js';
+import { handlePreviewRequest } from './lib/preview.js';
+import {
+  getTelegramConfig, loadTelegramSentRecords, saveTelegramSentRecords, seedTelegramSentRecords, sendPendingToTelegram
+} from './lib/telegram.js';
+import { handleTemplateAdmin, loadMessageTemplate, renderDiscordTemplate } from './lib/template.js';
+
 const LIFEISMONEY_URL = 'https://www.ptt.cc/bbs/Lifeismoney/index.html';
 const LIFEISMONEY_BASE_URL = 'https://www.ptt.cc';
 const LIFEISMONEY_SOURCE_ID = 'ptt-lifeismoney';
+const LIFEISMONEY_SOURCE_NAME = 'PTT 省錢板';
 
-// Discord Webhook env var name (請在 Dashboard 綁定)
+// Discord Webhook env var name (請在 Dashboard 綁定;只轉發到 Telegram / LINE 時可不設定)
 const LIFEISMONEY_WEBHOOK_ENV = 'DISCORD_WEBHOOK_LIFEISMONEY';
+// 提及規則 env var name (選填,JSON),例如標題提到特定店家時 @deals
+const LIFEISMONEY_MENTION_RULES_ENV = 'LIFEISMONEY_MENTION_RULES';
+// Telegram 聊天室 id env var name (選填),設定後符合條件的文章也會發送到 Telegram,發送紀錄與 Discord 分開
+const LIFEISMONEY_TELEGRAM_CHAT_ID_ENV = 'LIFEISMONEY_TELEGRAM_CHAT_ID';
+// LINE 收件者 env var name (選填,逗號分隔的使用者 / 群組 id),設定後符合條件的文章也會推送到 LINE,發送紀錄與 Discord 分開
+const LIFEISMONEY_LINE_TO_ENV = 'LIFEISMONEY_LINE_TO';
 
 // 只針對推文數 >= 30 的文章發送通知
 const PUSH_THRESHOLD = 30;
@@ -12,16 +35,76 @@ const PUSH_THRESHOLD = 30;
 const TAIPEI_OFFSET_MS = 8 * 60 * 60 * 1000; // UTC+8
 const DAILY_TTL_SECONDS = 2 * 24 * 60 * 60; // 2 天
 
-// Discord 速率限制 (保守一秒一則)
-const DISCORD_DELAY_MS = 1000;
+// 只處理最近 N 小時內的文章 (可用 LIFEISMONEY_LOOKBACK_HOURS 覆寫),跨日去重靠 sent: 紀錄
+const DEFAULT_LOOKBACK_HOURS = 36;
+const MAX_LOOKBACK_HOURS = 7 * 24;
+const SENT_KEY = `sent:${LIFEISMONEY_SOURCE_ID}`;
+
+// 已發送文章推文數變動時編輯 Discord 訊息的上限 (每次執行)
+const MAX_EDITS_PER_RUN = 10;
+
+// 已發送文章被刪除時的處理方式 (可用 RETRACTION_MODE 覆寫):
+// log 只記錄、strike 把原訊息改成刪除線、delete 直接刪除原訊息
+const RETRACTION_MODES = ['log', 'strike', 'delete'];
+const DEFAULT_RETRACTION_MODE = 'log';
+const MAX_RETRACTIONS_PER_RUN = 5;
+const RETRACTION_LOG_TTL_SECONDS = 90 * 24 * 60 * 60; // 90 天
+const RETRACTED_EMBED_COLOR = 0x99AAB5;
+
+// 來源健康狀態:記錄每次執行的成敗、最後成功時間與取得的項目數,
+// 連續失敗或產出遠低於平常 (中位數) 達 HEALTH_ALERT_THRESHOLD 次時通知 ops webhook,恢復時再通知一次
+const HEALTH_KEY = 'health:ptt-lifeismoney';
+
+// 管理端點驗證與稽核紀錄
+const AUDIT_WORKER_ID = 'ptt-lifeismoney';
+const handleAdminRoute = createAdminRoute({ workerId: AUDIT_WORKER_ID });
+
+// 訊息模板 (選填):以 /admin/templates 設定 KV 的 template:<來源 id>,
+// 沒有模板或產生的內容超過 Discord 上限時使用內建的 embed
+// 模板可使用的文章欄位 (GET /admin/templates 會列出)
+const MESSAGE_TEMPLATE_FIELDS = {
+  title: '文章標題',
+  link: '文章網址',
+  author: '作者 PTT id',
+  authorUrl: '作者在省錢板的文章搜尋網址',
+  push: '推文數 (爆 為 100,可搭配 number 過濾器)',
+  sentAt: '第一次發送的時間 (ISO 8601,可搭配 date 過濾器)',
+  source: '來源名稱'
+};
+// 檢查模板時使用的範例文章
+const TEMPLATE_SAMPLE_ARTICLE = {
+  id: 'M.1735704000.A.123',
+  url: 'https://www.ptt.cc/bbs/Lifeismoney/M.1735704000.A.123.html',
+  title: '[情報] 範例文章 全家 指定咖啡第二杯半價 即日起至月底',
+  author: 'example',
+  push: 87,
+  sentAt: '2025-01-01T04:00:00.000Z'
+};
 
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
 
+    // 手動觸發 (需 ADMIN_TOKEN)
     if (url.pathname === '/trigger') {
-      await processLifeismoney(env, true);
-      return new Response('PTT Lifeismoney processing triggered manually', { status: 200 });
+      return handleAdminRoute(request, env, url, async () => {
+        await processLifeismoney(env, true);
+        return new Response('PTT Lifeismoney processing triggered manually', { status: 200 });
+      });
+    }
+
+    // 預覽 (dry-run):跑完整流程但不寫 KV、不發送 Discord,回傳 JSON (需 ADMIN_TOKEN);mode=trigger 模擬 /trigger (只送一篇)
+    if (url.pathname === '/preview') {
+      return handleAdminRoute(request, env, url, () => handlePreviewRequest(env, url, AUDIT_WORKER_ID, processLifeismoney));
+    }
+
+    // 訊息模板管理 (需 ADMIN_TOKEN)
+    if (url.pathname === '/admin/templates' || url.pathname.startsWith('/admin/templates/')) {
+      return handleAdminRoute(request, env, url, () => handleTemplateAdmin(request, env, url, {
+        fields: MESSAGE_TEMPLATE_FIELDS,
+        listSources: () => [{ id: LIFEISMONEY_SOURCE_ID }],
+        buildSample: () => buildTemplateContext(TEMPLATE_SAMPLE_ARTICLE)
+      }));
     }
 
     return new Response('PTT Lifeismoney worker is running. Use /trigger to test manually.', { status: 200 });
@@ -33,7 +116,10 @@ export default {
   }
 };
 
-async function processLifeismoney(env, testMode = false) {
+/**
+ * @param {Object|null} preview - 預覽 context (見 createPreviewContext),預覽時忽略首頁快取並記錄每篇文章的判斷
+ */
+async function processLifeismoney(env, testMode = false, preview = null) {
   const kv = env.RSS_CACHE;
   if (!kv) {
     console.error('RSS_CACHE KV namespace 未綁定,無法儲存每日文章狀態');
@@ -41,51 +127,226 @@ async function processLifeismoney(env, testMode = false) {
   }
 
   const webhookUrl = env[LIFEISMONEY_WEBHOOK_ENV];
-  if (!webhookUrl) {
-    console.error(`缺少 Discord Webhook 設定: ${LIFEISMONEY_WEBHOOK_ENV}`);
+  const telegram = getTelegramConfig(env, env[LIFEISMONEY_TELEGRAM_CHAT_ID_ENV]);
+  const line = getLineConfig(env, env[LIFEISMONEY_LINE_TO_ENV]);
+  if (!webhookUrl && !telegram && !line) {
+    console.error(`缺少發送目的地設定: ${LIFEISMONEY_WEBHOOK_ENV}、${LIFEISMONEY_TELEGRAM_CHAT_ID_ENV} 或 ${LIFEISMONEY_LINE_TO_ENV}`);
     return;
   }
 
   const now = new Date();
   const dateKey = getTaipeiDateKey(now);
+  const lookbackHours = getLookbackHours(env);
+  const sinceMs = now.getTime() - lookbackHours * 60 * 60 * 1000;
+  // sent 紀錄至少要保留到文章離開時間窗,否則會被重送
+  const sentTtlSeconds = Math.max(DAILY_TTL_SECONDS, lookbackHours * 60 * 60);
+  const health = await loadSourceHealth(env, kv, { key: HEALTH_KEY, workerId: AUDIT_WORKER_ID });
+  // 記錄健康狀態後發生的錯誤 (KV / Discord) 不算來源失敗
+  let healthRecorded = false;
 
   try {
-    const allEntries = await fetchAllTodayEntries(dateKey);
+    const { state, key, exists } = await loadDailyState(kv, dateKey);
+    const { sent, exists: sentExists, dirty: sentPruned } = await loadSentRecords(kv, sentTtlSeconds);
+    let sentChanged = sentPruned;
+
+    if (!sentExists) {
+      // 第一次使用 sent 紀錄:從前一天的每日狀態補上已發送的文章,避免跨日重送
+      const { state: previousState } = await loadDailyState(kv, getTaipeiDateKey(new Date(now.getTime() - 24 * 60 * 60 * 1000)));
+      for (const item of Object.values(previousState.items)) {
+        if (item && item.sent && item.id) {
+          sent[item.id] = buildSentRecord({ ...item, sentAt: item.sentAt || now.toISOString(), push: item.sentPush });
+          sentChanged = true;
+        }
+      }
+    }
 
-    console.log(`取得當日 (${dateKey}) 總文章數量: ${allEntries.length}`);
+    const { entries: allEntries, notModified, feedCache, seenIds, coveredSinceMs, error: fetchError } = await fetchRecentEntries(sinceMs, dateKey, preview ? null : state.feedCache);
+    // 首頁抓取失敗,或列表解析不出任何文章 (版面變動) 都會反映在來源健康狀態
+    recordSourceHealth(
+      health,
+      { id: LIFEISMONEY_SOURCE_ID, name: LIFEISMONEY_SOURCE_NAME },
+      fetchError ? { ok: false, error: fetchError } : { ok: true, itemCount: notModified ? null : seenIds.size }
+    );
+    healthRecorded = true;
+
+    let mergedState = state;
+    let stateChanged = !exists;
+
+    if (notModified) {
+      // 首頁未變動 (304):沿用 KV 內的推文數,不重新解析
+      console.log('PTT Lifeismoney 首頁未更新 (304),略過解析');
+    } else {
+      console.log(`取得最近 ${lookbackHours} 小時總文章數量: ${allEntries.length}`);
+      mergedState = mergeState(state, allEntries);
+      mergedState.feedCache = feedCache;
+      stateChanged = true;
+    }
 
-    const { state, key } = await loadDailyState(kv, dateKey);
-    const mergedState = mergeState(state, allEntries);
+    // 前一天已送出的文章 (時間窗跨過午夜) 直接標記為已發送,並帶回 Discord 訊息 id 供之後編輯
+    for (const item of Object.values(mergedState.items || {})) {
+      if (item && !item.sent && sent[item.id]) {
+        item.sent = true;
+        item.sentAt = sent[item.id].sentAt;
+        item.messageId = sent[item.id].messageId;
+        item.sentPush = sent[item.id].push;
+        item.retractedAt = sent[item.id].retractedAt;
+        stateChanged = true;
+      }
+    }
 
-    const toSend = selectArticlesToSend(mergedState, testMode);
-    if (toSend.length === 0) {
+    // Telegram 與 LINE 各有自己的發送紀錄:轉發失敗的文章下次執行重送,已收回的文章不再轉發
+    const telegramSent = telegram ? await loadTelegramSentRecords(kv, LIFEISMONEY_SOURCE_ID, sentTtlSeconds) : null;
+    if (telegramSent) {
+      seedTelegramSentRecords(telegramSent, Object.keys(sent));
+    }
+    const isTelegramSent = item => Boolean(telegramSent.sent[item.id]) || Boolean(item.retractedAt);
+    const lineSent = line ? await loadLineSentRecords(kv, LIFEISMONEY_SOURCE_ID, sentTtlSeconds) : null;
+    if (lineSent) {
+      seedLineSentRecords(lineSent, Object.keys(sent));
+    }
+    const isLineSent = item => Boolean(lineSent.sent[item.id]) || Boolean(item.retractedAt);
+
+    const toSend = webhookUrl ? selectArticlesToSend(mergedState, testMode) : [];
+    const toForward = telegramSent ? selectArticlesToSend(mergedState, testMode, isTelegramSent) : [];
+    const toPush = lineSent ? selectArticlesToSend(mergedState, testMode, isLineSent) : [];
+    if (preview) {
+      // 沒有設定 Discord 時依序以 Telegram、LINE 的發送紀錄判斷
+      if (webhookUrl) {
+        recordPreviewItems(preview, mergedState, toSend);
+      } else if (telegramSent) {
+        recordPreviewItems(preview, mergedState, toForward, isTelegramSent);
+      } else {
+        recordPreviewItems(preview, mergedState, toPush, isLineSent);
+      }
+    }
+    const mentionRules = parseMentionRules(env[LIFEISMONEY_MENTION_RULES_ENV], LIFEISMONEY_MENTION_RULES_ENV);
+    const messageTemplate = await loadMessageTemplate(kv, LIFEISMONEY_SOURCE_ID);
+    const discordDeadline = Date.now() + DISCORD_TIME_BUDGET_MS;
+    let successCount = 0;
+    if (!webhookUrl) {
+      console.log(`未設定 ${LIFEISMONEY_WEBHOOK_ENV},只發送到 Telegram / LINE`);
+    } else if (toSend.length === 0) {
       console.log('沒有符合條件且尚未發送的文章');
     } else {
       console.log(`準備發送 ${toSend.length} 篇文章到 Discord`);
-      let successCount = 0;
       for (const article of toSend) {
-        const sent = await sendToDiscord(webhookUrl, article);
-        if (sent) {
+        const message = await sendToDiscord(webhookUrl, article, discordDeadline, mentionRules, messageTemplate);
+        if (message) {
           article.sent = true;
           article.sentAt = new Date().toISOString();
+          article.messageId = message.id || null;
+          article.sentPush = article.push;
+          sent[article.id] = buildSentRecord({ ...article, push: article.sentPush });
+          sentChanged = true;
           successCount += 1;
         }
-        await sleep(DISCORD_DELAY_MS);
       }
       console.log(`成功發送 ${successCount}/${toSend.length} 篇文章`);
     }
 
+    if (telegramSent) {
+      const { successCount: forwardedCount, pendingCount } = await sendPendingToTelegram(telegram, telegramSent, toForward, {
+        getId: article => article.id,
+        buildArticle: buildLifeismoneyTelegramArticle,
+        deadline: discordDeadline
+      });
+      if (pendingCount) {
+        console.log(`成功轉發 ${forwardedCount}/${pendingCount} 篇文章到 Telegram`);
+      }
+      await saveTelegramSentRecords(kv, telegramSent, sentTtlSeconds);
+    }
+
+    if (lineSent) {
+      const { successCount: pushedCount, pendingCount } = await sendPendingToLine(line, lineSent, toPush, {
+        getId: article => article.id,
+        buildArticle: buildLifeismoneyLineArticle,
+        deadline: discordDeadline
+      });
+      if (pendingCount) {
+        console.log(`成功推送 ${pushedCount}/${pendingCount} 篇文章到 LINE`);
+      }
+      await saveLineSentRecords(kv, lineSent, sentTtlSeconds);
+    }
+
+    // 已發送的文章從列表消失 (作者自刪或板主刪除) 時,確認後收回 Discord 訊息;首頁 304 時列表沒有變動,不需檢查
+    if (webhookUrl && !notModified) {
+      const retractionMode = getRetractionMode(env);
+      const retractedCount = await retractDeletedArticles(
+        kv, webhookUrl, sent, mergedState, seenIds, coveredSinceMs, sinceMs, retractionMode, discordDeadline, messageTemplate
+      );
+      if (retractedCount) {
+        console.log(`已處理 ${retractedCount} 篇被刪除的文章 (${retractionMode})`);
+        sentChanged = true;
+        stateChanged = true;
+      }
+    }
+
+    // 已發送文章的推文數有變動時,編輯原訊息更新 footer (只更新 embed,提及文字不變)
+    const toEdit = webhookUrl ? selectArticlesToEdit(mergedState) : [];
+    let editCount = 0;
+    for (const article of toEdit) {
+      const result = await discordRequest(buildWebhookMessageUrl(webhookUrl, article.messageId), {
+        embeds: buildLifeismoneyMessage(article, messageTemplate).embeds,
+        allowed_mentions: { parse: [] }
+      }, { method: 'PATCH', deadline: discordDeadline });
+
+      if (result.ok) {
+        article.sentPush = article.push;
+        editCount += 1;
+      } else if (result.status === 404) {
+        // 訊息已在 Discord 上被刪除,不再嘗試編輯
+        article.messageId = null;
+      } else {
+        console.error(`編輯 Discord 訊息失敗 (${article.id}): ${result.status} - ${result.errorText}`);
+        continue;
+      }
+
+      sent[article.id] = buildSentRecord({ ...article, push: article.sentPush });
+      sentChanged = true;
+      stateChanged = true;
+    }
+    if (editCount) {
+      console.log(`已更新 ${editCount} 則 Discord 訊息的推文數`);
+    }
+
+    if (sentChanged) {
+      await kv.put(SENT_KEY, JSON.stringify(sent), { expirationTtl: sentTtlSeconds });
+    }
+
+    if (!stateChanged && successCount === 0) {
+      return;
+    }
+
     mergedState.updatedAt = new Date().toISOString();
     await kv.put(key, JSON.stringify(mergedState), { expirationTtl: DAILY_TTL_SECONDS });
   } catch (error) {
     console.error('處理 PTT Lifeismoney 發生錯誤:', error);
+    if (!healthRecorded) {
+      recordSourceHealth(health, { id: LIFEISMONEY_SOURCE_ID, name: LIFEISMONEY_SOURCE_NAME }, { ok: false, error: error.message });
+    }
+  } finally {
+    await flushSourceHealth(env, kv, health);
   }
 }
 
-async function fetchAllTodayEntries(dateKey) {
+/**
+ * 抓取首頁起所有時間窗內的文章
+ * 只有首頁使用條件式請求:首頁未變動 (304) 代表推文數與文章列表都沒有更新,可直接略過。
+ * @param {number} sinceMs - 時間窗起點 (ms)
+ * @param {string} dateKey - 台北日期 YYYY-MM-DD (文章 id 沒有時間戳記時改用 MM/DD 判斷)
+ * @param {Object|null} feedCache - 上次首頁回應的 { etag, lastModified }
+ * seenIds / coveredSinceMs 供刪除偵測使用:coveredSinceMs 之後發的文章若不在 seenIds 內,代表已從列表消失
+ * error 為首頁抓取失敗的原因 (其餘頁面失敗時只停止往前爬)
+ * @returns {Promise<{entries: Array, notModified: boolean, feedCache: Object|null, seenIds: Set<string>, coveredSinceMs: number|null, error: string|null}>}
+ */
+async function fetchRecentEntries(sinceMs, dateKey, feedCache) {
   const allEntries = [];
+  const seenIds = new Set();
+  let coveredSinceMs = null;
   let url = LIFEISMONEY_URL;
   let page = 0;
+  let nextFeedCache = null;
+  let error = null;
   const MAX_PAGES = 10;
 
   while (url && page < MAX_PAGES) {
@@ -95,42 +356,60 @@ async function fetchAllTodayEntries(dateKey) {
       method: 'GET',
       headers: {
         'User-Agent': 'Mozilla/5.0 (compatible; CF-Worker-Lifeismoney/1.0)',
-        'Accept-Language': 'zh-TW,zh;q=0.9'
+        'Accept-Language': 'zh-TW,zh;q=0.9',
+        ...(page === 1 ? buildConditionalHeaders(feedCache) : {})
       }
     });
 
+    if (page === 1 && response.status === 304) {
+      return { entries: [], notModified: true, feedCache, seenIds, coveredSinceMs: null, error: null };
+    }
+
     if (!response.ok) {
       console.error(`抓取 PTT Lifeismoney 失敗 (${url}): HTTP ${response.status}`);
+      if (page === 1) {
+        error = `HTTP ${response.status}`;
+      }
       break;
     }
 
+    if (page === 1) {
+      nextFeedCache = readCacheValidators(response);
+    }
+
     const cloned = response.clone();
 
-    const { todayEntries, hasToday, hasOlder } = await parseLifeismoneyEntries(response, dateKey);
+    const { recentEntries, hasRecent, hasOlder, pageIds, oldestMs, deletedCount } = await parseLifeismoneyEntries(response, sinceMs, dateKey);
 
-    console.log(`第 ${page} 頁今日文章數量: ${todayEntries.length}`);
+    console.log(`第 ${page} 頁時間窗內文章數量: ${recentEntries.length}${deletedCount ? `,已刪除文章 ${deletedCount} 篇` : ''}`);
 
-    for (const entry of todayEntries) {
+    for (const entry of recentEntries) {
       allEntries.push(entry);
     }
+    for (const id of pageIds) {
+      seenIds.add(id);
+    }
+    if (oldestMs !== null) {
+      coveredSinceMs = coveredSinceMs === null ? oldestMs : Math.min(coveredSinceMs, oldestMs);
+    }
 
     const html = await cloned.text();
     const prevHref = extractPrevPageHref(html);
 
-    const hasTodayOnly = hasToday && !hasOlder;
+    const hasRecentOnly = hasRecent && !hasOlder;
 
-    // 若本頁不再是「全部都是今日」,或沒有上頁連結,就停止往前爬
-    if (!hasTodayOnly || !prevHref) {
+    // 若本頁已出現時間窗之前的文章,或沒有上頁連結,就停止往前爬
+    if (!hasRecentOnly || !prevHref) {
       break;
     }
 
     url = LIFEISMONEY_BASE_URL + prevHref;
   }
 
-  return allEntries;
+  return { entries: allEntries, notModified: false, feedCache: nextFeedCache, seenIds, coveredSinceMs, error };
 }
 
-async function parseLifeismoneyEntries(response, dateKey) {
+async function parseLifeismoneyEntries(response, sinceMs, dateKey) {
   const entries = [];
 
   const [, monthStr, dayStr] = dateKey.split('-');
@@ -143,14 +422,22 @@ async function parseLifeismoneyEntries(response, dateKey) {
   // https://www.mikestreety.co.uk/blog/turn-any-page-into-a-json-api-with-cloudflare-workers/
 
   let currentIndex = -1;
+  // 首頁底部分隔線之後是置底文章,發文時間不代表列表涵蓋的範圍
+  let separatorIndex = null;
 
   const rewritten = new HTMLRewriter()
+    .on('div.r-list-sep', {
+      element() {
+        separatorIndex = currentIndex;
+      }
+    })
     .on('div.r-ent', {
       element() {
         currentIndex += 1;
         entries[currentIndex] = {
           rawPush: '',
           rawTitle: '',
+          rawTitleText: '',
           rawAuthor: '',
           rawDate: '',
           relativeUrl: ''
@@ -163,6 +450,12 @@ async function parseLifeismoneyEntries(response, dateKey) {
         entries[currentIndex].rawPush += text.text;
       }
     })
+    .on('div.r-ent > div.title', {
+      text(text) {
+        if (currentIndex < 0 || !entries[currentIndex]) return;
+        entries[currentIndex].rawTitleText += text.text;
+      }
+    })
     .on('div.r-ent > div.title > a', {
       element(element) {
         if (currentIndex < 0 || !entries[currentIndex]) return;
@@ -191,11 +484,15 @@ async function parseLifeismoneyEntries(response, dateKey) {
   // 讀取一次 body 以觸發 HTMLRewriter 並執行上面的 handlers
   await rewritten.text();
 
-  const todayEntries = [];
-  let hasToday = false;
+  const recentEntries = [];
+  const pageIds = [];
+  let oldestMs = null;
+  let deletedCount = 0;
+  let hasRecent = false;
   let hasOlder = false;
 
-  for (const entry of entries) {
+  for (let index = 0; index < entries.length; index += 1) {
+    const entry = entries[index];
     if (!entry) {
       continue;
     }
@@ -205,41 +502,57 @@ async function parseLifeismoneyEntries(response, dateKey) {
     const author = cleanText(entry.rawAuthor);
     const rawDate = cleanText(entry.rawDate);
     const rawPush = cleanText(entry.rawPush);
+    // 分隔線之後的置底文章不在列表的時間順序內
+    const isPinned = separatorIndex !== null && index > separatorIndex;
 
     if (!relativeUrl || !title) {
-      // 沒有連結或標題,通常是刪除文章
+      // 沒有連結或標題,通常是刪除文章 (標題會變成「(本文已被刪除) [作者]」),原本的文章 id 已無法從列表取得
+      if (!isPinned && isDeletedTitle(cleanText(entry.rawTitleText))) {
+        deletedCount += 1;
+      }
       continue;
     }
 
-    const isToday = isTodayTaipei(rawDate, todayMonth, todayDay);
+    const id = extractArticleId(relativeUrl);
+    // 文章 id (M.<unix 秒>.A.xxx) 帶有發文時間;沒有時退回列表上的 MM/DD
+    const postedAtMs = extractArticleTimestamp(id);
+    if (id) {
+      pageIds.push(id);
+    }
+    // 置底文章仍算出現在列表上 (不會被當成已刪除),但不影響時間窗判斷與翻頁,也不發送
+    if (isPinned) {
+      continue;
+    }
+    if (postedAtMs !== null) {
+      oldestMs = oldestMs === null ? postedAtMs : Math.min(oldestMs, postedAtMs);
+    }
+    const isRecent = postedAtMs !== null
+      ? postedAtMs >= sinceMs
+      : isTodayTaipei(rawDate, todayMonth, todayDay);
 
-    if (isToday) {
-      hasToday = true;
+    if (isRecent) {
+      hasRecent = true;
     } else if (rawDate) {
       hasOlder = true;
     }
 
-    if (!isToday) {
-      continue;
-    }
-
-    const id = extractArticleId(relativeUrl);
-    if (!id) {
+    if (!isRecent || !id) {
       continue;
     }
 
     const pushCount = parsePushCountText(rawPush);
 
-    todayEntries.push({
+    recentEntries.push({
       id,
       url: LIFEISMONEY_BASE_URL + relativeUrl,
       title,
       author,
-      push: pushCount
+      push: pushCount,
+      postedAt: postedAtMs !== null ? new Date(postedAtMs).toISOString() : null
     });
   }
 
-  return { todayEntries, hasToday, hasOlder };
+  return { recentEntries, hasRecent, hasOlder, pageIds, oldestMs, deletedCount };
 }
 
 function parsePushCountText(raw) {
@@ -293,6 +606,16 @@ function extractArticleId(relativeUrl) {
   return simpleMatch && simpleMatch[1] ? simpleMatch[1] : null;
 }
 
+function extractArticleTimestamp(id) {
+  const match = /^M\.(\d{9,11})\.A\./.exec(id || '');
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+function isDeletedTitle(title) {
+  // 作者自刪:「(本文已被刪除) [作者]」;板主刪除:「(已被 xxx 刪除) <作者>」
+  return /^\((本文)?已被.*刪除\)/.test(title || '');
+}
+
 function isTodayTaipei(rawDate, todayMonth, todayDay) {
   if (!rawDate) {
     return false;
@@ -344,6 +667,7 @@ async function loadDailyState(kv, dateKey) {
     if (!raw) {
       return {
         key,
+        exists: false,
         state: {
           sourceName: 'PTT Lifeismoney 省錢板',
           sourceId: LIFEISMONEY_SOURCE_ID,
@@ -365,11 +689,12 @@ async function loadDailyState(kv, dateKey) {
       parsed.items = {};
     }
 
-    return { key, state: parsed };
+    return { key, exists: true, state: parsed };
   } catch (error) {
     console.error('讀取每日 KV 狀態失敗,使用空集合:', error);
     return {
       key,
+      exists: false,
       state: {
         sourceName: 'PTT Lifeismoney 省錢板',
         sourceId: LIFEISMONEY_SOURCE_ID,
@@ -383,6 +708,58 @@ async function loadDailyState(kv, dateKey) {
   }
 }
 
+/**
+ * 讀取跨日的已發送紀錄 ({ [articleId]: { sentAt, messageId, push, title, author, retractedAt } }),並移除超過保留期限的項目
+ * 舊格式的值只有 sentAt 字串
+ */
+async function loadSentRecords(kv, ttlSeconds) {
+  const sent = {};
+  let exists = false;
+  let dirty = false;
+
+  try {
+    const raw = await kv.get(SENT_KEY);
+    exists = Boolean(raw);
+    const data = raw ? JSON.parse(raw) : null;
+    const cutoffMs = Date.now() - ttlSeconds * 1000;
+
+    if (data && typeof data === 'object') {
+      for (const [id, value] of Object.entries(data)) {
+        const record = typeof value === 'string' ? { sentAt: value } : (value || {});
+        const timestamp = typeof record.sentAt === 'string' ? Date.parse(record.sentAt) : NaN;
+        if (Number.isFinite(timestamp) && timestamp >= cutoffMs) {
+          sent[id] = buildSentRecord(record);
+        } else {
+          dirty = true;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('讀取跨日已發送紀錄失敗:', error);
+  }
+
+  return { sent, exists, dirty };
+}
+
+/**
+ * 已發送紀錄只保留編輯與收回訊息需要的欄位 (文章從每日狀態消失後仍要能重建 embed)
+ */
+function buildSentRecord(article) {
+  return {
+    sentAt: article.sentAt,
+    messageId: typeof article.messageId === 'string' ? article.messageId : null,
+    push: Number.isFinite(article.push) ? article.push : null,
+    title: typeof article.title === 'string' ? article.title : null,
+    author: typeof article.author === 'string' ? article.author : null,
+    retractedAt: typeof article.retractedAt === 'string' ? article.retractedAt : null
+  };
+}
+
+function getLookbackHours(env) {
+  const hours = Number(env.LIFEISMONEY_LOOKBACK_HOURS);
+  return Number.isInteger(hours) && hours > 0 ? Math.min(hours, MAX_LOOKBACK_HOURS) : DEFAULT_LOOKBACK_HOURS;
+}
+
 function mergeState(state, entries) {
   const items = state.items || {};
 
@@ -394,8 +771,12 @@ function mergeState(state, entries) {
       title: entry.title,
       author: entry.author,
       push: entry.push,
+      postedAt: entry.postedAt || existing.postedAt || null,
       sent: existing.sent === true,
-      sentAt: existing.sentAt || null
+      sentAt: existing.sentAt || null,
+      messageId: existing.messageId || null,
+      sentPush: Number.isFinite(existing.sentPush) ? existing.sentPush : null,
+      retractedAt: existing.retractedAt || null
     };
   }
 
@@ -405,7 +786,10 @@ function mergeState(state, entries) {
   };
 }
 
-function selectArticlesToSend(state, testMode) {
+/**
+ * 推文數達門檻且尚未發送的文章,推文數多的優先;isSent 預設看 Discord 的發送狀態
+ */
+function selectArticlesToSend(state, testMode, isSent = item => item.sent) {
   const items = state.items || {};
   const candidates = [];
 
@@ -414,7 +798,7 @@ function selectArticlesToSend(state, testMode) {
     if (!item) {
       continue;
     }
-    if (item.sent) {
+    if (isSent(item)) {
       continue;
     }
     if (!Number.isFinite(item.push) || item.push < PUSH_THRESHOLD) {
@@ -437,46 +821,296 @@ function selectArticlesToSend(state, testMode) {
   return candidates;
 }
 
-async function sendToDiscord(webhookUrl, article) {
-const embed = {
-  title: `${article.title}`,
-  url: article.url,
-  author: {
-    name: `${article.author}`,
-    url: `https://www.ptt.cc/bbs/Lifeismoney/search?q=author%3A${article.author}`,
-  },
-  description: null, 
-  color: 0x0066CC,
-  timestamp: new Date().toISOString(),
-  footer: {
-    text: `PTT 省錢板 • 📈 推文數 ${article.push}`
+/**
+ * 預覽時記錄時間窗內每篇文章是否會發送:send / sent (已發送) / below-threshold (推文數不足) / limited (測試模式只送一篇)
+ */
+function recordPreviewItems(preview, state, toSend, isSent = item => item.sent) {
+  const sendIds = new Set(toSend.map(item => item.id));
+  for (const item of Object.values(state.items || {})) {
+    if (!item) {
+      continue;
+    }
+    let decision = 'limited';
+    if (sendIds.has(item.id)) {
+      decision = 'send';
+    } else if (isSent(item)) {
+      decision = 'sent';
+    } else if (!Number.isFinite(item.push) || item.push < PUSH_THRESHOLD) {
+      decision = 'below-threshold';
+    }
+    preview.items.push({
+      id: item.id,
+      title: item.title,
+      author: item.author,
+      push: item.push,
+      postedAt: item.postedAt,
+      url: item.url,
+      decision
+    });
   }
-};
+}
+
+/**
+ * 已發送、有訊息 id 且推文數與發送 (或上次編輯) 時不同的文章,變動最大的優先
+ * 已收回的文章不再編輯,避免蓋掉刪除線
+ */
+function selectArticlesToEdit(state) {
+  return Object.values(state.items || {})
+    .filter(item => item && item.sent && item.messageId && !item.retractedAt
+      && Number.isFinite(item.push) && Number.isFinite(item.sentPush) && item.push !== item.sentPush)
+    .sort((a, b) => Math.abs(b.push - b.sentPush) - Math.abs(a.push - a.sentPush))
+    .slice(0, MAX_EDITS_PER_RUN);
+}
+
+function buildLifeismoneyEmbed(article) {
+  return {
+    title: `${article.title}`,
+    url: article.url,
+    author: article.author ? {
+      name: `${article.author}`,
+      url: `https://www.ptt.cc/bbs/Lifeismoney/search?q=author%3A${article.author}`,
+    } : undefined,
+    description: null,
+    color: 0x0066CC,
+    // 編輯訊息時沿用第一次發送的時間
+    timestamp: article.sentAt || new Date().toISOString(),
+    footer: {
+      text: `PTT 省錢板 • 📈 推文數 ${article.push}`
+    }
+  };
+}
+
+/**
+ * Discord 訊息內容:有設定訊息模板時依模板產生,否則使用內建的 embed
+ * @returns {{content?: string, embeds: Array<Object>}}
+ */
+function buildLifeismoneyMessage(article, messageTemplate = null) {
+  const rendered = messageTemplate
+    ? renderDiscordTemplate(messageTemplate, buildTemplateContext(article), article.title)
+    : null;
+  return rendered || { embeds: [buildLifeismoneyEmbed(article)] };
+}
+
+/**
+ * 訊息模板可使用的欄位 (見 MESSAGE_TEMPLATE_FIELDS)
+ */
+function buildTemplateContext(article) {
+  return {
+    title: article.title || '',
+    link: article.url || '',
+    author: article.author || '',
+    authorUrl: article.author ? `https://www.ptt.cc/bbs/Lifeismoney/search?q=author%3A${article.author}` : '',
+    push: Number.isFinite(article.push) ? article.push : 0,
+    sentAt: article.sentAt || new Date().toISOString(),
+    source: LIFEISMONEY_SOURCE_NAME
+  };
+}
+
+function buildLifeismoneyTelegramArticle(article) {
+  return {
+    title: article.title,
+    description: article.author ? `${article.author} • 📈 推文數 ${article.push}` : `📈 推文數 ${article.push}`,
+    link: article.url,
+    thumbnail: null,
+    sourceName: LIFEISMONEY_SOURCE_NAME
+  };
+}
+
+function buildLifeismoneyLineArticle(article) {
+  return {
+    title: article.title,
+    description: article.author ? `作者 ${article.author}` : '',
+    link: article.url,
+    thumbnail: null,
+    footer: `${LIFEISMONEY_SOURCE_NAME} • 📈 推文數 ${article.push}`
+  };
+}
+
+/**
+ * 找出已發送但從列表消失的文章,以文章網址回應 404 確認已被刪除後,依 mode 收回 Discord 訊息並寫入 KV 紀錄
+ * 只檢查時間窗內且在本次列表涵蓋範圍 (coveredSinceMs 之後) 內發的文章,超出範圍的舊文章只是沒被爬到
+ * strike 模式以訊息模板產生的第一個 embed 加上刪除線
+ * @returns {Promise<number>} 本次收回的文章數
+ */
+async function retractDeletedArticles(kv, webhookUrl, sent, state, seenIds, coveredSinceMs, sinceMs, mode, deadline, messageTemplate = null) {
+  if (!Number.isFinite(coveredSinceMs)) {
+    return 0;
+  }
+
+  const candidates = Object.entries(sent)
+    .filter(([id, record]) => {
+      const postedAtMs = extractArticleTimestamp(id);
+      return !record.retractedAt && postedAtMs !== null && postedAtMs >= Math.max(coveredSinceMs, sinceMs) && !seenIds.has(id);
+    })
+    .slice(0, MAX_RETRACTIONS_PER_RUN);
+
+  let count = 0;
+  for (const [id, record] of candidates) {
+    const url = buildArticleUrl(id);
+    if (!(await isArticleDeleted(url))) {
+      continue;
+    }
+
+    const item = state.items ? state.items[id] : null;
+    const article = item || {
+      id,
+      url,
+      title: record.title || id,
+      author: record.author || '',
+      push: record.push,
+      sentAt: record.sentAt
+    };
+    const [embed] = buildLifeismoneyMessage(article, messageTemplate).embeds;
+    const result = await retractDiscordMessage(webhookUrl, record.messageId, mode, embed || buildLifeismoneyEmbed(article), deadline);
+    if (!result.ok) {
+      console.error(`收回 Discord 訊息失敗 (${id}): ${result.status} - ${result.errorText}`);
+      continue;
+    }
+
+    const retractedAt = new Date().toISOString();
+    record.retractedAt = retractedAt;
+    if (result.action === 'delete' || result.action === 'missing') {
+      record.messageId = null;
+    }
+    if (item) {
+      item.retractedAt = retractedAt;
+      item.messageId = record.messageId;
+    }
+
+    await logRetraction(kv, id, {
+      sourceId: LIFEISMONEY_SOURCE_ID,
+      articleId: id,
+      title: article.title,
+      url,
+      reason: 'deleted',
+      mode,
+      action: result.action,
+      messageId: result.messageId,
+      sentAt: record.sentAt,
+      retractedAt
+    });
+    console.log(`文章已被刪除,Discord 訊息處理方式 ${result.action}: ${article.title} (${id})`);
+    count += 1;
+  }
+
+  return count;
+}
 
-  const payload = { embeds: [embed] };
+function buildArticleUrl(id) {
+  return `${LIFEISMONEY_BASE_URL}/bbs/Lifeismoney/${id}.html`;
+}
 
+/**
+ * PTT 文章被刪除後原網址會回應 404;其他錯誤一律當作未刪除,下次再確認
+ */
+async function isArticleDeleted(url) {
   try {
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
+    const response = await fetch(url, {
+      method: 'GET',
       headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
+        'User-Agent': 'Mozilla/5.0 (compatible; CF-Worker-Lifeismoney/1.0)',
+        'Accept-Language': 'zh-TW,zh;q=0.9'
+      }
     });
+    return response.status === 404;
+  } catch (error) {
+    console.error(`確認文章是否刪除失敗 (${url}):`, error);
+    return false;
+  }
+}
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(`Discord webhook 發送失敗: ${response.status} - ${text}`);
-      return false;
+function getRetractionMode(env) {
+  const mode = String(env.RETRACTION_MODE || '').trim().toLowerCase();
+  return RETRACTION_MODES.includes(mode) ? mode : DEFAULT_RETRACTION_MODE;
+}
+
+/**
+ * 依 mode 收回已發送的 Discord 訊息
+ * - log:不動原訊息;strike:把 embed 改成刪除線並註記;delete:刪除原訊息
+ * - 沒有訊息 id (舊紀錄) 時只能記錄;訊息已在 Discord 上被刪除 (404) 視為完成
+ * @returns {Promise<{ok: boolean, status: number, errorText: string, action: string, messageId: string|null}>}
+ */
+async function retractDiscordMessage(webhookUrl, messageId, mode, embed, deadline) {
+  if (mode === 'log' || !messageId) {
+    return { ok: true, status: 0, errorText: '', action: 'log', messageId: messageId || null };
+  }
+
+  const messageUrl = buildWebhookMessageUrl(webhookUrl, messageId);
+  const result = mode === 'delete'
+    ? await discordRequest(messageUrl, null, { method: 'DELETE', deadline })
+    : await discordRequest(messageUrl, { embeds: [buildRetractedEmbed(embed)], allowed_mentions: { parse: [] } }, { method: 'PATCH', deadline });
+
+  if (result.status === 404) {
+    return { ok: true, status: 404, errorText: '', action: 'missing', messageId };
+  }
+
+  return { ok: result.ok, status: result.status, errorText: result.errorText, action: mode, messageId };
+}
+
+function buildRetractedEmbed(embed) {
+  return {
+    ...embed,
+    title: embed.title ? `~~${embed.title}~~` : '~~原文已被刪除~~',
+    description: '⚠️ 原文已被刪除',
+    color: RETRACTED_EMBED_COLOR
+  };
+}
+
+/**
+ * 每次收回寫一筆 retraction:<來源>:<文章 id> 紀錄,保留 90 天供查核
+ */
+async function logRetraction(kv, articleKey, entry) {
+  try {
+    await kv.put(`retraction:${encodeURIComponent(entry.sourceId)}:${articleKey}`, JSON.stringify(entry), {
+      expirationTtl: RETRACTION_LOG_TTL_SECONDS
+    });
+  } catch (error) {
+    console.error('寫入收回紀錄失敗:', error);
+  }
+}
+
+/**
+ * 發送文章到 Discord
+ * @param {Array} [mentionRules] - 標題符合 keywords 時提及的身分組 / 使用者
+ * @param {Object|null} [messageTemplate] - 訊息模板 (見 loadMessageTemplate),提及文字會加在模板的 content 前面
+ * @returns {Promise<Object|null>} 成功時回傳 Discord 建立的訊息 (?wait=true),失敗回傳 null
+ */
+async function sendToDiscord(webhookUrl, article, deadline, mentionRules = [], messageTemplate = null) {
+  const mentionFields = buildMentionFields(resolveMentions(mentionRules, article.title));
+  const message = buildLifeismoneyMessage(article, messageTemplate);
+  const payload = { ...message, allowed_mentions: mentionFields.allowed_mentions };
+  if (mentionFields.content) {
+    payload.content = message.content ? `${mentionFields.content} ${message.content}` : mentionFields.content;
+  }
+
+  try {
+    const result = await discordRequest(withWaitParam(webhookUrl), payload, { deadline });
+
+    if (!result.ok) {
+      console.error(`Discord webhook 發送失敗: ${result.status} - ${result.errorText}`);
+      return null;
     }
 
-    return true;
+    return result.data || {};
   } catch (error) {
     console.error('發送 Discord webhook 發生錯誤:', error);
-    return false;
+    return null;
   }
 }
 
+function withWaitParam(webhookUrl) {
+  const url = new URL(webhookUrl);
+  url.searchParams.set('wait', 'true');
+  return url.toString();
+}
+
+function buildWebhookMessageUrl(webhookUrl, messageId) {
+  const url = new URL(webhookUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}/messages/${messageId}`;
+  url.searchParams.delete('wait');
+  return url.toString();
+}
+
 function getTaipeiDateKey(date) {
   const timestamp = date.getTime();
   const taipeiTime = new Date(timestamp + TAIPEI_OFFSET_MS);
@@ -489,7 +1123,3 @@ function getTaipeiDateKey(date) {
 function buildDailyKey(dateKey) {
   return `daily:${encodeURIComponent(LIFEISMONEY_SOURCE_ID)}:${dateKey}`;
 }
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
@@ -0,0 +1,58 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdminRoute } from '../lib/admin.js';
+import { createKV, readJson } from './helpers/kv.js';
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+function callAdmin(handleAdminRoute, env, { token, ip = '203.0.113.7' } = {}) {
+  const url = new URL('https://worker.test/trigger');
+  const headers = { 'CF-Connecting-IP': ip };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return handleAdminRoute(new Request(url, { headers }), env, url, async () => new Response('ok'));
+}
+
+test('驗證通過的呼叫各寫一筆稽核紀錄', async () => {
+  const kv = createKV();
+  const env = { ADMIN_TOKEN: 'secret', RSS_CACHE: kv };
+  const handleAdminRoute = createAdminRoute({ workerId: 'audit-ok' });
+
+  assert.equal((await callAdmin(handleAdminRoute, env, { token: 'secret' })).status, 200);
+  assert.equal((await callAdmin(handleAdminRoute, env, { token: 'secret' })).status, 200);
+
+  const entries = [...kv.store.keys()].filter(key => key.startsWith('audit:audit-ok:'));
+  assert.equal(entries.length, 2);
+  assert.equal(readJson(kv, entries[0]).authorized, true);
+});
+
+test('驗證失敗不逐筆寫入,依 IP 每小時累計並限制寫入頻率', async () => {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-01-01T10:00:00Z') });
+  const kv = createKV();
+  const env = { ADMIN_TOKEN: 'secret', RSS_CACHE: kv };
+  const handleAdminRoute = createAdminRoute({ workerId: 'audit-denied' });
+  const key = 'audit-denied:audit-denied:2026-01-01T10:203.0.113.7';
+
+  for (let i = 0; i < 20; i += 1) {
+    const response = await callAdmin(handleAdminRoute, env, { token: i % 2 ? 'wrong' : undefined });
+    assert.equal(response.status, i % 2 ? 403 : 401);
+  }
+  assert.equal(kv.puts, 1);
+  assert.equal([...kv.store.keys()].some(name => name.startsWith('audit:')), false);
+  assert.equal(readJson(kv, key).count, 1);
+
+  // 一分鐘後的下一次失敗把期間累計的次數一起寫入
+  mock.timers.tick(61 * 1000);
+  await callAdmin(handleAdminRoute, env, { token: 'wrong' });
+  assert.equal(kv.puts, 2);
+  const record = readJson(kv, key);
+  assert.equal(record.count, 21);
+  assert.deepEqual(record.statuses, { 401: 10, 403: 11 });
+
+  // 其他 IP 各自計數
+  await callAdmin(handleAdminRoute, env, { ip: '198.51.100.1' });
+  assert.equal(readJson(kv, 'audit-denied:audit-denied:2026-01-01T10:198.51.100.1').count, 1);
+});
@@ -0,0 +1,153 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import newsWorker from '../news-rss.js';
+import monitorWorker from '../ffxiv-tw-news-monitor.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const TOKEN = 'admin-secret';
+const FEED_URL = 'https://feed.test/deadletter';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/19001/deadletter-token';
+const NEWS_KEY = 'deadletter:news-rss';
+const MINUTE_MS = 60 * 1000;
+
+afterEach(restoreFetch);
+
+function createNewsEnv() {
+  const sources = [{
+    id: 'deadletter',
+    url: FEED_URL,
+    name: '失敗來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_DEADLETTER',
+    thumbnailStrategy: 'none',
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_DEADLETTER: WEBHOOK_URL,
+    ADMIN_TOKEN: TOKEN
+  };
+}
+
+// discordStatus() 回傳 Discord 的 HTTP 狀態碼
+function mockNewsFetch(discordStatus) {
+  const feed = renderRss([{ title: '發送失敗的文章', link: 'https://feed.test/articles/1' }]);
+  return mockFetch(url => {
+    if (url === FEED_URL) {
+      return new Response(feed, { status: 200 });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      const status = discordStatus();
+      return new Response(status === 200 ? '{"id":"1"}' : '{"message":"Invalid Form Body"}', { status });
+    }
+    return null;
+  });
+}
+
+// 把所有紀錄的下次重試時間移到現在之前,模擬退避時間已過
+function expireBackoff(kv) {
+  const entries = readJson(kv, NEWS_KEY);
+  for (const entry of Object.values(entries)) {
+    entry.nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+  }
+  kv.store.set(NEWS_KEY, JSON.stringify(entries));
+}
+
+test('發送失敗記錄到 dead-letter,等待期間不重試,replay 後下次執行重送並移除紀錄', async () => {
+  const env = createNewsEnv();
+  let discordStatus = 400;
+  const calls = mockNewsFetch(() => discordStatus);
+  const attempts = () => calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length;
+
+  await runScheduled(newsWorker, env);
+  const listed = await (await callWorker(newsWorker, env, '/admin/deadletters', { token: TOKEN })).json();
+  assert.equal(listed.maxAttempts, 6);
+  assert.equal(listed.entries.length, 1);
+  const [entry] = listed.entries;
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.status, 'pending');
+  assert.equal(entry.lastError.status, 400);
+  assert.match(entry.lastError.body, /Invalid Form Body/);
+  assert.equal(Date.parse(entry.nextAttemptAt) - Date.parse(entry.lastFailedAt), 15 * MINUTE_MS);
+
+  await runScheduled(newsWorker, env);
+  assert.equal(attempts(), 1);
+
+  const replay = await callWorker(newsWorker, env, `/admin/deadletters/${encodeURIComponent(entry.id)}/replay`, { method: 'POST', token: TOKEN });
+  assert.equal((await replay.json()).entry.attempts, 0);
+
+  discordStatus = 200;
+  await runScheduled(newsWorker, env);
+  assert.equal(attempts(), 2);
+  assert.deepEqual((await (await callWorker(newsWorker, env, '/admin/deadletters', { token: TOKEN })).json()).entries, []);
+});
+
+test('等待時間依失敗次數加倍,失敗 6 次後標記為 exhausted 不再自動重試', async () => {
+  const env = createNewsEnv();
+  const calls = mockNewsFetch(() => 400);
+  const delays = [];
+
+  for (let run = 0; run < 6; run += 1) {
+    await runScheduled(newsWorker, env);
+    const [entry] = Object.values(readJson(env.RSS_CACHE, NEWS_KEY));
+    if (entry.status === 'pending') {
+      delays.push((Date.parse(entry.nextAttemptAt) - Date.parse(entry.lastFailedAt)) / MINUTE_MS);
+    }
+    expireBackoff(env.RSS_CACHE);
+  }
+
+  assert.deepEqual(delays, [15, 30, 60, 120, 240]);
+  const [entry] = Object.values(readJson(env.RSS_CACHE, NEWS_KEY));
+  assert.equal(entry.attempts, 6);
+  assert.equal(entry.status, 'exhausted');
+
+  await runScheduled(newsWorker, env);
+  assert.equal(calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length, 6);
+
+  const exhausted = await (await callWorker(newsWorker, env, '/admin/deadletters?status=exhausted', { token: TOKEN })).json();
+  assert.equal(exhausted.entries.length, 1);
+  const deleted = await callWorker(newsWorker, env, `/admin/deadletters/${encodeURIComponent(entry.id)}`, { method: 'DELETE', token: TOKEN });
+  assert.deepEqual(await deleted.json(), { deleted: entry.id });
+});
+
+test('官網新聞監控發送失敗時以文章 ID 記錄 dead-letter,退避時間過後重送', async () => {
+  const news = {
+    categories: {
+      公告: [
+        { id: '1', title: '已發送的舊公告', url: 'https://www.ffxiv.com.tw/news/1', date: '2026-01-01' },
+        { id: '2', title: '新的維護公告', url: 'https://www.ffxiv.com.tw/news/2', date: '2026-01-02' }
+      ]
+    }
+  };
+  const env = {
+    RSS_CACHE: createKV({
+      'snapshot:ffxiv-tw-news': JSON.stringify({ articleIds: ['1'] }),
+      'sent:ffxiv-tw-news': JSON.stringify({ 1: { sentAt: new Date().toISOString(), category: '公告', title: '已發送的舊公告' } })
+    }),
+    ffxivnews: createKV({ ffxiv_news_v3: JSON.stringify(news) }),
+    DISCORD_WEBHOOK_FFXIV_TW_NEWS: WEBHOOK_URL,
+    ADMIN_TOKEN: TOKEN
+  };
+  let discordStatus = 400;
+  const calls = mockFetch(url => (url.startsWith(WEBHOOK_URL)
+    ? new Response(discordStatus === 204 ? null : '{"message":"error"}', { status: discordStatus })
+    : null));
+  const posts = () => calls.filter(call => call.url.startsWith(WEBHOOK_URL));
+
+  await runScheduled(monitorWorker, env);
+  const entries = readJson(env.RSS_CACHE, 'deadletter:ffxiv-tw-news');
+  assert.deepEqual(Object.keys(entries), ['2']);
+  assert.equal(entries['2'].attempts, 1);
+
+  await runScheduled(monitorWorker, env);
+  assert.equal(posts().length, 1);
+
+  entries['2'].nextAttemptAt = new Date(Date.now() - 1000).toISOString();
+  env.RSS_CACHE.store.set('deadletter:ffxiv-tw-news', JSON.stringify(entries));
+  discordStatus = 204;
+  await runScheduled(monitorWorker, env);
+  assert.equal(posts().length, 2);
+  assert.match(JSON.stringify(posts()[1].body), /新的維護公告/);
+  assert.deepEqual(readJson(env.RSS_CACHE, 'deadletter:ffxiv-tw-news') || {}, {});
+});
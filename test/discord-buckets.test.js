@@ -0,0 +1,52 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { discordRequest } from '../lib/discord.js';
+
+const originalFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+// 所有 webhook 回應相同的 bucket hash;remaining 為 0 時要 10 秒才重置
+function mockDiscord(calls, remaining) {
+  globalThis.fetch = async url => {
+    calls.push(String(url));
+    return new Response(null, {
+      status: 204,
+      headers: {
+        'X-RateLimit-Bucket': 'shared-hash',
+        'X-RateLimit-Remaining': String(remaining.shift()),
+        'X-RateLimit-Reset-After': '10'
+      }
+    });
+  };
+}
+
+test('相同 bucket hash 的不同 webhook 各自計算額度', async () => {
+  const calls = [];
+  mockDiscord(calls, [4, 4, 0, 4]);
+  const deadline = Date.now() + 100;
+  const first = 'https://discord.com/api/webhooks/1001/token-a';
+  const second = 'https://discord.com/api/webhooks/1002/token-b';
+
+  // 兩個 webhook 都已記錄 bucket hash 後,第一個 webhook 的額度用完不影響第二個
+  assert.equal((await discordRequest(first, { content: 'a' }, { deadline })).ok, true);
+  assert.equal((await discordRequest(second, { content: 'b' }, { deadline })).ok, true);
+  assert.equal((await discordRequest(first, { content: 'c' }, { deadline })).ok, true);
+  assert.equal((await discordRequest(second, { content: 'd' }, { deadline })).ok, true);
+  assert.deepEqual(calls, [first, second, first, second]);
+});
+
+test('同一個 webhook 額度用完時等待重置,超過時間預算就放棄', async () => {
+  const calls = [];
+  mockDiscord(calls, [0]);
+  const deadline = Date.now() + 100;
+  const webhookUrl = 'https://discord.com/api/webhooks/2001/token';
+
+  assert.equal((await discordRequest(webhookUrl, { content: 'a' }, { deadline })).ok, true);
+  // 同一個 webhook 的 thread 與訊息編輯請求共用額度
+  const result = await discordRequest(`${webhookUrl}/messages/123?thread_id=5`, { content: 'b' }, { method: 'PATCH', deadline });
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 429);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DISCORD_MAX_EMBED_TOTAL_CHARS, checkDiscordPayloadLimits, countEmbedChars, enforceDiscordLimits, truncateDiscordText
+} from '../lib/discord.js';
+
+test('truncateDiscordText 以字素為單位截斷,不切開 emoji', () => {
+  const text = `${'a'.repeat(8)}👨‍👩‍👧${'b'.repeat(8)}`;
+  const truncated = truncateDiscordText(text, 12);
+  assert.equal(truncated, `${'a'.repeat(8)}…`);
+  assert.ok(truncated.length <= 12);
+  assert.equal(truncateDiscordText('短文字', 12), '短文字');
+});
+
+test('enforceDiscordLimits 截斷過長欄位並移除非 http(s) 網址,不修改傳入的 payload', () => {
+  const payload = {
+    content: 'x'.repeat(2100),
+    embeds: [{
+      title: '標'.repeat(300),
+      url: 'javascript:alert(1)',
+      thumbnail: { url: 'data:image/png;base64,AAAA' },
+      timestamp: 'not a date',
+      fields: [{ name: '', value: 'v' }]
+    }]
+  };
+  const snapshot = JSON.stringify(payload);
+  const result = enforceDiscordLimits(payload);
+
+  assert.equal(JSON.stringify(payload), snapshot);
+  assert.equal(result.content.length, 2000);
+  assert.equal(result.embeds[0].title.length, 256);
+  assert.equal(result.embeds[0].url, undefined);
+  assert.equal(result.embeds[0].thumbnail, undefined);
+  assert.equal(result.embeds[0].timestamp, undefined);
+  assert.equal(result.embeds[0].fields[0].name, '\u200b');
+  assert.deepEqual(checkDiscordPayloadLimits(result), []);
+});
+
+test('enforceDiscordLimits 讓 embed 合計字數回到上限內', () => {
+  const embeds = Array.from({ length: 3 }, (_, index) => ({ title: `文章 ${index}`, description: 'd'.repeat(3000) }));
+  assert.ok(checkDiscordPayloadLimits({ embeds }).length > 0);
+
+  const result = enforceDiscordLimits({ embeds });
+  const total = result.embeds.reduce((sum, embed) => sum + countEmbedChars(embed), 0);
+  assert.ok(total <= DISCORD_MAX_EMBED_TOTAL_CHARS);
+  // 由最後一個 embed 往前縮短,前面的文章保持完整
+  assert.equal(result.embeds[0].description.length, 3000);
+  assert.deepEqual(checkDiscordPayloadLimits(result), []);
+});
@@ -0,0 +1,149 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import newsWorker from '../news-rss.js';
+import monitorWorker from '../ffxiv-tw-news-monitor.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/threads';
+const THREAD_WEBHOOK = 'https://discord.com/api/webhooks/15001/thread-token';
+const FORUM_WEBHOOK = 'https://discord.com/api/webhooks/15002/forum-token';
+const MONITOR_WEBHOOK = 'https://discord.com/api/webhooks/15003/monitor-token';
+const THREAD_ID = '111111111111111111';
+const FORUM_TAG = '222222222222222222';
+const CREATED_THREAD_ID = '333333333333333333';
+const LONG_TITLE = '很長的標題'.repeat(30);
+
+afterEach(restoreFetch);
+
+function createNewsEnv() {
+  const sources = [{
+    id: 'threads',
+    url: FEED_URL,
+    name: '討論串來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_THREAD',
+    thumbnailStrategy: 'none',
+    batchEmbeds: true,
+    destinations: [
+      { id: 'default', webhookEnv: 'DISCORD_WEBHOOK_THREAD', threadId: THREAD_ID },
+      { id: 'forum', webhookEnv: 'DISCORD_WEBHOOK_FORUM', forum: true, appliedTags: [FORUM_TAG] }
+    ],
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_THREAD: THREAD_WEBHOOK,
+    DISCORD_WEBHOOK_FORUM: FORUM_WEBHOOK,
+    ADMIN_TOKEN: 'admin-secret'
+  };
+}
+
+// 論壇貼文的訊息位於新建立的討論串 (channel_id)
+function mockNewsFetch(getFeed) {
+  let nextId = 1;
+  return mockFetch((url, init) => {
+    if (url === FEED_URL) {
+      return new Response(getFeed(), { status: 200 });
+    }
+    if (url.startsWith(THREAD_WEBHOOK) || url.startsWith(FORUM_WEBHOOK)) {
+      if (init.method === 'PATCH') {
+        return new Response('{}', { status: 200 });
+      }
+      const channelId = url.startsWith(FORUM_WEBHOOK) ? CREATED_THREAD_ID : THREAD_ID;
+      return new Response(JSON.stringify({ id: `m${nextId++}`, channel_id: channelId }), { status: 200 });
+    }
+    return null;
+  });
+}
+
+test('threadId 目的地發到既有討論串,forum 目的地每篇文章建立一則貼文', async () => {
+  const env = createNewsEnv();
+  const pubDate = new Date().toUTCString();
+  const calls = mockNewsFetch(() => renderRss([
+    { title: LONG_TITLE, link: 'https://feed.test/articles/1', pubDate },
+    { title: '第二篇', link: 'https://feed.test/articles/2', pubDate }
+  ]));
+
+  await runScheduled(newsWorker, env);
+
+  const threadPosts = calls.filter(call => call.url.startsWith(THREAD_WEBHOOK));
+  assert.equal(threadPosts.length, 1);
+  assert.equal(new URL(threadPosts[0].url).searchParams.get('thread_id'), THREAD_ID);
+  assert.equal(threadPosts[0].body.embeds.length, 2);
+  assert.equal(threadPosts[0].body.thread_name, undefined);
+
+  // 論壇目的地不合併發送
+  const forumPosts = calls.filter(call => call.url.startsWith(FORUM_WEBHOOK));
+  assert.equal(forumPosts.length, 2);
+  assert.ok(forumPosts.every(call => call.body.embeds.length === 1 && new URL(call.url).searchParams.get('thread_id') === null));
+  assert.deepEqual(forumPosts.map(call => Array.from(call.body.thread_name).length), [100, 3]);
+  assert.ok(forumPosts[0].body.thread_name.endsWith('…'));
+  assert.deepEqual(forumPosts[0].body.applied_tags, [FORUM_TAG]);
+});
+
+test('編輯論壇貼文時帶上貼文所在的討論串 id', async () => {
+  const env = createNewsEnv();
+  const pubDate = new Date().toUTCString();
+  let title = '原本的標題';
+  const calls = mockNewsFetch(() => renderRss([{ title, link: 'https://feed.test/articles/1', pubDate }]));
+
+  await runScheduled(newsWorker, env);
+  title = '修正後的標題';
+  await runScheduled(newsWorker, env);
+
+  const forumEdit = calls.find(call => call.url.startsWith(FORUM_WEBHOOK) && call.method === 'PATCH');
+  assert.equal(forumEdit.url, `${FORUM_WEBHOOK}/messages/m2?thread_id=${CREATED_THREAD_ID}`);
+  const threadEdit = calls.find(call => call.url.startsWith(THREAD_WEBHOOK) && call.method === 'PATCH');
+  assert.equal(new URL(threadEdit.url).searchParams.get('thread_id'), THREAD_ID);
+});
+
+test('threadId 與 forum 不可同時設定,appliedTags 只能搭配 forum', async () => {
+  const env = createNewsEnv();
+  const response = await callWorker(newsWorker, env, '/admin/sources', {
+    method: 'POST',
+    token: env.ADMIN_TOKEN,
+    body: {
+      id: 'invalid-thread',
+      name: '無效設定',
+      url: 'https://feed.test/invalid',
+      webhookEnv: 'DISCORD_WEBHOOK_THREAD',
+      destinations: [
+        { id: 'both', webhookEnv: 'DISCORD_WEBHOOK_THREAD', threadId: THREAD_ID, forum: true },
+        { id: 'tags', webhookEnv: 'DISCORD_WEBHOOK_THREAD', appliedTags: [FORUM_TAG] }
+      ]
+    }
+  });
+  assert.equal(response.status, 400);
+  const { details } = await response.json();
+  assert.ok(details.includes('destinations[0].threadId 與 forum 只能擇一設定'));
+  assert.ok(details.includes('destinations[1].appliedTags 只能搭配 forum 使用'));
+});
+
+test('官網新聞監控在論壇頻道建立貼文並依分類套用標籤', async () => {
+  const news = {
+    categories: {
+      維修: [
+        { id: '1', title: '已發送的舊公告', url: 'https://www.ffxiv.com.tw/news/1', date: '2026-01-01' },
+        { id: '2', title: '伺服器維修公告', url: 'https://www.ffxiv.com.tw/news/2', date: '2026-01-02' }
+      ]
+    }
+  };
+  const env = {
+    RSS_CACHE: createKV({
+      'snapshot:ffxiv-tw-news': JSON.stringify({ articleIds: ['1'] }),
+      'sent:ffxiv-tw-news': JSON.stringify({ 1: { sentAt: new Date().toISOString(), category: '維修', title: '已發送的舊公告' } })
+    }),
+    ffxivnews: createKV({ ffxiv_news_v3: JSON.stringify(news) }),
+    DISCORD_WEBHOOK_FFXIV_TW_NEWS: MONITOR_WEBHOOK,
+    FFXIV_TW_NEWS_FORUM: 'true',
+    FFXIV_TW_NEWS_FORUM_TAGS: JSON.stringify({ 維護: FORUM_TAG })
+  };
+  const calls = mockFetch(url => (url.startsWith(MONITOR_WEBHOOK) ? new Response(null, { status: 204 }) : null));
+
+  await runScheduled(monitorWorker, env);
+  const posts = calls.filter(call => call.url.startsWith(MONITOR_WEBHOOK));
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].body.thread_name, '伺服器維修公告');
+  assert.deepEqual(posts[0].body.applied_tags, [FORUM_TAG]);
+});
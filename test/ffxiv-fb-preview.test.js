@@ -0,0 +1,40 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../ffxiv-fb.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, callWorker, renderRss } from './helpers/worker.js';
+
+afterEach(restoreFetch);
+
+test('預覽不呼叫 Workers AI,新文章的標題與描述為固定的佔位文字', async () => {
+  let aiCalls = 0;
+  const env = {
+    RSS_CACHE: createKV(),
+    ADMIN_TOKEN: 'secret',
+    FFXIV_WEBHOOK: 'https://discord.com/api/webhooks/5001/token',
+    AI: {
+      async run() {
+        aiCalls += 1;
+        return { output: [null, { content: [{ text: 'AI 產生的文字' }] }] };
+      }
+    }
+  };
+  const feed = renderRss([1, 2].map(index => ({
+    title: `貼文 ${index}`,
+    link: `https://www.facebook.com/p/${index}`,
+    description: `內容 ${index}`
+  })));
+  mockFetch(() => new Response(feed, { status: 200 }));
+
+  const response = await callWorker(worker, env, '/preview', { token: env.ADMIN_TOKEN });
+  assert.equal(response.status, 200);
+  const report = await response.json();
+
+  assert.equal(aiCalls, 0);
+  assert.equal(report.payloads.length, 2);
+  for (const { payload } of report.payloads) {
+    assert.equal(payload.embeds[0].title, '[預覽] 正式執行時由 Workers AI 產生');
+    assert.equal(payload.embeds[0].description, '[預覽] 正式執行時由 Workers AI 產生');
+  }
+  assert.ok(report.notes.some(note => note.includes('不呼叫 Workers AI')));
+});
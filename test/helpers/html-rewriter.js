@@ -0,0 +1,40 @@
+/**
+ * 測試用:以 html-rewriter-wasm (Miniflare 使用的同一套 lol-html) 提供 Workers 的 HTMLRewriter
+ */
+
+import { HTMLRewriter as WasmRewriter } from 'html-rewriter-wasm';
+
+class HTMLRewriter {
+  constructor() {
+    this.handlers = [];
+  }
+
+  on(selector, handlers) {
+    this.handlers.push([selector, handlers]);
+    return this;
+  }
+
+  transform(response) {
+    const { handlers } = this;
+    const body = new ReadableStream({
+      async start(controller) {
+        const rewriter = new WasmRewriter(chunk => controller.enqueue(chunk.slice()));
+        for (const [selector, selectorHandlers] of handlers) {
+          rewriter.on(selector, selectorHandlers);
+        }
+        try {
+          await rewriter.write(new TextEncoder().encode(await response.text()));
+          await rewriter.end();
+          controller.close();
+        } catch (error) {
+          controller.error(error);
+        } finally {
+          rewriter.free();
+        }
+      }
+    });
+    return new Response(body, { status: response.status, headers: response.headers });
+  }
+}
+
+globalThis.HTMLRewriter = HTMLRewriter;
@@ -0,0 +1,34 @@
+/**
+ * 測試用的 KV namespace:資料放在記憶體的 Map (store),支援 get (text / json)、put、delete 與 list (prefix)
+ * puts 為 put 的呼叫次數,可用來檢查寫入頻率
+ */
+export function createKV(entries = {}) {
+  const store = new Map(Object.entries(entries));
+  return {
+    store,
+    puts: 0,
+    async get(key, options) {
+      const value = store.has(key) ? store.get(key) : null;
+      const type = typeof options === 'string' ? options : options && options.type;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      this.puts += 1;
+      store.set(key, String(value));
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = '' } = {}) {
+      const keys = [...store.keys()].filter(name => name.startsWith(prefix)).sort();
+      return { keys: keys.map(name => ({ name })), list_complete: true };
+    }
+  };
+}
+
+/**
+ * 讀取 KV 內的 JSON 值,沒有資料時回傳 null
+ */
+export function readJson(kv, key) {
+  return kv.store.has(key) ? JSON.parse(kv.store.get(key)) : null;
+}
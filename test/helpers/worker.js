@@ -0,0 +1,71 @@
+/**
+ * 執行 worker 的測試工具:取代 globalThis.fetch、執行 scheduled 與呼叫 fetch handler
+ */
+
+const originalFetch = globalThis.fetch;
+
+/**
+ * 以 handler(url, init) 取代 globalThis.fetch,handler 沒有回傳 Response 時回 404
+ * @returns {Array<{url: string, method: string, headers: Headers, body: *}>} 依序記錄每次請求,JSON body 會先解析
+ */
+export function mockFetch(handler) {
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input);
+    const method = String(init.method || (input instanceof Request ? input.method : 'GET')).toUpperCase();
+    let body = init.body;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        // 不是 JSON 時保留原文
+      }
+    }
+    calls.push({ url, method, headers: new Headers(init.headers), body });
+    const response = await handler(url, init);
+    return response || new Response('not found', { status: 404 });
+  };
+  return calls;
+}
+
+export function restoreFetch() {
+  globalThis.fetch = originalFetch;
+}
+
+/**
+ * 執行 worker 的 scheduled handler,等待所有 ctx.waitUntil 的工作完成
+ */
+export async function runScheduled(worker, env) {
+  const pending = [];
+  await worker.scheduled({ scheduledTime: Date.now(), cron: '0 * * * *' }, env, { waitUntil: promise => pending.push(promise) });
+  await Promise.all(pending);
+}
+
+/**
+ * 呼叫 worker 的 fetch handler;token 會放在 Authorization: Bearer,body 會轉成 JSON
+ */
+export async function callWorker(worker, env, path, { method = 'GET', token, body, headers = {} } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (token) {
+    init.headers.Authorization = `Bearer ${token}`;
+  }
+  if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+  const pending = [];
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, init), env, { waitUntil: promise => pending.push(promise) });
+  await Promise.all(pending);
+  return response;
+}
+
+/**
+ * 產生 RSS 2.0 feed;items 為 { title, link, description?, pubDate?, extra? },pubDate 預設為現在
+ */
+export function renderRss(items, channelTitle = 'feed') {
+  const now = new Date().toUTCString();
+  const body = items.map(item => `<item><title>${item.title}</title><link>${item.link}</link>`
+    + `<guid>${item.guid || item.link}</guid><pubDate>${item.pubDate || now}</pubDate>`
+    + `<description>${item.description || ''}</description>${item.extra || ''}</item>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?><rss version="2.0"><channel><title>${channelTitle}</title>${body}</channel></rss>`;
+}
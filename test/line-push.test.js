@@ -0,0 +1,189 @@
+import './helpers/html-rewriter.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import newsWorker from '../news-rss.js';
+import pttWorker from '../ptt-lifeismoney.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const LINE_API_BASE = 'https://line.test';
+const LINE_PUSH_URL = `${LINE_API_BASE}/v2/bot/message/push`;
+const TELEGRAM_API_BASE = 'https://telegram.test';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/23001/line-token';
+const FEED_URL = 'https://feed.test/line';
+const PTT_INDEX_URL = 'https://www.ptt.cc/bbs/Lifeismoney/index.html';
+const GROUP_ID = `C${'0'.repeat(32)}`;
+const USER_ID = `U${'a'.repeat(32)}`;
+const THUMBNAIL = 'https://cdn.test/line.jpg';
+
+afterEach(restoreFetch);
+
+// lineStatus(to) 回傳 LINE push API 的 HTTP 狀態碼
+function mockLine(pages, lineStatus = () => 200) {
+  return mockFetch(url => {
+    if (pages[url]) {
+      return new Response(pages[url], { status: 200 });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(JSON.stringify({ id: '1' }), { status: 200 });
+    }
+    if (url === LINE_PUSH_URL) {
+      return new Response('{}', { status: lineStatus() });
+    }
+    if (url.startsWith(TELEGRAM_API_BASE)) {
+      return new Response(JSON.stringify({ ok: true, result: { message_id: 1 } }), { status: 200 });
+    }
+    return null;
+  });
+}
+
+const pushesFrom = calls => calls.filter(call => call.url === LINE_PUSH_URL);
+
+function renderPttIndex(title, push) {
+  const seconds = Math.floor((Date.now() - 60 * 60 * 1000) / 1000);
+  const url = `https://www.ptt.cc/bbs/Lifeismoney/M.${seconds}.A.ABC.html`;
+  const html = '<html><body><div class="btn-group-paging"></div><div class="r-list-container">'
+    + `<div class="r-ent"><div class="nrec"><span class="hl">${push}</span></div>`
+    + `<div class="title"><a href="/bbs/Lifeismoney/M.${seconds}.A.ABC.html">${title}</a></div>`
+    + '<div class="meta"><div class="author">tester</div><div class="date"> 1/01</div></div></div>'
+    + '</div></body></html>';
+  return { url, html };
+}
+
+test('PTT 省錢板推送 Flex Message 到 LIFEISMONEY_LINE_TO 的每個收件者', async () => {
+  const { url, html } = renderPttIndex('[情報] 超商咖啡買一送一', 60);
+  const env = {
+    RSS_CACHE: createKV(),
+    DISCORD_WEBHOOK_LIFEISMONEY: WEBHOOK_URL,
+    LINE_CHANNEL_ACCESS_TOKEN: 'line-secret',
+    LINE_API_BASE: `${LINE_API_BASE}/`,
+    LIFEISMONEY_LINE_TO: `${GROUP_ID}, ${USER_ID}`
+  };
+  const calls = mockLine({ [PTT_INDEX_URL]: html });
+
+  await runScheduled(pttWorker, env);
+  const pushes = pushesFrom(calls);
+  assert.deepEqual(pushes.map(push => push.body.to), [GROUP_ID, USER_ID]);
+  assert.equal(pushes[0].headers.get('Authorization'), 'Bearer line-secret');
+  assert.ok(pushes[0].headers.get('X-Line-Retry-Key'));
+
+  const [message] = pushes[0].body.messages;
+  assert.equal(message.type, 'flex');
+  assert.equal(message.altText, '[情報] 超商咖啡買一送一 - PTT 省錢板 • 📈 推文數 60');
+  const bubble = message.contents;
+  assert.equal(bubble.hero, undefined);
+  assert.deepEqual(bubble.body.contents.map(content => content.text), ['[情報] 超商咖啡買一送一', '作者 tester']);
+  assert.deepEqual(bubble.body.action, { type: 'uri', label: '閱讀全文', uri: url });
+  assert.deepEqual(bubble.footer.contents.map(content => content.type), ['text', 'button']);
+});
+
+test('只設定 LINE 時照常推送,推送失敗的文章不寫入 sent:<id>:line,下次執行重送', async () => {
+  const { html } = renderPttIndex('[情報] 只推送到 LINE', 45);
+  const env = {
+    RSS_CACHE: createKV(),
+    LINE_CHANNEL_ACCESS_TOKEN: 'line-secret',
+    LINE_API_BASE,
+    LIFEISMONEY_LINE_TO: GROUP_ID
+  };
+  let lineStatus = 400;
+  const calls = mockLine({ [PTT_INDEX_URL]: html }, () => lineStatus);
+
+  await runScheduled(pttWorker, env);
+  assert.equal(pushesFrom(calls).length, 1);
+  assert.equal(calls.some(call => call.url.startsWith(WEBHOOK_URL)), false);
+  assert.deepEqual(readJson(env.RSS_CACHE, 'sent:ptt-lifeismoney:line'), {});
+
+  lineStatus = 200;
+  await runScheduled(pttWorker, env);
+  assert.equal(pushesFrom(calls).length, 2);
+  assert.equal(Object.keys(readJson(env.RSS_CACHE, 'sent:ptt-lifeismoney:line')).length, 1);
+
+  await runScheduled(pttWorker, env);
+  assert.equal(pushesFrom(calls).length, 2);
+});
+
+test('Telegram + LINE 各自記錄發送狀態,Telegram 成功後 LINE 仍會重送', async () => {
+  const { html } = renderPttIndex('[情報] 同時推送', 50);
+  const env = {
+    RSS_CACHE: createKV(),
+    TELEGRAM_BOT_TOKEN: 'bot-token',
+    TELEGRAM_API_BASE,
+    LIFEISMONEY_TELEGRAM_CHAT_ID: '@deals',
+    LINE_CHANNEL_ACCESS_TOKEN: 'line-secret',
+    LINE_API_BASE,
+    LIFEISMONEY_LINE_TO: GROUP_ID
+  };
+  let lineStatus = 400;
+  const calls = mockLine({ [PTT_INDEX_URL]: html }, () => lineStatus);
+  const telegramSends = () => calls.filter(call => call.url.startsWith(TELEGRAM_API_BASE)).length;
+
+  await runScheduled(pttWorker, env);
+  assert.equal(telegramSends(), 1);
+  assert.equal(pushesFrom(calls).length, 1);
+  assert.equal(Object.keys(readJson(env.RSS_CACHE, 'sent:ptt-lifeismoney:telegram')).length, 1);
+  assert.deepEqual(readJson(env.RSS_CACHE, 'sent:ptt-lifeismoney:line'), {});
+
+  lineStatus = 200;
+  await runScheduled(pttWorker, env);
+  assert.equal(telegramSends(), 1);
+  assert.equal(pushesFrom(calls).length, 2);
+  assert.equal(Object.keys(readJson(env.RSS_CACHE, 'sent:ptt-lifeismoney:line')).length, 1);
+});
+
+test('news-rss 的 LINE 目的地附上縮圖,409 (已收過) 視為成功不再重送', async () => {
+  const sources = [{
+    id: 'line',
+    url: FEED_URL,
+    name: 'LINE 來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_LINE',
+    thumbnailStrategy: 'rss',
+    destinations: [
+      { id: 'default', webhookEnv: 'DISCORD_WEBHOOK_LINE' },
+      { id: 'line-group', type: 'line', to: GROUP_ID, accessTokenEnv: 'LINE_TOKEN_NEWS' }
+    ],
+    enabled: true
+  }];
+  const env = {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_LINE: WEBHOOK_URL,
+    LINE_TOKEN_NEWS: 'news-line-secret',
+    LINE_API_BASE
+  };
+  const feed = renderRss([{
+    title: 'LINE 文章',
+    link: 'https://feed.test/articles/1',
+    description: `<![CDATA[<p>文章描述</p><img src="${THUMBNAIL}">]]>`
+  }]);
+  const calls = mockLine({ [FEED_URL]: feed }, () => 409);
+
+  await runScheduled(newsWorker, env);
+  const [push] = pushesFrom(calls);
+  assert.equal(push.body.to, GROUP_ID);
+  assert.equal(push.headers.get('Authorization'), 'Bearer news-line-secret');
+  const bubble = push.body.messages[0].contents;
+  assert.equal(bubble.hero.url, THUMBNAIL);
+  assert.equal(bubble.footer.contents[0].text, 'LINE 來源');
+
+  await runScheduled(newsWorker, env);
+  assert.equal(pushesFrom(calls).length, 1);
+});
+
+test('LINE 目的地的 to 必須是使用者或群組 id,且不使用 webhookEnv', async () => {
+  const env = { RSS_CACHE: createKV(), ADMIN_TOKEN: 'admin-secret' };
+  const response = await callWorker(newsWorker, env, '/admin/sources', {
+    method: 'POST',
+    token: env.ADMIN_TOKEN,
+    body: {
+      id: 'invalid-line',
+      name: '無效 LINE',
+      url: 'https://feed.test/invalid',
+      webhookEnv: 'DISCORD_WEBHOOK_LINE',
+      destinations: [{ id: 'line', type: 'line', to: 'someone', webhookEnv: 'DISCORD_WEBHOOK_LINE' }]
+    }
+  });
+  assert.equal(response.status, 400);
+  const { details } = await response.json();
+  assert.ok(details.includes('destinations[0].to 必須是 LINE 使用者或群組 id'));
+  assert.ok(details.includes('destinations[0].webhookEnv 不適用於 LINE 目的地'));
+});
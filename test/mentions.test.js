@@ -0,0 +1,152 @@
+import './helpers/html-rewriter.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import newsWorker from '../news-rss.js';
+import monitorWorker from '../ffxiv-tw-news-monitor.js';
+import pttWorker from '../ptt-lifeismoney.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/mentions';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/16001/mention-token';
+const ROLE_ID = '444444444444444444';
+const USER_ID = '555555555555555555';
+
+afterEach(restoreFetch);
+
+function mockDiscord(pages = {}) {
+  return mockFetch(url => {
+    if (pages[url]) {
+      return new Response(pages[url], { status: 200 });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(JSON.stringify({ id: '1' }), { status: 200 });
+    }
+    return null;
+  });
+}
+
+const postsFrom = calls => calls.filter(call => call.url.startsWith(WEBHOOK_URL)).map(call => call.body);
+
+test('news-rss 依關鍵字提及身分組或使用者,其餘文章的 allowed_mentions 不放行任何提及', async () => {
+  const sources = [{
+    id: 'mentions',
+    url: FEED_URL,
+    name: '提及來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_MENTIONS',
+    thumbnailStrategy: 'none',
+    mentions: [
+      { keywords: ['全家'], roles: [ROLE_ID] },
+      { keywords: ['7-eleven'], users: [USER_ID] }
+    ],
+    enabled: true
+  }];
+  const env = {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_MENTIONS: WEBHOOK_URL
+  };
+  const now = Date.now();
+  const calls = mockDiscord({
+    [FEED_URL]: renderRss([
+      { title: '全家咖啡買一送一', link: 'https://feed.test/1', pubDate: new Date(now - 2000).toUTCString() },
+      { title: '7-ELEVEN 與全家同步優惠', link: 'https://feed.test/2', pubDate: new Date(now - 1000).toUTCString() },
+      { title: '@everyone 一般新聞', link: 'https://feed.test/3', pubDate: new Date(now).toUTCString() }
+    ])
+  });
+
+  await runScheduled(newsWorker, env);
+  const posts = Object.fromEntries(postsFrom(calls).map(body => [body.embeds[0].url, body]));
+
+  assert.equal(posts['https://feed.test/1'].content, `<@&${ROLE_ID}>`);
+  assert.deepEqual(posts['https://feed.test/1'].allowed_mentions, { parse: [], roles: [ROLE_ID] });
+  assert.equal(posts['https://feed.test/2'].content, `<@&${ROLE_ID}> <@${USER_ID}>`);
+  assert.deepEqual(posts['https://feed.test/2'].allowed_mentions, { parse: [], roles: [ROLE_ID], users: [USER_ID] });
+  assert.equal(posts['https://feed.test/3'].content, undefined);
+  assert.deepEqual(posts['https://feed.test/3'].allowed_mentions, { parse: [] });
+});
+
+test('news-rss 的提及規則需要 keywords 與 roles 或 users,id 必須是 Discord id', async () => {
+  const env = { RSS_CACHE: createKV(), ADMIN_TOKEN: 'admin-secret' };
+  const response = await callWorker(newsWorker, env, '/admin/sources', {
+    method: 'POST',
+    token: env.ADMIN_TOKEN,
+    body: {
+      id: 'invalid-mentions',
+      name: '無效提及',
+      url: 'https://feed.test/invalid',
+      webhookEnv: 'DISCORD_WEBHOOK_MENTIONS',
+      mentions: [{ keywords: ['全家'] }, { keywords: ['全家'], roles: ['not-an-id'] }, { roles: [ROLE_ID] }]
+    }
+  });
+  assert.equal(response.status, 400);
+  const { details } = await response.json();
+  assert.ok(details.includes('mentions[0] 至少需要 roles 或 users'));
+  assert.ok(details.includes('mentions[1].roles 必須是 Discord id 陣列'));
+  assert.ok(details.includes('mentions[2] 至少需要 keywords'));
+});
+
+test('官網新聞監控依分類提及,維修視同維護', async () => {
+  const news = {
+    categories: {
+      維修: [
+        { id: '1', title: '已發送的舊公告', url: 'https://www.ffxiv.com.tw/news/1', date: '2026-01-01' },
+        { id: '2', title: '伺服器維修公告', url: 'https://www.ffxiv.com.tw/news/2', date: '2026-01-02' }
+      ]
+    }
+  };
+  const env = {
+    RSS_CACHE: createKV({
+      'snapshot:ffxiv-tw-news': JSON.stringify({ articleIds: ['1'] }),
+      'sent:ffxiv-tw-news': JSON.stringify({ 1: { sentAt: new Date().toISOString(), category: '維修', title: '已發送的舊公告' } })
+    }),
+    ffxivnews: createKV({ ffxiv_news_v3: JSON.stringify(news) }),
+    DISCORD_WEBHOOK_FFXIV_TW_NEWS: WEBHOOK_URL,
+    FFXIV_TW_NEWS_MENTION_RULES: JSON.stringify([{ categories: ['維護'], roles: [ROLE_ID] }])
+  };
+  const calls = mockDiscord();
+
+  await runScheduled(monitorWorker, env);
+  const [post] = postsFrom(calls);
+  assert.equal(post.content, `<@&${ROLE_ID}>`);
+  assert.deepEqual(post.allowed_mentions, { parse: [], roles: [ROLE_ID] });
+});
+
+test('PTT 省錢板依標題關鍵字提及,規則 JSON 格式錯誤或沒有條件時不提及任何人', async () => {
+  const seconds = Math.floor((Date.now() - 60 * 60 * 1000) / 1000);
+  const index = '<html><body><div class="btn-group-paging"></div><div class="r-list-container">'
+    + '<div class="r-ent"><div class="nrec"><span class="hl">60</span></div>'
+    + `<div class="title"><a href="/bbs/Lifeismoney/M.${seconds}.A.ABC.html">[情報] 全家 咖啡第二杯半價</a></div>`
+    + '<div class="meta"><div class="author">tester</div><div class="date"> 1/01</div></div></div></div></body></html>';
+  const pages = { 'https://www.ptt.cc/bbs/Lifeismoney/index.html': index };
+
+  const env = {
+    RSS_CACHE: createKV(),
+    DISCORD_WEBHOOK_LIFEISMONEY: WEBHOOK_URL,
+    LIFEISMONEY_MENTION_RULES: JSON.stringify([{ keywords: ['全家'], roles: [ROLE_ID] }])
+  };
+  const calls = mockDiscord(pages);
+  await runScheduled(pttWorker, env);
+  const [post] = postsFrom(calls);
+  assert.equal(post.content, `<@&${ROLE_ID}>`);
+  assert.deepEqual(post.allowed_mentions, { parse: [], roles: [ROLE_ID] });
+
+  const invalidEnv = { RSS_CACHE: createKV(), DISCORD_WEBHOOK_LIFEISMONEY: WEBHOOK_URL, LIFEISMONEY_MENTION_RULES: '[{' };
+  const invalidCalls = mockDiscord(pages);
+  await runScheduled(pttWorker, invalidEnv);
+  const [plain] = postsFrom(invalidCalls);
+  assert.equal(plain.content, undefined);
+  assert.deepEqual(plain.allowed_mentions, { parse: [] });
+
+  // 沒有 keywords 也沒有 categories 的規則會提及每一篇文章,直接略過
+  const unconditionalEnv = {
+    RSS_CACHE: createKV(),
+    DISCORD_WEBHOOK_LIFEISMONEY: WEBHOOK_URL,
+    LIFEISMONEY_MENTION_RULES: JSON.stringify([{ roles: [ROLE_ID] }])
+  };
+  const unconditionalCalls = mockDiscord(pages);
+  await runScheduled(pttWorker, unconditionalEnv);
+  const [unmentioned] = postsFrom(unconditionalCalls);
+  assert.equal(unmentioned.content, undefined);
+  assert.deepEqual(unmentioned.allowed_mentions, { parse: [] });
+});
@@ -0,0 +1,122 @@
+import './helpers/html-rewriter.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import newsWorker from '../news-rss.js';
+import pttWorker from '../ptt-lifeismoney.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/edits';
+const NEWS_WEBHOOK = 'https://discord.com/api/webhooks/13001/news-token';
+const PTT_WEBHOOK = 'https://discord.com/api/webhooks/13002/ptt-token';
+const PTT_INDEX_URL = 'https://www.ptt.cc/bbs/Lifeismoney/index.html';
+
+afterEach(restoreFetch);
+
+// Discord:建立訊息 (?wait=true) 回傳訊息 id,PATCH 依 patchStatus() 回應
+function mockDiscord(webhook, pages, patchStatus = () => 200) {
+  let nextId = 1;
+  return mockFetch((url, init) => {
+    if (pages[url]) {
+      return new Response(pages[url](), { status: 200 });
+    }
+    if (!url.startsWith(webhook)) {
+      return null;
+    }
+    if (init.method === 'PATCH') {
+      const status = patchStatus();
+      return new Response(status === 200 ? '{}' : '{"message":"Unknown Message"}', { status });
+    }
+    return new Response(JSON.stringify({ id: `m${nextId++}` }), { status: 200 });
+  });
+}
+
+function createNewsEnv() {
+  const sources = [{
+    id: 'edits',
+    url: FEED_URL,
+    name: '編輯來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_EDITS',
+    thumbnailStrategy: 'none',
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_EDITS: NEWS_WEBHOOK
+  };
+}
+
+// 文章 id 只計算一次,避免兩次執行之間跨秒而變成另一篇文章
+const PTT_ARTICLE_SECONDS = Math.floor((Date.now() - 60 * 60 * 1000) / 1000);
+
+function renderPttIndex(push) {
+  return '<html><body><div class="btn-group-paging"></div><div class="r-list-container">'
+    + `<div class="r-ent"><div class="nrec"><span class="hl">${push}</span></div>`
+    + `<div class="title"><a href="/bbs/Lifeismoney/M.${PTT_ARTICLE_SECONDS}.A.ABC.html">[情報] 推文變動的文章</a></div>`
+    + '<div class="meta"><div class="author">tester</div><div class="date"> 1/01</div></div></div>'
+    + '</div></body></html>';
+}
+
+test('news-rss 已發送文章的標題變更時以 PATCH 編輯原訊息', async () => {
+  const env = createNewsEnv();
+  let title = '有錯字的標提';
+  const pubDate = new Date().toUTCString();
+  const calls = mockDiscord(NEWS_WEBHOOK, {
+    [FEED_URL]: () => renderRss([{ title, link: 'https://feed.test/articles/1', pubDate }])
+  });
+  const discordCalls = () => calls.filter(call => call.url.startsWith(NEWS_WEBHOOK));
+
+  await runScheduled(newsWorker, env);
+  assert.equal(new URL(discordCalls()[0].url).searchParams.get('wait'), 'true');
+
+  title = '修正後的標題';
+  await runScheduled(newsWorker, env);
+  const [, edit] = discordCalls();
+  assert.equal(edit.method, 'PATCH');
+  assert.equal(edit.url, `${NEWS_WEBHOOK}/messages/m1`);
+  assert.equal(edit.body.embeds[0].title, '修正後的標題');
+
+  // 內容沒有再變動就不再編輯
+  await runScheduled(newsWorker, env);
+  assert.equal(discordCalls().length, 2);
+});
+
+test('news-rss 訊息已被刪除 (404) 時不再嘗試編輯', async () => {
+  const env = createNewsEnv();
+  let title = '原本的標題';
+  const pubDate = new Date().toUTCString();
+  const calls = mockDiscord(NEWS_WEBHOOK, {
+    [FEED_URL]: () => renderRss([{ title, link: 'https://feed.test/articles/1', pubDate }])
+  }, () => 404);
+  const edits = () => calls.filter(call => call.url.startsWith(NEWS_WEBHOOK) && call.method === 'PATCH');
+
+  await runScheduled(newsWorker, env);
+  title = '更新後的標題';
+  await runScheduled(newsWorker, env);
+  assert.equal(edits().length, 1);
+
+  await runScheduled(newsWorker, env);
+  assert.equal(edits().length, 1);
+});
+
+test('PTT 省錢板推文數變動時編輯原訊息的 footer', async () => {
+  const env = { RSS_CACHE: createKV(), DISCORD_WEBHOOK_LIFEISMONEY: PTT_WEBHOOK };
+  let push = 50;
+  const calls = mockDiscord(PTT_WEBHOOK, { [PTT_INDEX_URL]: () => renderPttIndex(push) });
+  const discordCalls = () => calls.filter(call => call.url.startsWith(PTT_WEBHOOK));
+
+  await runScheduled(pttWorker, env);
+  assert.equal(discordCalls().length, 1);
+  assert.match(discordCalls()[0].body.embeds[0].footer.text, /推文數 50/);
+
+  push = 80;
+  await runScheduled(pttWorker, env);
+  const [, edit] = discordCalls();
+  assert.equal(edit.method, 'PATCH');
+  assert.equal(edit.url, `${PTT_WEBHOOK}/messages/m1`);
+  assert.match(edit.body.embeds[0].footer.text, /推文數 80/);
+
+  await runScheduled(pttWorker, env);
+  assert.equal(discordCalls().length, 2);
+});
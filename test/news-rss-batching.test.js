@@ -0,0 +1,87 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/batch';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/5001/batch-token';
+
+afterEach(restoreFetch);
+
+function createEnv(batchEmbeds) {
+  const sources = [{
+    id: 'batch',
+    url: FEED_URL,
+    name: '批次來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_BATCH',
+    thumbnailStrategy: 'none',
+    batchEmbeds,
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_BATCH: WEBHOOK_URL
+  };
+}
+
+function renderFeed(count) {
+  const now = Date.now();
+  return renderRss(Array.from({ length: count }, (_, index) => ({
+    title: `批次文章 ${index + 1}`,
+    link: `https://feed.test/articles/${index + 1}`,
+    pubDate: new Date(now - index * 1000).toUTCString()
+  })));
+}
+
+// respond(body) 回傳 Discord 的 HTTP 狀態碼
+function mockBatchFetch(feed, respond = () => 204) {
+  return mockFetch(async (url, init) => {
+    if (url === FEED_URL) {
+      return new Response(feed, { status: 200 });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      const status = respond(JSON.parse(init.body));
+      return new Response(status === 204 ? null : '{"message":"Invalid Form Body"}', { status });
+    }
+    return null;
+  });
+}
+
+test('batchEmbeds 開啟時每則訊息最多合併 10 個 embed', async () => {
+  const env = createEnv(true);
+  const calls = mockBatchFetch(renderFeed(12));
+
+  await runScheduled(worker, env);
+  const posts = calls.filter(call => call.url.startsWith(WEBHOOK_URL));
+  assert.deepEqual(posts.map(call => call.body.embeds.length), [10, 2]);
+  assert.equal(new Set(posts.flatMap(call => call.body.embeds.map(embed => embed.url))).size, 12);
+
+  await runScheduled(worker, env);
+  assert.equal(calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length, 2);
+});
+
+test('整批被拒 (400) 時改逐篇發送,只有被拒的文章留待重送', async () => {
+  const env = createEnv(true);
+  const rejected = 'https://feed.test/articles/2';
+  const calls = mockBatchFetch(renderFeed(3), body => (body.embeds.some(embed => embed.url === rejected) ? 400 : 204));
+
+  await runScheduled(worker, env);
+  const posts = calls.filter(call => call.url.startsWith(WEBHOOK_URL));
+  assert.deepEqual(posts.map(call => call.body.embeds.length), [3, 1, 1, 1]);
+
+  // 已送出的文章不會重送,之後最多只重試被拒的那篇
+  await runScheduled(worker, env);
+  const retries = calls.filter(call => call.url.startsWith(WEBHOOK_URL)).slice(posts.length);
+  assert.ok(retries.every(call => call.body.embeds.every(embed => embed.url === rejected)));
+});
+
+test('未開啟 batchEmbeds 時維持每篇一則訊息', async () => {
+  const env = createEnv(false);
+  const calls = mockBatchFetch(renderFeed(2));
+
+  await runScheduled(worker, env);
+  const posts = calls.filter(call => call.url.startsWith(WEBHOOK_URL));
+  assert.deepEqual(posts.map(call => call.body.embeds.length), [1, 1]);
+});
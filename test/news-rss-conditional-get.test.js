@@ -0,0 +1,63 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/conditional';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/3001/conditional-token';
+const LAST_MODIFIED = 'Mon, 19 Oct 2026 00:00:00 GMT';
+
+afterEach(restoreFetch);
+
+function createEnv() {
+  const sources = [{
+    id: 'conditional',
+    url: FEED_URL,
+    name: '條件式請求',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_CONDITIONAL',
+    thumbnailStrategy: 'none',
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_CONDITIONAL: WEBHOOK_URL
+  };
+}
+
+test('帶上次的 ETag / Last-Modified 請求 feed,304 時不解析也不重送', async () => {
+  const env = createEnv();
+  const feed = renderRss([{ title: '第一篇', link: 'https://feed.test/articles/1' }]);
+  let notModified = false;
+
+  const calls = mockFetch(url => {
+    if (url === FEED_URL) {
+      return notModified
+        ? new Response(null, { status: 304 })
+        : new Response(feed, { status: 200, headers: { ETag: '"v1"', 'Last-Modified': LAST_MODIFIED } });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(null, { status: 204 });
+    }
+    return null;
+  });
+  const feedRequests = () => calls.filter(call => call.url === FEED_URL);
+  const discordPosts = () => calls.filter(call => call.url.startsWith(WEBHOOK_URL));
+
+  await runScheduled(worker, env);
+  assert.equal(feedRequests()[0].headers.get('If-None-Match'), null);
+  assert.equal(discordPosts().length, 1);
+
+  notModified = true;
+  await runScheduled(worker, env);
+  const [, second] = feedRequests();
+  assert.equal(second.headers.get('If-None-Match'), '"v1"');
+  assert.equal(second.headers.get('If-Modified-Since'), LAST_MODIFIED);
+  assert.equal(discordPosts().length, 1);
+
+  // 304 不會清掉已儲存的驗證資訊
+  await runScheduled(worker, env);
+  assert.equal(feedRequests()[2].headers.get('If-None-Match'), '"v1"');
+  assert.equal(discordPosts().length, 1);
+});
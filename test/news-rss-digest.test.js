@@ -0,0 +1,142 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled } from './helpers/worker.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/3001/digest-token';
+const SOURCE_IDS = ['s1', 's2', 's3', 's4'];
+
+afterEach(restoreFetch);
+
+// 台北時間的今天日期,以及今天 00:00 (摘要時間窗的結束) 的 timestamp
+function getTaipeiToday() {
+  const dateKey = new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  return { dateKey, midnightMs: Date.parse(`${dateKey}T00:00:00+08:00`) };
+}
+
+// 4 個只發摘要的來源,每個來源的文章都接近摘要的字數上限,摘要會拆成多則訊息
+// digestTime 為 00:00,摘要涵蓋昨天 00:00 到今天 00:00 發布的文章
+function createDigestKV() {
+  const now = new Date();
+  const { dateKey, midnightMs } = getTaipeiToday();
+  const publishedAt = new Date(midnightMs - 60 * 60 * 1000).toISOString();
+  const sources = SOURCE_IDS.map(id => ({
+    id,
+    url: `https://feed.test/${id}`,
+    name: `來源 ${id}`,
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_DIGEST',
+    deliveryMode: 'digest',
+    digestTime: '00:00',
+    enabled: true
+  }));
+  const entries = { 'registry:news-rss:sources': JSON.stringify({ sources }) };
+  for (const id of SOURCE_IDS) {
+    const articles = Array.from({ length: 30 }, (_, index) => ({
+      link: `https://${id}.test/articles/${index}`,
+      title: `${id} 的第 ${index} 篇文章,標題長度足以讓每個來源的摘要接近字數上限`,
+      publishedAt,
+      sent: true
+    }));
+    entries[`daily:${id}:${dateKey}`] = JSON.stringify({ articles, updatedAt: now.toISOString() });
+  }
+  return { kv: createKV(entries), groupKey: `DISCORD_WEBHOOK_DIGEST:00:00:${dateKey}` };
+}
+
+// feed 一律回 304,Discord 依 responses 依序回應 (用完後一律成功)
+// 回傳 Discord 收到的 payload
+function mockDigestFetch(responses) {
+  const discordCalls = [];
+  mockFetch((url, init) => {
+    if (url.startsWith('https://feed.test/')) {
+      return new Response(null, { status: 304 });
+    }
+    discordCalls.push(JSON.parse(init.body));
+    const status = responses.length ? responses.shift() : 204;
+    return new Response(status === 204 ? null : '{"message":"error"}', { status });
+  });
+  return discordCalls;
+}
+
+const runDigest = kv => runScheduled(worker, { RSS_CACHE: kv, DISCORD_WEBHOOK_DIGEST: WEBHOOK_URL });
+
+test('摘要的第一則訊息就失敗時不寫入 digest: 標記', async () => {
+  const { kv, groupKey } = createDigestKV();
+  const calls = mockDigestFetch([400]);
+
+  await runDigest(kv);
+  assert.equal(calls.length, 1);
+  assert.equal(kv.store.has(`digest:${groupKey}`), false);
+  assert.equal(kv.store.has(`digest-progress:${groupKey}`), false);
+
+  // 下次執行重新發送整份摘要
+  await runDigest(kv);
+  assert.ok(calls.length > 2);
+  assert.match(calls[1].content, /每日摘要/);
+  assert.ok(kv.store.has(`digest:${groupKey}`));
+});
+
+test('摘要中途失敗時記錄尚未送出的訊息,下次原封不動接續發送', async () => {
+  const { kv, groupKey } = createDigestKV();
+  const calls = mockDigestFetch([204, 400]);
+
+  await runDigest(kv);
+  assert.equal(calls.length, 2);
+  assert.equal(kv.store.has(`digest:${groupKey}`), false);
+  const progress = readJson(kv, `digest-progress:${groupKey}`);
+  assert.equal(progress.payloads.length, progress.total - 1);
+  assert.deepEqual(progress.payloads[0], calls[1]);
+
+  // 兩次執行之間文章有變動 (第一個來源的文章消失),接續的訊息仍是當時剩下的部分
+  const dateKey = groupKey.split(':').pop();
+  kv.store.set(`daily:s1:${dateKey}`, JSON.stringify({ articles: [], updatedAt: new Date().toISOString() }));
+
+  await runDigest(kv);
+  // 只重送失敗的那則與之後的訊息,不重送開頭
+  assert.deepEqual(calls.slice(2), progress.payloads);
+  assert.equal(calls.slice(2).some(payload => /每日摘要/.test(payload.content || '')), false);
+  assert.equal(readJson(kv, `digest:${groupKey}`).messages, progress.total);
+  assert.equal(kv.store.has(`digest-progress:${groupKey}`), false);
+
+  // 已完成的摘要不再發送
+  await runDigest(kv);
+  assert.equal(calls.length, 2 + progress.total - 1);
+});
+
+test('摘要時間之後發布的文章列入隔天的摘要,前一天狀態中的文章不會遺漏', async () => {
+  const { dateKey, midnightMs } = getTaipeiToday();
+  const previousDateKey = new Date(midnightMs + 8 * 60 * 60 * 1000 - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const sources = [{
+    id: 'late',
+    url: 'https://feed.test/late',
+    name: '晚間來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_DIGEST',
+    deliveryMode: 'digest',
+    digestTime: '00:00',
+    enabled: true
+  }];
+  const article = (name, publishedAtMs) => ({
+    link: `https://late.test/${name}`,
+    title: name,
+    publishedAt: new Date(publishedAtMs).toISOString(),
+    sent: true
+  });
+  const kv = createKV({
+    'registry:news-rss:sources': JSON.stringify({ sources }),
+    // 昨天摘要發送後才發布的文章只存在昨天的每日狀態
+    [`daily:late:${previousDateKey}`]: JSON.stringify({
+      articles: [article('昨天深夜的文章', midnightMs - 30 * 60 * 1000), article('前天的文章', midnightMs - 25 * 60 * 60 * 1000)]
+    }),
+    [`daily:late:${dateKey}`]: JSON.stringify({ articles: [article('今天的文章', midnightMs + 1000)] })
+  });
+  const calls = mockDigestFetch([]);
+
+  await runDigest(kv);
+  assert.equal(calls.length, 1);
+  const [embed] = calls[0].embeds;
+  assert.equal(embed.title, '晚間來源 (1 篇)');
+  assert.match(embed.description, /昨天深夜的文章/);
+  assert.doesNotMatch(embed.description, /今天的文章|前天的文章/);
+});
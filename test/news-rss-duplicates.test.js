@@ -0,0 +1,92 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, renderRss } from './helpers/worker.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/8001/duplicate-token';
+
+afterEach(restoreFetch);
+
+// 依 registry 順序處理來源:first 先送出,second 再與 first 的發送紀錄比對
+async function runSources(feeds, duplicatePolicy) {
+  const sources = Object.keys(feeds).map(id => ({
+    id,
+    url: `https://feed.test/${id}`,
+    name: `來源 ${id}`,
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_DUPLICATE',
+    thumbnailStrategy: 'none',
+    duplicatePolicy,
+    enabled: true
+  }));
+  const env = {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_DUPLICATE: WEBHOOK_URL
+  };
+  const calls = mockFetch(url => {
+    const id = url.startsWith('https://feed.test/') ? url.slice('https://feed.test/'.length) : null;
+    if (id && feeds[id]) {
+      return new Response(feeds[id], { status: 200 });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(null, { status: 204 });
+    }
+    return null;
+  });
+
+  await runScheduled(worker, env);
+  return calls.filter(call => call.url.startsWith(WEBHOOK_URL)).map(call => call.body);
+}
+
+test('正規化後相同的文章連結視為同一則新聞,followup 在訊息中註明', async () => {
+  const posts = await runSources({
+    first: renderRss([{ title: '首發報導', link: 'https://www.news.test/story/1/' }]),
+    second: renderRss([{ title: '完全不同的標題', link: 'http://news.test/story/1?utm_source=rss' }])
+  }, 'followup');
+
+  assert.equal(posts.length, 2);
+  assert.equal(posts[0].embeds[0].fields, undefined);
+  assert.deepEqual(posts[1].embeds[0].fields, [{ name: '相關報導', value: '也由 [來源 first](https://www.news.test/story/1/) 報導' }]);
+});
+
+test('共同的外部連結與相似標題也會判定為重複', async () => {
+  const posts = await runSources({
+    first: renderRss([
+      { title: '官方公布新資料片上市日期', link: 'https://first.test/a', description: '&lt;a href="https://official.test/news/42"&gt;官方公告&lt;/a&gt;' },
+      { title: '艾歐澤亞冬季祭典活動開跑', link: 'https://first.test/b' }
+    ]),
+    second: renderRss([
+      { title: '新資料片發售日公開', link: 'https://second.test/a', description: '&lt;a href="https://official.test/news/42?utm_medium=x"&gt;來源&lt;/a&gt;' },
+      { title: '艾歐澤亞冬季祭典活動開跑!', link: 'https://second.test/b' }
+    ])
+  }, 'followup');
+
+  const followups = posts.slice(2).map(post => post.embeds[0]);
+  assert.equal(followups.length, 2);
+  assert.ok(followups.every(embed => embed.fields && embed.fields[0].name === '相關報導'));
+});
+
+test('未設定 duplicatePolicy 時不做比對,重複新聞照常發送', async () => {
+  const posts = await runSources({
+    first: renderRss([{ title: '首發報導', link: 'https://news.test/story/3' }]),
+    second: renderRss([{ title: '轉載報導', link: 'https://news.test/story/3' }])
+  });
+
+  assert.deepEqual(posts.map(post => post.embeds[0].title), ['首發報導', '轉載報導']);
+  assert.ok(posts.every(post => post.embeds[0].fields === undefined));
+});
+
+test('suppress 不發送重複新聞,off 不做比對', async () => {
+  const feeds = {
+    first: renderRss([{ title: '首發報導', link: 'https://news.test/story/2' }]),
+    second: renderRss([{ title: '轉載報導', link: 'https://news.test/story/2' }])
+  };
+
+  const suppressed = await runSources(feeds, 'suppress');
+  assert.deepEqual(suppressed.map(post => post.embeds[0].title), ['首發報導']);
+
+  const unchecked = await runSources(feeds, 'off');
+  assert.deepEqual(unchecked.map(post => post.embeds[0].title), ['首發報導', '轉載報導']);
+  assert.ok(unchecked.every(post => post.embeds[0].fields === undefined));
+});
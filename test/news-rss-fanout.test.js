@@ -0,0 +1,88 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/fanout';
+const DEFAULT_WEBHOOK = 'https://discord.com/api/webhooks/12001/default-token';
+const FFXIV_WEBHOOK = 'https://discord.com/api/webhooks/12002/ffxiv-token';
+
+afterEach(restoreFetch);
+
+function createEnv() {
+  const sources = [{
+    id: 'fanout',
+    url: FEED_URL,
+    name: '多目的地來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_DEFAULT',
+    thumbnailStrategy: 'none',
+    destinations: [
+      { id: 'default', webhookEnv: 'DISCORD_WEBHOOK_DEFAULT', filter: { rules: [{ type: 'exclude', keywords: ['FF14'] }] } },
+      { id: 'ffxiv', webhookEnv: 'DISCORD_WEBHOOK_FFXIV', color: 0xB5A36A, filter: { include: ['FF14'] } }
+    ],
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_DEFAULT: DEFAULT_WEBHOOK,
+    DISCORD_WEBHOOK_FFXIV: FFXIV_WEBHOOK
+  };
+}
+
+// ffxivStatus() 回傳 FF14 目的地 webhook 的 HTTP 狀態碼
+function mockFanout(ffxivStatus = () => 204) {
+  const feed = renderRss([
+    { title: 'FF14 新版本上線', link: 'https://feed.test/articles/ffxiv' },
+    { title: '其他遊戲新聞', link: 'https://feed.test/articles/other' }
+  ]);
+  return mockFetch(url => {
+    if (url === FEED_URL) {
+      return new Response(feed, { status: 200 });
+    }
+    if (url.startsWith(DEFAULT_WEBHOOK)) {
+      return new Response(null, { status: 204 });
+    }
+    if (url.startsWith(FFXIV_WEBHOOK)) {
+      const status = ffxivStatus();
+      return new Response(status === 204 ? null : '{"message":"error"}', { status });
+    }
+    return null;
+  });
+}
+
+const postsTo = (calls, webhook) => calls.filter(call => call.url.startsWith(webhook)).map(call => call.body.embeds[0]);
+
+test('同一篇文章依各目的地的過濾條件送往不同 webhook,目的地可覆寫顏色', async () => {
+  const env = createEnv();
+  const calls = mockFanout();
+
+  await runScheduled(worker, env);
+  const defaultPosts = postsTo(calls, DEFAULT_WEBHOOK);
+  const ffxivPosts = postsTo(calls, FFXIV_WEBHOOK);
+  assert.deepEqual(defaultPosts.map(embed => embed.title), ['其他遊戲新聞']);
+  assert.deepEqual(ffxivPosts.map(embed => embed.title), ['FF14 新版本上線']);
+  assert.equal(defaultPosts[0].color, 0x123456);
+  assert.equal(ffxivPosts[0].color, 0xB5A36A);
+
+  // 非 default 目的地的發送紀錄另存一份
+  assert.ok(env.RSS_CACHE.store.has('sent:fanout'));
+  assert.ok(env.RSS_CACHE.store.has('sent:fanout:ffxiv'));
+});
+
+test('某個目的地失敗不影響其他目的地,也不會重送已成功的目的地', async () => {
+  const env = createEnv();
+  let ffxivStatus = 500;
+  const calls = mockFanout(() => ffxivStatus);
+
+  await runScheduled(worker, env);
+  assert.equal(postsTo(calls, DEFAULT_WEBHOOK).length, 1);
+  assert.ok(!env.RSS_CACHE.store.has('sent:fanout:ffxiv'));
+
+  ffxivStatus = 204;
+  const ffxivAttempts = postsTo(calls, FFXIV_WEBHOOK).length;
+  await runScheduled(worker, env);
+  assert.equal(postsTo(calls, DEFAULT_WEBHOOK).length, 1);
+  assert.ok(postsTo(calls, FFXIV_WEBHOOK).slice(ffxivAttempts).every(embed => embed.title === 'FF14 新版本上線'));
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/7001/output-token';
+const now = Date.now();
+const FEEDS = {
+  alpha: renderRss([
+    { title: 'Alpha &amp; 新聞', link: 'https://alpha.test/articles/1', description: 'Alpha 摘要', pubDate: new Date(now - 60 * 1000).toUTCString() }
+  ]),
+  beta: renderRss([
+    { title: 'Beta 新聞', link: 'https://beta.test/articles/1', description: 'Beta 摘要', pubDate: new Date(now).toUTCString() }
+  ])
+};
+
+let env;
+
+// 先執行一次排程,讓兩個來源的文章寫入每日狀態
+before(async () => {
+  const sources = Object.keys(FEEDS).map(id => ({
+    id,
+    url: `https://feed.test/${id}`,
+    name: `來源 ${id}`,
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_OUTPUT',
+    thumbnailStrategy: 'none',
+    enabled: true
+  }));
+  env = {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_OUTPUT: WEBHOOK_URL
+  };
+  mockFetch(url => {
+    const id = url.startsWith('https://feed.test/') ? url.slice('https://feed.test/'.length) : null;
+    if (id && FEEDS[id]) {
+      return new Response(FEEDS[id], { status: 200 });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(null, { status: 204 });
+    }
+    return null;
+  });
+  await runScheduled(worker, env);
+  restoreFetch();
+});
+
+after(restoreFetch);
+
+test('/feed.xml 輸出 RSS 2.0,新文章在前且會跳脫 XML 字元', async () => {
+  const response = await callWorker(worker, env, '/feed.xml');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('Content-Type'), /application\/rss\+xml/);
+  const xml = await response.text();
+  const titles = [...xml.matchAll(/<item>\s*<title>([^<]*)<\/title>/g)].map(match => match[1]);
+  assert.deepEqual(titles, ['Beta 新聞', 'Alpha &amp; 新聞']);
+  assert.match(xml, /<source url="https:\/\/feed\.test\/alpha">來源 alpha<\/source>/);
+});
+
+test('/atom.xml 輸出 Atom 1.0', async () => {
+  const response = await callWorker(worker, env, '/atom.xml');
+  assert.match(response.headers.get('Content-Type'), /application\/atom\+xml/);
+  const xml = await response.text();
+  assert.match(xml, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+  assert.equal((xml.match(/<entry>/g) || []).length, 2);
+  assert.match(xml, /<link rel="alternate" href="https:\/\/alpha\.test\/articles\/1" \/>/);
+});
+
+test('/feed.json 輸出 JSON Feed 1.1,可用 ?source= 篩選來源', async () => {
+  const response = await callWorker(worker, env, '/feed.json?source=alpha');
+  assert.match(response.headers.get('Content-Type'), /application\/feed\+json/);
+  const feed = await response.json();
+  assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(feed.title, '來源 alpha');
+  assert.deepEqual(feed.items.map(item => [item.url, item.title, item.content_text]), [
+    ['https://alpha.test/articles/1', 'Alpha & 新聞', 'Alpha 摘要']
+  ]);
+
+  const unknown = await callWorker(worker, env, '/feed.json?source=alpha,missing');
+  assert.equal(unknown.status, 404);
+});
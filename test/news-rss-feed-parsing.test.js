@@ -0,0 +1,111 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled } from './helpers/worker.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/2001/parse-token';
+
+afterEach(restoreFetch);
+
+function createEnv(feeds) {
+  const sources = Object.keys(feeds).map(id => ({
+    id,
+    url: `https://feed.test/${id}`,
+    name: `來源 ${id}`,
+    baseUrl: 'https://feed.test',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_PARSE',
+    thumbnailStrategy: 'rss',
+    enabled: true
+  }));
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_PARSE: WEBHOOK_URL
+  };
+}
+
+async function collectEmbeds(feeds) {
+  const env = createEnv(feeds);
+  const calls = mockFetch(url => {
+    const id = url.startsWith('https://feed.test/') ? url.slice('https://feed.test/'.length) : null;
+    if (id && feeds[id]) {
+      return new Response(feeds[id], { status: 200, headers: { 'Content-Type': 'application/xml' } });
+    }
+    if (url === WEBHOOK_URL || url.startsWith(`${WEBHOOK_URL}?`)) {
+      return new Response(null, { status: 204 });
+    }
+    return null;
+  });
+
+  await runScheduled(worker, env);
+  return calls
+    .filter(call => call.url.startsWith(WEBHOOK_URL) && call.method === 'POST')
+    .flatMap(call => call.body.embeds || []);
+}
+
+test('解析 RSS 2.0:CDATA、實體、content:encoded 與 media:content', async () => {
+  const now = new Date().toUTCString();
+  const rss = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE rss [<!ENTITY custom "x">]>
+<rss version="2.0" xmlns:m="http://search.yahoo.com/mrss/" xmlns:c="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>Channel</title>
+    <!-- <item><title>註解中的文章</title></item> -->
+    <item>
+      <title><![CDATA[Tom & Jerry <聯名> 活動]]></title>
+      <link>https://feed.test/articles/1?a=1&amp;b=2</link>
+      <guid isPermaLink="false">rss-1</guid>
+      <pubDate>${now}</pubDate>
+      <description>&lt;p&gt;活動&amp;amp;說明&lt;/p&gt;</description>
+      <c:encoded><![CDATA[<p>完整內容</p>]]></c:encoded>
+      <m:content url="https://img.test/cover.jpg?w=1&amp;h=2" medium="image" />
+    </item>
+  </channel>
+</rss>`;
+
+  const [embed] = await collectEmbeds({ rss });
+  assert.equal(embed.title, 'Tom & Jerry <聯名> 活動');
+  assert.equal(embed.url, 'https://feed.test/articles/1?a=1&b=2');
+  assert.match(embed.description, /活動&說明/);
+  assert.equal(embed.image.url, 'https://img.test/cover.jpg?w=1&h=2');
+});
+
+test('解析 RSS 1.0 (RDF):預設命名空間、dc:date 與 rdf:about', async () => {
+  const rdf = `<?xml version="1.0"?>
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#" xmlns="http://purl.org/rss/1.0/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel rdf:about="https://feed.test/rdf"><title>RDF</title></channel>
+  <item rdf:about="https://feed.test/articles/rdf-1">
+    <title>RDF 文章</title>
+    <description>RDF 摘要</description>
+    <dc:date>${new Date().toISOString()}</dc:date>
+  </item>
+</rdf:RDF>`;
+
+  const [embed] = await collectEmbeds({ rdf });
+  assert.equal(embed.title, 'RDF 文章');
+  assert.equal(embed.url, 'https://feed.test/articles/rdf-1');
+  assert.equal(embed.description, 'RDF 摘要');
+});
+
+test('解析 Atom:自訂前綴、alternate 連結、xhtml 內容與 media:thumbnail', async () => {
+  const atom = `<?xml version="1.0" encoding="utf-8"?>
+<a:feed xmlns:a="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <a:title>Atom</a:title>
+  <a:entry>
+    <a:title type="text">Atom &amp; 文章</a:title>
+    <a:link rel="self" href="https://feed.test/self/1" />
+    <a:link rel="alternate" href="https://feed.test/articles/atom-1" />
+    <a:id>tag:feed.test,2026:1</a:id>
+    <a:updated>${new Date().toISOString()}</a:updated>
+    <a:content type="xhtml"><div xmlns="http://www.w3.org/1999/xhtml"><p>XHTML 內容</p></div></a:content>
+    <media:thumbnail url="https://img.test/atom.png" />
+  </a:entry>
+</a:feed>`;
+
+  const [embed] = await collectEmbeds({ atom });
+  assert.equal(embed.title, 'Atom & 文章');
+  assert.equal(embed.url, 'https://feed.test/articles/atom-1');
+  assert.equal(embed.description, 'XHTML 內容');
+  assert.equal(embed.image.url, 'https://img.test/atom.png');
+});
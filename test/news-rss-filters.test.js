@@ -0,0 +1,113 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const TOKEN = 'admin-secret';
+const FEED_URL = 'https://feed.test/filtered';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/11001/filter-token';
+
+const FILTER = {
+  rules: [
+    { id: 'only-info', type: 'include', regex: '^\\[情報\\]', fields: ['title'] },
+    { id: 'no-ended', type: 'exclude', keywords: ['已結束'] },
+    {
+      any: [
+        { type: 'include', keywords: ['steam'], fields: ['title'] },
+        { type: 'include', keywords: ['epicgames.com'], fields: ['link'] }
+      ]
+    }
+  ]
+};
+
+const FEED = renderRss([
+  { title: '[情報] ＳＴＥＡＭ 限時免費', link: 'https://deal.test/1' },
+  { title: '[情報] Epic 本週免費遊戲', link: 'https://store.epicgames.com/p/game' },
+  { title: '[情報] Steam 特賣', link: 'https://deal.test/2', description: '活動已結束' },
+  { title: '[問題] Steam 帳號', link: 'https://deal.test/3' },
+  { title: '[情報] GOG 贈送', link: 'https://deal.test/4' }
+]);
+
+afterEach(restoreFetch);
+
+function createEnv(filter) {
+  const sources = [{
+    id: 'filtered',
+    url: FEED_URL,
+    name: '過濾來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_FILTER',
+    thumbnailStrategy: 'none',
+    filter,
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_FILTER: WEBHOOK_URL,
+    ADMIN_TOKEN: TOKEN
+  };
+}
+
+function mockFeed() {
+  return mockFetch(url => {
+    if (url === FEED_URL) {
+      return new Response(FEED, { status: 200 });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(null, { status: 204 });
+    }
+    return null;
+  });
+}
+
+test('include / exclude 規則與 any 群組決定要發送的文章 (預設 NFKC 正規化且不分大小寫)', async () => {
+  const env = createEnv(FILTER);
+  const calls = mockFeed();
+
+  await runScheduled(worker, env);
+  const titles = calls.filter(call => call.url.startsWith(WEBHOOK_URL)).map(call => call.body.embeds[0].title);
+  assert.deepEqual(titles.sort(), ['[情報] Epic 本週免費遊戲', '[情報] ＳＴＥＡＭ 限時免費'].sort());
+});
+
+test('GET /preview?source= 列出每篇文章的判斷,不寫入 KV 也不發送', async () => {
+  const env = createEnv(FILTER);
+  const calls = mockFeed();
+
+  const response = await callWorker(worker, env, '/preview?source=filtered', { token: TOKEN });
+  assert.equal(response.status, 200);
+  const report = await response.json();
+  assert.equal(report.accepted, 2);
+  assert.equal(report.rejected, 3);
+
+  const ended = report.items.find(item => item.link === 'https://deal.test/2');
+  assert.equal(ended.passed, false);
+  assert.deepEqual(ended.decisions.find(decision => decision.rule === 'no-ended'),
+    { rule: 'no-ended', type: 'exclude', matched: true, passed: false, field: 'description', keyword: '已結束' });
+
+  assert.equal(calls.filter(call => call.url.startsWith(WEBHOOK_URL)).length, 0);
+  assert.ok([...env.RSS_CACHE.store.keys()].every(key => !key.startsWith('daily:') && !key.startsWith('sent:')));
+});
+
+test('POST /preview 以草稿規則試算,無效規則回 400', async () => {
+  const env = createEnv(FILTER);
+  mockFeed();
+
+  const draft = await callWorker(worker, env, '/preview', {
+    method: 'POST',
+    token: TOKEN,
+    body: { source: 'filtered', filter: { match: 'any', rules: [{ type: 'include', keywords: ['gog'] }] } }
+  });
+  const report = await draft.json();
+  assert.deepEqual(report.items.filter(item => item.passed).map(item => item.link), ['https://deal.test/4']);
+
+  const invalid = await callWorker(worker, env, '/preview', {
+    method: 'POST',
+    token: TOKEN,
+    body: { source: 'filtered', filter: { rules: [{ type: 'maybe', regex: '(' }] } }
+  });
+  assert.equal(invalid.status, 400);
+  const { details } = await invalid.json();
+  assert.ok(details.some(message => message.startsWith('filter.rules[0].type')));
+  assert.ok(details.some(message => message.startsWith('filter.rules[0].regex')));
+});
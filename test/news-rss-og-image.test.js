@@ -0,0 +1,80 @@
+import './helpers/html-rewriter.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/og';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/9001/og-token';
+
+afterEach(restoreFetch);
+
+// 每篇文章一個頁面,回傳各篇文章送出的縮圖網址
+async function collectThumbnails(items, pages) {
+  const sources = [{
+    id: 'og',
+    url: FEED_URL,
+    name: 'OG 來源',
+    baseUrl: 'https://site.test',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_OG',
+    thumbnailStrategy: 'og',
+    enabled: true
+  }];
+  const env = {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_OG: WEBHOOK_URL
+  };
+  const calls = mockFetch(url => {
+    if (url === FEED_URL) {
+      return new Response(renderRss(items), { status: 200 });
+    }
+    if (pages[url]) {
+      return new Response(pages[url], { status: 200, headers: { 'Content-Type': 'text/html' } });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(null, { status: 204 });
+    }
+    return null;
+  });
+
+  await runScheduled(worker, env);
+  const embeds = calls.filter(call => call.url.startsWith(WEBHOOK_URL)).flatMap(call => call.body.embeds);
+  return Object.fromEntries(embeds.map(embed => [embed.url, embed.image ? embed.image.url : null]));
+}
+
+test('og 策略讀取 <head> 內的 og:image,相對路徑以文章網址補全', async () => {
+  const link = 'https://site.test/news/1';
+  const thumbnails = await collectThumbnails([{ title: 'OG 文章', link }], {
+    [link]: `<html><head>
+      <meta name="twitter:image" content="https://cdn.test/twitter.jpg">
+      <meta property="og:image" content="/images/og.jpg">
+    </head><body><img src="https://cdn.test/logo.png"></body></html>`
+  });
+  assert.equal(thumbnails[link], 'https://site.test/images/og.jpg');
+});
+
+test('沒有 og:image 時依序改用 twitter:image 與 link rel=image_src', async () => {
+  const twitterLink = 'https://site.test/news/2';
+  const imageSrcLink = 'https://site.test/news/3';
+  const thumbnails = await collectThumbnails([
+    { title: 'Twitter 文章', link: twitterLink },
+    { title: 'image_src 文章', link: imageSrcLink }
+  ], {
+    [twitterLink]: '<html><head><meta name="twitter:image:src" content="https://cdn.test/twitter.jpg"></head><body></body></html>',
+    [imageSrcLink]: '<html><head><link rel="image_src" href="https://cdn.test/src.png"></head><body></body></html>'
+  });
+  assert.equal(thumbnails[twitterLink], 'https://cdn.test/twitter.jpg');
+  assert.equal(thumbnails[imageSrcLink], 'https://cdn.test/src.png');
+});
+
+test('頁面 <head> 沒有圖片時退回 RSS 描述內的圖片', async () => {
+  const link = 'https://site.test/news/4';
+  const thumbnails = await collectThumbnails([
+    { title: '退回 RSS', link, description: '&lt;img src="https://cdn.test/rss.jpg"&gt;內容' }
+  ], {
+    [link]: '<html><head><title>沒有圖片</title></head><body><p>內文</p></body></html>'
+  });
+  assert.equal(thumbnails[link], 'https://cdn.test/rss.jpg');
+});
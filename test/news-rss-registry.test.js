@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { callWorker } from './helpers/worker.js';
+
+const TOKEN = 'admin-secret';
+const REGISTRY_KEY = 'registry:news-rss:sources';
+
+function createEnv() {
+  return { RSS_CACHE: createKV(), ADMIN_TOKEN: TOKEN };
+}
+
+const NEW_SOURCE = {
+  id: 'example',
+  name: 'Example News',
+  url: 'https://example.com/rss.xml',
+  webhookEnv: 'DISCORD_WEBHOOK_EXAMPLE',
+  color: '#112233'
+};
+
+test('管理 API 需要 ADMIN_TOKEN 與正確的 Bearer token', async () => {
+  const disabled = await callWorker(worker, { RSS_CACHE: createKV() }, '/admin/sources', { token: TOKEN });
+  assert.equal(disabled.status, 503);
+
+  const env = createEnv();
+  assert.equal((await callWorker(worker, env, '/admin/sources')).status, 401);
+  assert.equal((await callWorker(worker, env, '/admin/sources', { token: 'wrong' })).status, 403);
+  assert.equal((await callWorker(worker, env, '/admin/sources', { token: TOKEN })).status, 200);
+});
+
+test('registry 尚未建立時列出預設來源,新增後寫入 KV', async () => {
+  const env = createEnv();
+
+  const listed = await (await callWorker(worker, env, '/admin/sources', { token: TOKEN })).json();
+  assert.deepEqual(listed.sources.map(source => source.id), ['gnn', '4gamers', 'ptt-steam']);
+  assert.ok(listed.sources.every(source => source.enabled));
+  assert.equal(readJson(env.RSS_CACHE, REGISTRY_KEY), null);
+
+  const created = await callWorker(worker, env, '/admin/sources', { method: 'POST', token: TOKEN, body: NEW_SOURCE });
+  assert.equal(created.status, 201);
+  const { source } = await created.json();
+  assert.equal(source.baseUrl, 'https://example.com');
+  assert.equal(source.color, 0x112233);
+  assert.equal(source.thumbnailStrategy, 'none');
+  assert.equal(source.enabled, true);
+
+  const stored = readJson(env.RSS_CACHE, REGISTRY_KEY);
+  assert.deepEqual(stored.sources.map(entry => entry.id), ['gnn', '4gamers', 'ptt-steam', 'example']);
+
+  const duplicate = await callWorker(worker, env, '/admin/sources', { method: 'POST', token: TOKEN, body: NEW_SOURCE });
+  assert.equal(duplicate.status, 409);
+});
+
+test('新增來源時驗證欄位,錯誤全部列在 details', async () => {
+  const env = createEnv();
+  const response = await callWorker(worker, env, '/admin/sources', {
+    method: 'POST',
+    token: TOKEN,
+    body: { id: 'bad id!', url: 'ftp://example.com/feed', webhookEnv: 'not-valid', color: 'red', thumbnailStrategy: 'ai', filter: { include: [] } }
+  });
+  assert.equal(response.status, 400);
+  const { details } = await response.json();
+  for (const field of ['id', 'name', 'url', 'webhookEnv', 'color', 'thumbnailStrategy', 'filter.include']) {
+    assert.ok(details.some(message => message.startsWith(field)), `缺少 ${field} 的錯誤訊息: ${details.join(' / ')}`);
+  }
+  assert.equal(readJson(env.RSS_CACHE, REGISTRY_KEY), null);
+
+  const notJson = await callWorker(worker, env, '/admin/sources', { method: 'POST', token: TOKEN, body: '[1, 2]' });
+  assert.equal(notJson.status, 400);
+});
+
+test('PATCH 只覆寫提供的欄位,且不可變更 id', async () => {
+  const env = createEnv();
+  await callWorker(worker, env, '/admin/sources', { method: 'POST', token: TOKEN, body: NEW_SOURCE });
+
+  const patched = await callWorker(worker, env, '/admin/sources/example', { method: 'PATCH', token: TOKEN, body: { name: 'Renamed', descriptionMaxLength: 80 } });
+  assert.equal(patched.status, 200);
+  const { source } = await patched.json();
+  assert.equal(source.name, 'Renamed');
+  assert.equal(source.descriptionMaxLength, 80);
+  assert.equal(source.url, NEW_SOURCE.url);
+  assert.equal(source.color, 0x112233);
+
+  const renamed = await callWorker(worker, env, '/admin/sources/example', { method: 'PATCH', token: TOKEN, body: { id: 'other' } });
+  assert.equal(renamed.status, 400);
+
+  const invalid = await callWorker(worker, env, '/admin/sources/example', { method: 'PATCH', token: TOKEN, body: { url: 'not a url' } });
+  assert.equal(invalid.status, 400);
+  assert.equal(readJson(env.RSS_CACHE, REGISTRY_KEY).sources.find(entry => entry.id === 'example').url, NEW_SOURCE.url);
+
+  const missing = await callWorker(worker, env, '/admin/sources/unknown', { method: 'PATCH', token: TOKEN, body: { name: 'x' } });
+  assert.equal(missing.status, 404);
+});
+
+test('停用、重新啟用與刪除來源', async () => {
+  const env = createEnv();
+  const findGnn = () => readJson(env.RSS_CACHE, REGISTRY_KEY).sources.find(entry => entry.id === 'gnn');
+
+  const disabled = await callWorker(worker, env, '/admin/sources/gnn/disable', { method: 'POST', token: TOKEN });
+  assert.equal(disabled.status, 200);
+  assert.equal(findGnn().enabled, false);
+
+  await callWorker(worker, env, '/admin/sources/gnn/enable', { method: 'POST', token: TOKEN });
+  assert.equal(findGnn().enabled, true);
+
+  const unknownAction = await callWorker(worker, env, '/admin/sources/gnn/pause', { method: 'POST', token: TOKEN });
+  assert.equal(unknownAction.status, 404);
+
+  const deleted = await callWorker(worker, env, '/admin/sources/gnn', { method: 'DELETE', token: TOKEN });
+  assert.deepEqual(await deleted.json(), { deleted: 'gnn' });
+  assert.equal(findGnn(), undefined);
+  assert.equal((await callWorker(worker, env, '/admin/sources/gnn', { token: TOKEN })).status, 404);
+});
@@ -0,0 +1,135 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../news-rss.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/webhook-types';
+const DISCORD_WEBHOOK = 'https://discord.com/api/webhooks/22001/discord-token';
+const SLACK_WEBHOOK = 'https://hooks.slack.com/services/T000/B000/slack-token';
+const JSON_WEBHOOK = 'https://tools.test/hooks/news';
+const THUMBNAIL = 'https://cdn.test/cover.jpg';
+
+afterEach(restoreFetch);
+
+function createEnv(sourceOptions = {}) {
+  const sources = [{
+    id: 'hooks',
+    url: FEED_URL,
+    name: '多種目的地',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_HOOKS',
+    thumbnailStrategy: 'rss',
+    destinations: [
+      { id: 'default', webhookEnv: 'DISCORD_WEBHOOK_HOOKS' },
+      { id: 'slack', type: 'slack', webhookEnv: 'SLACK_WEBHOOK_HOOKS' },
+      { id: 'tools', type: 'json', webhookEnv: 'TOOLS_WEBHOOK' }
+    ],
+    enabled: true,
+    ...sourceOptions
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    DISCORD_WEBHOOK_HOOKS: DISCORD_WEBHOOK,
+    SLACK_WEBHOOK_HOOKS: SLACK_WEBHOOK,
+    TOOLS_WEBHOOK: JSON_WEBHOOK,
+    ADMIN_TOKEN: 'admin-secret'
+  };
+}
+
+// slackResponse(body) 回傳 Slack webhook 的 { status, text }
+function mockWebhooks(items, slackResponse = () => ({ status: 200, text: 'ok' })) {
+  return mockFetch((url, init) => {
+    if (url === FEED_URL) {
+      return new Response(renderRss(items), { status: 200 });
+    }
+    if (url.startsWith(DISCORD_WEBHOOK)) {
+      return new Response(JSON.stringify({ id: '1' }), { status: 200 });
+    }
+    if (url === SLACK_WEBHOOK) {
+      const { status, text } = slackResponse(JSON.parse(init.body));
+      return new Response(text, { status });
+    }
+    if (url === JSON_WEBHOOK) {
+      return new Response(null, { status: 204 });
+    }
+    return null;
+  });
+}
+
+const article = {
+  title: 'Slack <與> JSON',
+  link: 'https://feed.test/articles/1?a=1&amp;b=2',
+  description: `<![CDATA[<p>文章描述</p><img src="${THUMBNAIL}">]]>`
+};
+
+test('Slack 目的地以 Block Kit 發送,json 目的地送出正規化的文章 JSON', async () => {
+  const env = createEnv();
+  const calls = mockWebhooks([article]);
+
+  await runScheduled(worker, env);
+
+  const [slack] = calls.filter(call => call.url === SLACK_WEBHOOK);
+  const [section, context] = slack.body.blocks;
+  assert.equal(section.type, 'section');
+  assert.match(section.text.text, /^\*<https:\/\/feed\.test\/articles\/1\?a=1&amp;b=2\|Slack &lt;與&gt; JSON>\*\n/);
+  assert.match(section.text.text, /文章描述/);
+  assert.deepEqual(section.accessory, { type: 'image', image_url: THUMBNAIL, alt_text: 'Slack <與> JSON' });
+  assert.equal(context.type, 'context');
+  assert.match(context.elements[0].text, /^多種目的地 • <!date\^\d+\^\{date_short_pretty\} \{time\}\|/);
+  assert.equal(slack.body.text, 'Slack &lt;與&gt; JSON https://feed.test/articles/1?a=1&amp;b=2');
+
+  const [json] = calls.filter(call => call.url === JSON_WEBHOOK);
+  assert.equal(json.body.version, 1);
+  assert.match(json.body.id, /^[0-9a-f]+$/);
+  assert.deepEqual(json.body.source, { id: 'hooks', name: '多種目的地' });
+  assert.equal(json.body.destination, 'tools');
+  assert.equal(json.body.article.title, 'Slack <與> JSON');
+  assert.equal(json.body.article.link, 'https://feed.test/articles/1?a=1&b=2');
+  assert.equal(json.body.article.thumbnail, THUMBNAIL);
+  assert.equal(json.body.article.duplicateOf, null);
+
+  // 各目的地各自記錄發送狀態,下次執行不重送
+  await runScheduled(worker, env);
+  assert.equal(calls.filter(call => call.url === SLACK_WEBHOOK || call.url === JSON_WEBHOOK).length, 2);
+});
+
+test('Slack 因縮圖拒絕訊息 (invalid_blocks) 時拿掉圖片重送一次', async () => {
+  const env = createEnv();
+  const calls = mockWebhooks([article], body => (body.blocks[0].accessory
+    ? { status: 400, text: 'invalid_blocks' }
+    : { status: 200, text: 'ok' }));
+
+  await runScheduled(worker, env);
+  const slackCalls = calls.filter(call => call.url === SLACK_WEBHOOK);
+  assert.equal(slackCalls.length, 2);
+  assert.ok(slackCalls[0].body.blocks[0].accessory);
+  assert.equal(slackCalls[1].body.blocks[0].accessory, undefined);
+});
+
+test('payloadStyle 為 link 時 Slack 只貼連結讓 Slack 展開預覽', async () => {
+  const env = createEnv({ payloadStyle: 'link' });
+  const calls = mockWebhooks([article]);
+
+  await runScheduled(worker, env);
+  const [slack] = calls.filter(call => call.url === SLACK_WEBHOOK);
+  assert.deepEqual(slack.body, { text: 'https://feed.test/articles/1?a=1&amp;b=2', unfurl_links: true });
+});
+
+test('type 只能是 discord、telegram、slack 或 json', async () => {
+  const env = createEnv();
+  const response = await callWorker(worker, env, '/admin/sources', {
+    method: 'POST',
+    token: env.ADMIN_TOKEN,
+    body: {
+      id: 'invalid-type',
+      name: '無效類型',
+      url: 'https://feed.test/invalid',
+      webhookEnv: 'DISCORD_WEBHOOK_HOOKS',
+      destinations: [{ id: 'teams', type: 'teams', webhookEnv: 'TEAMS_WEBHOOK' }]
+    }
+  });
+  assert.equal(response.status, 400);
+  const { details } = await response.json();
+  assert.ok(details.some(detail => detail.startsWith('destinations[0].type')));
+});
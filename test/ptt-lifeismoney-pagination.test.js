@@ -0,0 +1,63 @@
+import './helpers/html-rewriter.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../ptt-lifeismoney.js';
+import { createKV } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled } from './helpers/worker.js';
+
+const BOARD_URL = 'https://www.ptt.cc/bbs/Lifeismoney/';
+
+afterEach(restoreFetch);
+
+function renderEntry({ title, push, hoursAgo }) {
+  const seconds = Math.floor((Date.now() - hoursAgo * 60 * 60 * 1000) / 1000);
+  return `<div class="r-ent"><div class="nrec"><span class="hl">${push}</span></div>`
+    + `<div class="title"><a href="/bbs/Lifeismoney/M.${seconds}.A.${title.length}AB.html">${title}</a></div>`
+    + '<div class="meta"><div class="author">tester</div><div class="date"> 1/01</div></div></div>';
+}
+
+function renderPage({ entries, pinned = [], prev }) {
+  const prevLink = prev ? `<a class="btn wide" href="/bbs/Lifeismoney/${prev}">‹ 上頁</a>` : '';
+  const separator = pinned.length ? '<div class="r-list-sep"></div>' : '';
+  return `<html><body><div class="btn-group-paging">${prevLink}</div><div class="r-list-container">`
+    + entries.map(renderEntry).join('') + separator + pinned.map(renderEntry).join('')
+    + '</div></body></html>';
+}
+
+// 首頁底部有很久以前的置底公告,36 小時內的文章分布在前三頁
+const PAGES = {
+  'index.html': renderPage({
+    entries: [{ title: '[情報] 首頁文章一', push: 50, hoursAgo: 1 }, { title: '[情報] 首頁文章二', push: 40, hoursAgo: 2 }],
+    pinned: [{ title: '[公告] 置底公告', push: '爆', hoursAgo: 24 * 30 }],
+    prev: 'index3999.html'
+  }),
+  'index3999.html': renderPage({
+    entries: [{ title: '[情報] 第二頁文章一', push: 35, hoursAgo: 10 }, { title: '[情報] 第二頁文章二', push: 99, hoursAgo: 20 }],
+    prev: 'index3998.html'
+  }),
+  'index3998.html': renderPage({
+    entries: [{ title: '[情報] 第三頁舊文章', push: 80, hoursAgo: 50 }, { title: '[情報] 第三頁文章', push: 60, hoursAgo: 30 }],
+    prev: 'index3997.html'
+  })
+};
+
+test('置底文章不影響翻頁,會抓完 36 小時時間窗內的所有列表頁', async () => {
+  const calls = mockFetch(url => {
+    if (url.startsWith('https://discord.com/')) {
+      return new Response(JSON.stringify({ id: '1' }), { status: 200 });
+    }
+    const page = url.slice(BOARD_URL.length);
+    return url.startsWith(BOARD_URL) && PAGES[page] ? new Response(PAGES[page], { status: 200 }) : null;
+  });
+
+  const env = { RSS_CACHE: createKV(), DISCORD_WEBHOOK_LIFEISMONEY: 'https://discord.com/api/webhooks/4001/token' };
+  await runScheduled(worker, env);
+
+  const listRequests = calls.filter(call => call.url.startsWith(BOARD_URL) && call.url.includes('/index'))
+    .map(call => call.url.slice(BOARD_URL.length));
+  const sentTitles = calls.filter(call => call.url.startsWith('https://discord.com/')).map(call => call.body.embeds[0].title);
+  assert.deepEqual(listRequests, ['index.html', 'index3999.html', 'index3998.html']);
+  assert.deepEqual(sentTitles.sort(), [
+    '[情報] 第三頁文章', '[情報] 第二頁文章一', '[情報] 第二頁文章二', '[情報] 首頁文章一', '[情報] 首頁文章二'
+  ].sort());
+});
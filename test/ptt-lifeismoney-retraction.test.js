@@ -0,0 +1,96 @@
+import './helpers/html-rewriter.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../ptt-lifeismoney.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled } from './helpers/worker.js';
+
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/14001/retract-token';
+const INDEX_URL = 'https://www.ptt.cc/bbs/Lifeismoney/index.html';
+
+afterEach(restoreFetch);
+
+function createArticle(title, push, hoursAgo) {
+  const seconds = Math.floor((Date.now() - hoursAgo * 60 * 60 * 1000) / 1000);
+  const id = `M.${seconds}.A.${push}AB`;
+  return { id, title, push, url: `https://www.ptt.cc/bbs/Lifeismoney/${id}.html` };
+}
+
+// 被刪除的文章在列表上只剩「(本文已被刪除) [作者]」,沒有連結
+function renderIndex(articles) {
+  const rows = articles.map(article => (article.deleted
+    ? '<div class="r-ent"><div class="nrec"></div><div class="title">(本文已被刪除) [tester]</div>'
+      + '<div class="meta"><div class="author">-</div><div class="date"> 1/01</div></div></div>'
+    : `<div class="r-ent"><div class="nrec"><span class="hl">${article.push}</span></div>`
+      + `<div class="title"><a href="/bbs/Lifeismoney/${article.id}.html">${article.title}</a></div>`
+      + '<div class="meta"><div class="author">tester</div><div class="date"> 1/01</div></div></div>'));
+  return `<html><body><div class="btn-group-paging"></div><div class="r-list-container">${rows.join('')}</div></body></html>`;
+}
+
+async function runRetraction(mode, { articleStatus = 404 } = {}) {
+  const kept = createArticle('[情報] 保留的文章', 80, 1);
+  const removed = createArticle('[情報] 會被刪除的文章', 50, 2);
+  const older = createArticle('[問題] 推文不足的舊文章', 5, 3);
+  let listed = [kept, removed, older];
+  let nextId = 1;
+  const messageIds = {};
+
+  const calls = mockFetch((url, init) => {
+    if (url === INDEX_URL) {
+      return new Response(renderIndex(listed), { status: 200 });
+    }
+    if (url === removed.url) {
+      return new Response('', { status: articleStatus });
+    }
+    if (!url.startsWith(WEBHOOK_URL)) {
+      return null;
+    }
+    if (init.method === 'POST') {
+      const id = `m${nextId++}`;
+      messageIds[JSON.parse(init.body).embeds[0].url] = id;
+      return new Response(JSON.stringify({ id }), { status: 200 });
+    }
+    return new Response(init.method === 'DELETE' ? null : '{}', { status: init.method === 'DELETE' ? 204 : 200 });
+  });
+
+  const env = { RSS_CACHE: createKV(), DISCORD_WEBHOOK_LIFEISMONEY: WEBHOOK_URL, RETRACTION_MODE: mode };
+  await runScheduled(worker, env);
+  assert.equal(Object.keys(messageIds).length, 2);
+
+  listed = [kept, { deleted: true }, older];
+  await runScheduled(worker, env);
+  // 已處理過的文章不再重複收回
+  await runScheduled(worker, env);
+
+  const retractions = calls.filter(call => call.url.startsWith(WEBHOOK_URL) && call.method !== 'POST');
+  return { env, removed, retractions, messageUrl: `${WEBHOOK_URL}/messages/${messageIds[removed.url]}` };
+}
+
+test('RETRACTION_MODE=delete 時刪除被刪文章的 Discord 訊息並寫入紀錄', async () => {
+  const { env, removed, retractions, messageUrl } = await runRetraction('delete');
+  assert.deepEqual(retractions.map(call => [call.method, call.url]), [['DELETE', messageUrl]]);
+
+  const log = readJson(env.RSS_CACHE, `retraction:ptt-lifeismoney:${removed.id}`);
+  assert.equal(log.action, 'delete');
+  assert.equal(log.reason, 'deleted');
+  assert.equal(log.title, removed.title);
+});
+
+test('RETRACTION_MODE=strike 時把原訊息標題改成刪除線', async () => {
+  const { retractions, messageUrl, removed } = await runRetraction('strike');
+  assert.equal(retractions.length, 1);
+  assert.equal(retractions[0].method, 'PATCH');
+  assert.equal(retractions[0].url, messageUrl);
+  assert.equal(retractions[0].body.embeds[0].title, `~~${removed.title}~~`);
+  assert.equal(retractions[0].body.embeds[0].description, '⚠️ 原文已被刪除');
+});
+
+test('文章網址沒有回應 404 時不收回,預設 log 模式也不動原訊息', async () => {
+  const notDeleted = await runRetraction('delete', { articleStatus: 200 });
+  assert.equal(notDeleted.retractions.length, 0);
+  assert.equal(readJson(notDeleted.env.RSS_CACHE, `retraction:ptt-lifeismoney:${notDeleted.removed.id}`), null);
+
+  const logged = await runRetraction('');
+  assert.equal(logged.retractions.length, 0);
+  assert.equal(readJson(logged.env.RSS_CACHE, `retraction:ptt-lifeismoney:${logged.removed.id}`).action, 'log');
+});
@@ -0,0 +1,149 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import newsWorker from '../news-rss.js';
+import monitorWorker from '../ffxiv-tw-news-monitor.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled, callWorker, renderRss } from './helpers/worker.js';
+
+const FEED_URL = 'https://feed.test/health';
+const WEBHOOK_URL = 'https://discord.com/api/webhooks/20001/news-token';
+const OPS_WEBHOOK = 'https://discord.com/api/webhooks/20002/ops-token';
+const HEALTH_KEY = 'health:news-rss';
+
+afterEach(restoreFetch);
+
+function createNewsEnv(entries = {}) {
+  const sources = [{
+    id: 'health',
+    url: FEED_URL,
+    name: '健康檢查來源',
+    color: 0x123456,
+    webhookEnv: 'DISCORD_WEBHOOK_HEALTH',
+    thumbnailStrategy: 'none',
+    enabled: true
+  }];
+  return {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }), ...entries }),
+    DISCORD_WEBHOOK_HEALTH: WEBHOOK_URL,
+    DISCORD_WEBHOOK_OPS: OPS_WEBHOOK
+  };
+}
+
+// feed() 回傳 { status, body };opsStatus() 回傳 ops webhook 的 HTTP 狀態碼
+function mockHealthFetch(feed, opsStatus = () => 204) {
+  return mockFetch(url => {
+    if (url === FEED_URL) {
+      const { status, body } = feed();
+      return new Response(body || '', { status });
+    }
+    if (url.startsWith(OPS_WEBHOOK)) {
+      return new Response(null, { status: opsStatus() });
+    }
+    if (url.startsWith(WEBHOOK_URL)) {
+      return new Response(JSON.stringify({ id: '1' }), { status: 200 });
+    }
+    return null;
+  });
+}
+
+const opsAlerts = calls => calls.filter(call => call.url.startsWith(OPS_WEBHOOK)).map(call => call.body.embeds[0]);
+
+test('連續 3 次抓取失敗時通知 ops webhook,恢復時再通知一次', async () => {
+  const env = createNewsEnv();
+  let feedStatus = 500;
+  const calls = mockHealthFetch(() => ({ status: feedStatus, body: feedStatus === 200 ? renderRss([]) : '' }));
+
+  await runScheduled(newsWorker, env);
+  await runScheduled(newsWorker, env);
+  assert.equal(opsAlerts(calls).length, 0);
+  assert.equal(readJson(env.RSS_CACHE, HEALTH_KEY).sources.health.consecutiveFailures, 2);
+
+  await runScheduled(newsWorker, env);
+  const [failing] = opsAlerts(calls);
+  assert.equal(failing.title, '⚠️ 健康檢查來源 連續 3 次抓取失敗');
+  assert.match(failing.description, /HTTP 500/);
+  const record = readJson(env.RSS_CACHE, HEALTH_KEY).sources.health;
+  assert.equal(record.status, 'failing');
+  assert.equal(record.lastError, 'HTTP 500');
+
+  // 維持失敗狀態不重複通知
+  await runScheduled(newsWorker, env);
+  assert.equal(opsAlerts(calls).length, 1);
+
+  feedStatus = 200;
+  await runScheduled(newsWorker, env);
+  const [, recovered] = opsAlerts(calls);
+  assert.equal(recovered.title, '✅ 健康檢查來源 已恢復');
+  assert.equal(readJson(env.RSS_CACHE, HEALTH_KEY).sources.health.status, 'healthy');
+});
+
+test('ops 通知失敗時維持原狀態,下次執行再通知', async () => {
+  const env = createNewsEnv();
+  let opsStatus = 500;
+  const calls = mockHealthFetch(() => ({ status: 503 }), () => opsStatus);
+
+  for (let run = 0; run < 3; run += 1) {
+    await runScheduled(newsWorker, env);
+  }
+  assert.ok(opsAlerts(calls).length > 0);
+  assert.equal(readJson(env.RSS_CACHE, HEALTH_KEY).sources.health.status, 'healthy');
+
+  opsStatus = 204;
+  const attempts = opsAlerts(calls).length;
+  await runScheduled(newsWorker, env);
+  assert.equal(opsAlerts(calls).length, attempts + 1);
+  assert.equal(readJson(env.RSS_CACHE, HEALTH_KEY).sources.health.status, 'failing');
+});
+
+test('項目數連續低於基準的 20% 時通知產出過低', async () => {
+  const now = new Date().toISOString();
+  const env = createNewsEnv({
+    [HEALTH_KEY]: JSON.stringify({
+      sources: {
+        health: {
+          status: 'healthy',
+          statusSince: now,
+          consecutiveFailures: 0,
+          consecutiveLowYield: 0,
+          samples: [10, 10, 12, 10, 8, 10],
+          sampledAt: now,
+          updatedAt: now
+        }
+      }
+    })
+  });
+  const calls = mockHealthFetch(() => ({ status: 200, body: renderRss([{ title: '僅剩的文章', link: 'https://feed.test/articles/1' }]) }));
+
+  for (let run = 0; run < 3; run += 1) {
+    await runScheduled(newsWorker, env);
+  }
+  const [alert] = opsAlerts(calls);
+  assert.equal(alert.title, '⚠️ 健康檢查來源 連續 3 次只取得 1 個項目');
+  assert.equal(alert.description, '平常約 10 個,可能是來源版面或格式變動');
+  const record = readJson(env.RSS_CACHE, HEALTH_KEY).sources.health;
+  assert.equal(record.status, 'low-yield');
+  // 產出過低的結果不列入樣本
+  assert.deepEqual(record.samples, [10, 10, 12, 10, 8, 10]);
+});
+
+test('官網新聞監控讀不到新聞資料時記錄失敗,/status 列出健康狀態', async () => {
+  const env = {
+    RSS_CACHE: createKV(),
+    ffxivnews: createKV(),
+    DISCORD_WEBHOOK_FFXIV_TW_NEWS: WEBHOOK_URL,
+    DISCORD_WEBHOOK_OPS: OPS_WEBHOOK,
+    HEALTH_ALERT_THRESHOLD: '2'
+  };
+  const calls = mockHealthFetch(() => ({ status: 404 }));
+
+  // 排程執行會把錯誤拋出,由 Workers 記錄為失敗的執行
+  await assert.rejects(runScheduled(monitorWorker, env), /KV 中沒有新聞資料/);
+  await assert.rejects(runScheduled(monitorWorker, env), /KV 中沒有新聞資料/);
+  const [alert] = opsAlerts(calls);
+  assert.equal(alert.title, '⚠️ FF14 台灣官網新聞 連續 2 次抓取失敗');
+
+  const status = await (await callWorker(monitorWorker, env, '/status')).json();
+  assert.equal(status.health_key, 'health:ffxiv-tw-news-monitor');
+  assert.equal(status.來源健康狀態.status, 'failing');
+  assert.equal(status.來源健康狀態.lastError, 'KV 中沒有新聞資料');
+});
@@ -0,0 +1,103 @@
+import './helpers/html-rewriter.js';
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import pttWorker from '../ptt-lifeismoney.js';
+import monitorWorker from '../ffxiv-tw-news-monitor.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { mockFetch, restoreFetch, runScheduled } from './helpers/worker.js';
+
+afterEach(restoreFetch);
+
+// Telegram 依 responses 依序回應 (用完後一律成功),Discord 一律成功,其他網址回 404
+function mockDelivery({ pages = {}, responses }) {
+  let telegramCount = 0;
+  return mockFetch(url => {
+    if (url.startsWith('https://api.telegram.org/')) {
+      telegramCount += 1;
+      const status = responses.length ? responses.shift() : 200;
+      const body = status === 200 ? { ok: true, result: { message_id: telegramCount } } : { ok: false, description: 'Bad Request' };
+      return new Response(JSON.stringify(body), { status });
+    }
+    if (url.startsWith('https://discord.com/')) {
+      return new Response(null, { status: 204 });
+    }
+    return pages[url] ? new Response(pages[url], { status: 200 }) : null;
+  });
+}
+
+const telegramPayloads = calls => calls.filter(call => call.url.startsWith('https://api.telegram.org/')).map(call => call.body);
+const discordPayloads = calls => calls.filter(call => call.url.startsWith('https://discord.com/')).map(call => call.body);
+
+function renderPttIndex(entries) {
+  const rows = entries.map(({ title, push, hoursAgo }) => {
+    const seconds = Math.floor((Date.now() - hoursAgo * 60 * 60 * 1000) / 1000);
+    return `<div class="r-ent"><div class="nrec"><span class="hl">${push}</span></div>`
+      + `<div class="title"><a href="/bbs/Lifeismoney/M.${seconds}.A.${push}AB.html">${title}</a></div>`
+      + '<div class="meta"><div class="author">tester</div><div class="date"> 1/01</div></div></div>';
+  });
+  return `<html><body><div class="btn-group-paging"></div><div class="r-list-container">${rows.join('')}</div></body></html>`;
+}
+
+test('只設定 Telegram 時 PTT 省錢板照常發送,轉發失敗的文章下次執行重送', async () => {
+  const pages = {
+    'https://www.ptt.cc/bbs/Lifeismoney/index.html': renderPttIndex([
+      { title: '[情報] 推文較多的文章', push: 80, hoursAgo: 1 },
+      { title: '[情報] 推文較少的文章', push: 50, hoursAgo: 2 }
+    ])
+  };
+  const env = { RSS_CACHE: createKV(), TELEGRAM_BOT_TOKEN: 'bot-token', LIFEISMONEY_TELEGRAM_CHAT_ID: '@deals' };
+
+  const calls = mockDelivery({ pages, responses: [400] });
+  await runScheduled(pttWorker, env);
+  assert.equal(telegramPayloads(calls).length, 2);
+  assert.equal(discordPayloads(calls).length, 0);
+  const records = readJson(env.RSS_CACHE, 'sent:ptt-lifeismoney:telegram');
+  assert.equal(Object.keys(records).length, 1);
+
+  // 只重送失敗的那篇
+  await runScheduled(pttWorker, env);
+  assert.equal(telegramPayloads(calls).length, 3);
+  assert.match(telegramPayloads(calls)[2].text, /推文較多的文章/);
+  assert.equal(Object.keys(readJson(env.RSS_CACHE, 'sent:ptt-lifeismoney:telegram')).length, 2);
+
+  await runScheduled(pttWorker, env);
+  assert.equal(telegramPayloads(calls).length, 3);
+});
+
+test('官網新聞的 Telegram 發送紀錄與 Discord 分開,Discord 成功但 Telegram 失敗時下次只重送 Telegram', async () => {
+  const now = new Date().toISOString();
+  const news = {
+    categories: {
+      公告: [
+        { id: '1', title: '已發送的舊公告', url: 'https://www.ffxiv.com.tw/news/1', date: '2026-01-01' },
+        { id: '2', title: '新的維護公告', url: 'https://www.ffxiv.com.tw/news/2', date: '2026-01-02' }
+      ]
+    }
+  };
+  // 之前的版本只記錄 Discord 的發送紀錄:第一次使用 Telegram 紀錄時不補送舊文章
+  const env = {
+    RSS_CACHE: createKV({
+      'snapshot:ffxiv-tw-news': JSON.stringify({ articleIds: ['1'] }),
+      'sent:ffxiv-tw-news': JSON.stringify({ 1: { sentAt: now, category: '公告', title: '已發送的舊公告' } })
+    }),
+    ffxivnews: createKV({ ffxiv_news_v3: JSON.stringify(news) }),
+    DISCORD_WEBHOOK_FFXIV_TW_NEWS: 'https://discord.com/api/webhooks/6001/token',
+    TELEGRAM_BOT_TOKEN: 'bot-token',
+    FFXIV_TW_NEWS_TELEGRAM_CHAT_ID: '@ffxiv'
+  };
+
+  const calls = mockDelivery({ responses: [400] });
+  await runScheduled(monitorWorker, env);
+  assert.equal(discordPayloads(calls).length, 1);
+  assert.equal(telegramPayloads(calls).length, 1);
+  assert.deepEqual(Object.keys(readJson(env.RSS_CACHE, 'sent:ffxiv-tw-news:telegram')), ['1']);
+
+  await runScheduled(monitorWorker, env);
+  assert.equal(discordPayloads(calls).length, 1);
+  assert.equal(telegramPayloads(calls).length, 2);
+  assert.match(telegramPayloads(calls)[1].text, /新的維護公告/);
+  assert.deepEqual(Object.keys(readJson(env.RSS_CACHE, 'sent:ffxiv-tw-news:telegram')).sort(), ['1', '2']);
+
+  await runScheduled(monitorWorker, env);
+  assert.equal(telegramPayloads(calls).length, 2);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTemplateSamples, renderMessageTemplate, validateMessageTemplate } from '../lib/template.js';
+import pttWorker from '../ptt-lifeismoney.js';
+import monitorWorker from '../ffxiv-tw-news-monitor.js';
+import newsWorker from '../news-rss.js';
+import { createKV, readJson } from './helpers/kv.js';
+import { callWorker } from './helpers/worker.js';
+
+const FIELDS = { title: '文章標題', link: '文章網址', push: '推文數' };
+const SAMPLE = { title: '[情報] 範例文章', link: 'https://example.com/a', push: 1234 };
+
+test('validateMessageTemplate 接受合法模板並回傳範例 payload', () => {
+  const template = {
+    content: '{{title|truncate:10}}',
+    embeds: [{ title: '{{title}}', url: '{{link}}', fields: [{ name: '推文', value: '{{push|number}}' }] }]
+  };
+  const { errors, previews } = validateMessageTemplate(template, [SAMPLE], FIELDS);
+  assert.deepEqual(errors, []);
+  assert.equal(previews.length, 1);
+  assert.equal(previews[0].embeds[0].title, SAMPLE.title);
+  assert.equal(previews[0].embeds[0].url, SAMPLE.link);
+});
+
+test('validateMessageTemplate 列出結構、語法與欄位名稱錯誤', () => {
+  const template = { embeds: [{ title: '{{nope}}', description: '{{#title}}x', fields: 'a' }], foo: 1 };
+  const { errors, previews } = validateMessageTemplate(template, [SAMPLE], FIELDS);
+  assert.deepEqual(errors, [
+    'embeds[0].title: 沒有 nope 這個欄位',
+    'embeds[0].description: {{#title}} 沒有結束標籤',
+    'embeds[0].fields 必須是陣列',
+    'foo 不是支援的欄位'
+  ]);
+  assert.deepEqual(previews, []);
+});
+
+test('validateMessageTemplate 以傳入的欄位清單檢查欄位名稱', () => {
+  const template = { content: '{{push}}' };
+  assert.deepEqual(validateMessageTemplate(template, [SAMPLE], FIELDS).errors, []);
+  assert.deepEqual(validateMessageTemplate(template, [SAMPLE], { title: '文章標題' }).errors, ['content: 沒有 push 這個欄位']);
+});
+
+test('validateMessageTemplate 以範例文章檢查 Discord 上限', () => {
+  const template = { embeds: [{ title: '{{title}}{{title}}{{title}}' }] };
+  const { errors } = validateMessageTemplate(template, [{ title: '長'.repeat(100) }], FIELDS);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /title 長度 300 超過上限 256/);
+});
+
+test('renderMessageTemplate 支援區段與過濾器', () => {
+  const template = { content: '{{#push}}推文 {{push|number}}{{/push}}{{^push}}沒有推文{{/push}}' };
+  assert.equal(renderMessageTemplate(template, { push: 1234 }).content, '推文 1,234');
+  assert.equal(renderMessageTemplate(template, {}).content, '沒有推文');
+});
+
+test('buildTemplateSamples 以自訂範例覆寫 worker 的範例文章,sample 不是物件時回傳 null', () => {
+  assert.deepEqual(buildTemplateSamples(SAMPLE), [SAMPLE]);
+  assert.deepEqual(buildTemplateSamples(SAMPLE, { push: 5 }), [SAMPLE, { ...SAMPLE, push: 5 }]);
+  assert.equal(buildTemplateSamples(SAMPLE, [1]), null);
+});
+
+test('/admin/templates 以各 worker 的範例文章檢查模板,通過才儲存', async () => {
+  const env = { RSS_CACHE: createKV(), ADMIN_TOKEN: 'admin-secret' };
+  const template = { content: '{{title}} ({{push|number}})' };
+
+  const preview = await callWorker(pttWorker, env, '/admin/templates/ptt-lifeismoney/preview', {
+    method: 'POST', token: env.ADMIN_TOKEN, body: { template, sample: { push: 1234 } }
+  });
+  const { valid, previews } = await preview.json();
+  assert.equal(valid, true);
+  assert.equal(previews.length, 2);
+  assert.match(previews[1].content, /\(1,234\)$/);
+
+  const saved = await callWorker(pttWorker, env, '/admin/templates/ptt-lifeismoney', { method: 'PUT', token: env.ADMIN_TOKEN, body: { template } });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(readJson(env.RSS_CACHE, 'template:ptt-lifeismoney').template, template);
+
+  const list = await (await callWorker(pttWorker, env, '/admin/templates', { token: env.ADMIN_TOKEN })).json();
+  assert.deepEqual(list.templates.map(entry => entry.source), ['ptt-lifeismoney']);
+
+  // 各 worker 只接受自己的來源,模板欄位也各自檢查
+  const other = await callWorker(monitorWorker, env, '/admin/templates/ptt-lifeismoney', { token: env.ADMIN_TOKEN });
+  assert.equal(other.status, 404);
+  const invalid = await callWorker(monitorWorker, env, '/admin/templates/ffxiv-tw-news', { method: 'PUT', token: env.ADMIN_TOKEN, body: { template } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual((await invalid.json()).details, ['content: 沒有 push 這個欄位']);
+});
+
+test('news-rss 的 /admin/templates 只接受 registry 內的來源', async () => {
+  const sources = [{ id: 'tpl', url: 'https://feed.test/tpl', name: '模板來源', webhookEnv: 'DISCORD_WEBHOOK_TPL', enabled: true }];
+  const env = {
+    RSS_CACHE: createKV({ 'registry:news-rss:sources': JSON.stringify({ sources }) }),
+    ADMIN_TOKEN: 'admin-secret'
+  };
+  const template = { embeds: [{ title: '{{title}}', footer: { text: '{{source}}' } }] };
+
+  const response = await callWorker(newsWorker, env, '/admin/templates/tpl/preview', { method: 'POST', token: env.ADMIN_TOKEN, body: { template } });
+  const { valid, previews } = await response.json();
+  assert.equal(valid, true);
+  assert.equal(previews[0].embeds[0].footer.text, '模板來源');
+
+  const missing = await callWorker(newsWorker, env, '/admin/templates/unknown', { token: env.ADMIN_TOKEN });
+  assert.equal(missing.status, 404);
+});